@@ -1,4 +1,9 @@
-// handleMessage.js - Enhanced conversation logic with natural language support + Follow-up handler
+// handleMessage.js - Enhanced conversation logic with natural language support
+// (answers to the follow-up after a viewing are handled by lib/followUp.js)
+const richMessages = require('./lib/richMessages');
+const i18n = require('./lib/i18n');
+const { getTemplates } = require('./lib/templates');
+const { parseBudget } = require('./lib/ranking');
 
 async function handleMessage(input) {
   try {
@@ -10,81 +15,20 @@ async function handleMessage(input) {
     // 2. Identify lead and stage
     const leadExists = input.lead_id && input.lead_id.length > 0;
     const stage = input.lead_stage || null;
-    
-    // ============================================
-    // FOLLOW-UP RESPONSE HANDLER (Route 8)
-    // ============================================
-    
-    // Check if lead is awaiting follow-up response
-    const awaitingFollowUp = input.awaiting_followup_response || false;
-    
-    if (leadExists && awaitingFollowUp && (message === '1' || message === '2')) {
-      console.log('Follow-up response detected!');
-      
-      const leadName = input.lead_name || "there";
-      const leadPhone = phone;
-      const tenantWhatsApp = input.tenant_whatsapp || "";
-      const lastViewedProperty = input.last_viewed_property || "a property"; // Property name from last booking
-      
-      console.log('Last Viewed Property:', lastViewedProperty);
-      
-      if (message === '1') {
-        // User is INTERESTED!
-        
-        // Get agent phone from the last booking for this lead
-        let agentPhone = null;
-        try {
-          const recentBookings = await base('Bookings')
-            .select({
-              filterByFormula: `SEARCH("${leadId}", ARRAYJOIN({Lead}, ","))`,
-              sort: [{ field: 'Created', direction: 'desc' }],
-              maxRecords: 1
-            })
-            .firstPage();
-          
-          if (recentBookings.length > 0) {
-            agentPhone = recentBookings[0].get('Agent Phone');
-          }
-        } catch (err) {
-          console.error('Failed to get agent phone:', err);
-        }
-        
-        return {
-          action: "followup_interested",
-          updateFields: {
-            "Status": "Hot Lead",
-            "Conversation Stage": "interested_after_viewing",
-            "AwaitingFollowUpResponse": false
-          },
-          replyMessage: `Great! 🎉\n\nOur agent will contact you shortly to discuss next steps!\n\nReply HI anytime to search for more properties.`,
-          agentNotification: {
-            agentPhone: agentPhone, // ← Agent's phone
-            message: `🔥 *HOT LEAD ALERT!*\n\n${leadName} is INTERESTED after viewing!\n\nProperty: ${lastViewedProperty}\n\n📞 Contact them ASAP: ${leadPhone}\n\nStrike while the iron is hot! 🎯`,
-            sendTo: tenantWhatsApp, // ← For future use
-            leadName: leadName,
-            leadPhone: leadPhone,
-            propertyName: lastViewedProperty
-          }
-        };
-      } else if (message === '2') {
-        // User is NOT interested
-        return {
-          action: "followup_not_interested",
-          updateFields: {
-            "Status": "Not Interested",
-            "Conversation Stage": "not_interested_after_viewing",
-            "AwaitingFollowUpResponse": false
-          },
-          replyMessage: `Thank you for your feedback! 🙏\n\nIf you change your mind, just reply HI anytime.\n\nWe're always here to help! 🏡`
-        };
-      }
-    }
-    
-    // ============================================
-    // END FOLLOW-UP HANDLER - Continue normal flow
-    // ============================================
 
-    // 3. Reconstruct lead object
+    // 3. Language: a switch ("Kiswahili") wins, then the lead's saved choice, then the tenant default.
+    // The tenant's own templates override the wording.
+    const languageSwitch = i18n.detectLanguageSwitch(message);
+    const locale = i18n.resolveLocale(languageSwitch, input.lead_locale, input.tenant_locale);
+    const templates = await getTemplates(input.tenant_id);
+    const t = i18n.translator(locale, templates);
+
+    // Tenant configuration
+    const botName = input.tenant_bot_name || t('greeting.defaultBotName');
+    const companyName = input.tenant_company_name || t('greeting.defaultCompanyName');
+    const tenantTypes = input.tenant_property_types || "Buy, Rent";
+    
+    // 4. Reconstruct lead object
     const lead = {
       id: input.lead_id,
       Interest: input.lead_interest,
@@ -93,9 +37,10 @@ async function handleMessage(input) {
       Size: input.lead_size
     };
 
-    // 4. Response object
+    // 5. Response object
     let response = {
       action: "",
+      locale: locale,
       updateFields: {},
       replyMessage: "",
       createLead: false,
@@ -105,20 +50,16 @@ async function handleMessage(input) {
       bedrooms: 0,
       requestedBedrooms: 0,
       propertyNumber: 0,
+      bookingNumber: 0,
       location: "",
       selectedTime: "",
       plotSize: ""
     };
 
-    // Tenant configuration
-    const botName = input.tenant_bot_name || "PropertyBot";
-    const companyName = input.tenant_company_name || "our company";
-    const tenantTypes = input.tenant_property_types || "Buy, Rent";
-
     function formatOptions(types) {
       return types
         .split(',')
-        .map((t, index) => `${index + 1}️⃣ ${t.trim()}`)
+        .map((type, index) => `${index + 1}️⃣ ${type.trim()}`)
         .join('\n');
     }
 
@@ -135,26 +76,43 @@ async function handleMessage(input) {
         "Tenant": input.tenant_id
       };
 
+      // First message was a language name ("Kiswahili") - remember it
+      if (languageSwitch) {
+        response.updateFields["Language"] = languageSwitch;
+      }
+
       const options = formatOptions(tenantTypes);
 
-      response.replyMessage = 
-`Hi! Welcome to ${companyName} 👋
+      response.replyMessage = t('greeting.new', { companyName: companyName, botName: botName, options: options });
 
-I'm ${botName}, your property assistant.
+      if (input.rich_messages) {
+        response.messages = richMessages.propertyTypeChoice(response.replyMessage, tenantTypes, locale);
+      }
 
-What are you looking for?
+      return response;
+    }
 
-${options}
+    // ======================================
+    // LANGUAGE SWITCH (any stage - the conversation carries on where it was)
+    // ======================================
+    if (languageSwitch) {
+      response.action = "update";
+      response.updateFields = {
+        "Language": languageSwitch
+      };
+      response.replyMessage = `${t('language.switched')}\n\n${getHelpMessage(stage)}`;
 
-Reply with the name or number (e.g., Buy or 1).`;
+      if (input.rich_messages && (!stage || stage === "asked_buy_or_rent")) {
+        response.messages = richMessages.propertyTypeChoice(response.replyMessage, tenantTypes, locale);
+      }
 
       return response;
     }
 
     // ======================================
-    // GREETING (RESTART FOR EXISTING USERS)
+    // GREETING (RESTART FOR EXISTING USERS) - hi / habari / ...
     // ======================================
-    if (message.match(/^(hi|hello|hey|start|helo|restart)$/)) {
+    if (i18n.matchesKeyword(message, 'greeting')) {
       response.action = "update";
       response.updateFields = {
         "Conversation Stage": "asked_buy_or_rent"
@@ -162,17 +120,21 @@ Reply with the name or number (e.g., Buy or 1).`;
 
       const options = formatOptions(tenantTypes);
 
-      response.replyMessage = 
-`Hi! Welcome back to ${companyName} 👋
-
-I'm ${botName}, your property assistant.
-
-What are you looking for?
+      response.replyMessage = t('greeting.returning', { leadName: input.lead_name, companyName: companyName, botName: botName, options: options });
 
-${options}
+      if (input.rich_messages) {
+        response.messages = richMessages.propertyTypeChoice(response.replyMessage, tenantTypes, locale);
+      }
 
-Reply with the name or number (e.g., Rent or 2).`;
+      return response;
+    }
 
+    // ======================================
+    // MY BOOKINGS - works at any stage
+    // ======================================
+    if (i18n.matchesKeyword(message, 'myBookings')) {
+      response.action = "list_bookings";
+      response.replyMessage = t('bookings.checking');
       return response;
     }
 
@@ -194,11 +156,11 @@ Reply with the name or number (e.g., Rent or 2).`;
       if (!selectedType) {
         const options = formatOptions(tenantTypes);
         response.action = "invalid";
-        response.replyMessage = `Please choose from the options below:
-
-${options}
+        response.replyMessage = t('type.invalid', { options: options });
 
-Reply with the name or number.`;
+        if (input.rich_messages) {
+          response.messages = richMessages.propertyTypeChoice(response.replyMessage, tenantTypes, locale);
+        }
         return response;
       }
 
@@ -208,11 +170,7 @@ Reply with the name or number.`;
         "Conversation Stage": "asked_name"
       };
 
-      response.replyMessage = `Great choice! 👍
-
-What's your name?
-
-(Just type your name, e.g., Peter or Mary Jane)`;
+      response.replyMessage = t('name.ask');
       return response;
     }
 
@@ -231,6 +189,12 @@ What's your name?
         name = message.match(/i'm (.+)/i)[1];
       } else if (message.match(/this is (.+)/i)) {
         name = message.match(/this is (.+)/i)[1];
+      } else if (message.match(/jina langu ni (.+)/i)) {
+        name = message.match(/jina langu ni (.+)/i)[1];
+      } else if (message.match(/naitwa (.+)/i)) {
+        name = message.match(/naitwa (.+)/i)[1];
+      } else if (message.match(/mimi ni (.+)/i)) {
+        name = message.match(/mimi ni (.+)/i)[1];
       } else if (message.match(/^[a-zA-Z]{2,}(\s[a-zA-Z]{2,})*$/)) {
         name = message; // Direct name input
       }
@@ -238,11 +202,7 @@ What's your name?
       // Validate extracted name
       if (!name || name.length < 2) {
         response.action = "invalid";
-        response.replyMessage = `I didn't quite catch that.
-
-Please enter your name (e.g., John or Mary Jane).
-
-Just your name is enough! 😊`;
+        response.replyMessage = t('name.invalid');
         return response;
       }
 
@@ -259,16 +219,7 @@ Just your name is enough! 😊`;
         "Conversation Stage": "asked_budget"
       };
       
-      response.replyMessage = `Nice to meet you, ${name}! 👋
-
-What's your budget?
-
-Examples:
-• 500000
-• 5M 
-• 500K 
-
-Just type the amount!`;
+      response.replyMessage = t('budget.ask', { name: name });
       return response;
     }
 
@@ -287,35 +238,20 @@ Just type the amount!`;
         budgetStr = message.match(/around (.+)/i)[1];
       } else if (message.match(/about (.+)/i)) {
         budgetStr = message.match(/about (.+)/i)[1];
+      } else if (message.match(/bajeti (?:yangu )?ni (.+)/i)) {
+        budgetStr = message.match(/bajeti (?:yangu )?ni (.+)/i)[1];
+      } else if (message.match(/nina (.+)/i)) {
+        budgetStr = message.match(/nina (.+)/i)[1];
       }
 
-      // Clean: remove everything except numbers, dots, commas, M, K
-      budgetStr = budgetStr.replace(/[^0-9.,mkMK]/g, '').toUpperCase();
-
-      // Validate format
-      if (!budgetStr.match(/^[\d.,]+[MK]?$/)) {
+      // Parse budget ("5M", "5 million", "KES 500,000", ...)
+      const budget = parseBudget(budgetStr);
+      if (budget === null) {
         response.action = "invalid";
-        response.replyMessage = `I didn't understand that budget.
-
-Please enter a valid amount:
-• 5000000
-• 5M (5 million)
-• 500K (500 thousand)
-
-Just the number is fine!`;
+        response.replyMessage = t('budget.invalid');
         return response;
       }
 
-      // Parse budget
-      let budget = budgetStr.replace(/,/g, '');
-      if (budget.includes('M')) {
-        budget = parseFloat(budget) * 1000000;
-      } else if (budget.includes('K')) {
-        budget = parseFloat(budget) * 1000;
-      } else {
-        budget = parseFloat(budget);
-      }
-
       // Get interest from lead record (in case it was set during intent detection)
       const interest = lead.Interest || input.lead_interest;
 
@@ -326,7 +262,7 @@ Just the number is fine!`;
       };
 
       response.interest = interest; // ← Pass the interest along!
-      response.replyMessage = "Great! 💰\n\nLet me check available areas... 🔍";
+      response.replyMessage = t('location.fetching');
 
       return response;
     }
@@ -348,9 +284,7 @@ Just the number is fine!`;
       // Validate it's mostly letters
       if (!location.match(/[a-zA-Z]{2,}/)) {
         response.action = "invalid";
-        response.replyMessage = `Please choose a location from the list above.
-
-Just type the area name (e.g., Westlands or Karen).`;
+        response.replyMessage = t('location.invalid');
         return response;
       }
 
@@ -371,7 +305,7 @@ Just type the area name (e.g., Westlands or Karen).`;
       response.interest = interest;
       response.location = location;
       
-      response.replyMessage = `Perfect! 📍\n\nChecking what's available in ${location}... 🔍`;
+      response.replyMessage = t('location.checking', { location: location });
 
       return response;
     }
@@ -396,23 +330,18 @@ Just type the area name (e.g., Westlands or Karen).`;
 
       if (isNaN(bedrooms) || bedrooms < 1 || bedrooms > 20) {
         response.action = "invalid";
-        response.replyMessage = `Please enter the number of bedrooms you need.
-
-Examples: 1, 2, 3, 4, etc.
-
-Just the number!`;
+        response.replyMessage = t('size.invalid');
         return response;
       }
 
-      const finalInterest = lead.Interest || input.lead_interest || "Not specified";
-      const finalBudget = lead.Budget || input.lead_budget || "Not specified";
-      const finalLocation = lead.Location || input.lead_location || "Not specified";
+      const finalInterest = lead.Interest || input.lead_interest || t('common.notSpecified');
+      const finalBudget = lead.Budget || input.lead_budget || t('common.notSpecified');
+      const finalLocation = lead.Location || input.lead_location || t('common.notSpecified');
 
       response.action = "update";
       response.updateFields = {
         "Size": `${bedrooms} bedroom`,
-        "Conversation Stage": "completed",
-        "Status": "Contacted"
+        "Conversation Stage": "completed"
       };
 
       response.interest = finalInterest;
@@ -421,15 +350,12 @@ Just the number!`;
       response.location = finalLocation;
       response.searchProperties = true;
 
-      response.replyMessage = `✅ Got it! Let me find the best matches for you...
-
-📋 Your preferences:
-• Interest: ${finalInterest}
-• Budget: KES ${finalBudget}
-• Location: ${finalLocation}
-• Bedrooms: ${bedrooms}
-
-Searching properties... 🔍`;
+      response.replyMessage = t('size.searching', {
+        interest: finalInterest,
+        budget: finalBudget,
+        location: finalLocation,
+        bedrooms: bedrooms
+      });
 
       return response;
     }
@@ -451,26 +377,18 @@ Searching properties... 🔍`;
       // Basic validation
       if (plotSize.length < 2) {
         response.action = "invalid";
-        response.replyMessage = `Please enter the plot size you're interested in.
-
-Examples:
-• 50x100
-• 1/4 Acre
-• 1/8
-
-Choose from the options above!`;
+        response.replyMessage = t('landSize.invalid');
         return response;
       }
 
       const finalInterest = lead.Interest || input.lead_interest || "Land";
-      const finalBudget = lead.Budget || input.lead_budget || "Not specified";
-      const finalLocation = lead.Location || input.lead_location || "Not specified";
+      const finalBudget = lead.Budget || input.lead_budget || t('common.notSpecified');
+      const finalLocation = lead.Location || input.lead_location || t('common.notSpecified');
 
       response.action = "update";
       response.updateFields = {
         "Size": plotSize,
-        "Conversation Stage": "completed",
-        "Status": "Contacted"
+        "Conversation Stage": "completed"
       };
 
       response.interest = finalInterest;
@@ -478,15 +396,12 @@ Choose from the options above!`;
       response.plotSize = plotSize;
       response.searchProperties = true;
 
-      response.replyMessage = `✅ Got it! Let me find the best land matches for you...
-
-📋 Your preferences:
-• Interest: ${finalInterest}
-• Budget: KES ${finalBudget}
-• Location: ${finalLocation}
-• Plot Size: ${plotSize}
-
-Searching properties... 🔍`;
+      response.replyMessage = t('landSize.searching', {
+        interest: finalInterest,
+        budget: finalBudget,
+        location: finalLocation,
+        plotSize: plotSize
+      });
 
       return response;
     }
@@ -495,6 +410,13 @@ Searching properties... 🔍`;
     // STAGE 7: BOOKING REQUEST
     // ======================================
     if (stage === "completed") {
+      // Next page of the saved results (more / next / zaidi ...)
+      if (i18n.matchesKeyword(message, 'more')) {
+        response.action = "more_results";
+        response.replyMessage = "";
+        return response;
+      }
+
       // Accept various property selection formats
       let propertyNumber = null;
 
@@ -508,9 +430,7 @@ Searching properties... 🔍`;
 
       if (!propertyNumber) {
         response.action = "invalid";
-        response.replyMessage = `Please reply with the property number you want to view.
-
-Example: Property1 or just 1`;
+        response.replyMessage = t('property.invalid');
         return response;
       }
 
@@ -520,7 +440,7 @@ Example: Property1 or just 1`;
         "Selected Property Number": propertyNumber
       };
       response.propertyNumber = propertyNumber;
-      response.replyMessage = `Great choice! 🎉\n\nLet me check availability for you... ⏳`;
+      response.replyMessage = t('property.checking');
 
       return response;
     }
@@ -529,22 +449,11 @@ Example: Property1 or just 1`;
     // STAGE 8: TIME SLOT
     // ======================================
     if (stage === "awaiting_time_slot") {
-      // Extract slot number
-      let slotNumber = null;
-
-      if (message.match(/slot\s*(\d+)/i)) {
-        slotNumber = parseInt(message.match(/slot\s*(\d+)/i)[1]);
-      } else if (message.match(/^(\d+)$/)) {
-        slotNumber = parseInt(message);
-      } else if (message.match(/number\s*(\d+)/i)) {
-        slotNumber = parseInt(message.match(/number\s*(\d+)/i)[1]);
-      }
+      const slotNumber = extractSlotNumber(message);
 
       if (!slotNumber) {
         response.action = "invalid";
-        response.replyMessage = `Please reply with the slot number.
-
-Example: 3 or Slot 3`;
+        response.replyMessage = t('slot.invalid');
         return response;
       }
 
@@ -555,21 +464,81 @@ Example: 3 or Slot 3`;
       };
       response.selectedTime = slotNumber;
       response.bookingRequest = true;
-      response.replyMessage = "Creating your booking... ✅";
+      response.replyMessage = t('booking.creating');
 
       return response;
     }
 
     // ======================================
-    // CANCEL
+    // CANCEL (also while choosing a new time - the booking still exists)
+    // "CANCEL 2" picks viewing 2 of MY BOOKINGS; with several viewings a plain CANCEL asks which.
     // ======================================
-    if (stage === "booking_confirmed" && message.match(/cancel/i)) {
+    const hasBooking = ["booking_confirmed", "awaiting_reschedule_slot", "viewing_bookings"].includes(stage);
+    const upcomingBookings = parseInt(input.upcoming_bookings) || 0;
+
+    if (hasBooking && i18n.matchesKeyword(message, 'cancel', { partial: true })) {
+      const bookingNumber = i18n.keywordNumber(message, 'cancel');
+      if (bookingNumber) {
+        // Lead fields are set once the cancellation went through (other viewings may remain)
+        response.action = "cancel_booking";
+        response.bookingNumber = bookingNumber;
+        response.replyMessage = t('booking.cancelling');
+        return response;
+      }
+
+      if (upcomingBookings > 1) {
+        response.action = "list_bookings";
+        response.bookingsPrompt = "cancel";
+        response.replyMessage = t('bookings.whichCancel');
+        return response;
+      }
+
       response.action = "cancel_booking";
       response.updateFields = {
-        "Conversation Stage": "booking_cancelled",
-        "Status": "Cancelled"
+        "Conversation Stage": "booking_cancelled"
       };
-      response.replyMessage = "Cancelling your booking... ⏳";
+      response.replyMessage = t('booking.cancelling');
+      return response;
+    }
+
+    // ======================================
+    // RESCHEDULE - new slots for the same property, same booking
+    // ======================================
+    if (hasBooking && i18n.matchesKeyword(message, 'reschedule', { partial: true })) {
+      const bookingNumber = i18n.keywordNumber(message, 'reschedule');
+      if (!bookingNumber && upcomingBookings > 1) {
+        response.action = "list_bookings";
+        response.bookingsPrompt = "reschedule";
+        response.replyMessage = t('bookings.whichReschedule');
+        return response;
+      }
+
+      response.action = "reschedule_options";
+      response.bookingNumber = bookingNumber || 0;
+      response.updateFields = {
+        "Conversation Stage": "awaiting_reschedule_slot"
+      };
+      response.replyMessage = t('reschedule.checking');
+      return response;
+    }
+
+    if (stage === "awaiting_reschedule_slot") {
+      const slotNumber = extractSlotNumber(message);
+
+      if (!slotNumber) {
+        response.action = "invalid";
+        response.replyMessage = t('help.awaiting_reschedule_slot');
+        return response;
+      }
+
+      response.action = "reschedule_booking";
+      response.updateFields = {
+        "Conversation Stage": "booking_confirmed",
+        "Selected Time Slot": slotNumber
+      };
+      response.selectedTime = slotNumber;
+      response.replyMessage = t('reschedule.moving');
+
       return response;
     }
 
@@ -580,49 +549,34 @@ Example: 3 or Slot 3`;
     response.replyMessage = getHelpMessage(stage);
     return response;
 
+    // "3", "slot 3", "number 3"
+    function extractSlotNumber(text) {
+      if (text.match(/slot\s*(\d+)/i)) {
+        return parseInt(text.match(/slot\s*(\d+)/i)[1]);
+      } else if (text.match(/^(\d+)$/)) {
+        return parseInt(text);
+      } else if (text.match(/number\s*(\d+)/i)) {
+        return parseInt(text.match(/number\s*(\d+)/i)[1]);
+      }
+      return null;
+    }
+
     function getHelpMessage(currentStage) {
       switch(currentStage) {
-        case "asked_buy_or_rent": 
-          return `Please choose from the options:
-
-1️⃣ Buy
-2️⃣ Rent
-3️⃣ Land
-
-Reply with the name or number.`;
-        
-        case "asked_name": 
-          return `Please enter your name.
-
-Just your first name or full name (e.g., John or Mary Jane).`;
-        
-        case "asked_budget": 
-          return `Please enter your budget.
-
-Examples:
-• 5000000
-• 5M (5 million)
-• 500K (500 thousand)`;
-        
-        case "asked_location": 
-          return "Please choose a location from the list above.";
-        
-        case "asked_size": 
-          return "Please enter the number of bedrooms (e.g., 1, 2, 3).";
-        
-        case "asked_land_size": 
-          return `Please enter the plot size.
-
-Examples: 50x100, 1/4 Acre, 1/8`;
-        
-        case "awaiting_time_slot": 
-          return "Please reply with the slot number (e.g., 1, 2, 3).";
-        
+        case "asked_buy_or_rent":
+          return t('help.asked_buy_or_rent', { options: formatOptions(tenantTypes) });
+        case "asked_name":
+        case "asked_budget":
+        case "asked_location":
+        case "asked_size":
+        case "asked_land_size":
+        case "awaiting_time_slot":
+        case "awaiting_reschedule_slot":
+        case "viewing_bookings":
         case "booking_confirmed":
-          return "Your viewing is confirmed! Reply CANCEL to cancel, or HI to start over.";
-        
-        default: 
-          return "Hi! Send 'HI' to start finding your perfect property! 🏡";
+          return t(`help.${currentStage}`);
+        default:
+          return t('help.default');
       }
     }
 
@@ -630,7 +584,7 @@ Examples: 50x100, 1/4 Acre, 1/8`;
     console.error("Error in handleMessage:", error);
     return {
       action: "error",
-      replyMessage: "Oops! Something went wrong. Please try again or send HI to restart."
+      replyMessage: i18n.t(i18n.resolveLocale(input.lead_locale, input.tenant_locale), 'common.error')
     };
   }
 }
@@ -0,0 +1,335 @@
+// lib/agentCommands.js - WhatsApp commands agents send back to the tenant's number
+//
+// Agents are recognised by their 'Phone' in the Agents table or, for agents not listed there, the
+// 'Agent Phone' copied onto their viewings from today on. Each command updates the booking's
+// Status and tells the lead what changed:
+//
+//   CONFIRM [n]            Scheduled → Confirmed
+//   DECLINE [n]            → Declined; the calendar event is removed so the slot is free again
+//   RUNNING LATE [mins]    → Running Late ('Agent Delay' holds the minutes, when given)
+//   DONE [n]               → Completed (the follow-up still goes out)
+//   NO-SHOW [n]            → No-Show
+//   TODAY                  the agent's viewings today
+//
+// n is the viewing's number in the agent's agenda: viewings from today onwards, soonest first, so
+// TODAY shows numbers 1, 2, 3... Without n the command acts on the only viewing it can apply to,
+// or lists the candidates when there are several. RUNNING LATE always means the next viewing.
+//
+// Replies to the agent use the tenant's language, updates to the lead the lead's own.
+const store = require('./store');
+const { getCalendarForTenant, calendarIdForBooking } = require('./calendars');
+const { ACTIVE_STATUSES, RELEASED_STATUSES, BOOKED_STAGES } = require('./bookingStatuses');
+const { findUpcomingBookings } = require('./bookings');
+const { getTemplates } = require('./templates');
+const { rescoreLead } = require('./leadScoring');
+const { resolveTimezone, zonedDayRange } = require('./timezone');
+const { translator, resolveLocale, matchesKeyword, formatDate, formatTime } = require('./i18n');
+
+const AGENDA_LIMIT = 10;
+
+// Keyword list (lib/i18n catalogues) → command
+const COMMANDS = {
+  agentConfirm: 'confirm',
+  agentDecline: 'decline',
+  agentLate: 'running_late',
+  agentDone: 'done',
+  agentNoShow: 'no_show',
+  agentToday: 'today'
+};
+
+// What each command does to a booking: the statuses it applies to and the status it sets
+const TRANSITIONS = {
+  confirm: { from: ['Scheduled'], to: 'Confirmed', agentKey: 'agentCommand.confirmed', leadKey: 'agentUpdate.confirmed' },
+  decline: { from: ACTIVE_STATUSES, to: 'Declined', agentKey: 'agentCommand.declined', leadKey: 'agentUpdate.declined' },
+  running_late: { from: ACTIVE_STATUSES, to: 'Running Late', agentKey: 'agentCommand.runningLate', leadKey: 'agentUpdate.runningLate' },
+  done: { from: ACTIVE_STATUSES, to: 'Completed', agentKey: 'agentCommand.done', leadKey: 'agentUpdate.done' },
+  no_show: { from: ACTIVE_STATUSES, to: 'No-Show', agentKey: 'agentCommand.noShow', leadKey: 'agentUpdate.noShow' }
+};
+
+const STATUS_KEYS = {
+  'Scheduled': 'bookingStatus.scheduled',
+  'Confirmed': 'bookingStatus.confirmed',
+  'Running Late': 'bookingStatus.runningLate',
+  'Completed': 'bookingStatus.completed',
+  'No-Show': 'bookingStatus.noShow',
+  'Declined': 'bookingStatus.declined',
+  'Cancelled': 'bookingStatus.cancelled'
+};
+
+// ============================================
+// Parsing
+// ============================================
+
+// "CONFIRM 2", "no-show #1", "running late 15 mins" → { command, number }, or null
+function parseAgentCommand(message) {
+  const text = (message || '').toString().trim().toLowerCase();
+  const match = text.match(/^(.+?)(?:\s*#?\s*(\d+)\s*(?:m|mins?|minutes?|dk|dakika)?)?[.!]?$/);
+  if (!match) return null;
+
+  const keyword = Object.keys(COMMANDS).find(name => matchesKeyword(match[1], name));
+  if (!keyword) return null;
+
+  return {
+    command: COMMANDS[keyword],
+    number: match[2] ? parseInt(match[2]) : null
+  };
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+async function isListedAgent(tenantId, phone) {
+  const agents = await store.agents.find({ tenantId: tenantId, phone: phone }, { limit: 1 });
+  return agents.length > 0;
+}
+
+// The agent's viewings from the start of today, soonest first (the numbering every command uses)
+async function findAgenda(tenantId, phone, timezone) {
+  return store.bookings.find({
+    tenantId: tenantId,
+    agentPhone: phone,
+    excludeStatus: 'Cancelled',
+    endAfter: zonedDayRange(new Date(), timezone).start
+  }, { sort: [{ field: 'StartDateTime', direction: 'asc' }], limit: AGENDA_LIMIT });
+}
+
+// Agenda entries a command without a number could mean
+function candidatesFor(command, agenda, now) {
+  const transition = TRANSITIONS[command];
+  return agenda.filter(booking => {
+    if (!transition.from.includes(booking['Status'])) return false;
+    const start = new Date(booking['StartDateTime']);
+    const end = new Date(booking['EndDateTime']);
+    // Nothing to finish before the viewing has started, nothing to confirm once it's over
+    return command === 'done' || command === 'no_show' ? start <= now : end > now;
+  });
+}
+
+// Lead, property and display values of a booking
+async function loadViewing(booking, tenant, t) {
+  const leadId = Array.isArray(booking['Lead']) ? booking['Lead'][0] : booking['Lead'];
+  const propertyId = Array.isArray(booking['Property']) ? booking['Property'][0] : booking['Property'];
+  const lead = leadId ? await store.leads.get(leadId) : null;
+  const property = propertyId ? await store.properties.get(propertyId) : null;
+
+  return {
+    booking: booking,
+    lead: lead,
+    property: property,
+    start: new Date(booking['StartDateTime']),
+    leadName: (lead && lead['Name']) || t('followup.there'),
+    leadPhone: lead ? lead['Phone'] : '',
+    propertyName: (property && property['Property Name']) || t('cancel.theProperty'),
+    propertyAddress: property ? property['Address'] : ''
+  };
+}
+
+function describeStatus(t, status) {
+  return STATUS_KEYS[status] ? t(STATUS_KEYS[status]) : (status || '').toLowerCase();
+}
+
+// Numbered agenda lines; dated when the list can span several days
+async function formatAgenda(entries, tenant, t, { dated = false } = {}) {
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const lines = [];
+
+  for (const { booking, number } of entries) {
+    const viewing = await loadViewing(booking, tenant, t);
+    lines.push(t(dated ? 'agentCommand.itemDated' : 'agentCommand.item', {
+      number: number,
+      slotDate: formatDate(viewing.start, t.locale, timezone, 'short'),
+      slotTime: formatTime(viewing.start, t.locale, timezone),
+      propertyName: viewing.propertyName,
+      leadName: viewing.leadName,
+      leadPhone: viewing.leadPhone,
+      status: describeStatus(t, booking['Status'])
+    }));
+  }
+
+  return lines.join('\n\n');
+}
+
+// ============================================
+// Commands
+// ============================================
+
+async function showToday(tenant, agenda, t) {
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const today = zonedDayRange(new Date(), timezone);
+
+  const entries = agenda
+    .map((booking, index) => ({ booking: booking, number: index + 1 }))
+    .filter(({ booking }) => new Date(booking['StartDateTime']) < today.end);
+
+  if (entries.length === 0) {
+    return { reply: t('agentCommand.noneToday') };
+  }
+
+  return {
+    reply: [
+      t('agentCommand.today', { date: formatDate(new Date(), t.locale, timezone, 'medium') }),
+      await formatAgenda(entries, tenant, t),
+      t('agentCommand.footer')
+    ].join('\n\n')
+  };
+}
+
+// Applies a status change, then builds the agent's reply and the lead's update
+async function applyTransition({ tenant, booking, command, minutes, t, templates }) {
+  const transition = TRANSITIONS[command];
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const fields = { 'Status': transition.to };
+
+  if (command === 'running_late' && minutes) {
+    fields['Agent Delay'] = minutes;
+  }
+
+  // A declined viewing gives its slot back
+  if (command === 'decline' && booking['Google Event ID']) {
+    try {
+      await getCalendarForTenant(tenant).deleteEvent({
+        calendarId: calendarIdForBooking(tenant, booking),
+        eventId: booking['Google Event ID']
+      });
+    } catch (calErr) {
+      console.error('Calendar deletion error:', calErr.message);
+    }
+  }
+
+  await store.bookings.update(booking.id, fields);
+  console.log(`Agent ${command}: booking ${booking.id} → ${transition.to}`);
+
+  const viewing = await loadViewing(booking, tenant, t);
+  const { lead } = viewing;
+
+  // The lead's conversation leaves the booked stages once no viewing is left
+  if (lead && RELEASED_STATUSES.concat('No-Show').includes(transition.to) && BOOKED_STAGES.includes(lead['Conversation Stage'])) {
+    const remaining = await findUpcomingBookings(tenant.id, lead.id);
+    if (remaining.length === 0) {
+      await store.leads.update(lead.id, { 'Conversation Stage': 'booking_cancelled' });
+    }
+  }
+
+  // Attendance and cancellations move the lead's score
+  const agentNotifications = lead ? await rescoreLead(lead, { tenant }) : [];
+
+  const reply = t(transition.agentKey, {
+    propertyName: viewing.propertyName,
+    leadName: viewing.leadName,
+    slotDate: formatDate(viewing.start, t.locale, timezone, 'short'),
+    slotTime: formatTime(viewing.start, t.locale, timezone)
+  });
+
+  if (!lead || !lead['Phone']) {
+    return { reply: reply, agentNotifications: agentNotifications, leadNotifications: [] };
+  }
+
+  const tLead = translator(resolveLocale(lead['Language'], tenant['Default Language']), templates);
+  const leadKey = command === 'running_late' && !minutes ? 'agentUpdate.runningLateNoTime' : transition.leadKey;
+
+  const message = tLead(leadKey, {
+    leadName: viewing.leadName,
+    companyName: tenant['Company Name'],
+    botName: tenant['Bot Name'],
+    propertyName: viewing.propertyName,
+    propertyAddress: viewing.propertyAddress,
+    slotDate: formatDate(viewing.start, tLead.locale, timezone, 'medium'),
+    slotTime: formatTime(viewing.start, tLead.locale, timezone),
+    agentName: booking['Agent Name'] || tLead('agentUpdate.theAgent'),
+    agentPhone: booking['Agent Phone'],
+    minutes: minutes
+  });
+
+  return {
+    reply: reply,
+    agentNotifications: agentNotifications,
+    leadNotifications: [{
+      leadId: lead.id,
+      leadPhone: lead['Phone'],
+      leadName: viewing.leadName,
+      bookingId: booking.id,
+      status: transition.to,
+      message: message
+    }]
+  };
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// Runs an agent's message. Returns null when it isn't an agent command from one of the tenant's
+// agents, so the message goes through the lead conversation instead.
+// Otherwise { reply, leadNotifications: [{ leadPhone, message, ... }], agentNotifications } - the
+// latter are lead score alerts (lib/leadScoring.js).
+async function handleAgentMessage({ tenant, from, message }) {
+  const parsed = parseAgentCommand(message);
+  if (!parsed) return null;
+
+  // Unlisted agents are known by their agenda, which the command needs anyway
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const listed = await isListedAgent(tenant.id, from);
+  const agenda = await findAgenda(tenant.id, from, timezone);
+  if (!listed && agenda.length === 0) return null;
+
+  const { command, number } = parsed;
+  console.log('Agent command:', from, '→', command, number || '');
+
+  const templates = await getTemplates(tenant.id);
+  const t = translator(resolveLocale(tenant['Default Language']), templates);
+
+  if (command === 'today') {
+    return { command: command, leadNotifications: [], ...(await showToday(tenant, agenda, t)) };
+  }
+
+  // RUNNING LATE 15 → minutes, not a viewing number
+  const minutes = command === 'running_late' ? number : null;
+  let booking;
+
+  if (number && command !== 'running_late') {
+    booking = agenda[number - 1];
+    if (!booking) {
+      return {
+        command: command,
+        reply: agenda.length > 0 ? t('agentCommand.invalidNumber', { total: agenda.length }) : t('agentCommand.noViewing'),
+        leadNotifications: []
+      };
+    }
+    if (!TRANSITIONS[command].from.includes(booking['Status'])) {
+      return {
+        command: command,
+        reply: t('agentCommand.notAllowed', { status: describeStatus(t, booking['Status']) }),
+        leadNotifications: []
+      };
+    }
+  } else {
+    const candidates = candidatesFor(command, agenda, new Date());
+
+    if (candidates.length === 0) {
+      return { command: command, reply: t('agentCommand.noViewing'), leadNotifications: [] };
+    }
+
+    if (candidates.length > 1 && command !== 'running_late') {
+      const entries = candidates.map(candidate => ({ booking: candidate, number: agenda.indexOf(candidate) + 1 }));
+      return {
+        command: command,
+        reply: [
+          t('agentCommand.which'),
+          await formatAgenda(entries, tenant, t, { dated: true }),
+          t('agentCommand.footer')
+        ].join('\n\n'),
+        leadNotifications: []
+      };
+    }
+
+    booking = candidates[0];
+  }
+
+  return { command: command, ...(await applyTransition({ tenant, booking, command, minutes, t, templates })) };
+}
+
+module.exports = {
+  parseAgentCommand,
+  handleAgentMessage
+};
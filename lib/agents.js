@@ -0,0 +1,236 @@
+// lib/agents.js - Agents table, assignment rules and per-agent availability
+//
+// Agents table:
+//   Tenant           link to the tenant
+//   Name, Phone, Email
+//   Active           only active agents get viewings
+//   Calendar ID      the agent's own calendar; blank = the tenant's calendar
+//   Work Start Time, Work End Time, Working Days    blank = the tenant's hours
+//   Areas            locations the agent covers ("Karen, Westlands"); blank = every area
+//   Last Assigned    set on every assignment, gives the round-robin order
+//
+// Each property picks its agents with:
+//   Agents           linked agents; without any, the active agents covering the property's
+//                    Location, else every active agent of the tenant
+//   Assignment Rule  Fixed (the first linked agent only) | Round Robin | Least Loaded;
+//                    blank = the tenant's "Assignment Rule", else Round Robin
+//
+// A slot is offered when at least one agent of the pool is free; the agent is chosen when the
+// slot is booked. Tenants without agents keep the old behaviour (one tenant calendar, agent
+// details from the property's lookup fields).
+const store = require('./store');
+const { getCalendarForTenant, calendarIdFor, calendarIdForAgent } = require('./calendars');
+const { DAY_NAMES, normalizeWorkingDays } = require('./slots');
+const { resolveTimezone, getZonedParts, parseTimeOfDay } = require('./timezone');
+const { ACTIVE_STATUSES } = require('./bookingStatuses');
+
+const RULES = ['fixed', 'round_robin', 'least_loaded'];
+
+// "Round Robin" / "round-robin" / "least loaded" → 'round_robin' / 'least_loaded'
+function normalizeRule(value) {
+  const rule = (value || '').toString().trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return RULES.includes(rule) ? rule : null;
+}
+
+function listOf(value) {
+  const list = Array.isArray(value) ? value : (value || '').toString().split(',');
+  return list.map(item => item.toString().trim()).filter(Boolean);
+}
+
+function coversArea(agent, location) {
+  const areas = listOf(agent['Areas']).map(area => area.toLowerCase());
+  return areas.length === 0 || areas.includes((location || '').toString().trim().toLowerCase());
+}
+
+// ============================================
+// Pools
+// ============================================
+
+// { rule, agents } for a property; agents is empty when the tenant has no active agents
+async function agentPool(tenant, property, { agentId } = {}) {
+  const active = await store.agents.find({ tenantId: tenant.id, active: true });
+  if (active.length === 0) {
+    return { rule: null, agents: [] };
+  }
+
+  // Rescheduling stays with the booking's agent while they're still active
+  if (agentId) {
+    const agent = active.find(a => a.id === agentId);
+    if (agent) return { rule: 'fixed', agents: [agent] };
+  }
+
+  const linked = listOf(property['Agents']);
+  const rule = normalizeRule(property['Assignment Rule']) || normalizeRule(tenant['Assignment Rule']) || 'round_robin';
+
+  let agents = linked.length > 0
+    ? linked.map(id => active.find(a => a.id === id)).filter(Boolean)
+    : active.filter(agent => coversArea(agent, property['Location']));
+
+  if (linked.length === 0 && agents.length === 0) {
+    agents = active;
+  }
+
+  return {
+    rule: rule,
+    agents: rule === 'fixed' ? agents.slice(0, 1) : agents
+  };
+}
+
+// ============================================
+// Availability
+// ============================================
+
+// The agent's hours, falling back to the tenant's
+function workingHours(tenant, agent) {
+  const source = agent && (agent['Work Start Time'] || agent['Work End Time']) ? agent : tenant;
+  return {
+    workStartMinutes: parseTimeOfDay(source['Work Start Time'] || source['Work Start Hour'], 9 * 60),
+    workEndMinutes: parseTimeOfDay(source['Work End Time'] || source['Work End Hour'], 17 * 60),
+    workingDays: normalizeWorkingDays((agent && agent['Working Days']) || tenant['Working Days'] ||
+      'Monday, Tuesday, Wednesday, Thursday, Friday')
+  };
+}
+
+// Times the agent is taken between timeMin and timeMax: every event in their own calendar plus
+// their active viewings. ignore: { bookingId, eventId } of a booking being moved.
+async function busyTimes(tenant, agent, timeMin, timeMax, ignore = {}) {
+  const busy = [];
+
+  if (agent['Calendar ID']) {
+    const events = await getCalendarForTenant(tenant).listEvents({
+      calendarId: calendarIdForAgent(tenant, agent),
+      timeMin: timeMin,
+      timeMax: timeMax
+    });
+    events
+      .filter(event => event.id !== ignore.eventId)
+      .forEach(event => busy.push({ start: event.start, end: event.end }));
+  }
+
+  const bookings = await store.bookings.find({
+    tenantId: tenant.id,
+    agentId: agent.id,
+    status: ACTIVE_STATUSES,
+    overlaps: { start: timeMin, end: timeMax }
+  });
+  bookings
+    .filter(booking => booking.id !== ignore.bookingId)
+    .forEach(booking => busy.push({ start: new Date(booking['StartDateTime']), end: new Date(booking['EndDateTime']) }));
+
+  return busy;
+}
+
+// True when start-end falls inside the agent's working hours (tenant's zone)
+function worksAt(tenant, agent, start, end) {
+  const hours = workingHours(tenant, agent);
+  const local = getZonedParts(start, resolveTimezone(tenant['Time Zone']));
+  const day = DAY_NAMES[new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay()];
+  const startMinutes = local.hour * 60 + local.minute;
+  const endMinutes = startMinutes + (end - start) / 60000;
+
+  return hours.workingDays.includes(day) &&
+    startMinutes >= hours.workStartMinutes &&
+    endMinutes <= hours.workEndMinutes;
+}
+
+// Agents of the pool who are working and have nothing else on between start and end
+async function freeAgents(tenant, agents, start, end, ignore = {}) {
+  const free = [];
+  for (const agent of agents.filter(a => worksAt(tenant, a, start, end))) {
+    const busy = await busyTimes(tenant, agent, start, end, ignore);
+    if (!busy.some(b => start < b.end && end > b.start)) {
+      free.push(agent);
+    }
+  }
+  return free;
+}
+
+// ============================================
+// Assignment
+// ============================================
+
+function lastAssigned(agent) {
+  return agent['Last Assigned'] ? new Date(agent['Last Assigned']).getTime() : 0;
+}
+
+// Never-assigned agents first, then the one who waited longest
+function byRoundRobin(a, b) {
+  return lastAssigned(a) - lastAssigned(b) || a.id.localeCompare(b.id);
+}
+
+async function upcomingLoad(tenantId, agentId) {
+  const bookings = await store.bookings.find({
+    tenantId: tenantId,
+    agentId: agentId,
+    status: ACTIVE_STATUSES,
+    endAfter: new Date()
+  });
+  return bookings.length;
+}
+
+// Picks one of the free agents by the pool's rule
+async function chooseAgent(tenant, rule, candidates) {
+  if (candidates.length <= 1 || rule === 'fixed') return candidates[0] || null;
+
+  if (rule === 'least_loaded') {
+    const loads = {};
+    for (const agent of candidates) {
+      loads[agent.id] = await upcomingLoad(tenant.id, agent.id);
+    }
+    return candidates.slice().sort((a, b) => loads[a.id] - loads[b.id] || byRoundRobin(a, b))[0];
+  }
+
+  return candidates.slice().sort(byRoundRobin)[0];
+}
+
+async function recordAssignment(agent) {
+  try {
+    await store.agents.update(agent.id, { 'Last Assigned': new Date().toISOString() });
+  } catch (error) {
+    // Only the round-robin order suffers
+    console.error('Failed to record assignment for agent', agent.id, error.message);
+  }
+}
+
+// Name / phone / email / calendar of the agent a booking is made with.
+// agent is null for tenants without agents (details come from the property's lookups).
+function agentDetails(tenant, agent, property) {
+  if (agent) {
+    return {
+      agentId: agent.id,
+      agentName: agent['Name'] || null,
+      agentPhone: agent['Phone'] || null,
+      agentEmail: agent['Email'] || null,
+      calendarId: calendarIdForAgent(tenant, agent)
+    };
+  }
+
+  const first = value => (Array.isArray(value) ? value[0] : value) || null;
+  return {
+    agentId: null,
+    agentName: first(property['Agent Name']),
+    agentPhone: first(property['Agent Phone']),
+    agentEmail: first(property['Agent Email']),
+    calendarId: calendarIdFor(tenant)
+  };
+}
+
+// The booking's agent, if it was assigned one
+function bookingAgentId(booking) {
+  const value = booking && booking['Agent'];
+  return (Array.isArray(value) ? value[0] : value) || null;
+}
+
+module.exports = {
+  normalizeRule,
+  agentPool,
+  workingHours,
+  busyTimes,
+  worksAt,
+  freeAgents,
+  chooseAgent,
+  recordAssignment,
+  agentDetails,
+  bookingAgentId,
+  coversArea
+};
@@ -0,0 +1,285 @@
+// lib/analytics.js - Conversion funnel and booking analytics for a tenant over a date range
+//
+//   funnel      leads created in the range by the furthest stage they reached, with the drop-off
+//               between stages. A lead's stage is where they are now, so leads with a booking count
+//               as booked even after they moved on (feedback, a new search)
+//   leads       how many were created and how many of them booked a viewing (ever)
+//   bookings    viewings booked in the range by status, with cancellation and no-show rates
+//               (no-shows out of the viewings that have ended and weren't cancelled or declined)
+//   demand      locations and bedroom counts / plot sizes asked for by the range's leads
+//   searches    searches in the range (Searches table, lib/properties.js) that found nothing
+//   byProperty, byAgent   the range's viewings per listing and per agent
+//
+// Rates are percentages with one decimal, null when there is nothing to divide by. Records are
+// dated by their 'Created' (created time) field; bookings without one by StartDateTime.
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { resolveTimezone, zonedDayRange } = require('./timezone');
+const { RELEASED_STATUSES } = require('./bookingStatuses');
+const { STAGES: FEEDBACK_STAGES } = require('./followUp');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const TOP = 10;
+
+const FUNNEL = [
+  'asked_buy_or_rent',
+  'asked_name',
+  'asked_budget',
+  'asked_location',
+  'asked_size',
+  'completed',
+  'awaiting_time_slot',
+  'booking_confirmed'
+];
+
+// Other stages → the funnel step they count as
+const STAGE_STEPS = {
+  fetching_locations: 'asked_location',
+  fetching_sizes: 'asked_size',
+  asked_land_size: 'asked_size',
+  awaiting_reschedule_slot: 'booking_confirmed',
+  viewing_bookings: 'booking_confirmed',
+  booking_cancelled: 'booking_confirmed',
+  interested_after_viewing: 'booking_confirmed',
+  not_interested_after_viewing: 'booking_confirmed',
+  ...Object.fromEntries(Object.values(FEEDBACK_STAGES).map(stage => [stage, 'booking_confirmed']))
+};
+
+const first = value => (Array.isArray(value) ? value[0] : value) || null;
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 10 : null;
+}
+
+// ============================================
+// Date range
+// ============================================
+
+// "2026-03-01" is that day in the tenant's zone (to: the whole day included); other values are
+// read as timestamps
+function parseRangeDate(value, label, timezone, endOfDay) {
+  const text = (value || '').toString().trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const [year, month, day] = text.split('-').map(Number);
+    const noon = new Date(Date.UTC(year, month - 1, day, 12));
+    if (noon.getUTCDate() !== day) {
+      throw new HttpError(400, `${label} is not a valid date: ${text}`);
+    }
+    const range = zonedDayRange(noon, timezone);
+    return endOfDay ? range.end : range.start;
+  }
+
+  const date = new Date(text);
+  if (isNaN(date.getTime())) {
+    throw new HttpError(400, `${label} must be a date like 2026-03-01`);
+  }
+  return date;
+}
+
+// { from, to } - the last 30 days when not given
+function parseRange({ from, to } = {}, timezone, now = new Date()) {
+  const end = to ? parseRangeDate(to, 'to', timezone, true) : now;
+  const start = from ? parseRangeDate(from, 'from', timezone, false) : new Date(end.getTime() - DEFAULT_DAYS * DAY);
+
+  if (start >= end) {
+    throw new HttpError(400, 'from must be before to');
+  }
+  return { from: start, to: end };
+}
+
+// ============================================
+// Reports
+// ============================================
+
+function funnelReport(leads, bookedLeadIds) {
+  const reached = FUNNEL.map(() => 0);
+
+  leads.forEach(lead => {
+    const stage = lead['Conversation Stage'];
+    let step = Math.max(0, FUNNEL.indexOf(STAGE_STEPS[stage] || stage));
+    if (bookedLeadIds.has(lead.id)) step = FUNNEL.length - 1;
+
+    for (let i = 0; i <= step; i++) reached[i]++;
+  });
+
+  return FUNNEL.map((stage, index) => {
+    const next = index + 1 < FUNNEL.length ? reached[index + 1] : null;
+    return {
+      stage: stage,
+      reached: reached[index],
+      dropOff: next === null ? null : reached[index] - next,
+      dropOffRate: next === null ? null : rate(reached[index] - next, reached[index])
+    };
+  });
+}
+
+function bookingReport(bookings, now) {
+  const byStatus = {};
+  bookings.forEach(b => {
+    const status = b['Status'] || 'Unknown';
+    byStatus[status] = (byStatus[status] || 0) + 1;
+  });
+
+  const cancelled = byStatus['Cancelled'] || 0;
+  const noShows = byStatus['No-Show'] || 0;
+  const held = bookings.filter(b => !RELEASED_STATUSES.includes(b['Status']) && new Date(b['EndDateTime']) <= now);
+
+  return {
+    total: bookings.length,
+    byStatus: byStatus,
+    cancelled: cancelled,
+    cancellationRate: rate(cancelled, bookings.length),
+    noShows: noShows,
+    noShowRate: rate(noShows, held.length)
+  };
+}
+
+// [{ value, count }] most frequent first, values grouped without regard to case and spacing
+function topValues(values, limit = TOP) {
+  const groups = new Map();
+
+  values.forEach(value => {
+    const label = (value === undefined || value === null ? '' : value).toString().trim();
+    if (!label) return;
+    const key = label.toLowerCase().replace(/\s+/g, ' ');
+    const group = groups.get(key) || { value: label, count: 0 };
+    group.count++;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+function demandReport(leads) {
+  const land = leads.filter(lead => lead['Interest'] === 'Land');
+  const homes = leads.filter(lead => lead['Interest'] !== 'Land');
+
+  return {
+    locations: topValues(leads.map(lead => lead['Location'])).map(({ value, count }) => ({ location: value, leads: count })),
+    bedrooms: topValues(homes.map(lead => {
+      const match = (lead['Size'] || '').toString().match(/\d+/);
+      return match ? match[0] : null;
+    })).map(({ value, count }) => ({ bedrooms: Number(value), leads: count })),
+    plotSizes: topValues(land.map(lead => lead['Size'])).map(({ value, count }) => ({ plotSize: value, leads: count }))
+  };
+}
+
+function searchReport(searches) {
+  const empty = searches.filter(s => Number(s['Results']) === 0);
+
+  // What was asked for when nothing came back, most asked first
+  const queries = new Map();
+  empty.forEach(s => {
+    const query = { type: s['Type'] || null, location: s['Location'] || null, size: s['Size'] || null };
+    const key = [query.type, query.location, query.size].map(v => (v || '').toString().trim().toLowerCase()).join('|');
+    const entry = queries.get(key) || { ...query, searches: 0 };
+    entry.searches++;
+    queries.set(key, entry);
+  });
+
+  return {
+    total: searches.length,
+    zeroResults: empty.length,
+    zeroResultRate: rate(empty.length, searches.length),
+    withoutExactMatch: searches.filter(s => Number(s['Exact Matches']) === 0).length,
+    zeroResultQueries: [...queries.values()].sort((a, b) => b.searches - a.searches).slice(0, 20)
+  };
+}
+
+// Viewings of the range grouped by keyOf(booking) → { key, bookings, completed, cancelled, noShows }
+function groupBookings(bookings, keyOf) {
+  const groups = new Map();
+
+  bookings.forEach(b => {
+    const key = keyOf(b);
+    const group = groups.get(key) || { key, bookings: 0, completed: 0, cancelled: 0, noShows: 0 };
+    group.bookings++;
+    if (b['Status'] === 'Completed') group.completed++;
+    if (b['Status'] === 'Cancelled') group.cancelled++;
+    if (b['Status'] === 'No-Show') group.noShows++;
+    groups.set(key, group);
+  });
+
+  return [...groups.values()].sort((a, b) => b.bookings - a.bookings);
+}
+
+function propertyReport(bookings, properties) {
+  const names = new Map(properties.map(p => [p.id, p['Property Name']]));
+
+  return groupBookings(bookings, b => first(b['Property']) || 'unknown').map(({ key, ...counts }) => ({
+    propertyId: key === 'unknown' ? null : key,
+    name: names.get(key) || null,
+    ...counts
+  }));
+}
+
+// Bookings made before agents existed only have the agent's name and phone copied on them
+function agentReport(bookings, agents) {
+  const byId = new Map(agents.map(a => [a.id, a]));
+  const keyOf = b => first(b['Agent']) || first(b['Agent Phone']) || first(b['Agent Name']) || 'unassigned';
+  const sample = new Map();
+  bookings.forEach(b => { if (!sample.has(keyOf(b))) sample.set(keyOf(b), b); });
+
+  return groupBookings(bookings, keyOf).map(({ key, ...counts }) => {
+    const agent = byId.get(key);
+    const booking = sample.get(key);
+    return {
+      agentId: agent ? agent.id : null,
+      name: agent ? agent['Name'] || null : first(booking['Agent Name']),
+      phone: agent ? agent['Phone'] || null : first(booking['Agent Phone']),
+      ...counts
+    };
+  });
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// { from, to } as dates or timestamps (see parseRange)
+async function getAnalytics(tenant, query = {}, now = new Date()) {
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const range = parseRange(query, timezone, now);
+  const window = { createdAfter: range.from, createdBefore: range.to };
+
+  const [leads, allBookings, searches, properties, agents] = await Promise.all([
+    store.leads.find({ tenantId: tenant.id, ...window }),
+    store.bookings.find({ tenantId: tenant.id }),
+    store.searches.find({ tenantId: tenant.id, ...window }),
+    store.properties.find({ tenantId: tenant.id, includeDeleted: true }, { fields: ['Property Name'] }),
+    store.agents.find({ tenantId: tenant.id })
+  ]);
+
+  const bookedLeadIds = new Set(allBookings.map(b => first(b['Lead'])).filter(Boolean));
+  const bookings = allBookings.filter(b => {
+    const booked = new Date(b['Created'] || b['StartDateTime']);
+    return booked >= range.from && booked < range.to;
+  });
+  const converted = leads.filter(lead => bookedLeadIds.has(lead.id)).length;
+
+  console.log(`Analytics for ${tenant.id}: ${leads.length} leads, ${bookings.length} bookings, ${searches.length} searches`);
+
+  return {
+    range: { from: range.from.toISOString(), to: range.to.toISOString(), timezone: timezone },
+    funnel: funnelReport(leads, bookedLeadIds),
+    leads: {
+      total: leads.length,
+      withBooking: converted,
+      conversionRate: rate(converted, leads.length)
+    },
+    bookings: bookingReport(bookings, now),
+    demand: demandReport(leads),
+    searches: searchReport(searches),
+    byProperty: propertyReport(bookings, properties),
+    byAgent: agentReport(bookings, agents)
+  };
+}
+
+module.exports = {
+  FUNNEL,
+  parseRangeDate,
+  parseRange,
+  getAnalytics
+};
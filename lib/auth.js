@@ -0,0 +1,72 @@
+// lib/auth.js - Tenant API keys and authentication middleware
+//
+// Each tenant gets its own API key. Only the SHA-256 hash is stored (Tenants "API Key Hash"),
+// the plain key is shown once when it is issued. Callers send it as
+//   Authorization: Bearer <key>     or     X-API-Key: <key>
+// and the tenant is resolved from the key - never from req.body.tenantId.
+const crypto = require('crypto');
+const tenants = require('./tenants');
+
+const KEY_PREFIX = 'pbk_';
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function readApiKey(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  return (req.get('X-API-Key') || '').trim();
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || '');
+  const bufferB = Buffer.from(b || '');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Sets req.tenant from the API key, 401 otherwise
+async function requireTenant(req, res, next) {
+  try {
+    const key = readApiKey(req);
+    if (!key) {
+      return res.status(401).json({ success: false, error: 'API key required' });
+    }
+
+    const tenant = await tenants.findTenantByApiKeyHash(hashApiKey(key));
+    if (!tenant) {
+      return res.status(401).json({ success: false, error: 'Invalid API key' });
+    }
+
+    if (req.body && req.body.tenantId && req.body.tenantId !== tenant.id) {
+      console.warn(`Ignoring tenantId ${req.body.tenantId} from caller authenticated as ${tenant.id}`);
+    }
+
+    req.tenant = tenant;
+    next();
+  } catch (error) {
+    console.error('ERROR in authentication:', error);
+    res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+}
+
+// Platform operator endpoints (issuing tenant keys) use ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || !safeEqual(readApiKey(req), adminKey)) {
+    return res.status(401).json({ success: false, error: 'Admin API key required' });
+  }
+  next();
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  requireTenant,
+  requireAdmin
+};
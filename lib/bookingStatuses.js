@@ -0,0 +1,19 @@
+// lib/bookingStatuses.js - Booking 'Status' values and the lead stages that go with them
+//
+// Leads book (Scheduled) and cancel (Cancelled); agents move the viewing along with WhatsApp
+// commands (lib/agentCommands.js): Confirmed, Running Late, Completed, No-Show, Declined.
+
+// Viewings that still hold their slot and the agent's time
+const ACTIVE_STATUSES = ['Scheduled', 'Confirmed', 'Running Late'];
+
+// Viewings that no longer hold their slot
+const RELEASED_STATUSES = ['Cancelled', 'Declined'];
+
+// Lead conversation stages in which the lead has at least one viewing booked
+const BOOKED_STAGES = ['booking_confirmed', 'awaiting_reschedule_slot', 'viewing_bookings'];
+
+module.exports = {
+  ACTIVE_STATUSES,
+  RELEASED_STATUSES,
+  BOOKED_STAGES
+};
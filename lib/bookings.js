@@ -0,0 +1,936 @@
+// lib/bookings.js - Slot calculation, booking creation, listing, rescheduling and cancellation
+const store = require('./store');
+const { getCalendarForTenant, calendarIdFor, calendarIdForBooking } = require('./calendars');
+const { HttpError } = require('./errors');
+const { assertTenantRecord } = require('./tenants');
+const { linksTo } = require('./stores/criteria');
+const { resolveTimezone, formatDateKey } = require('./timezone');
+const { generateSlots, isGridSlot } = require('./slots');
+const { translator, resolveLocale, formatDate, formatTime } = require('./i18n');
+const { getTemplates } = require('./templates');
+const { ACTIVE_STATUSES, RELEASED_STATUSES, BOOKED_STAGES } = require('./bookingStatuses');
+const { scheduleBookingJobs } = require('./scheduler');
+const { resetLegacyFlags } = require('./notifications');
+const {
+  agentPool,
+  workingHours,
+  busyTimes,
+  freeAgents,
+  chooseAgent,
+  recordAssignment,
+  agentDetails,
+  bookingAgentId
+} = require('./agents');
+
+// Slots start at least this long after now
+const SLOT_BUFFER_MINUTES = 60;
+
+// Lookup fields come back as arrays
+const first = value => (Array.isArray(value) ? value[0] : value) || null;
+
+// ============================================
+// Available Slots
+// ============================================
+async function getAvailableSlots({ propertyId, tenantId, locale, agentId }) {
+  console.log('========================================');
+  console.log('SLOT CALCULATION REQUEST:');
+  console.log('propertyId:', propertyId);
+  console.log('tenantId:', tenantId);
+
+  if (!propertyId || !tenantId) {
+    throw new HttpError(400, 'propertyId and tenantId required');
+  }
+
+  // 1. GET TENANT CONFIG
+  const tenant = await store.tenants.get(tenantId);
+  if (!tenant) {
+    throw new HttpError(404, 'Tenant not found');
+  }
+
+  const calendar = getCalendarForTenant(tenant);
+  const calendarId = calendarIdFor(tenant);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const t = translator(resolveLocale(locale, tenant['Default Language']));
+  const slotDuration = parseInt(tenant['Slot Duration'] || 60);
+  const daysAhead = parseInt(tenant['Days Ahead'] || 30);
+
+  // Work hours may include minutes ("08:30"); "Work Start Hour" / "Work End Hour" still work
+  const tenantHours = workingHours(tenant, null);
+
+  console.log('CONFIG:');
+  console.log('  Work:', formatMinutes(tenantHours.workStartMinutes), '-', formatMinutes(tenantHours.workEndMinutes));
+  console.log('  Duration:', slotDuration, 'min');
+  console.log('  Days:', tenantHours.workingDays.join(', '));
+  console.log('  Timezone:', timezone);
+  console.log('  Calendar:', calendar.name, calendarId);
+
+  // 2. GET PROPERTY AND ITS AGENTS
+  const propertyRecord = assertTenantRecord(await store.properties.get(propertyId), tenantId, 'Property');
+  const propertyName = propertyRecord['Property Name'];
+  const pool = await agentPool(tenant, propertyRecord, { agentId });
+
+  console.log('Agents:', pool.agents.length > 0 ? `${pool.agents.map(a => a['Name']).join(', ')} (${pool.rule})` : 'none (tenant calendar)');
+
+  // 3. GET BOOKED EVENTS (the property can only host one viewing at a time)
+  const now = new Date();
+  const searchEnd = new Date(now);
+  searchEnd.setDate(searchEnd.getDate() + daysAhead);
+
+  const booked = await calendar.listEvents({
+    calendarId: calendarId,
+    timeMin: now,
+    timeMax: searchEnd,
+    q: propertyId
+  });
+
+  // Viewings in agents' own calendars don't show up in the tenant's
+  const propertyBookings = await store.bookings.find({
+    propertyId: propertyId,
+    status: ACTIVE_STATUSES,
+    overlaps: { start: now, end: searchEnd }
+  });
+  propertyBookings.forEach(b => booked.push({ start: new Date(b['StartDateTime']), end: new Date(b['EndDateTime']) }));
+
+  console.log('Booked events:', booked.length);
+
+  // 4. GENERATE SLOTS (wall-clock times in the tenant's zone, 1hr buffer from now).
+  // With agents, a slot is free when any agent of the pool is free within their own hours.
+  const slotOptions = {
+    now: now,
+    timezone: timezone,
+    slotDuration: slotDuration,
+    daysAhead: daysAhead,
+    maxSlots: 7,
+    bufferMinutes: SLOT_BUFFER_MINUTES
+  };
+
+  let candidates;
+  if (pool.agents.length === 0) {
+    candidates = generateSlots({ ...slotOptions, ...tenantHours, booked: booked });
+  } else {
+    candidates = [];
+    for (const agent of pool.agents) {
+      const busy = await busyTimes(tenant, agent, now, searchEnd);
+      candidates.push(...generateSlots({ ...slotOptions, ...workingHours(tenant, agent), booked: booked.concat(busy) }));
+    }
+    candidates = candidates
+      .filter((slot, index) => candidates.findIndex(other => other.start.getTime() === slot.start.getTime()) === index)
+      .sort((a, b) => a.start - b.start)
+      .slice(0, slotOptions.maxSlots);
+  }
+
+  const freeSlots = candidates.map((slot, index) => ({
+    number: index + 1,
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    displayDate: formatDate(slot.start, t.locale, timezone, 'short'),
+    displayTime: formatTime(slot.start, t.locale, timezone)
+  }));
+
+  console.log('Found', freeSlots.length, 'free slots');
+  console.log('========================================');
+
+  // 5. CREATE SLOT MAP
+  const slotMap = {};
+  freeSlots.forEach(slot => {
+    slotMap[slot.number] = `${slot.start}|${slot.end}`;
+  });
+
+  // 6. RETURN
+  const message = freeSlots.length > 0
+    ? `${t('slots.heading')}\n\n` +
+      freeSlots.map(s => `${s.number}️⃣ ${s.displayDate}, ${s.displayTime}`).join('\n') +
+      `\n\n${t('slots.footer')}`
+    : t('slots.none', { days: daysAhead });
+
+  return {
+    success: true,
+    slots: freeSlots,
+    slotMap: JSON.stringify(slotMap),
+    message: message,
+    count: freeSlots.length,
+    propertyName: propertyName
+  };
+}
+
+// ============================================
+// Create Booking
+// ============================================
+async function createBooking({ leadId, propertyId, slotNumber, slotMap, leadName, leadPhone, tenantId, locale }) {
+  console.log('========================================');
+  console.log('CREATE BOOKING REQUEST:');
+  console.log('lead:', leadId, 'property:', propertyId, 'slot:', slotNumber);
+
+  // Validate
+  const missingFields = [];
+  if (!leadId) missingFields.push('leadId');
+  if (!propertyId) missingFields.push('propertyId');
+  if (!slotNumber) missingFields.push('slotNumber');
+  if (!slotMap) missingFields.push('slotMap');
+  if (!tenantId) missingFields.push('tenantId');
+
+  if (missingFields.length > 0) {
+    console.log('ERROR: Missing fields:', missingFields.join(', '));
+    throw new HttpError(400, 'Missing required fields: ' + missingFields.join(', '));
+  }
+
+  // 1. GET TENANT CONFIG
+  const tenant = await store.tenants.get(tenantId);
+  if (!tenant) {
+    throw new HttpError(404, 'Tenant not found');
+  }
+
+  const calendar = getCalendarForTenant(tenant);
+  const calendarId = calendarIdFor(tenant);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const slotDuration = parseInt(tenant['Slot Duration'] || 60);
+  const companyName = tenant['Company Name'];
+
+  // Lead and property must belong to this tenant
+  const leadRecord = assertTenantRecord(await store.leads.get(leadId), tenantId, 'Lead');
+
+  // Lead messages in the lead's language, agent messages in the tenant's, both with the tenant's templates
+  const templates = await getTemplates(tenantId);
+  const t = translator(resolveLocale(locale, leadRecord['Language'], tenant['Default Language']), templates);
+  const tAgent = translator(resolveLocale(tenant['Default Language']), templates);
+  const propertyRecord = assertTenantRecord(await store.properties.get(propertyId), tenantId, 'Property');
+
+  console.log('Tenant:', companyName);
+  console.log('Calendar:', calendar.name, calendarId);
+
+  // 2. PARSE SLOT MAP
+  const { slotStart, slotEnd } = parseSlotChoice(slotMap, slotNumber);
+
+  console.log('Selected slot:', slotStart.toLocaleString('en-KE', { timeZone: timezone }));
+
+  // 3. COLLISION DETECTION - Check if slot is still available
+
+  // Check the tenant's calendar
+  const calendarConflicts = await calendar.listEvents({
+    calendarId: calendarId,
+    timeMin: slotStart,
+    timeMax: slotEnd,
+    q: propertyId
+  });
+
+  const calendarHasConflict = calendarConflicts.length > 0;
+
+  // Also check the Bookings table directly
+  const storedConflicts = await store.bookings.find({
+    propertyId: propertyId,
+    excludeStatus: RELEASED_STATUSES,
+    overlaps: { start: slotStart, end: slotEnd }
+  }, { limit: 1 });
+
+  const storeHasConflict = storedConflicts.length > 0;
+
+  console.log('Calendar conflicts:', calendarHasConflict ? 'YES' : 'NO');
+  console.log('Booking conflicts:', storeHasConflict ? 'YES' : 'NO');
+
+  // A slot that can't be offered (too soon now, outside the working hours) is answered like a
+  // taken one, so the lead picks again
+  const pool = await agentPool(tenant, propertyRecord);
+
+  if (calendarHasConflict || storeHasConflict || !isOfferedSlot(tenant, pool.agents, slotStart, slotEnd)) {
+    console.log('SLOT TAKEN! Cannot book.');
+    return {
+      success: false,
+      slotTaken: true,
+      message: t('booking.slotTaken')
+    };
+  }
+
+  // 4. AGENT - a free agent of the property's pool, picked by its assignment rule
+  let agent = null;
+
+  if (pool.agents.length > 0) {
+    agent = await chooseAgent(tenant, pool.rule, await freeAgents(tenant, pool.agents, slotStart, slotEnd));
+
+    if (!agent) {
+      console.log('NO AGENT FREE! Cannot book.');
+      return {
+        success: false,
+        slotTaken: true,
+        message: t('booking.slotTaken')
+      };
+    }
+  }
+
+  // 5. PROPERTY DETAILS
+  const propertyName = propertyRecord['Property Name'];
+  const propertyAddress = propertyRecord['Address'];
+  const assigned = agentDetails(tenant, agent, propertyRecord);
+  const { agentId, agentName, agentEmail } = assigned;
+  const eventCalendarId = assigned.calendarId;
+
+  // Clean phone number - Airtable phone fields are picky
+  let agentPhone = assigned.agentPhone;
+  if (agentPhone) {
+    agentPhone = agentPhone.toString().trim();
+    agentPhone = agentPhone.replace(/[^\d+\s()-]/g, '');
+  }
+
+  console.log('Property:', propertyName, '| Agent:', agentName, agentPhone);
+
+  // 6. CREATE CALENDAR EVENT in the agent's calendar
+  // (the property ID in the description is what conflict checks search for)
+  let calendarEvent;
+  try {
+    calendarEvent = await calendar.createEvent({
+      calendarId: eventCalendarId,
+      summary: `${companyName} - Property Viewing`,
+      description: `Property: ${propertyName}\nClient: ${leadName}\nPhone: ${leadPhone}\nProperty ID: ${propertyId}\n\nAgent: ${agentName || 'N/A'}\nAgent Phone: ${agentPhone || 'N/A'}`,
+      location: propertyAddress,
+      start: slotStart,
+      end: slotEnd,
+      timeZone: timezone
+    });
+    console.log('Calendar event created:', calendarEvent.id);
+  } catch (calErr) {
+    console.error('Calendar creation failed:', calErr.message);
+    throw new HttpError(500, 'Failed to create calendar event: ' + calErr.message);
+  }
+
+  // 7. CREATE BOOKING RECORD
+  const bookingData = {
+    'Lead': [leadId],
+    'Property': [propertyId],
+    'StartDateTime': slotStart.toISOString(),
+    'EndDateTime': slotEnd.toISOString(),
+    'Date': formatDateKey(slotStart, timezone), // Local date in the tenant's zone: 2026-02-13
+    'Time': formatTime(slotStart, 'en', timezone),
+    'Status': 'Scheduled',
+    'Google Event ID': calendarEvent.id, // Event ID of whichever calendar provider the tenant uses
+    'Tenant': [tenantId]
+  };
+
+  // Add agent fields only if they exist (they might be empty)
+  if (agentName) {
+    bookingData['Agent Name'] = agentName.toString(); // Ensure it's a string
+  }
+  if (agentPhone) {
+    bookingData['Agent Phone'] = agentPhone.toString(); // Ensure it's a string
+  }
+  if (agentId) {
+    bookingData['Agent'] = [agentId];
+    bookingData['Calendar ID'] = eventCalendarId; // Where cancel / reschedule find the event
+  }
+
+  let bookingRecord;
+  try {
+    bookingRecord = await store.bookings.create(bookingData);
+    console.log('Booking created:', bookingRecord.id);
+  } catch (storeErr) {
+    console.error('Booking record failed:', storeErr.message);
+    // Cleanup calendar event
+    try {
+      await calendar.deleteEvent({
+        calendarId: eventCalendarId,
+        eventId: calendarEvent.id
+      });
+      console.log('Calendar event deleted (cleanup)');
+    } catch (calErr) {
+      console.error(`Failed to delete calendar event ${calendarEvent.id} (cleanup):`, calErr.message);
+    }
+    throw new HttpError(500, 'Failed to create booking: ' + storeErr.message);
+  }
+
+  if (agent) {
+    await recordAssignment(agent);
+  }
+  await scheduleBookingJobs(bookingRecord);
+
+  // 8. FORMAT MESSAGES
+  const durationText = slotDuration >= 60
+    ? tAgent(slotDuration > 60 ? 'duration.hours' : 'duration.hour', { count: Math.floor(slotDuration / 60) })
+    : tAgent('duration.minutes', { count: slotDuration });
+
+  const confirmMessage = t('booking.confirmed', {
+    leadName: leadName,
+    companyName: companyName,
+    botName: tenant['Bot Name'],
+    propertyName: propertyName,
+    propertyAddress: propertyAddress,
+    slotDate: formatDate(slotStart, t.locale, timezone, 'numeric'),
+    slotTime: formatTime(slotStart, t.locale, timezone),
+    agentName: agentName,
+    agentPhone: agentPhone,
+    agentDetails: (agentName ? t('booking.agentLine', { agentName: agentName }) : '') +
+      (agentPhone ? t('booking.agentPhoneLine', { agentPhone: agentPhone }) : '\n')
+  });
+
+  const agentMessage = tAgent('booking.agentNew', {
+    leadName: leadName,
+    leadPhone: leadPhone,
+    propertyName: propertyName,
+    propertyAddress: propertyAddress,
+    slotDate: formatDate(slotStart, tAgent.locale, timezone, 'long'),
+    slotTime: formatTime(slotStart, tAgent.locale, timezone),
+    agentName: agentName,
+    agentPhone: agentPhone,
+    duration: durationText
+  });
+
+  console.log('BOOKING SUCCESSFUL!');
+  console.log('========================================');
+
+  return {
+    success: true,
+    slotTaken: false,
+    bookingId: bookingRecord.id,
+    eventId: calendarEvent.id,
+    message: confirmMessage,
+    agentMessage: agentMessage,
+    agentEmail: agentEmail,
+    agentPhone: agentPhone,
+    agentName: agentName,
+    agentId: agentId,
+    slotDetails: {
+      date: slotStart.toLocaleDateString('en-KE', { timeZone: timezone }),
+      time: slotStart.toLocaleTimeString('en-KE', { timeZone: timezone }),
+      property: propertyName,
+      address: propertyAddress
+    }
+  };
+}
+
+// ============================================
+// Upcoming Bookings (MY BOOKINGS)
+// ============================================
+
+// Numbered list of the lead's upcoming viewings. bookingIds (JSON) keeps the numbering so
+// "CANCEL 2" later means the viewing that was shown as 2.
+async function listUpcomingBookings({ leadId, tenantId, locale }) {
+  if (!leadId || !tenantId) {
+    throw new HttpError(400, 'leadId and tenantId required');
+  }
+
+  const tenant = await store.tenants.get(tenantId);
+  if (!tenant) {
+    throw new HttpError(404, 'Tenant not found');
+  }
+
+  const lead = assertTenantRecord(await store.leads.get(leadId), tenantId, 'Lead');
+  const t = translator(resolveLocale(locale, lead['Language'], tenant['Default Language']));
+  const timezone = resolveTimezone(tenant['Time Zone']);
+
+  const upcoming = await findUpcomingBookings(tenantId, leadId);
+  const bookings = [];
+
+  for (const booking of upcoming) {
+    const propertyId = bookingPropertyId(booking);
+    const property = propertyId ? await store.properties.get(propertyId) : null;
+    const start = new Date(booking['StartDateTime']);
+
+    bookings.push({
+      number: bookings.length + 1,
+      bookingId: booking.id,
+      propertyId: propertyId,
+      propertyName: (property && property['Property Name']) || t('cancel.theProperty'),
+      start: booking['StartDateTime'],
+      end: booking['EndDateTime'],
+      displayDate: formatDate(start, t.locale, timezone, 'short'),
+      displayTime: formatTime(start, t.locale, timezone)
+    });
+  }
+
+  const message = bookings.length > 0
+    ? `${t('bookings.heading')}\n\n` +
+      bookings.map(b => t('bookings.item', {
+        number: b.number,
+        propertyName: b.propertyName,
+        slotDate: b.displayDate,
+        slotTime: b.displayTime
+      })).join('\n\n') +
+      `\n\n${t('bookings.footer')}`
+    : t('bookings.none');
+
+  return {
+    success: true,
+    bookings: bookings,
+    bookingIds: JSON.stringify(bookings.map(b => b.bookingId)),
+    count: bookings.length,
+    locale: t.locale,
+    message: message
+  };
+}
+
+// ============================================
+// Cancel Booking (bookingId, else the most recent scheduled booking of the lead)
+// ============================================
+async function cancelBooking({ leadId, bookingId, tenantId, locale }) {
+  if ((!leadId && !bookingId) || !tenantId) {
+    throw new HttpError(400, 'leadId (or bookingId) and tenantId required');
+  }
+
+  const tenant = await store.tenants.get(tenantId);
+  if (!tenant) {
+    throw new HttpError(404, 'Tenant not found');
+  }
+  const { booking, lead } = await findLeadBooking({ bookingId, leadId, tenantId });
+  const templates = await getTemplates(tenantId);
+  const t = translator(resolveLocale(locale, lead['Language'], tenant['Default Language']), templates);
+  const tAgent = translator(resolveLocale(tenant['Default Language']), templates);
+
+  if (!booking) {
+    return {
+      success: false,
+      noBooking: true,
+      message: t('cancel.none')
+    };
+  }
+
+  const eventId = booking['Google Event ID'];
+  const propertyId = bookingPropertyId(booking);
+
+  // Get property details (the agent is the booking's; older bookings only have the property lookup)
+  let propertyName = t('cancel.theProperty');
+  let agentPhone = booking['Agent Phone'] || null;
+
+  if (propertyId) {
+    try {
+      const property = await store.properties.get(propertyId);
+      propertyName = (property && property['Property Name']) || propertyName;
+
+      // Get agent phone from lookup field
+      if (property && !agentPhone) {
+        agentPhone = first(property['Agent Phone']);
+      }
+    } catch (propErr) {
+      console.error('Failed to get property:', propErr.message);
+    }
+  }
+
+  const leadName = lead['Name'] || t('followup.there');
+
+  const scheduledTime = new Date(booking['StartDateTime']);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+
+  // Delete the event from the tenant's calendar (bookings whose event was never created have none)
+  if (eventId) {
+    try {
+      await getCalendarForTenant(tenant).deleteEvent({
+        calendarId: calendarIdForBooking(tenant, booking),
+        eventId: eventId
+      });
+    } catch (calErr) {
+      console.error('Calendar deletion error:', calErr.message);
+    }
+  } else {
+    console.log('Booking', booking.id, 'has no calendar event - cancelling the booking only');
+  }
+
+  // Update booking status
+  await store.bookings.update(booking.id, {
+    'Status': 'Cancelled'
+  });
+
+  // Update lead conversation stage (still booked when other viewings remain)
+  const remainingBookings = await findUpcomingBookings(tenantId, lead.id);
+  await store.leads.update(lead.id, {
+    'Conversation Stage': remainingBookings.length > 0 ? 'booking_confirmed' : 'booking_cancelled'
+    // Removed: Status update (might not have "Cancelled" option in Leads table)
+  });
+
+  const userMessage = t('cancel.done', {
+    leadName: leadName,
+    companyName: tenant['Company Name'],
+    botName: tenant['Bot Name'],
+    propertyName: propertyName,
+    slotDate: formatDate(scheduledTime, t.locale, timezone),
+    slotTime: formatTime(scheduledTime, t.locale, timezone)
+  });
+
+  const agentMessage = tAgent('cancel.agent', {
+    leadName: leadName,
+    leadPhone: lead['Phone'],
+    propertyName: propertyName,
+    slotDate: formatDate(scheduledTime, tAgent.locale, timezone),
+    slotTime: formatTime(scheduledTime, tAgent.locale, timezone)
+  });
+
+  return {
+    success: true,
+    bookingId: booking.id,
+    remainingBookings: remainingBookings.length,
+    userMessage: userMessage,
+    agentNotification: {
+      agentPhone: agentPhone,
+      message: agentMessage,
+      propertyName: propertyName,
+      leadName: leadName,
+      scheduledDate: formatDate(scheduledTime, tAgent.locale, timezone),
+      scheduledTime: formatTime(scheduledTime, tAgent.locale, timezone)
+    }
+  };
+}
+
+// ============================================
+// Reschedule Booking (same booking record, calendar event moved)
+// ============================================
+
+// Fresh slots for the property of the booking (same logic as available-slots-v2).
+// The booking's own time is already taken by its event, so it is never offered again.
+async function getRescheduleSlots({ bookingId, leadId, tenantId, locale }) {
+  if ((!leadId && !bookingId) || !tenantId) {
+    throw new HttpError(400, 'leadId (or bookingId) and tenantId required');
+  }
+
+  const tenant = await store.tenants.get(tenantId);
+  if (!tenant) {
+    throw new HttpError(404, 'Tenant not found');
+  }
+
+  const { booking, lead } = await findLeadBooking({ bookingId, leadId, tenantId });
+  const t = translator(resolveLocale(locale, lead['Language'], tenant['Default Language']));
+
+  if (!booking) {
+    return {
+      success: false,
+      noBooking: true,
+      message: t('reschedule.none')
+    };
+  }
+
+  const propertyId = bookingPropertyId(booking);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const currentStart = new Date(booking['StartDateTime']);
+  const slots = await getAvailableSlots({
+    propertyId: propertyId,
+    tenantId: tenantId,
+    locale: t.locale,
+    agentId: bookingAgentId(booking) // Stays with the same agent
+  });
+
+  const current = t('reschedule.current', {
+    propertyName: slots.propertyName,
+    slotDate: formatDate(currentStart, t.locale, timezone, 'short'),
+    slotTime: formatTime(currentStart, t.locale, timezone)
+  });
+
+  return {
+    ...slots,
+    bookingId: booking.id,
+    propertyId: propertyId,
+    locale: t.locale,
+    message: slots.count > 0
+      ? `${current}\n\n${slots.message}`
+      : `${current}\n\n${slots.message}\n\n${t('reschedule.keepCurrent')}`
+  };
+}
+
+// Moves the booking to a slot from getRescheduleSlots' slot map.
+// The calendar event keeps its ID; the old times are kept in "Reschedule History" (JSON).
+async function rescheduleBooking({ bookingId, leadId, tenantId, slotNumber, slotMap, locale }) {
+  console.log('========================================');
+  console.log('RESCHEDULE BOOKING REQUEST:');
+  console.log('booking:', bookingId || '(latest)', 'lead:', leadId, 'slot:', slotNumber);
+
+  const missingFields = [];
+  if (!leadId && !bookingId) missingFields.push('leadId or bookingId');
+  if (!slotNumber) missingFields.push('slotNumber');
+  if (!slotMap) missingFields.push('slotMap');
+  if (!tenantId) missingFields.push('tenantId');
+
+  if (missingFields.length > 0) {
+    throw new HttpError(400, 'Missing required fields: ' + missingFields.join(', '));
+  }
+
+  // 1. TENANT, LEAD AND BOOKING
+  const tenant = await store.tenants.get(tenantId);
+  if (!tenant) {
+    throw new HttpError(404, 'Tenant not found');
+  }
+
+  const { booking, lead } = await findLeadBooking({ bookingId, leadId, tenantId });
+  const templates = await getTemplates(tenantId);
+  const t = translator(resolveLocale(locale, lead['Language'], tenant['Default Language']), templates);
+  const tAgent = translator(resolveLocale(tenant['Default Language']), templates);
+
+  if (!booking) {
+    return {
+      success: false,
+      noBooking: true,
+      message: t('reschedule.none')
+    };
+  }
+
+  const calendar = getCalendarForTenant(tenant);
+  const calendarId = calendarIdForBooking(tenant, booking);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const propertyId = bookingPropertyId(booking);
+  const eventId = booking['Google Event ID'];
+  const agentId = bookingAgentId(booking);
+  const oldStart = new Date(booking['StartDateTime']);
+  const oldEnd = new Date(booking['EndDateTime']);
+
+  // 2. NEW SLOT
+  const { slotStart, slotEnd } = parseSlotChoice(slotMap, slotNumber);
+
+  if (slotStart.getTime() === oldStart.getTime() && slotEnd.getTime() === oldEnd.getTime()) {
+    throw new HttpError(400, 'The booking is already at that time');
+  }
+
+  console.log('Moving', oldStart.toISOString(), '→', slotStart.toISOString());
+
+  // 3. COLLISION DETECTION (ignoring this booking and its own event)
+  const calendarConflicts = (await calendar.listEvents({
+    calendarId: calendarIdFor(tenant),
+    timeMin: slotStart,
+    timeMax: slotEnd,
+    q: propertyId
+  })).filter(event => event.id !== eventId);
+
+  const storedConflicts = (await store.bookings.find({
+    propertyId: propertyId,
+    excludeStatus: RELEASED_STATUSES,
+    overlaps: { start: slotStart, end: slotEnd }
+  })).filter(other => other.id !== booking.id);
+
+  // The booking's agent must be free at the new time too
+  const agent = agentId ? await store.agents.get(agentId) : null;
+  const agentBusy = agent
+    ? (await freeAgents(tenant, [agent], slotStart, slotEnd, { bookingId: booking.id, eventId: eventId })).length === 0
+    : false;
+
+  if (calendarConflicts.length > 0 || storedConflicts.length > 0 || agentBusy ||
+    !isOfferedSlot(tenant, agent ? [agent] : [], slotStart, slotEnd)) {
+    console.log('SLOT TAKEN! Booking stays at', oldStart.toISOString());
+    return {
+      success: false,
+      slotTaken: true,
+      message: t('reschedule.slotTaken', {
+        slotDate: formatDate(oldStart, t.locale, timezone, 'short'),
+        slotTime: formatTime(oldStart, t.locale, timezone)
+      })
+    };
+  }
+
+  // 4. MOVE THE CALENDAR EVENT
+  if (eventId) {
+    try {
+      await calendar.moveEvent({
+        calendarId: calendarId,
+        eventId: eventId,
+        start: slotStart,
+        end: slotEnd,
+        timeZone: timezone
+      });
+      console.log('Calendar event moved:', eventId);
+    } catch (calErr) {
+      console.error('Calendar move failed:', calErr.message);
+      throw new HttpError(500, 'Failed to move calendar event: ' + calErr.message);
+    }
+  } else {
+    console.log('Booking has no calendar event - updating the booking only');
+  }
+
+  // 5. UPDATE THE BOOKING (reminders are due again for the new time)
+  const history = parseRescheduleHistory(booking['Reschedule History']);
+  history.push({
+    start: oldStart.toISOString(),
+    end: oldEnd.toISOString(),
+    movedAt: new Date().toISOString()
+  });
+
+  let updated;
+  try {
+    updated = await store.bookings.update(booking.id, {
+      'StartDateTime': slotStart.toISOString(),
+      'EndDateTime': slotEnd.toISOString(),
+      'Date': formatDateKey(slotStart, timezone),
+      'Time': formatTime(slotStart, 'en', timezone),
+      'Reschedule History': JSON.stringify(history),
+      'Reschedule Count': history.length,
+      // The notification log is per start time; bookings made before it may have sent flags set
+      ...resetLegacyFlags(booking)
+    });
+  } catch (storeErr) {
+    console.error('Booking update failed:', storeErr.message);
+    // Put the event back where the booking still says it is
+    if (eventId) {
+      try {
+        await calendar.moveEvent({ calendarId, eventId, start: oldStart, end: oldEnd, timeZone: timezone });
+        console.log('Calendar event moved back (cleanup)');
+      } catch (calErr) {
+        console.error(`Failed to move calendar event ${eventId} back (cleanup):`, calErr.message);
+      }
+    }
+    throw new HttpError(500, 'Failed to reschedule booking: ' + storeErr.message);
+  }
+
+  await scheduleBookingJobs(updated);
+  await store.leads.update(lead.id, { 'Conversation Stage': 'booking_confirmed' });
+
+  // 6. FORMAT MESSAGES (the agent is the booking's; older bookings only have the property lookup)
+  const property = propertyId ? await store.properties.get(propertyId) : null;
+  const propertyName = (property && property['Property Name']) || t('cancel.theProperty');
+  const propertyAddress = property ? property['Address'] : '';
+  const agentName = booking['Agent Name'] || (property && first(property['Agent Name'])) || null;
+  const agentPhone = booking['Agent Phone'] || (property && first(property['Agent Phone'])) || null;
+
+  const message = t('reschedule.done', {
+    leadName: lead['Name'],
+    companyName: tenant['Company Name'],
+    botName: tenant['Bot Name'],
+    propertyName: propertyName,
+    propertyAddress: propertyAddress,
+    slotDate: formatDate(slotStart, t.locale, timezone, 'numeric'),
+    slotTime: formatTime(slotStart, t.locale, timezone),
+    oldDate: formatDate(oldStart, t.locale, timezone, 'numeric'),
+    oldTime: formatTime(oldStart, t.locale, timezone),
+    agentName: agentName,
+    agentPhone: agentPhone
+  });
+
+  const agentMessage = tAgent('reschedule.agent', {
+    leadName: lead['Name'],
+    leadPhone: lead['Phone'],
+    propertyName: propertyName,
+    propertyAddress: propertyAddress,
+    slotDate: formatDate(slotStart, tAgent.locale, timezone, 'long'),
+    slotTime: formatTime(slotStart, tAgent.locale, timezone),
+    oldDate: formatDate(oldStart, tAgent.locale, timezone, 'long'),
+    oldTime: formatTime(oldStart, tAgent.locale, timezone),
+    agentName: agentName,
+    agentPhone: agentPhone
+  });
+
+  console.log('RESCHEDULE SUCCESSFUL!');
+  console.log('========================================');
+
+  return {
+    success: true,
+    slotTaken: false,
+    bookingId: booking.id,
+    eventId: eventId || null,
+    message: message,
+    agentMessage: agentMessage,
+    agentPhone: agentPhone,
+    agentName: agentName,
+    previous: { start: oldStart.toISOString(), end: oldEnd.toISOString() },
+    history: history,
+    slotDetails: {
+      date: formatDateKey(slotStart, timezone),
+      time: formatTime(slotStart, 'en', timezone),
+      property: propertyName,
+      address: propertyAddress
+    }
+  };
+}
+
+// ============================================
+// Shared helpers
+// ============================================
+
+// The lead's most recent booking that is still active, or null
+async function findLatestActiveBooking(tenantId, leadId) {
+  const [booking] = await store.bookings.find(
+    { tenantId: tenantId, leadId: leadId, status: ACTIVE_STATUSES },
+    { sort: [{ field: 'StartDateTime', direction: 'desc' }], limit: 1 }
+  );
+  return booking || null;
+}
+
+// The lead's booking to act on: bookingId when given (it must be the lead's and still active),
+// else the lead's latest active booking. booking is null when there's nothing to act on.
+async function findLeadBooking({ bookingId, leadId, tenantId }) {
+  const booking = bookingId
+    ? assertTenantRecord(await store.bookings.get(bookingId), tenantId, 'Booking')
+    : await findLatestActiveBooking(tenantId, leadId);
+
+  const leadRecordId = leadId || (booking && Array.isArray(booking['Lead']) ? booking['Lead'][0] : null);
+  const lead = assertTenantRecord(await store.leads.get(leadRecordId), tenantId, 'Lead');
+
+  if (booking && (!ACTIVE_STATUSES.includes(booking['Status']) || !linksTo(booking['Lead'], lead.id))) {
+    return { booking: null, lead: lead };
+  }
+  return { booking: booking, lead: lead };
+}
+
+// Active bookings of the lead that haven't ended yet, soonest first
+async function findUpcomingBookings(tenantId, leadId) {
+  return store.bookings.find(
+    { tenantId: tenantId, leadId: leadId, status: ACTIVE_STATUSES, endAfter: new Date() },
+    { sort: [{ field: 'StartDateTime', direction: 'asc' }] }
+  );
+}
+
+// Try multiple field names for Property
+function bookingPropertyId(booking) {
+  const possiblePropertyFields = ['Property', 'Property (from Properties)', 'Properties'];
+
+  for (const fieldName of possiblePropertyFields) {
+    const value = booking[fieldName];
+    if (value) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return null;
+}
+
+// Slot map entries are "start|end" ISO strings keyed by the number the lead was shown
+function parseSlotChoice(slotMap, slotNumber) {
+  let slots = slotMap;
+  if (typeof slotMap === 'string') {
+    try {
+      slots = JSON.parse(slotMap);
+    } catch (err) {
+      throw new HttpError(400, 'Invalid slot map format');
+    }
+  }
+
+  const slotData = slots && typeof slots === 'object' ? slots[slotNumber] : null;
+  if (typeof slotData !== 'string' || !slotData.includes('|')) {
+    throw new HttpError(400, 'Invalid slot number. Available: ' + Object.keys(slots || {}).join(', '));
+  }
+
+  const [startTime, endTime] = slotData.split('|');
+  const slotStart = new Date(startTime);
+  const slotEnd = new Date(endTime);
+  if (isNaN(slotStart.getTime()) || isNaN(slotEnd.getTime()) || slotEnd <= slotStart) {
+    throw new HttpError(400, `Invalid slot ${slotNumber}: ${slotData}`);
+  }
+
+  return { slotStart, slotEnd };
+}
+
+// The slot map comes from the caller, so the chosen time has to be one getAvailableSlots could
+// offer: on the slot grid of the tenant's working hours (or of one of the agents'), after the
+// buffer and within Days Ahead. Conflicts are checked by the callers.
+function isOfferedSlot(tenant, agents, slotStart, slotEnd) {
+  const options = {
+    timezone: resolveTimezone(tenant['Time Zone']),
+    slotDuration: parseInt(tenant['Slot Duration'] || 60),
+    daysAhead: parseInt(tenant['Days Ahead'] || 30),
+    bufferMinutes: SLOT_BUFFER_MINUTES
+  };
+  const hours = agents.length > 0 ? agents.map(agent => workingHours(tenant, agent)) : [workingHours(tenant, null)];
+
+  return hours.some(agentHours => isGridSlot({ ...options, ...agentHours }, slotStart, slotEnd));
+}
+
+// "Reschedule History" holds a JSON array of { start, end, movedAt }
+function parseRescheduleHistory(value) {
+  if (!value) return [];
+  try {
+    const history = JSON.parse(value);
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function formatMinutes(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  getAvailableSlots,
+  createBooking,
+  listUpcomingBookings,
+  findUpcomingBookings,
+  cancelBooking,
+  getRescheduleSlots,
+  rescheduleBooking
+};
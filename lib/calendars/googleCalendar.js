@@ -0,0 +1,72 @@
+// lib/calendars/googleCalendar.js - Google Calendar provider (service account from GOOGLE_SERVICE_ACCOUNT)
+const { google } = require('googleapis');
+
+function createGoogleCalendar() {
+  const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT || '{}');
+  const auth = new google.auth.GoogleAuth({
+    credentials: credentials,
+    scopes: ['https://www.googleapis.com/auth/calendar']
+  });
+  const calendar = google.calendar({ version: 'v3', auth });
+
+  return {
+    name: 'google',
+
+    // q is Google's free-text search; we put the property ID in every event description
+    async listEvents({ calendarId, timeMin, timeMax, q }) {
+      const response = await calendar.events.list({
+        calendarId: calendarId,
+        timeMin: new Date(timeMin).toISOString(),
+        timeMax: new Date(timeMax).toISOString(),
+        q: q,
+        singleEvents: true,
+        orderBy: 'startTime'
+      });
+
+      return (response.data.items || []).map(e => ({
+        id: e.id,
+        summary: e.summary,
+        start: new Date(e.start.dateTime || e.start.date),
+        end: new Date(e.end.dateTime || e.end.date)
+      }));
+    },
+
+    async createEvent({ calendarId, summary, description, location, start, end, timeZone }) {
+      const response = await calendar.events.insert({
+        calendarId: calendarId,
+        resource: {
+          summary: summary,
+          description: description,
+          location: location,
+          start: { dateTime: new Date(start).toISOString(), timeZone: timeZone },
+          end: { dateTime: new Date(end).toISOString(), timeZone: timeZone }
+        }
+        // No sendUpdates: 'all' (can't send updates without attendees)
+      });
+
+      return { id: response.data.id };
+    },
+
+    // Keeps the event (and its ID) and only changes the times
+    async moveEvent({ calendarId, eventId, start, end, timeZone }) {
+      await calendar.events.patch({
+        calendarId: calendarId,
+        eventId: eventId,
+        resource: {
+          start: { dateTime: new Date(start).toISOString(), timeZone: timeZone },
+          end: { dateTime: new Date(end).toISOString(), timeZone: timeZone }
+        }
+      });
+      return { id: eventId };
+    },
+
+    async deleteEvent({ calendarId, eventId }) {
+      await calendar.events.delete({
+        calendarId: calendarId,
+        eventId: eventId
+      });
+    }
+  };
+}
+
+module.exports = createGoogleCalendar;
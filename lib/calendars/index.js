@@ -0,0 +1,49 @@
+// lib/calendars/index.js - Calendar provider per tenant
+//
+// Tenants pick a provider with the "Calendar Provider" field (Google | Local).
+// Without it, tenants that have a Google Calendar ID use Google and everyone else the local calendar.
+const createGoogleCalendar = require('./googleCalendar');
+const createLocalCalendar = require('./localCalendar');
+
+const providers = {};
+
+function getProvider(name) {
+  if (!providers[name]) {
+    if (name === 'google') providers[name] = createGoogleCalendar();
+    else if (name === 'local') providers[name] = createLocalCalendar();
+    else throw new Error(`Unknown calendar provider: ${name}`);
+  }
+  return providers[name];
+}
+
+function providerNameFor(tenant) {
+  const configured = (tenant['Calendar Provider'] || '').toString().trim().toLowerCase();
+  if (configured) return configured;
+  return tenant['Google Calendar ID'] ? 'google' : 'local';
+}
+
+function getCalendarForTenant(tenant) {
+  return getProvider(providerNameFor(tenant));
+}
+
+// The local calendar falls back to one calendar per tenant
+function calendarIdFor(tenant) {
+  return tenant['Google Calendar ID'] || tenant.id;
+}
+
+// Agents with their own calendar (Agents table "Calendar ID") get their viewings there
+function calendarIdForAgent(tenant, agent) {
+  return (agent && agent['Calendar ID']) || calendarIdFor(tenant);
+}
+
+// The calendar a booking's event was created in (bookings from before agents: the tenant's)
+function calendarIdForBooking(tenant, booking) {
+  return (booking && booking['Calendar ID']) || calendarIdFor(tenant);
+}
+
+module.exports = {
+  getCalendarForTenant,
+  calendarIdFor,
+  calendarIdForAgent,
+  calendarIdForBooking
+};
@@ -0,0 +1,53 @@
+// lib/calendars/localCalendar.js - Built-in calendar kept in the data store ("Calendar Events" table)
+// for tenants without Google Workspace.
+const store = require('../store');
+
+function toEvent(record) {
+  return {
+    id: record.id,
+    summary: record['Summary'],
+    start: new Date(record['StartDateTime']),
+    end: new Date(record['EndDateTime'])
+  };
+}
+
+function createLocalCalendar() {
+  return {
+    name: 'local',
+
+    // Same semantics as Google: events overlapping [timeMin, timeMax], q matched as free text
+    async listEvents({ calendarId, timeMin, timeMax, q }) {
+      const records = await store.events.find(
+        { calendarId, search: q, overlaps: { start: timeMin, end: timeMax } },
+        { sort: [{ field: 'StartDateTime', direction: 'asc' }] }
+      );
+      return records.map(toEvent);
+    },
+
+    async createEvent({ calendarId, summary, description, location, start, end }) {
+      const record = await store.events.create({
+        'Calendar ID': calendarId,
+        'Summary': summary,
+        'Description': description,
+        'Location': location,
+        'StartDateTime': new Date(start).toISOString(),
+        'EndDateTime': new Date(end).toISOString()
+      });
+      return { id: record.id };
+    },
+
+    async moveEvent({ eventId, start, end }) {
+      await store.events.update(eventId, {
+        'StartDateTime': new Date(start).toISOString(),
+        'EndDateTime': new Date(end).toISOString()
+      });
+      return { id: eventId };
+    },
+
+    async deleteEvent({ eventId }) {
+      await store.events.remove(eventId);
+    }
+  };
+}
+
+module.exports = createLocalCalendar;
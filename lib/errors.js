@@ -0,0 +1,12 @@
+// lib/errors.js - Errors that carry an HTTP status back to the endpoint
+
+// Thrown by service functions for bad input; endpoints answer with error.status
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,266 @@
+// lib/exports.js - Leads and bookings of a tenant as CSV / XLSX rows
+//
+//   leads      one row per lead: contact details, what they're looking for, Status and score,
+//              their viewings and the answer to their latest follow-up
+//   bookings   one row per viewing with its property, lead and agent, which reminders and
+//              follow-ups went out, and the lead's feedback on it
+//
+// Filters (all optional): from / to (leads by 'Created', bookings by StartDateTime - days in the
+// tenant's zone, like the analytics), status, and for bookings propertyId and agentId.
+// Dates are written in the tenant's Time Zone as YYYY-MM-DD HH:mm.
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { FORMATS } = require('./spreadsheets');
+const { parseRangeDate } = require('./analytics');
+const { getNotificationRules } = require('./notificationRules');
+const notifications = require('./notifications');
+const { resolveTimezone, formatDateKey, formatDateTimeKey } = require('./timezone');
+const { RELEASED_STATUSES } = require('./bookingStatuses');
+
+const LEAD_COLUMNS = [
+  { key: 'name', header: 'Name', width: 20 },
+  { key: 'phone', header: 'Phone' },
+  { key: 'interest', header: 'Interest', width: 10 },
+  { key: 'budget', header: 'Budget' },
+  { key: 'location', header: 'Location' },
+  { key: 'size', header: 'Size', width: 10 },
+  { key: 'status', header: 'Status' },
+  { key: 'stage', header: 'Conversation Stage', width: 24 },
+  { key: 'score', header: 'Score', width: 8 },
+  { key: 'tier', header: 'Tier', width: 8 },
+  { key: 'language', header: 'Language', width: 10 },
+  { key: 'bookings', header: 'Bookings', width: 10 },
+  { key: 'lastProperty', header: 'Last Viewing Property', width: 24 },
+  { key: 'lastViewing', header: 'Last Viewing' },
+  { key: 'lastBookingStatus', header: 'Last Booking Status' },
+  { key: 'interested', header: 'Interested After Viewing', width: 12 },
+  { key: 'rating', header: 'Rating', width: 8 },
+  { key: 'reason', header: 'Reason', width: 12 },
+  { key: 'comments', header: 'Comments', width: 30 },
+  { key: 'created', header: 'Created' }
+];
+
+const BOOKING_COLUMNS = [
+  { key: 'bookingId', header: 'Booking ID', width: 20 },
+  { key: 'property', header: 'Property', width: 24 },
+  { key: 'propertyLocation', header: 'Property Location' },
+  { key: 'address', header: 'Address', width: 24 },
+  { key: 'leadName', header: 'Lead Name', width: 20 },
+  { key: 'leadPhone', header: 'Lead Phone' },
+  { key: 'leadStatus', header: 'Lead Status' },
+  { key: 'agentName', header: 'Agent Name', width: 20 },
+  { key: 'agentPhone', header: 'Agent Phone' },
+  { key: 'start', header: 'StartDateTime' },
+  { key: 'end', header: 'EndDateTime' },
+  { key: 'status', header: 'Status' },
+  { key: 'remindersSent', header: 'Reminders Sent', width: 24 },
+  { key: 'followUpSent', header: 'Follow-Up Sent', width: 10 },
+  { key: 'interested', header: 'Interested After Viewing', width: 12 },
+  { key: 'rating', header: 'Rating', width: 8 },
+  { key: 'created', header: 'Created' }
+];
+
+const first = value => (Array.isArray(value) ? value[0] : value) || null;
+
+function yesNo(value) {
+  if (value === undefined || value === null) return '';
+  return value ? 'Yes' : 'No';
+}
+
+// ============================================
+// Filters
+// ============================================
+
+function parseFormat(format) {
+  const value = (format || 'csv').toString().toLowerCase();
+  if (!FORMATS.includes(value)) {
+    throw new HttpError(400, `format must be one of ${FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+// { from, to } as Dates, either one null when not given
+function parseFilterRange({ from, to }, timezone) {
+  const range = {
+    from: from ? parseRangeDate(from, 'from', timezone, false) : null,
+    to: to ? parseRangeDate(to, 'to', timezone, true) : null
+  };
+  if (range.from && range.to && range.from >= range.to) {
+    throw new HttpError(400, 'from must be before to');
+  }
+  return range;
+}
+
+function inRange(value, range) {
+  const time = new Date(value);
+  if (range.from && !(time >= range.from)) return false;
+  if (range.to && !(time < range.to)) return false;
+  return true;
+}
+
+// "leads-2026-03-01-to-2026-03-31" / "bookings-2026-10-19"
+function fileName(name, range, timezone) {
+  const parts = [name];
+  if (range.from) parts.push(formatDateKey(range.from, timezone));
+  if (range.to) parts.push('to', formatDateKey(new Date(range.to.getTime() - 1), timezone));
+  if (!range.from && !range.to) parts.push(formatDateKey(new Date(), timezone));
+  return parts.join('-');
+}
+
+// Latest feedback first, keyed by lead and by booking
+async function loadFeedback(tenantId) {
+  const records = await store.feedback.find({ tenantId }, { sort: [{ field: 'Created', direction: 'desc' }] });
+  const byLead = new Map();
+  const byBooking = new Map();
+
+  records.forEach(record => {
+    const leadId = first(record['Lead']);
+    const bookingId = first(record['Booking']);
+    if (leadId && !byLead.has(leadId)) byLead.set(leadId, record);
+    if (bookingId && !byBooking.has(bookingId)) byBooking.set(bookingId, record);
+  });
+
+  return { byLead, byBooking };
+}
+
+async function loadProperties(tenantId) {
+  const properties = await store.properties.find({ tenantId, includeDeleted: true });
+  return new Map(properties.map(p => [p.id, p]));
+}
+
+// ============================================
+// Leads
+// ============================================
+
+// { format, filename, sheetName, columns, rows }
+async function exportLeads(tenant, query = {}) {
+  const format = parseFormat(query.format);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const range = parseFilterRange(query, timezone);
+  const local = value => (value ? formatDateTimeKey(value, timezone) : '');
+
+  const [leads, bookings, properties, feedback] = await Promise.all([
+    store.leads.find({
+      tenantId: tenant.id,
+      createdAfter: range.from || undefined,
+      createdBefore: range.to || undefined
+    }, { sort: [{ field: 'Created', direction: 'asc' }] }),
+    store.bookings.find({ tenantId: tenant.id }, { sort: [{ field: 'StartDateTime', direction: 'desc' }] }),
+    loadProperties(tenant.id),
+    loadFeedback(tenant.id)
+  ]);
+
+  const rows = leads
+    .filter(lead => !query.status || lead['Status'] === query.status)
+    .map(lead => {
+      const own = bookings.filter(b => first(b['Lead']) === lead.id);
+      const kept = own.filter(b => !RELEASED_STATUSES.includes(b['Status']));
+      const latest = kept[0] || own[0] || null;
+      const property = latest ? properties.get(first(latest['Property'])) : null;
+      const answer = feedback.byLead.get(lead.id);
+
+      return {
+        name: lead['Name'] || '',
+        phone: lead['Phone'] || '',
+        interest: lead['Interest'] || '',
+        budget: lead['Budget'] || '',
+        location: lead['Location'] || '',
+        size: lead['Size'] || '',
+        status: lead['Status'] || '',
+        stage: lead['Conversation Stage'] || '',
+        score: lead['Score'] === undefined ? '' : lead['Score'],
+        tier: lead['Tier'] || '',
+        language: lead['Language'] || '',
+        bookings: kept.length,
+        lastProperty: property ? property['Property Name'] : '',
+        lastViewing: latest ? local(latest['StartDateTime']) : '',
+        lastBookingStatus: latest ? latest['Status'] || '' : '',
+        interested: answer ? yesNo(answer['Interested']) : '',
+        rating: answer && answer['Rating'] ? answer['Rating'] : '',
+        reason: answer ? answer['Reason'] || '' : '',
+        comments: answer ? answer['Comments'] || '' : '',
+        created: local(lead['Created'])
+      };
+    });
+
+  console.log(`Lead export (${format}) for ${tenant.id}: ${rows.length} rows`);
+
+  return { format, filename: fileName('leads', range, timezone), sheetName: 'Leads', columns: LEAD_COLUMNS, rows };
+}
+
+// ============================================
+// Bookings
+// ============================================
+
+// Rule keys of the reminders that went out for the viewing's current time, and whether a
+// follow-up did (Notification Log, plus the old checkboxes)
+function sentNotifications(booking, rules) {
+  const sent = rules.filter(rule => notifications.wasSent(booking, rule.key));
+  return {
+    reminders: sent.filter(rule => rule.type === 'reminder').map(rule => rule.key),
+    followUp: sent.some(rule => rule.type === 'followup') || Boolean(booking['FollowUpSent'])
+  };
+}
+
+// { format, filename, sheetName, columns, rows }
+async function exportBookings(tenant, query = {}) {
+  const format = parseFormat(query.format);
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const range = parseFilterRange(query, timezone);
+  const local = value => (value ? formatDateTimeKey(value, timezone) : '');
+
+  const [bookings, leads, properties, feedback, rules] = await Promise.all([
+    store.bookings.find({
+      tenantId: tenant.id,
+      propertyId: query.propertyId || undefined,
+      agentId: query.agentId || undefined,
+      status: query.status || undefined
+    }, { sort: [{ field: 'StartDateTime', direction: 'asc' }] }),
+    store.leads.find({ tenantId: tenant.id }),
+    loadProperties(tenant.id),
+    loadFeedback(tenant.id),
+    getNotificationRules(tenant.id)
+  ]);
+
+  const leadsById = new Map(leads.map(lead => [lead.id, lead]));
+
+  const rows = bookings
+    .filter(booking => inRange(booking['StartDateTime'], range))
+    .map(booking => {
+      const lead = leadsById.get(first(booking['Lead'])) || {};
+      const property = properties.get(first(booking['Property'])) || {};
+      const sent = sentNotifications(booking, rules);
+      const answer = feedback.byBooking.get(booking.id);
+
+      return {
+        bookingId: booking.id,
+        property: property['Property Name'] || '',
+        propertyLocation: property['Location'] || '',
+        address: property['Address'] || '',
+        leadName: lead['Name'] || '',
+        leadPhone: lead['Phone'] || '',
+        leadStatus: lead['Status'] || '',
+        agentName: first(booking['Agent Name'] || property['Agent Name']) || '',
+        agentPhone: first(booking['Agent Phone'] || property['Agent Phone']) || '',
+        start: local(booking['StartDateTime']),
+        end: local(booking['EndDateTime']),
+        status: booking['Status'] || '',
+        remindersSent: sent.reminders.join(', '),
+        followUpSent: yesNo(sent.followUp),
+        interested: answer ? yesNo(answer['Interested']) : '',
+        rating: answer && answer['Rating'] ? answer['Rating'] : '',
+        created: local(booking['Created'])
+      };
+    });
+
+  console.log(`Booking export (${format}) for ${tenant.id}: ${rows.length} rows`);
+
+  return { format, filename: fileName('bookings', range, timezone), sheetName: 'Bookings', columns: BOOKING_COLUMNS, rows };
+}
+
+module.exports = {
+  LEAD_COLUMNS,
+  BOOKING_COLUMNS,
+  exportLeads,
+  exportBookings
+};
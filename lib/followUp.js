@@ -0,0 +1,323 @@
+// lib/followUp.js - The lead's answers to the follow-up after a viewing (Feedback table)
+//
+// The follow-up (lib/notifications.js) asks how the viewing went. The answers are collected over
+// a few messages, the step being the lead's 'Conversation Stage':
+//
+//   1 Interested       the viewing's agent is alerted                   → rating → comments
+//   2 Not interested   reason (price, location, condition, size, other) → rating → comments
+//   3 / HI             a new search
+//
+// Feedback table:
+//   Tenant, Lead, Booking, Property   links
+//   Interested        checkbox
+//   Reason            Price | Location | Condition | Size | Other
+//   Rating            1-5
+//   Comments          free text
+//   Created           created time
+//
+// The record is created with the first answer and filled in as the others arrive; the lead's
+// 'Feedback ID' points at it. SKIP moves past the rating or the comments, HI leaves at any step.
+// The viewing is the lead's 'Follow-Up Booking ID' (set when the follow-up goes out), else their
+// latest one that has ended.
+const store = require('./store');
+const richMessages = require('./richMessages');
+const { getTemplates } = require('./templates');
+const { translator, resolveLocale, matchesKeyword } = require('./i18n');
+
+const STAGES = {
+  reason: 'feedback_reason',
+  rating: 'feedback_rating',
+  comments: 'feedback_comments'
+};
+
+// In the order they are offered (1-5); keyword list (lib/i18n catalogues) → Reason value
+const REASONS = [
+  { keyword: 'reasonPrice', value: 'Price' },
+  { keyword: 'reasonLocation', value: 'Location' },
+  { keyword: 'reasonCondition', value: 'Condition' },
+  { keyword: 'reasonSize', value: 'Size' },
+  { keyword: 'reasonOther', value: 'Other' }
+];
+
+const first = value => (Array.isArray(value) ? value[0] : value) || null;
+
+// ============================================
+// Parsing
+// ============================================
+
+// "4️⃣" → "4" (emoji presentation selector and keycap mark dropped)
+function withoutKeycaps(message) {
+  return (message || '').toString().replace(/[\uFE0F\u20E3]/g, '').trim();
+}
+
+// "1" / "interested" → 'interested', "2" / "not interested" → 'not_interested',
+// "3" / HI → 'new_search'; null for anything else. "not really interested" and "not for me" are a
+// no even though they mention interest; otherwise a reply that opens with a no ("no, thanks") is
+// only a no when it doesn't say they're interested ("no complaints, I'm interested").
+function parseAnswer(message) {
+  const text = (message || '').toString().trim().toLowerCase();
+
+  if (text === '2' || matchesKeyword(text, 'followUpNotInterested', { partial: true })) return 'not_interested';
+  if (text === '1' || matchesKeyword(text, 'followUpInterested', { partial: true })) return 'interested';
+  if (matchesKeyword(text, 'negation', { leading: true })) return 'not_interested';
+  if (text === '3' || matchesKeyword(text, 'greeting')) return 'new_search';
+  return null;
+}
+
+// "4", "4/5", "4 stars", "4️⃣", "⭐⭐⭐⭐" → 4; null when it isn't a rating from 1 to 5
+function parseRating(message) {
+  const text = withoutKeycaps(message).toLowerCase();
+
+  const stars = text.match(/^(?:⭐\s*){1,5}$/u);
+  if (stars) return (text.match(/⭐/gu) || []).length;
+
+  const match = text.match(/^([1-5])\s*(?:\/\s*5|stars?|nyota)?[.!]?$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// "3" / "price" → { reason }; "too expensive for us" → { reason, comments } (their own words are
+// kept); any other text → { reason: 'Other', comments }; null for a number that isn't an option
+function parseReason(message) {
+  const text = (message || '').toString().trim();
+  const number = withoutKeycaps(text).match(/^(\d+)[.)]?$/);
+
+  if (number) {
+    const reason = REASONS[parseInt(number[1]) - 1];
+    return reason ? { reason: reason.value } : null;
+  }
+
+  const reason = REASONS.find(r => matchesKeyword(text, r.keyword, { partial: true }));
+  if (reason) {
+    return matchesKeyword(text, reason.keyword) ? { reason: reason.value } : { reason: reason.value, comments: text };
+  }
+
+  return text ? { reason: 'Other', comments: text } : null;
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+// True when the lead's next message answers the follow-up
+function isCollecting(lead) {
+  return Boolean(lead && (lead['AwaitingFollowUpResponse'] || Object.values(STAGES).includes(lead['Conversation Stage'])));
+}
+
+// The viewing the follow-up was about
+async function findFollowUpBooking(lead) {
+  if (lead['Follow-Up Booking ID']) {
+    const booking = await store.bookings.get(lead['Follow-Up Booking ID']);
+    if (booking) return booking;
+  }
+
+  const [latest] = await store.bookings.find(
+    { leadId: lead.id, endBefore: new Date() },
+    { sort: [{ field: 'EndDateTime', direction: 'desc' }], limit: 1 }
+  );
+  return latest || null;
+}
+
+// ============================================
+// Steps
+// ============================================
+
+// Creates the Feedback record with the lead's first answer and alerts the agent when interested
+async function startFeedback({ tenant, lead, interested, t, tAgent, params }) {
+  const booking = await findFollowUpBooking(lead);
+  const propertyId = first(booking && booking['Property']);
+  const property = propertyId ? await store.properties.get(propertyId) : null;
+
+  const feedback = await store.feedback.create({
+    'Tenant': [tenant.id],
+    'Lead': [lead.id],
+    'Booking': booking ? [booking.id] : [],
+    'Property': propertyId ? [propertyId] : [],
+    'Interested': interested
+  });
+  console.log(`Feedback ${feedback.id}: ${lead.id} is ${interested ? 'interested' : 'not interested'}`);
+
+  const knownProperty = (property && property['Property Name']) || lead['LastViewedProperty'];
+  const propertyName = knownProperty || t('followup.aProperty');
+  const leadFields = {
+    'Conversation Stage': interested ? STAGES.rating : STAGES.reason,
+    'AwaitingFollowUpResponse': false,
+    'Feedback ID': feedback.id
+  };
+
+  if (!interested) {
+    return {
+      action: 'followup_not_interested',
+      leadFields: leadFields,
+      reply: t('feedback.askReason', { ...params, propertyName: propertyName }),
+      choice: 'reason'
+    };
+  }
+
+  // The booking's assigned agent, else the property's lookup fields
+  const agentPhone = first((booking && booking['Agent Phone']) || (property && property['Agent Phone']));
+  const agentNotification = {
+    agentPhone: agentPhone,
+    message: tAgent(knownProperty ? 'followup.agentHotLead' : 'followup.agentHotLeadNoProperty',
+      { leadName: params.leadName, propertyName: knownProperty, leadPhone: lead['Phone'] }),
+    sendTo: tenant['WhatsApp Number'],
+    leadName: params.leadName,
+    leadPhone: lead['Phone'],
+    propertyName: propertyName
+  };
+
+  return {
+    action: 'followup_interested',
+    leadFields: leadFields,
+    reply: [t('followup.interested', params), t('feedback.askRating', { ...params, propertyName: propertyName })].join('\n\n'),
+    choice: 'rating',
+    agentNotifications: agentPhone ? [agentNotification] : []
+  };
+}
+
+// Ends the conversation about the viewing
+function finishFeedback(interested, t, params) {
+  return {
+    action: 'feedback_done',
+    leadFields: {
+      'Conversation Stage': interested ? 'interested_after_viewing' : 'not_interested_after_viewing',
+      'Feedback ID': ''
+    },
+    reply: interested ? t('feedback.thanks', params) : t('followup.notInterested', params)
+  };
+}
+
+function loadFeedback(lead) {
+  return lead['Feedback ID'] ? store.feedback.get(lead['Feedback ID']) : null;
+}
+
+// Handles the reason / rating / comments steps
+async function continueFeedback({ lead, message, stage, t, params }) {
+  const feedback = await loadFeedback(lead);
+  const skip = matchesKeyword(message, 'skip');
+
+  // The record went missing - nothing left to fill in
+  if (!feedback) {
+    return finishFeedback(false, t, params);
+  }
+
+  if (stage === STAGES.reason) {
+    const parsed = parseReason(message);
+    if (!parsed) {
+      return { action: 'feedback_invalid', reply: [t('feedback.invalid'), t('feedback.askReason', params)].join('\n\n'), choice: 'reason' };
+    }
+
+    await store.feedback.update(feedback.id, { 'Reason': parsed.reason, ...(parsed.comments ? { 'Comments': parsed.comments } : {}) });
+    return {
+      action: 'feedback_reason',
+      leadFields: { 'Conversation Stage': STAGES.rating },
+      reply: t('feedback.askRating', params),
+      choice: 'rating'
+    };
+  }
+
+  if (stage === STAGES.rating) {
+    const rating = skip ? null : parseRating(message);
+    if (!skip && rating === null) {
+      return { action: 'feedback_invalid', reply: [t('feedback.invalid'), t('feedback.askRating', params)].join('\n\n'), choice: 'rating' };
+    }
+
+    if (rating !== null) {
+      await store.feedback.update(feedback.id, { 'Rating': rating });
+    }
+    return {
+      action: 'feedback_rating',
+      leadFields: { 'Conversation Stage': STAGES.comments },
+      reply: t('feedback.askComments', params),
+      choice: 'skip'
+    };
+  }
+
+  // Comments: anything but SKIP, added to what the reason step may have kept
+  if (!skip) {
+    const comments = [feedback['Comments'], message.toString().trim()].filter(Boolean).join('\n');
+    await store.feedback.update(feedback.id, { 'Comments': comments });
+  }
+  return finishFeedback(Boolean(feedback['Interested']), t, params);
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// Runs the lead's message through the follow-up conversation. Returns null when the lead isn't
+// answering a follow-up or the message isn't an answer (it then goes through the normal
+// conversation). strict: the lead is answering the follow-up question whatever their state
+// (/api/handle-followup-response) and an unrecognised answer gets 'followup_invalid'.
+// Otherwise { action, reply, messages, agentNotifications, lead, feedbackId, restart } - restart
+// means the lead asked for a new search, which the caller starts (reply is then only a hint to
+// send HI, for callers that can't).
+async function handleFollowUpMessage({ tenant, lead, message, rich = false, strict = false }) {
+  if (!lead || !(strict || isCollecting(lead))) return null;
+
+  const templates = await getTemplates(tenant.id);
+  const t = translator(resolveLocale(lead['Language'], tenant['Default Language']), templates);
+  const tAgent = translator(resolveLocale(tenant['Default Language']), templates);
+  const params = {
+    leadName: lead['Name'] || t('followup.there'),
+    companyName: tenant['Company Name'],
+    botName: tenant['Bot Name'],
+    propertyName: lead['LastViewedProperty'] || t('followup.aProperty')
+  };
+
+  const text = (message || '').toString().trim();
+  const stage = Object.values(STAGES).includes(lead['Conversation Stage']) ? lead['Conversation Stage'] : null;
+  let outcome;
+
+  if (stage && matchesKeyword(text, 'greeting')) {
+    // HI leaves the questions; what was answered so far stays on the record
+    const feedback = await loadFeedback(lead);
+    const finished = finishFeedback(Boolean(feedback && feedback['Interested']), t, params);
+    outcome = { action: 'new_search', restart: true, reply: t('common.startOver'), leadFields: finished.leadFields };
+  } else if (stage) {
+    outcome = await continueFeedback({ lead, message: text, stage, t, params });
+  } else {
+    const answer = parseAnswer(text);
+
+    if (answer === 'new_search') {
+      outcome = { action: 'new_search', restart: true, reply: t('common.startOver'), leadFields: { 'AwaitingFollowUpResponse': false } };
+    } else if (answer) {
+      outcome = await startFeedback({ tenant, lead, interested: answer === 'interested', t, tAgent, params });
+    } else if (strict) {
+      outcome = { action: 'followup_invalid', reply: t('followup.invalid', params) };
+    } else {
+      return null;
+    }
+  }
+
+  console.log('Follow-up:', lead.id, '→', outcome.action);
+
+  const updated = outcome.leadFields ? await store.leads.update(lead.id, outcome.leadFields) : lead;
+  const locale = t.locale;
+  const builders = {
+    rating: richMessages.ratingChoice,
+    reason: richMessages.reasonChoice,
+    skip: richMessages.skipChoice
+  };
+
+  return {
+    action: outcome.action,
+    reply: outcome.reply || null,
+    messages: rich && outcome.reply
+      ? (outcome.choice ? builders[outcome.choice](outcome.reply, locale) : richMessages.text(outcome.reply))
+      : null,
+    agentNotifications: outcome.agentNotifications || [],
+    lead: updated,
+    feedbackId: (outcome.leadFields && outcome.leadFields['Feedback ID']) || lead['Feedback ID'] || null,
+    restart: Boolean(outcome.restart)
+  };
+}
+
+module.exports = {
+  STAGES,
+  REASONS,
+  parseAnswer,
+  parseRating,
+  parseReason,
+  isCollecting,
+  handleFollowUpMessage
+};
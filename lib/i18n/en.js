@@ -0,0 +1,503 @@
+// lib/i18n/en.js - English message catalogue (the default; other catalogues fall back to it)
+//
+// {{name}} placeholders are filled in by lib/i18n t(). Keep WhatsApp formatting (*bold*, _italic_).
+
+module.exports = {
+  locale: 'en',
+  name: 'English',
+  intl: 'en-KE',
+
+  // Replies that switch the conversation to this language
+  languageNames: ['english', 'kiingereza', 'kingereza'],
+
+  // Commands recognised whatever language the lead is using
+  keywords: {
+    greeting: ['hi', 'hello', 'hey', 'start', 'helo', 'restart'],
+    cancel: ['cancel'],
+    reschedule: ['reschedule', 'change time', 'change date', 'another time', 'rebook'],
+    myBookings: ['my bookings', 'my booking', 'bookings', 'my viewings', 'viewings'],
+    more: ['more', 'next', 'show more', 'more properties'],
+
+    // Answers to the follow-up after a viewing (lib/followUp.js); reasons match anywhere in the reply
+    followUpInterested: ['interested', 'yes', 'i liked it'],
+    followUpNotInterested: ['not interested', "didn't like", 'did not like', "don't like", 'not for me', 'not really'],
+    // A follow-up answer that starts with one of these ("no, thanks", "nope") is a no
+    negation: ['no', 'nope', 'nah', 'not'],
+    skip: ['skip', 'no', 'none', 'nothing', 'no comments'],
+    reasonPrice: ['price', 'expensive', 'cost', 'costly'],
+    reasonLocation: ['location', 'area', 'far', 'neighbourhood', 'neighborhood'],
+    reasonCondition: ['condition', 'old', 'dirty', 'repairs', 'state'],
+    reasonSize: ['size', 'small', 'too big', 'space', 'rooms'],
+    reasonOther: ['other', 'something else'],
+
+    // Agent commands (lib/agentCommands.js), optionally followed by a number
+    agentConfirm: ['confirm', 'confirmed'],
+    agentDecline: ['decline', 'declined'],
+    agentLate: ['running late', 'late', 'delayed'],
+    agentDone: ['done', 'completed', 'complete'],
+    agentNoShow: ['no-show', 'no show', 'noshow'],
+    agentToday: ['today', 'schedule', 'my schedule']
+  },
+
+  messages: {
+    // ---- Common ----
+    'common.notSpecified': 'Not specified',
+    'common.startOver': 'Reply HI to start a new search.',
+    'common.error': 'Oops! Something went wrong. Please try again or send HI to restart.',
+    'common.textOnly': 'Sorry, I can only read text messages for now. Send HI to start! 🏡',
+    'language.switched': 'Okay! We will continue in English. 🇬🇧',
+
+    // ---- Greeting ----
+    'greeting.new': `Hi! Welcome to {{companyName}} 👋
+
+I'm {{botName}}, your property assistant.
+
+What are you looking for?
+
+{{options}}
+
+Reply with the name or number (e.g., Buy or 1).
+
+🌍 Reply KISWAHILI kwa Kiswahili.`,
+    'greeting.returning': `Hi! Welcome back to {{companyName}} 👋
+
+I'm {{botName}}, your property assistant.
+
+What are you looking for?
+
+{{options}}
+
+Reply with the name or number (e.g., Rent or 2).`,
+    'greeting.defaultBotName': 'PropertyBot',
+    'greeting.defaultCompanyName': 'our company',
+
+    // ---- Stage prompts ----
+    'type.invalid': `Please choose from the options below:
+
+{{options}}
+
+Reply with the name or number.`,
+    'name.ask': `Great choice! 👍
+
+What's your name?
+
+(Just type your name, e.g., Peter or Mary Jane)`,
+    'name.invalid': `I didn't quite catch that.
+
+Please enter your name (e.g., John or Mary Jane).
+
+Just your name is enough! 😊`,
+    'budget.ask': `Nice to meet you, {{name}}! 👋
+
+What's your budget?
+
+Examples:
+• 500000
+• 5M
+• 500K
+
+Just type the amount!`,
+    'budget.invalid': `I didn't understand that budget.
+
+Please enter a valid amount:
+• 5000000
+• 5M (5 million)
+• 500K (500 thousand)
+
+Just the number is fine!`,
+    'location.fetching': 'Great! 💰\n\nLet me check available areas... 🔍',
+    'location.invalid': `Please choose a location from the list above.
+
+Just type the area name (e.g., Westlands or Karen).`,
+    'location.checking': `Perfect! 📍\n\nChecking what's available in {{location}}... 🔍`,
+    'size.invalid': `Please enter the number of bedrooms you need.
+
+Examples: 1, 2, 3, 4, etc.
+
+Just the number!`,
+    'size.searching': `✅ Got it! Let me find the best matches for you...
+
+📋 Your preferences:
+• Interest: {{interest}}
+• Budget: KES {{budget}}
+• Location: {{location}}
+• Bedrooms: {{bedrooms}}
+
+Searching properties... 🔍`,
+    'landSize.invalid': `Please enter the plot size you're interested in.
+
+Examples:
+• 50x100
+• 1/4 Acre
+• 1/8
+
+Choose from the options above!`,
+    'landSize.searching': `✅ Got it! Let me find the best land matches for you...
+
+📋 Your preferences:
+• Interest: {{interest}}
+• Budget: KES {{budget}}
+• Location: {{location}}
+• Plot Size: {{plotSize}}
+
+Searching properties... 🔍`,
+    'property.invalid': `Please reply with the property number you want to view.
+
+Example: Property1 or just 1
+
+Reply MORE to see more properties.`,
+    'property.checking': 'Great choice! 🎉\n\nLet me check availability for you... ⏳',
+    'slot.invalid': `Please reply with the slot number.
+
+Example: 3 or Slot 3`,
+    'booking.creating': 'Creating your booking... ✅',
+    'booking.cancelling': 'Cancelling your booking... ⏳',
+
+    // ---- Help (catch-all per stage) ----
+    'help.asked_buy_or_rent': `Please choose from the options:
+
+{{options}}
+
+Reply with the name or number.`,
+    'help.asked_name': `Please enter your name.
+
+Just your first name or full name (e.g., John or Mary Jane).`,
+    'help.asked_budget': `Please enter your budget.
+
+Examples:
+• 5000000
+• 5M (5 million)
+• 500K (500 thousand)`,
+    'help.asked_location': 'Please choose a location from the list above.',
+    'help.asked_size': 'Please enter the number of bedrooms (e.g., 1, 2, 3).',
+    'help.asked_land_size': `Please enter the plot size.
+
+Examples: 50x100, 1/4 Acre, 1/8`,
+    'help.awaiting_time_slot': 'Please reply with the slot number (e.g., 1, 2, 3).',
+    'help.booking_confirmed': 'Your viewing is confirmed! Reply RESCHEDULE to change the time, CANCEL to cancel, MY BOOKINGS to see all your viewings, or HI to start over.',
+    'help.viewing_bookings': 'Reply CANCEL or RESCHEDULE with the viewing number (e.g., CANCEL 1), or HI to start a new search.',
+    'help.awaiting_reschedule_slot': 'Please reply with the number of the new time (e.g., 1, 2, 3), or CANCEL to cancel the viewing.',
+    'help.default': "Hi! Send 'HI' to start finding your perfect property! 🏡",
+
+    // ---- Locations / sizes ----
+    'locations.none': `Sorry, we don't have any {{interest}} listings available right now. 😔`,
+    'locations.lookElsewhere': 'Reply HI to look for something else.',
+    'locations.heading': '📍 *Available areas:*',
+    'locations.question': 'Which location are you interested in?',
+    'locations.noneListed': '• No locations available',
+    'locations.chooseAnother': 'Please choose another area:\n{{locations}}',
+    'sizes.none': `Sorry, we don't have any {{interest}} properties in {{location}} right now.`,
+    'sizes.heading': '*Available options in {{location}}:*',
+    'sizes.questionLand': 'Which plot size are you looking for?',
+    'sizes.questionHouse': 'How many bedrooms do you need?',
+    'sizes.bedroom': '{{count}} bedroom',
+    'sizes.bedrooms': '{{count}} bedrooms',
+
+    // ---- Search results ----
+    'search.noMatches': 'Sorry, no properties match your preferences right now. 😔',
+    'search.headingMatches': '🏡 *Matching properties:*',
+    'search.headingAlternatives': '🔎 *No exact matches, but these are close:*',
+    'search.headingMore': '🏡 *More properties (page {{page}} of {{totalPages}}):*',
+    'search.footer': 'Reply with the property number to book a viewing (e.g., {{first}}).',
+    'search.footerMore': 'Reply MORE to see more properties.',
+    'search.priceOnRequest': 'Price on request',
+    'search.noResults': 'There are no search results to show. Reply HI to start a new search.',
+    'search.end': `That's all the properties for your search. 🏡`,
+    'search.endHint': 'Reply with a property number to book a viewing, or HI to start a new search.',
+    'search.gone': 'Those properties are no longer available. Reply HI to start a new search.',
+    'search.outOfRange': 'Please choose a property number between 1 and {{total}}.',
+    'search.propertyGone': 'Sorry, that property is no longer available. Please choose another number, or reply HI to start over.',
+    'match.nearbyBedrooms': '{{bedrooms}} bedrooms instead of {{wanted}}',
+    'match.nearbyBedroom': '{{bedrooms}} bedroom instead of {{wanted}}',
+    'match.higherPrice': 'KES {{amount}} above your budget',
+    'match.otherLocation': 'In {{location}} instead of {{wanted}}',
+
+    // ---- Slots ----
+    'slots.heading': '📅 Available viewings:',
+    'slots.footer': 'Reply with slot number.',
+    'slots.none': `No available slots in the next {{days}} days.\n\nOur agent will contact you!`,
+    'slots.tryAnotherProperty': 'Reply with another property number, or HI to start over.',
+    'slots.chooseFromList': 'Please reply with one of the slot numbers from the list above.',
+
+    // ---- Booking ----
+    'booking.slotTaken': '⚠️ Sorry, that time slot was just taken by another client!\n\nPlease select another time or reply HI to search again.',
+    'booking.confirmed': `✅ *VIEWING CONFIRMED!*
+
+*Booking Details:*
+Property: {{propertyName}}
+Date: {{slotDate}}
+Time: {{slotTime}}
+*Location:* {{propertyAddress}}
+
+{{agentDetails}}See you there! Reply RESCHEDULE to change the time or CANCEL if you need to cancel.`,
+    'booking.agentLine': '👤 *Agent:* {{agentName}}\n',
+    'booking.agentPhoneLine': '📱 *Agent Phone:* {{agentPhone}}\n\n',
+    'booking.agentNew': `🔔 *NEW VIEWING SCHEDULED*
+
+📋 *CLIENT:*
+{{leadName}}
+{{leadPhone}}
+
+🏠 *PROPERTY:*
+{{propertyName}}
+{{propertyAddress}}
+
+📅 {{slotDate}}
+⏰ {{slotTime}}
+⏱️ Duration: {{duration}}
+
+✅ Added to your calendar
+
+Reply CONFIRM to confirm, or DECLINE if you can't make it.`,
+    'duration.hour': '{{count}} hour',
+    'duration.hours': '{{count}} hours',
+    'duration.minutes': '{{count}} minutes',
+    'duration.days': '{{count}} days',
+
+    // ---- Cancellation ----
+    'cancel.none': "You don't have any active bookings to cancel.\n\nReply HI to search for properties! 🏡",
+    'cancel.theProperty': 'the property',
+    'cancel.done': `❌ *Viewing Cancelled*
+
+Your viewing has been cancelled:
+
+🏠 *Property:* {{propertyName}}
+📅 *Was scheduled for:* {{slotDate}}
+⏰ *Time:* {{slotTime}}
+
+If you'd like to reschedule, reply *HI* to start over.`,
+    'cancel.agent': `🔔 *VIEWING CANCELLED*
+
+A viewing has been cancelled.
+
+👤 *Client:* {{leadName}}
+🏠 *Property:* {{propertyName}}
+📅 *Was scheduled for:* {{slotDate}} at {{slotTime}}
+
+The calendar event has been removed.`,
+
+    // ---- MY BOOKINGS ----
+    'bookings.checking': 'Checking your viewings... 📅',
+    'bookings.heading': '📅 *Your upcoming viewings:*',
+    'bookings.item': '{{number}}️⃣ *{{propertyName}}*\n{{slotDate}}, {{slotTime}}',
+    'bookings.footer': 'Reply CANCEL or RESCHEDULE with the viewing number (e.g., CANCEL 1).',
+    'bookings.none': "You don't have any upcoming viewings.\n\nReply HI to search for properties! 🏡",
+    'bookings.whichCancel': 'You have more than one viewing booked. Which one would you like to cancel?',
+    'bookings.whichReschedule': 'You have more than one viewing booked. Which one would you like to move?',
+    'bookings.invalidNumber': 'Please choose a viewing number between 1 and {{total}}.',
+    'bookings.notActive': 'That viewing is no longer booked.',
+
+    // ---- Rescheduling ----
+    'reschedule.checking': 'No problem! Let me find other times for your viewing... ⏳',
+    'reschedule.moving': 'Moving your viewing... ⏳',
+    'reschedule.none': "You don't have a booked viewing to reschedule.\n\nReply HI to search for properties! 🏡",
+    'reschedule.current': '🏠 *{{propertyName}}*\nCurrently booked: {{slotDate}}, {{slotTime}}',
+    'reschedule.keepCurrent': 'Your current viewing is still booked. Reply CANCEL if you can no longer make it.',
+    'reschedule.slotTaken': '⚠️ Sorry, that time was just taken by another client! Your viewing is still on {{slotDate}}, {{slotTime}}.',
+    'reschedule.done': `✅ *VIEWING RESCHEDULED!*
+
+Property: {{propertyName}}
+New date: {{slotDate}}
+New time: {{slotTime}}
+*Location:* {{propertyAddress}}
+
+(Previously {{oldDate}}, {{oldTime}})
+
+See you there! Reply RESCHEDULE to change it again or CANCEL to cancel.`,
+    'reschedule.agent': `🔔 *VIEWING RESCHEDULED*
+
+👤 *Client:* {{leadName}}
+📱 {{leadPhone}}
+🏠 *Property:* {{propertyName}}
+
+❌ *Was:* {{oldDate}} at {{oldTime}}
+✅ *Now:* {{slotDate}} at {{slotTime}}
+
+Your calendar has been updated.`,
+
+    // ---- Reminders ----
+    'reminder.12h': `🔔 REMINDER: Viewing Tomorrow!
+
+ {{propertyName}}
+ {{slotDate}}
+ {{slotTime}}
+ {{propertyAddress}}
+
+{{agentDetails}}See you there!`,
+    'reminder.agentLine': ' Agent: {{agentName}}\n',
+    'reminder.agentPhoneLine': ' {{agentPhone}}\n\n',
+    'reminder.1h': `⏰ Your viewing starts in 1 HOUR!
+
+ {{propertyName}}
+ {{propertyAddress}}
+
+The agent is ready for you! 🎉`,
+    'reminder.upcoming': `🔔 REMINDER: Your viewing is in {{timeLeft}}
+
+ {{propertyName}}
+ {{slotDate}}
+ {{slotTime}}
+ {{propertyAddress}}
+
+{{agentDetails}}See you there!`,
+    'reminder.agent12h': `🔔 *UPCOMING VIEWING REMINDER*
+
+👤 Client: {{leadName}}
+📱 Phone: {{leadPhone}}
+🏠 Property: {{propertyName}}
+📅 Date: {{slotDate}}
+⏰ Time: {{slotTime}}
+
+Please be ready to meet the client.`,
+    'reminder.agent1h': `🔔 *UPCOMING VIEWING REMINDER*
+
+👤 Client: {{leadName}}
+📱 Phone: {{leadPhone}}
+🏠 Property: {{propertyName}}
+📅 Date: {{slotDate}}
+⏰ Time: {{slotTime}}
+
+The client is on their way!`,
+    'reminder.agentUpcoming': `🔔 *UPCOMING VIEWING REMINDER* (in {{timeLeft}})
+
+👤 Client: {{leadName}}
+📱 Phone: {{leadPhone}}
+🏠 Property: {{propertyName}}
+📅 Date: {{slotDate}}
+⏰ Time: {{slotTime}}
+
+Please be ready to meet the client.`,
+
+    // ---- Agent commands (replies to the agent) ----
+    'agentCommand.today': '📅 *Your viewings today ({{date}}):*',
+    'agentCommand.item': '{{number}}️⃣ {{slotTime}} – *{{propertyName}}*\n👤 {{leadName}} ({{leadPhone}}) · {{status}}',
+    'agentCommand.itemDated': '{{number}}️⃣ {{slotDate}}, {{slotTime}} – *{{propertyName}}*\n👤 {{leadName}} ({{leadPhone}}) · {{status}}',
+    'agentCommand.footer': 'Reply CONFIRM, DECLINE, DONE or NO-SHOW with the number (e.g., CONFIRM 1), or RUNNING LATE 15 if you are 15 minutes late.',
+    'agentCommand.noneToday': 'You have no viewings today. 🎉',
+    'agentCommand.which': 'More than one viewing matches. Which one?',
+    'agentCommand.noViewing': "I couldn't find a viewing to update. Reply TODAY to see your viewings.",
+    'agentCommand.invalidNumber': 'Please choose a viewing number between 1 and {{total}}. Reply TODAY to see your viewings.',
+    'agentCommand.notAllowed': 'That viewing is already {{status}}.',
+    'agentCommand.confirmed': '✅ Confirmed: *{{propertyName}}*, {{slotDate}} at {{slotTime}} with {{leadName}}. The client has been told.',
+    'agentCommand.declined': '❌ Declined: *{{propertyName}}*, {{slotDate}} at {{slotTime}}. The calendar event has been removed and {{leadName}} has been asked to book another time.',
+    'agentCommand.runningLate': '⏰ {{leadName}} has been told you are running late for *{{propertyName}}* ({{slotTime}}).',
+    'agentCommand.done': '🏁 Marked as done: *{{propertyName}}* with {{leadName}}. Thanks!',
+    'agentCommand.noShow': '🚫 Marked as a no-show: *{{propertyName}}* with {{leadName}} ({{slotTime}}).',
+    'bookingStatus.scheduled': 'scheduled',
+    'bookingStatus.confirmed': 'confirmed',
+    'bookingStatus.runningLate': 'running late',
+    'bookingStatus.completed': 'completed',
+    'bookingStatus.noShow': 'a no-show',
+    'bookingStatus.declined': 'declined',
+    'bookingStatus.cancelled': 'cancelled',
+
+    // ---- Agent updates (sent to the lead) ----
+    'agentUpdate.theAgent': 'your agent',
+    'agentUpdate.confirmed': `✅ *Viewing confirmed by the agent*
+
+Hi {{leadName}}, {{agentName}} has confirmed your viewing:
+
+🏠 {{propertyName}}
+📅 {{slotDate}}
+⏰ {{slotTime}}
+📍 {{propertyAddress}}
+
+See you there!`,
+    'agentUpdate.declined': `😔 *Viewing cancelled by the agent*
+
+Sorry {{leadName}}, {{agentName}} can no longer make your viewing of {{propertyName}} on {{slotDate}} at {{slotTime}}.
+
+Reply HI to book another time.`,
+    'agentUpdate.runningLate': '⏰ Hi {{leadName}}, {{agentName}} is running about {{minutes}} minutes late for your viewing of {{propertyName}} ({{slotTime}}). Sorry for the wait!',
+    'agentUpdate.runningLateNoTime': '⏰ Hi {{leadName}}, {{agentName}} is running a little late for your viewing of {{propertyName}} ({{slotTime}}). Sorry for the wait!',
+    'agentUpdate.done': 'Thanks for viewing *{{propertyName}}* with us today, {{leadName}}! 🏡',
+    'agentUpdate.noShow': `We missed you at the viewing of *{{propertyName}}* today, {{leadName}}. 😔
+
+Reply HI to book another time.`,
+
+    // ---- Follow-up after a viewing ----
+    'followup.ask': `Hi {{leadName}} 👋
+
+How was your viewing of {{propertyName}}?
+
+Reply:
+1️⃣ Interested
+2️⃣ Not Interested
+3️⃣ HI – to search another property
+
+We're here to help! 🏡`,
+    'followup.nudge': `Hi {{leadName}} 👋
+
+Just checking in – are you still interested in {{propertyName}}?
+
+Reply:
+1️⃣ Interested
+2️⃣ Not Interested
+3️⃣ HI – to search another property`,
+    'followup.interested': `Great! 🎉\n\nOur agent will contact you shortly to discuss next steps!\n\nReply HI anytime to search for more properties.`,
+    'followup.notInterested': `Thank you for your feedback! 🙏\n\nIf you change your mind, just reply HI anytime.\n\nWe're always here to help! 🏡`,
+    'followup.invalid': `Please reply:\n1️⃣ Interested\n2️⃣ Not Interested\n3️⃣ HI – to search another property`,
+    'followup.agentHotLead': `🔥 *HOT LEAD ALERT!*\n\n{{leadName}} is INTERESTED after viewing!\n\nProperty: {{propertyName}}\n\n📞 Contact them ASAP: {{leadPhone}}\n\nStrike while the iron is hot! 🎯`,
+    'followup.agentHotLeadNoProperty': `🔥 *HOT LEAD ALERT!*\n\n{{leadName}} is INTERESTED after viewing!\n\n📞 Contact them ASAP: {{leadPhone}}\n\nStrike while the iron is hot! 🎯`,
+    'followup.aProperty': 'a property',
+    'followup.there': 'there',
+
+    // ---- Feedback after a viewing ----
+    'feedback.askRating': `How would you rate your viewing of {{propertyName}}?
+
+Reply with a number from 1 (poor) to 5 (excellent) ⭐`,
+    'feedback.askReason': `Sorry it wasn't the right one, {{leadName}}. What didn't work for you?
+
+1️⃣ Price
+2️⃣ Location
+3️⃣ Condition
+4️⃣ Size
+5️⃣ Something else
+
+Reply with the number, or tell us in your own words.`,
+    'feedback.askComments': `Anything else you'd like to tell us about {{propertyName}}?
+
+Type your comments, or reply SKIP.`,
+    'feedback.thanks': `Thank you for your feedback, {{leadName}}! 🙏\n\nReply HI anytime to search for more properties.`,
+    'feedback.invalid': `Sorry, I didn't get that. 🤔`,
+    'feedback.rating1': 'Poor',
+    'feedback.rating2': 'Fair',
+    'feedback.rating3': 'Good',
+    'feedback.rating4': 'Very good',
+    'feedback.rating5': 'Excellent',
+    'feedback.reasonPrice': 'Price',
+    'feedback.reasonLocation': 'Location',
+    'feedback.reasonCondition': 'Condition',
+    'feedback.reasonSize': 'Size',
+    'feedback.reasonOther': 'Something else',
+
+    // ---- Lead score ----
+    'score.agentAlert': `📈 *LEAD SCORE ALERT*\n\n{{leadName}} now scores {{score}}/100 ({{tier}}).\n\nLast viewing: {{propertyName}}\n\n📞 {{leadPhone}}`,
+
+    // ---- Buttons and lists ----
+    'rich.choose': 'Choose',
+    'rich.chooseOption': 'Choose an option:',
+    'rich.options': 'Options',
+    'rich.chooseType': 'Choose type',
+    'rich.lookingTo': 'Looking to',
+    'rich.chooseArea': 'Choose area',
+    'rich.areas': 'Areas',
+    'rich.chooseSize': 'Choose size',
+    'rich.sizes': 'Sizes',
+    'rich.chooseTime': 'Choose time',
+    'rich.chooseViewingTime': 'Choose a viewing time:',
+    'rich.availableViewings': 'Available viewings',
+    'rich.chooseProperty': 'Choose property',
+    'rich.properties': 'Properties',
+    'rich.whichProperty': 'Which property would you like to view?',
+    'rich.seeMore': 'See more properties',
+    'rich.interested': 'Interested',
+    'rich.notInterested': 'Not Interested',
+    'rich.newSearch': 'New search',
+    'rich.rate': 'Rate',
+    'rich.ratings': 'Ratings',
+    'rich.chooseReason': 'Choose reason',
+    'rich.reasons': 'Reasons',
+    'rich.skip': 'Skip'
+  }
+};
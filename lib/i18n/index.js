@@ -0,0 +1,184 @@
+// lib/i18n/index.js - Message catalogues and locale selection
+//
+// A conversation's locale is the lead's saved 'Language', else the tenant's 'Default Language',
+// else English. Catalogue keys missing from a language fall back to English.
+//
+// Tenants can override messages with their own wording (lib/templates.js). Overrides are passed
+// in as { key: { <locale>: text, '*': text } } and win over the catalogues.
+//
+//   const t = translator('sw');
+//   t('budget.ask', { name: 'Amina' })  → "Nimefurahi kukufahamu, Amina! 👋 ..."
+const en = require('./en');
+const sw = require('./sw');
+
+const DEFAULT_LOCALE = 'en';
+
+const catalogues = { en, sw };
+
+// Accepts codes and names as they appear in Airtable: "sw", "sw-KE", "Swahili", "Kiswahili"
+function normalizeLocale(value) {
+  if (!value) return null;
+  const raw = value.toString().trim().toLowerCase();
+
+  if (catalogues[raw]) return raw;
+
+  const code = raw.split(/[-_]/)[0];
+  if (catalogues[code]) return code;
+
+  const match = Object.values(catalogues).find(c =>
+    c.name.toLowerCase() === raw || c.languageNames.includes(raw));
+  return match ? match.locale : null;
+}
+
+// First usable locale of the candidates (lead setting, tenant setting, ...)
+function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function interpolate(template, params = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    params[name] === undefined || params[name] === null ? '' : String(params[name]));
+}
+
+// Built-in text of a key (no tenant overrides), or undefined for unknown keys
+function catalogueText(locale, key) {
+  const catalogue = catalogues[locale] || catalogues[DEFAULT_LOCALE];
+  return catalogue.messages[key] !== undefined
+    ? catalogue.messages[key]
+    : catalogues[DEFAULT_LOCALE].messages[key];
+}
+
+function overrideText(overrides, locale, key) {
+  const override = overrides && overrides[key];
+  if (!override) return undefined;
+  return override[locale] !== undefined ? override[locale] : override['*'];
+}
+
+function t(locale, key, params, overrides) {
+  const override = overrideText(overrides, locale, key);
+  const template = override !== undefined ? override : catalogueText(locale, key);
+
+  if (template === undefined) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+
+  return interpolate(template, params);
+}
+
+function translator(locale, overrides) {
+  const resolved = resolveLocale(locale);
+  const translate = (key, params) => t(resolved, key, params, overrides);
+  translate.locale = resolved;
+  return translate;
+}
+
+function hasMessage(key) {
+  return catalogues[DEFAULT_LOCALE].messages[key] !== undefined;
+}
+
+// {{name}} placeholders used in a template, in order of first use
+function placeholdersOf(template) {
+  const names = [];
+  (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!names.includes(name)) names.push(name);
+    return match;
+  });
+  return names;
+}
+
+// "Kiswahili" / "English" (optionally after "language"/"lugha") → locale to switch to
+function detectLanguageSwitch(message) {
+  const text = (message || '').toString().trim().toLowerCase().replace(/^(language|lugha)\s+/, '');
+  const match = Object.values(catalogues).find(c => c.languageNames.includes(text));
+  return match ? match.locale : null;
+}
+
+// Keywords are matched literally ("why?", "c.o.d"), as whole words
+function escapeKeyword(word) {
+  return word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordPattern(word) {
+  return `(?<!\\w)${escapeKeyword(word)}(?!\\w)`;
+}
+
+// Keywords work in every language, whatever the lead's locale.
+// partial: true also matches when the keyword appears inside the message ("please cancel"),
+// leading: true when the message starts with it ("no, thanks").
+function matchesKeyword(message, keyword, { partial = false, leading = false } = {}) {
+  const text = (message || '').toString().trim().toLowerCase();
+  if (!text) return false;
+
+  return Object.values(catalogues).some(c => (c.keywords[keyword] || []).some(word => {
+    if (partial) return new RegExp(keywordPattern(word)).test(text);
+    if (leading) return new RegExp(`^${keywordPattern(word)}`).test(text);
+    return text === word;
+  }));
+}
+
+// The number right after a keyword ("cancel 2", "ghairi 2") or a message that is only a number.
+// Numbers further on aren't read: "cancel my 2pm viewing" has none.
+function keywordNumber(message, keyword) {
+  const text = (message || '').toString().trim().toLowerCase();
+  if (/^\d+$/.test(text)) return parseInt(text);
+
+  for (const c of Object.values(catalogues)) {
+    for (const word of c.keywords[keyword] || []) {
+      const match = text.match(new RegExp(`(?<!\\w)${escapeKeyword(word)}\\s*#?(\\d+)(?!\\w|[:.]\\d|\\s*[ap]\\.?m\\b)`));
+      if (match) return parseInt(match[1]);
+    }
+  }
+  return null;
+}
+
+// ============================================
+// Dates and times
+// ============================================
+
+const DATE_STYLES = {
+  numeric: { year: 'numeric', month: 'numeric', day: 'numeric' },
+  short: { weekday: 'short', month: 'short', day: 'numeric' },
+  medium: { weekday: 'long', month: 'short', day: 'numeric' },
+  long: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }
+};
+
+function intlLocale(locale) {
+  return (catalogues[locale] || catalogues[DEFAULT_LOCALE]).intl;
+}
+
+function formatDate(date, locale, timezone, style = 'numeric') {
+  return new Date(date).toLocaleDateString(intlLocale(locale), { timeZone: timezone, ...DATE_STYLES[style] });
+}
+
+function formatTime(date, locale, timezone) {
+  return new Date(date).toLocaleTimeString(intlLocale(locale), {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: '2-digit',
+    hourCycle: 'h12'
+  });
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES: Object.keys(catalogues),
+  normalizeLocale,
+  resolveLocale,
+  t,
+  translator,
+  catalogueText,
+  hasMessage,
+  placeholdersOf,
+  interpolate,
+  detectLanguageSwitch,
+  matchesKeyword,
+  keywordNumber,
+  intlLocale,
+  formatDate,
+  formatTime
+};
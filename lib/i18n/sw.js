@@ -0,0 +1,496 @@
+// lib/i18n/sw.js - Swahili message catalogue (missing keys fall back to English)
+
+module.exports = {
+  locale: 'sw',
+  name: 'Kiswahili',
+  intl: 'sw-KE',
+
+  languageNames: ['kiswahili', 'swahili'],
+
+  keywords: {
+    greeting: ['habari', 'jambo', 'hujambo', 'mambo', 'sasa', 'niaje', 'salaam', 'anza'],
+    cancel: ['ghairi', 'sitisha'],
+    reschedule: ['badilisha', 'hamisha', 'badili muda', 'panga upya'],
+    myBookings: ['miadi yangu', 'miadi'],
+    more: ['zaidi', 'endelea', 'nyingine'],
+
+    followUpInterested: ['nimeipenda', 'napenda', 'nataka', 'ndiyo'],
+    followUpNotInterested: ['sijaipenda', 'siipendi', 'sikuipenda', 'sipendi', 'sitaki'],
+    negation: ['hapana', 'la'],
+    skip: ['ruka', 'hapana', 'hakuna'],
+    reasonPrice: ['bei', 'ghali'],
+    reasonLocation: ['eneo', 'mahali', 'mbali'],
+    reasonCondition: ['hali', 'chakavu', 'ukarabati'],
+    reasonSize: ['ukubwa', 'ndogo', 'nafasi'],
+    reasonOther: ['kingine', 'sababu nyingine'],
+
+    agentConfirm: ['thibitisha'],
+    agentDecline: ['kataa'],
+    agentLate: ['nimechelewa', 'nitachelewa', 'nachelewa'],
+    agentDone: ['imekamilika', 'nimemaliza'],
+    agentNoShow: ['hakufika', 'hajafika'],
+    agentToday: ['leo', 'ratiba']
+  },
+
+  messages: {
+    // ---- Common ----
+    'common.notSpecified': 'Haijatajwa',
+    'common.startOver': 'Jibu HABARI kuanza utafutaji mpya.',
+    'common.error': 'Samahani! Kuna tatizo limetokea. Tafadhali jaribu tena au tuma HABARI kuanza upya.',
+    'common.textOnly': 'Samahani, kwa sasa ninaweza kusoma ujumbe wa maandishi tu. Tuma HABARI kuanza! 🏡',
+    'language.switched': 'Sawa! Tutaendelea kwa Kiswahili. 🇰🇪',
+
+    // ---- Greeting ----
+    'greeting.new': `Habari! Karibu {{companyName}} 👋
+
+Mimi ni {{botName}}, msaidizi wako wa nyumba na viwanja.
+
+Unatafuta nini?
+
+{{options}}
+
+Jibu kwa jina au namba (mfano, Buy au 1).
+
+🌍 Reply ENGLISH for English.`,
+    'greeting.returning': `Habari! Karibu tena {{companyName}} 👋
+
+Mimi ni {{botName}}, msaidizi wako wa nyumba na viwanja.
+
+Unatafuta nini?
+
+{{options}}
+
+Jibu kwa jina au namba (mfano, Rent au 2).`,
+    'greeting.defaultBotName': 'PropertyBot',
+    'greeting.defaultCompanyName': 'kampuni yetu',
+
+    // ---- Stage prompts ----
+    'type.invalid': `Tafadhali chagua kati ya hizi:
+
+{{options}}
+
+Jibu kwa jina au namba.`,
+    'name.ask': `Chaguo zuri! 👍
+
+Jina lako ni nani?
+
+(Andika jina lako tu, mfano, Peter au Mary Jane)`,
+    'name.invalid': `Sikuelewa vizuri.
+
+Tafadhali andika jina lako (mfano, John au Mary Jane).
+
+Jina lako tu linatosha! 😊`,
+    'budget.ask': `Nimefurahi kukufahamu, {{name}}! 👋
+
+Bajeti yako ni kiasi gani?
+
+Mifano:
+• 500000
+• 5M
+• 500K
+
+Andika kiasi tu!`,
+    'budget.invalid': `Sikuelewa bajeti hiyo.
+
+Tafadhali andika kiasi sahihi:
+• 5000000
+• 5M (milioni 5)
+• 500K (elfu 500)
+
+Namba tu inatosha!`,
+    'location.fetching': 'Vizuri! 💰\n\nNaangalia maeneo yanayopatikana... 🔍',
+    'location.invalid': `Tafadhali chagua eneo kutoka kwenye orodha hapo juu.
+
+Andika jina la eneo tu (mfano, Westlands au Karen).`,
+    'location.checking': `Safi! 📍\n\nNaangalia kinachopatikana {{location}}... 🔍`,
+    'size.invalid': `Tafadhali andika idadi ya vyumba vya kulala unavyohitaji.
+
+Mifano: 1, 2, 3, 4, n.k.
+
+Namba tu!`,
+    'size.searching': `✅ Sawa! Nakutafutia zinazokufaa zaidi...
+
+📋 Mapendeleo yako:
+• Unataka: {{interest}}
+• Bajeti: KES {{budget}}
+• Eneo: {{location}}
+• Vyumba vya kulala: {{bedrooms}}
+
+Natafuta nyumba... 🔍`,
+    'landSize.invalid': `Tafadhali andika ukubwa wa kiwanja unaotaka.
+
+Mifano:
+• 50x100
+• 1/4 Acre
+• 1/8
+
+Chagua kutoka kwenye orodha hapo juu!`,
+    'landSize.searching': `✅ Sawa! Nakutafutia viwanja vinavyokufaa zaidi...
+
+📋 Mapendeleo yako:
+• Unataka: {{interest}}
+• Bajeti: KES {{budget}}
+• Eneo: {{location}}
+• Ukubwa wa kiwanja: {{plotSize}}
+
+Natafuta viwanja... 🔍`,
+    'property.invalid': `Tafadhali jibu kwa namba ya nyumba unayotaka kuona.
+
+Mfano: Property1 au 1 tu
+
+Jibu ZAIDI kuona nyumba zaidi.`,
+    'property.checking': 'Chaguo zuri! 🎉\n\nNaangalia nafasi zilizopo... ⏳',
+    'slot.invalid': `Tafadhali jibu kwa namba ya muda.
+
+Mfano: 3 au Slot 3`,
+    'booking.creating': 'Nahifadhi miadi yako... ✅',
+    'booking.cancelling': 'Naghairi miadi yako... ⏳',
+
+    // ---- Help ----
+    'help.asked_buy_or_rent': `Tafadhali chagua kati ya hizi:
+
+{{options}}
+
+Jibu kwa jina au namba.`,
+    'help.asked_name': `Tafadhali andika jina lako.
+
+Jina la kwanza au jina kamili (mfano, John au Mary Jane).`,
+    'help.asked_budget': `Tafadhali andika bajeti yako.
+
+Mifano:
+• 5000000
+• 5M (milioni 5)
+• 500K (elfu 500)`,
+    'help.asked_location': 'Tafadhali chagua eneo kutoka kwenye orodha hapo juu.',
+    'help.asked_size': 'Tafadhali andika idadi ya vyumba vya kulala (mfano, 1, 2, 3).',
+    'help.asked_land_size': `Tafadhali andika ukubwa wa kiwanja.
+
+Mifano: 50x100, 1/4 Acre, 1/8`,
+    'help.awaiting_time_slot': 'Tafadhali jibu kwa namba ya muda (mfano, 1, 2, 3).',
+    'help.booking_confirmed': 'Miadi yako imethibitishwa! Jibu BADILISHA kubadilisha muda, GHAIRI kuighairi, MIADI YANGU kuona miadi yako yote, au HABARI kuanza upya.',
+    'help.viewing_bookings': 'Jibu GHAIRI au BADILISHA pamoja na namba ya miadi (mfano, GHAIRI 1), au HABARI kuanza utafutaji mpya.',
+    'help.awaiting_reschedule_slot': 'Tafadhali jibu kwa namba ya muda mpya (mfano, 1, 2, 3), au GHAIRI kughairi miadi.',
+    'help.default': 'Habari! Tuma HABARI kuanza kutafuta nyumba unayoipenda! 🏡',
+
+    // ---- Locations / sizes ----
+    'locations.none': 'Samahani, kwa sasa hatuna mali za {{interest}} zinazopatikana. 😔',
+    'locations.lookElsewhere': 'Jibu HABARI kutafuta kitu kingine.',
+    'locations.heading': '📍 *Maeneo yanayopatikana:*',
+    'locations.question': 'Unapendelea eneo gani?',
+    'locations.noneListed': '• Hakuna maeneo yanayopatikana',
+    'locations.chooseAnother': 'Tafadhali chagua eneo lingine:\n{{locations}}',
+    'sizes.none': 'Samahani, kwa sasa hatuna mali za {{interest}} {{location}}.',
+    'sizes.heading': '*Chaguo zilizopo {{location}}:*',
+    'sizes.questionLand': 'Unatafuta kiwanja cha ukubwa gani?',
+    'sizes.questionHouse': 'Unahitaji vyumba vingapi vya kulala?',
+    'sizes.bedroom': 'Chumba {{count}} cha kulala',
+    'sizes.bedrooms': 'Vyumba {{count}} vya kulala',
+
+    // ---- Search results ----
+    'search.noMatches': 'Samahani, kwa sasa hakuna nyumba zinazolingana na mapendeleo yako. 😔',
+    'search.headingMatches': '🏡 *Nyumba zinazolingana:*',
+    'search.headingAlternatives': '🔎 *Hakuna zinazolingana kabisa, lakini hizi zinakaribia:*',
+    'search.headingMore': '🏡 *Nyumba zaidi (ukurasa {{page}} kati ya {{totalPages}}):*',
+    'search.footer': 'Jibu kwa namba ya nyumba kupanga kuiona (mfano, {{first}}).',
+    'search.footerMore': 'Jibu ZAIDI kuona nyumba zaidi.',
+    'search.priceOnRequest': 'Bei kwa ombi',
+    'search.noResults': 'Hakuna matokeo ya utafutaji ya kuonyesha. Jibu HABARI kuanza utafutaji mpya.',
+    'search.end': 'Hizo ndizo nyumba zote za utafutaji wako. 🏡',
+    'search.endHint': 'Jibu kwa namba ya nyumba kupanga kuiona, au HABARI kuanza utafutaji mpya.',
+    'search.gone': 'Nyumba hizo hazipatikani tena. Jibu HABARI kuanza utafutaji mpya.',
+    'search.outOfRange': 'Tafadhali chagua namba ya nyumba kati ya 1 na {{total}}.',
+    'search.propertyGone': 'Samahani, nyumba hiyo haipatikani tena. Tafadhali chagua namba nyingine, au jibu HABARI kuanza upya.',
+    'match.nearbyBedrooms': 'Vyumba {{bedrooms}} badala ya {{wanted}}',
+    'match.nearbyBedroom': 'Chumba {{bedrooms}} badala ya {{wanted}}',
+    'match.higherPrice': 'KES {{amount}} juu ya bajeti yako',
+    'match.otherLocation': 'Iko {{location}} badala ya {{wanted}}',
+
+    // ---- Slots ----
+    'slots.heading': '📅 Nafasi za kuangalia nyumba:',
+    'slots.footer': 'Jibu kwa namba ya muda.',
+    'slots.none': 'Hakuna nafasi katika siku {{days}} zijazo.\n\nWakala wetu atawasiliana nawe!',
+    'slots.tryAnotherProperty': 'Jibu kwa namba ya nyumba nyingine, au HABARI kuanza upya.',
+    'slots.chooseFromList': 'Tafadhali jibu kwa mojawapo ya namba za muda kwenye orodha hapo juu.',
+
+    // ---- Booking ----
+    'booking.slotTaken': '⚠️ Samahani, muda huo umechukuliwa na mteja mwingine sasa hivi!\n\nTafadhali chagua muda mwingine au jibu HABARI kutafuta tena.',
+    'booking.confirmed': `✅ *MIADI IMETHIBITISHWA!*
+
+*Maelezo ya Miadi:*
+Nyumba: {{propertyName}}
+Tarehe: {{slotDate}}
+Saa: {{slotTime}}
+*Mahali:* {{propertyAddress}}
+
+{{agentDetails}}Tutaonana huko! Jibu BADILISHA kubadilisha muda au GHAIRI ukihitaji kughairi.`,
+    'booking.agentLine': '👤 *Wakala:* {{agentName}}\n',
+    'booking.agentPhoneLine': '📱 *Simu ya Wakala:* {{agentPhone}}\n\n',
+    'booking.agentNew': `🔔 *MIADI MPYA YA KUANGALIA NYUMBA*
+
+📋 *MTEJA:*
+{{leadName}}
+{{leadPhone}}
+
+🏠 *NYUMBA:*
+{{propertyName}}
+{{propertyAddress}}
+
+📅 {{slotDate}}
+⏰ {{slotTime}}
+⏱️ Muda: {{duration}}
+
+✅ Imeongezwa kwenye kalenda yako
+
+Jibu THIBITISHA kuthibitisha, au KATAA kama hutaweza kuhudhuria.`,
+    'duration.hour': 'saa {{count}}',
+    'duration.hours': 'saa {{count}}',
+    'duration.minutes': 'dakika {{count}}',
+    'duration.days': 'siku {{count}}',
+
+    // ---- Cancellation ----
+    'cancel.none': 'Huna miadi yoyote ya kughairi.\n\nJibu HABARI kutafuta nyumba! 🏡',
+    'cancel.theProperty': 'nyumba hiyo',
+    'cancel.done': `❌ *Miadi Imeghairiwa*
+
+Miadi yako imeghairiwa:
+
+🏠 *Nyumba:* {{propertyName}}
+📅 *Ilipangwa:* {{slotDate}}
+⏰ *Saa:* {{slotTime}}
+
+Ukitaka kupanga upya, jibu *HABARI* kuanza upya.`,
+    'cancel.agent': `🔔 *MIADI IMEGHAIRIWA*
+
+Miadi ya kuangalia nyumba imeghairiwa.
+
+👤 *Mteja:* {{leadName}}
+🏠 *Nyumba:* {{propertyName}}
+📅 *Ilipangwa:* {{slotDate}} saa {{slotTime}}
+
+Tukio la kalenda limeondolewa.`,
+
+    // ---- MIADI YANGU ----
+    'bookings.checking': 'Naangalia miadi yako... 📅',
+    'bookings.heading': '📅 *Miadi yako ijayo:*',
+    'bookings.item': '{{number}}️⃣ *{{propertyName}}*\n{{slotDate}}, {{slotTime}}',
+    'bookings.footer': 'Jibu GHAIRI au BADILISHA pamoja na namba ya miadi (mfano, GHAIRI 1).',
+    'bookings.none': 'Huna miadi yoyote ijayo.\n\nJibu HABARI kutafuta nyumba! 🏡',
+    'bookings.whichCancel': 'Una miadi zaidi ya mmoja. Ungependa kughairi upi?',
+    'bookings.whichReschedule': 'Una miadi zaidi ya mmoja. Ungependa kubadilisha upi?',
+    'bookings.invalidNumber': 'Tafadhali chagua namba ya miadi kati ya 1 na {{total}}.',
+    'bookings.notActive': 'Miadi hiyo haipo tena.',
+
+    // ---- Rescheduling ----
+    'reschedule.checking': 'Sawa kabisa! Naangalia nyakati nyingine za kuangalia nyumba... ⏳',
+    'reschedule.moving': 'Nahamisha miadi yako... ⏳',
+    'reschedule.none': 'Huna miadi yoyote ya kubadilisha.\n\nJibu HABARI kutafuta nyumba! 🏡',
+    'reschedule.current': '🏠 *{{propertyName}}*\nMiadi ya sasa: {{slotDate}}, {{slotTime}}',
+    'reschedule.keepCurrent': 'Miadi yako ya sasa bado ipo. Jibu GHAIRI kama hutaweza kufika.',
+    'reschedule.slotTaken': '⚠️ Samahani, muda huo umechukuliwa na mteja mwingine sasa hivi! Miadi yako bado ni {{slotDate}}, {{slotTime}}.',
+    'reschedule.done': `✅ *MIADI IMEBADILISHWA!*
+
+Nyumba: {{propertyName}}
+Tarehe mpya: {{slotDate}}
+Saa mpya: {{slotTime}}
+*Mahali:* {{propertyAddress}}
+
+(Awali {{oldDate}}, {{oldTime}})
+
+Tutaonana huko! Jibu BADILISHA kubadilisha tena au GHAIRI kughairi.`,
+    'reschedule.agent': `🔔 *MIADI IMEBADILISHWA*
+
+👤 *Mteja:* {{leadName}}
+📱 {{leadPhone}}
+🏠 *Nyumba:* {{propertyName}}
+
+❌ *Awali:* {{oldDate}} saa {{oldTime}}
+✅ *Sasa:* {{slotDate}} saa {{slotTime}}
+
+Kalenda yako imesasishwa.`,
+
+    // ---- Reminders ----
+    'reminder.12h': `🔔 UKUMBUSHO: Kuangalia Nyumba Kesho!
+
+ {{propertyName}}
+ {{slotDate}}
+ {{slotTime}}
+ {{propertyAddress}}
+
+{{agentDetails}}Tutaonana huko!`,
+    'reminder.agentLine': ' Wakala: {{agentName}}\n',
+    'reminder.agentPhoneLine': ' {{agentPhone}}\n\n',
+    'reminder.1h': `⏰ Miadi yako inaanza baada ya SAA 1!
+
+ {{propertyName}}
+ {{propertyAddress}}
+
+Wakala yuko tayari kukupokea! 🎉`,
+    'reminder.upcoming': `🔔 UKUMBUSHO: Miadi yako ni baada ya {{timeLeft}}
+
+ {{propertyName}}
+ {{slotDate}}
+ {{slotTime}}
+ {{propertyAddress}}
+
+{{agentDetails}}Tutaonana huko!`,
+    'reminder.agent12h': `🔔 *UKUMBUSHO WA MIADI*
+
+👤 Mteja: {{leadName}}
+📱 Simu: {{leadPhone}}
+🏠 Nyumba: {{propertyName}}
+📅 Tarehe: {{slotDate}}
+⏰ Saa: {{slotTime}}
+
+Tafadhali kuwa tayari kukutana na mteja.`,
+    'reminder.agent1h': `🔔 *UKUMBUSHO WA MIADI*
+
+👤 Mteja: {{leadName}}
+📱 Simu: {{leadPhone}}
+🏠 Nyumba: {{propertyName}}
+📅 Tarehe: {{slotDate}}
+⏰ Saa: {{slotTime}}
+
+Mteja yuko njiani!`,
+    'reminder.agentUpcoming': `🔔 *UKUMBUSHO WA MIADI* (baada ya {{timeLeft}})
+
+👤 Mteja: {{leadName}}
+📱 Simu: {{leadPhone}}
+🏠 Nyumba: {{propertyName}}
+📅 Tarehe: {{slotDate}}
+⏰ Saa: {{slotTime}}
+
+Tafadhali kuwa tayari kukutana na mteja.`,
+
+    // ---- Agent commands (replies to the agent) ----
+    'agentCommand.today': '📅 *Miadi yako ya leo ({{date}}):*',
+    'agentCommand.item': '{{number}}️⃣ {{slotTime}} – *{{propertyName}}*\n👤 {{leadName}} ({{leadPhone}}) · {{status}}',
+    'agentCommand.itemDated': '{{number}}️⃣ {{slotDate}}, {{slotTime}} – *{{propertyName}}*\n👤 {{leadName}} ({{leadPhone}}) · {{status}}',
+    'agentCommand.footer': 'Jibu THIBITISHA, KATAA, IMEKAMILIKA au HAKUFIKA pamoja na nambari (mfano, THIBITISHA 1), au NIMECHELEWA 15 ukichelewa dakika 15.',
+    'agentCommand.noneToday': 'Huna miadi yoyote leo. 🎉',
+    'agentCommand.which': 'Kuna miadi zaidi ya mmoja inayolingana. Ni upi?',
+    'agentCommand.noViewing': 'Sikupata miadi ya kubadilisha. Jibu LEO kuona miadi yako.',
+    'agentCommand.invalidNumber': 'Tafadhali chagua nambari ya miadi kati ya 1 na {{total}}. Jibu LEO kuona miadi yako.',
+    'agentCommand.notAllowed': 'Hali ya miadi hiyo tayari ni: {{status}}.',
+    'agentCommand.confirmed': '✅ Imethibitishwa: *{{propertyName}}*, {{slotDate}} saa {{slotTime}} na {{leadName}}. Mteja amearifiwa.',
+    'agentCommand.declined': '❌ Imekataliwa: *{{propertyName}}*, {{slotDate}} saa {{slotTime}}. Tukio la kalenda limeondolewa na {{leadName}} ameombwa kuchagua muda mwingine.',
+    'agentCommand.runningLate': '⏰ {{leadName}} amearifiwa kwamba unachelewa kwa *{{propertyName}}* ({{slotTime}}).',
+    'agentCommand.done': '🏁 Imekamilika: *{{propertyName}}* na {{leadName}}. Asante!',
+    'agentCommand.noShow': '🚫 Mteja hakufika: *{{propertyName}}* na {{leadName}} ({{slotTime}}).',
+    'bookingStatus.scheduled': 'imepangwa',
+    'bookingStatus.confirmed': 'imethibitishwa',
+    'bookingStatus.runningLate': 'inachelewa',
+    'bookingStatus.completed': 'imekamilika',
+    'bookingStatus.noShow': 'mteja hakufika',
+    'bookingStatus.declined': 'imekataliwa',
+    'bookingStatus.cancelled': 'imeghairiwa',
+
+    // ---- Agent updates (sent to the lead) ----
+    'agentUpdate.theAgent': 'wakala wako',
+    'agentUpdate.confirmed': `✅ *Wakala amethibitisha miadi yako*
+
+Habari {{leadName}}, {{agentName}} amethibitisha miadi yako:
+
+🏠 {{propertyName}}
+📅 {{slotDate}}
+⏰ {{slotTime}}
+📍 {{propertyAddress}}
+
+Tutaonana huko!`,
+    'agentUpdate.declined': `😔 *Wakala ameghairi miadi*
+
+Samahani {{leadName}}, {{agentName}} hataweza kuhudhuria miadi yako ya {{propertyName}} tarehe {{slotDate}} saa {{slotTime}}.
+
+Jibu HABARI kuchagua muda mwingine.`,
+    'agentUpdate.runningLate': '⏰ Habari {{leadName}}, {{agentName}} atachelewa takriban dakika {{minutes}} kwa miadi yako ya {{propertyName}} ({{slotTime}}). Samahani kwa kusubiri!',
+    'agentUpdate.runningLateNoTime': '⏰ Habari {{leadName}}, {{agentName}} atachelewa kidogo kwa miadi yako ya {{propertyName}} ({{slotTime}}). Samahani kwa kusubiri!',
+    'agentUpdate.done': 'Asante kwa kutembelea *{{propertyName}}* nasi leo, {{leadName}}! 🏡',
+    'agentUpdate.noShow': `Tulikukosa kwenye miadi ya *{{propertyName}}* leo, {{leadName}}. 😔
+
+Jibu HABARI kuchagua muda mwingine.`,
+
+    // ---- Follow-up after a viewing ----
+    'followup.ask': `Habari {{leadName}} 👋
+
+Ulionaje nyumba ya {{propertyName}}?
+
+Jibu:
+1️⃣ Nimeipenda
+2️⃣ Sijaipenda
+3️⃣ HABARI – kutafuta nyumba nyingine
+
+Tuko hapa kukusaidia! 🏡`,
+    'followup.nudge': `Habari {{leadName}} 👋
+
+Tunauliza tu – bado unavutiwa na {{propertyName}}?
+
+Jibu:
+1️⃣ Nimeipenda
+2️⃣ Sijaipenda
+3️⃣ HABARI – kutafuta nyumba nyingine`,
+    'followup.interested': 'Vizuri sana! 🎉\n\nWakala wetu atawasiliana nawe hivi karibuni kujadili hatua zinazofuata!\n\nJibu HABARI wakati wowote kutafuta nyumba zaidi.',
+    'followup.notInterested': 'Asante kwa maoni yako! 🙏\n\nUkibadilisha mawazo, jibu HABARI wakati wowote.\n\nTuko hapa kukusaidia kila wakati! 🏡',
+    'followup.invalid': 'Tafadhali jibu:\n1️⃣ Nimeipenda\n2️⃣ Sijaipenda\n3️⃣ HABARI – kutafuta nyumba nyingine',
+    'followup.agentHotLead': '🔥 *MTEJA MWENYE NIA!*\n\n{{leadName}} ANAVUTIWA baada ya kuangalia!\n\nNyumba: {{propertyName}}\n\n📞 Wasiliana naye haraka: {{leadPhone}}\n\nChuma kikiwa cha moto! 🎯',
+    'followup.agentHotLeadNoProperty': '🔥 *MTEJA MWENYE NIA!*\n\n{{leadName}} ANAVUTIWA baada ya kuangalia!\n\n📞 Wasiliana naye haraka: {{leadPhone}}\n\nChuma kikiwa cha moto! 🎯',
+    'followup.aProperty': 'nyumba',
+    'followup.there': 'rafiki',
+
+    // ---- Maoni baada ya kuangalia ----
+    'feedback.askRating': `Ungeipa alama gani nyumba ya {{propertyName}} uliyoangalia?
+
+Jibu kwa namba kuanzia 1 (mbaya) hadi 5 (bora kabisa) ⭐`,
+    'feedback.askReason': `Pole kwamba haikukufaa, {{leadName}}. Nini hakikukupendeza?
+
+1️⃣ Bei
+2️⃣ Eneo
+3️⃣ Hali ya nyumba
+4️⃣ Ukubwa
+5️⃣ Sababu nyingine
+
+Jibu kwa namba, au tueleze kwa maneno yako.`,
+    'feedback.askComments': `Kuna jambo lingine ungependa kutueleza kuhusu {{propertyName}}?
+
+Andika maoni yako, au jibu RUKA.`,
+    'feedback.thanks': 'Asante kwa maoni yako, {{leadName}}! 🙏\n\nJibu HABARI wakati wowote kutafuta nyumba zaidi.',
+    'feedback.invalid': 'Samahani, sijaelewa. 🤔',
+    'feedback.rating1': 'Mbaya',
+    'feedback.rating2': 'Wastani',
+    'feedback.rating3': 'Nzuri',
+    'feedback.rating4': 'Nzuri sana',
+    'feedback.rating5': 'Bora kabisa',
+    'feedback.reasonPrice': 'Bei',
+    'feedback.reasonLocation': 'Eneo',
+    'feedback.reasonCondition': 'Hali ya nyumba',
+    'feedback.reasonSize': 'Ukubwa',
+    'feedback.reasonOther': 'Sababu nyingine',
+
+    // ---- Alama za mteja ----
+    'score.agentAlert': '📈 *TAARIFA YA ALAMA ZA MTEJA*\n\n{{leadName}} sasa ana alama {{score}}/100 ({{tier}}).\n\nNyumba aliyoangalia mwisho: {{propertyName}}\n\n📞 {{leadPhone}}',
+
+    // ---- Buttons and lists ----
+    'rich.choose': 'Chagua',
+    'rich.chooseOption': 'Chagua moja:',
+    'rich.options': 'Chaguo',
+    'rich.chooseType': 'Chagua aina',
+    'rich.lookingTo': 'Unataka',
+    'rich.chooseArea': 'Chagua eneo',
+    'rich.areas': 'Maeneo',
+    'rich.chooseSize': 'Chagua ukubwa',
+    'rich.sizes': 'Ukubwa',
+    'rich.chooseTime': 'Chagua muda',
+    'rich.chooseViewingTime': 'Chagua muda wa kuangalia:',
+    'rich.availableViewings': 'Nafasi zilizopo',
+    'rich.chooseProperty': 'Chagua nyumba',
+    'rich.properties': 'Nyumba',
+    'rich.whichProperty': 'Ungependa kuangalia nyumba ipi?',
+    'rich.seeMore': 'Ona nyumba zaidi',
+    'rich.interested': 'Nimeipenda',
+    'rich.notInterested': 'Sijaipenda',
+    'rich.newSearch': 'Tafuta upya',
+    'rich.rate': 'Toa alama',
+    'rich.ratings': 'Alama',
+    'rich.chooseReason': 'Chagua sababu',
+    'rich.reasons': 'Sababu',
+    'rich.skip': 'Ruka'
+  }
+};
@@ -0,0 +1,307 @@
+// lib/leadScoring.js - Lead score (0-100), tier and Status from what the lead has done
+//
+// Signals and the points each can give:
+//   budget       20  the lead's Budget against the prices of the properties they booked, else of
+//                    the available listings of their type and area
+//   response     10  how fast they answer ('Avg Response Seconds', kept by the orchestrator)
+//   progress     15  how far the search conversation got (Conversation Stage)
+//   bookings     15  viewings booked (cancelled and declined ones don't count)
+//   attendance   15  viewings attended; every no-show takes 10 off
+//   feedback     25  interested after a viewing, plus the rating; not interested takes 15 off
+//
+// Tiers come from tenant fields: Hot from 'Hot Lead Score' (default 70), Warm from
+// 'Warm Lead Score' (default 40), else Cold. When a lead's score reaches 'Lead Alert Score'
+// (default: the hot score) from below, the agent of their latest viewing is alerted.
+//
+// Status follows the signals: Not Interested (their last answer to a follow-up, unless they
+// booked again since), Hot Lead (Hot tier), Cancelled (every viewing cancelled or declined),
+// Contacted (search completed), else New.
+//
+// Written to the lead: Score, Tier, Status, Score Details (points per signal, JSON), Scored At.
+// Scoring reads the lead's bookings, feedback and listings, so the orchestrator only rescores when
+// one of its inputs changed (see rescoreLead).
+const store = require('./store');
+const { getTenant } = require('./tenants');
+const { getTemplates } = require('./templates');
+const { parseBudget } = require('./ranking');
+const { ACTIVE_STATUSES, RELEASED_STATUSES } = require('./bookingStatuses');
+const { translator, resolveLocale } = require('./i18n');
+
+const DEFAULT_HOT_SCORE = 70;
+const DEFAULT_WARM_SCORE = 40;
+
+// Lead fields the score reads; saving one of them calls for a rescore
+const SCORED_FIELDS = ['Conversation Stage', 'Budget', 'Interest', 'Location'];
+
+// Share of the progress points each search stage has earned
+const STAGE_PROGRESS = {
+  asked_buy_or_rent: 0,
+  asked_name: 0.15,
+  asked_budget: 0.3,
+  asked_location: 0.45,
+  asked_size: 0.6,
+  asked_land_size: 0.6,
+  completed: 0.8,
+  awaiting_time_slot: 0.9
+};
+
+const first = value => (Array.isArray(value) ? value[0] : value) || null;
+
+// A 0-100 tenant setting, or the default
+function threshold(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== null && value !== '' && number >= 0 && number <= 100 ? number : fallback;
+}
+
+// { hot, warm, alert } score thresholds of the tenant
+function thresholdsFor(tenant) {
+  const hot = threshold(tenant && tenant['Hot Lead Score'], DEFAULT_HOT_SCORE);
+  return {
+    hot: hot,
+    warm: threshold(tenant && tenant['Warm Lead Score'], DEFAULT_WARM_SCORE),
+    alert: threshold(tenant && tenant['Lead Alert Score'], hot)
+  };
+}
+
+// Share of the search done: the stage's, all of it once past the search (booked, following up)
+function stageProgress(stage, bookings) {
+  if (bookings.length > 0) return 1;
+  if (!stage) return 0;
+  return stage in STAGE_PROGRESS ? STAGE_PROGRESS[stage] : 1;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// ============================================
+// Signals
+// ============================================
+
+function budgetPoints(budget, prices) {
+  const reference = median(prices);
+  if (budget === null || reference === null) return 0;
+
+  const ratio = budget / reference;
+  if (ratio >= 1) return 20;
+  if (ratio >= 0.8) return 12;
+  if (ratio >= 0.5) return 5;
+  return 0;
+}
+
+function responsePoints(seconds) {
+  if (seconds === null) return 0;
+  if (seconds <= 5 * 60) return 10;
+  if (seconds <= 60 * 60) return 6;
+  if (seconds <= 24 * 60 * 60) return 3;
+  return 0;
+}
+
+// Points per signal for a lead, from records already loaded:
+// { lead, bookings, feedback (newest first), prices (reference prices), now }
+function scoreSignals({ lead, bookings, feedback, prices, now = new Date() }) {
+  const kept = bookings.filter(b => !RELEASED_STATUSES.includes(b['Status']));
+  const latest = feedback[0] || null;
+  const attended = kept.filter(b => b['Status'] === 'Completed' ||
+    // Answering the follow-up of a viewing that isn't marked Completed still means they went
+    (ACTIVE_STATUSES.includes(b['Status']) && new Date(b['EndDateTime']) <= now &&
+      feedback.some(f => first(f['Booking']) === b.id)));
+  const noShows = kept.filter(b => b['Status'] === 'No-Show').length;
+  const responseSeconds = parseFloat(lead['Avg Response Seconds']);
+
+  let feedbackPoints = 0;
+  if (latest && latest['Interested']) {
+    const rating = Number(latest['Rating']);
+    feedbackPoints = 20 + (rating >= 1 && rating <= 5 ? Math.round((rating - 3) * 2.5) : 0);
+  } else if (latest) {
+    feedbackPoints = -15;
+  }
+
+  return {
+    budget: budgetPoints(parseBudget(lead['Budget']), prices),
+    response: responsePoints(isNaN(responseSeconds) ? null : responseSeconds),
+    progress: Math.round(15 * stageProgress(lead['Conversation Stage'], bookings)),
+    bookings: kept.length >= 2 ? 15 : kept.length === 1 ? 10 : 0,
+    attendance: (attended.length > 0 ? 15 : 0) - 10 * noShows,
+    feedback: feedbackPoints
+  };
+}
+
+// { score, tier, status, details } for a lead, from records already loaded (see scoreSignals)
+function scoreLead({ tenant, lead, bookings, feedback, prices, now = new Date() }) {
+  const details = scoreSignals({ lead, bookings, feedback, prices, now });
+  const total = Object.values(details).reduce((sum, points) => sum + points, 0);
+  const score = Math.max(0, Math.min(100, total));
+  const thresholds = thresholdsFor(tenant);
+  const tier = score >= thresholds.hot ? 'Hot' : score >= thresholds.warm ? 'Warm' : 'Cold';
+
+  // Not interested after a viewing, unless they booked another one since
+  const latest = feedback[0] || null;
+  const bookedSince = latest && bookings.some(b => !RELEASED_STATUSES.includes(b['Status']) &&
+    new Date(b['StartDateTime']) > new Date(latest['Created'] || 0));
+
+  let status = 'New';
+  if (latest && !latest['Interested'] && !bookedSince) {
+    status = 'Not Interested';
+  } else if (tier === 'Hot') {
+    status = 'Hot Lead';
+  } else if (bookings.length > 0 && bookings.every(b => RELEASED_STATUSES.includes(b['Status']))) {
+    status = 'Cancelled';
+  } else if (stageProgress(lead['Conversation Stage'], bookings) >= STAGE_PROGRESS.completed) {
+    status = 'Contacted';
+  }
+
+  return { score, tier, status, details };
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+// Prices to compare the lead's budget with: the properties they booked, else the available
+// listings of their type and area
+async function referencePrices(tenantId, lead, bookings) {
+  const propertyIds = [...new Set(bookings
+    .filter(b => !RELEASED_STATUSES.includes(b['Status']))
+    .map(b => first(b['Property']))
+    .filter(Boolean))];
+
+  let properties = [];
+  for (const id of propertyIds) {
+    const property = await store.properties.get(id);
+    if (property) properties.push(property);
+  }
+
+  if (properties.length === 0 && lead['Interest']) {
+    properties = await store.properties.find({
+      tenantId: tenantId,
+      type: lead['Interest'],
+      location: lead['Location'] || undefined,
+      available: true
+    });
+  }
+
+  return properties.map(p => Number(p['Price'])).filter(price => price > 0);
+}
+
+// The agent of the lead's latest kept viewing: { agentPhone, propertyName } or null
+async function assignedAgent(bookings) {
+  const latest = bookings
+    .filter(b => !RELEASED_STATUSES.includes(b['Status']))
+    .sort((a, b) => new Date(b['StartDateTime']) - new Date(a['StartDateTime']))[0];
+  if (!latest) return null;
+
+  const property = first(latest['Property']) ? await store.properties.get(first(latest['Property'])) : null;
+  const agentPhone = first(latest['Agent Phone'] || (property && property['Agent Phone']));
+
+  return agentPhone ? { agentPhone: agentPhone, propertyName: property ? property['Property Name'] : '' } : null;
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// Re-scores the lead and saves Score, Tier, Status and Score Details together with any extra
+// fields. Returns { lead, score, tier, status, details, agentNotification } - agentNotification
+// is set when the score just reached the tenant's alert threshold and is for the caller to send.
+async function refreshLeadScore(lead, { tenant, fields = {}, now = new Date() } = {}) {
+  const tenantId = first(lead['Tenant']);
+  tenant = tenant || await getTenant(tenantId);
+
+  const bookings = await store.bookings.find({ tenantId: tenantId, leadId: lead.id });
+  const feedback = await store.feedback.find({ tenantId: tenantId, leadId: lead.id },
+    { sort: [{ field: 'Created', direction: 'desc' }] });
+  const prices = await referencePrices(tenantId, lead, bookings);
+
+  const result = scoreLead({ tenant, lead: { ...lead, ...fields }, bookings, feedback, prices, now });
+  const previous = Number(lead['Score']) || 0;
+
+  const updated = await store.leads.update(lead.id, {
+    ...fields,
+    'Score': result.score,
+    'Tier': result.tier,
+    'Status': result.status,
+    'Score Details': JSON.stringify(result.details),
+    'Scored At': now.toISOString()
+  });
+
+  if (result.score !== previous) {
+    console.log(`Lead ${lead.id} score ${previous} → ${result.score} (${result.tier})`);
+  }
+
+  let agentNotification = null;
+  const { alert } = thresholdsFor(tenant);
+
+  if (previous < alert && result.score >= alert) {
+    const agent = await assignedAgent(bookings);
+
+    if (agent) {
+      const templates = await getTemplates(tenantId);
+      const tAgent = translator(resolveLocale(tenant && tenant['Default Language']), templates);
+      agentNotification = {
+        agentPhone: agent.agentPhone,
+        message: tAgent('score.agentAlert', {
+          leadName: lead['Name'] || tAgent('followup.there'),
+          leadPhone: lead['Phone'],
+          propertyName: agent.propertyName,
+          score: result.score,
+          tier: result.tier
+        }),
+        leadName: lead['Name'],
+        leadPhone: lead['Phone'],
+        score: result.score
+      };
+    } else {
+      console.log(`Lead ${lead.id} reached score ${result.score} but has no agent to alert`);
+    }
+  }
+
+  return { lead: updated, ...result, agentNotification };
+}
+
+// Whether the response time in fields gives other points than the lead was last scored with
+function responseChanged(lead, fields) {
+  let details;
+  try {
+    details = JSON.parse(lead['Score Details']);
+  } catch (error) {
+    return true;
+  }
+
+  const value = fields['Avg Response Seconds'] !== undefined ? fields['Avg Response Seconds'] : lead['Avg Response Seconds'];
+  const seconds = parseFloat(value);
+  return !details || responsePoints(isNaN(seconds) ? null : seconds) !== details.response;
+}
+
+// refreshLeadScore for callers where scoring is a side effect: never throws (the lead's own
+// update has already been saved) and returns the agent notifications to send, if any.
+// changed: false when nothing but the response time can have moved (no new stage, preferences,
+// booking or feedback) - the fields are then saved without rescoring, unless the response
+// points change.
+async function rescoreLead(lead, { changed = true, ...options } = {}) {
+  try {
+    const fields = options.fields || {};
+    if (!changed && !responseChanged(lead, fields)) {
+      if (Object.keys(fields).length > 0) await store.leads.update(lead.id, fields);
+      return [];
+    }
+
+    const { agentNotification } = await refreshLeadScore(lead, options);
+    return agentNotification ? [agentNotification] : [];
+  } catch (error) {
+    console.error(`Failed to score lead ${lead.id}:`, error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  SCORED_FIELDS,
+  thresholdsFor,
+  scoreSignals,
+  scoreLead,
+  refreshLeadScore,
+  rescoreLead
+};
@@ -0,0 +1,20 @@
+// lib/leads.js - Lead lookups and updates
+const store = require('./store');
+
+function findLeadByPhone(tenantId, phone) {
+  return store.leads.findByPhone(tenantId, phone);
+}
+
+function createLead(tenantId, fields) {
+  return store.leads.create({ ...fields, 'Tenant': [tenantId] });
+}
+
+function updateLead(leadId, fields) {
+  return store.leads.update(leadId, fields);
+}
+
+module.exports = {
+  findLeadByPhone,
+  createLead,
+  updateLead
+};
@@ -0,0 +1,315 @@
+// lib/listings.js - Tenant-managed property listings (Properties table)
+//
+// The API counterpart of editing the Properties table by hand. A listing is written with:
+//
+//   Tenant          link to the tenant
+//   Property Name   required
+//   Type            required - one of the tenant's 'Property Types' when it lists them
+//   Location        required - the area leads pick from
+//   Address, Photo URL
+//   Price           required, more than 0
+//   Bedrooms        required unless Type is Land (whole number)
+//   Plot Size       required for Land, e.g. "50x100" or "1/4 Acre"
+//   Available       shown to leads (search, locations, sizes)
+//   External ID     the agency's own listing reference, unique per tenant (imports update by it)
+//   Deleted At      soft delete: the row stays for the bookings and feedback that link to it, but
+//                   the store leaves it out of every search (criteria.includeDeleted to see it)
+//
+// Input is checked as a whole, so an update that makes a house of a Land listing needs Bedrooms.
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { assertTenantRecord } = require('./tenants');
+const { ACTIVE_STATUSES } = require('./bookingStatuses');
+
+// API name → table field
+const FIELDS = {
+  name: 'Property Name',
+  type: 'Type',
+  location: 'Location',
+  address: 'Address',
+  price: 'Price',
+  bedrooms: 'Bedrooms',
+  plotSize: 'Plot Size',
+  photoUrl: 'Photo URL',
+  available: 'Available',
+  externalId: 'External ID'
+};
+
+// ============================================
+// Validation
+// ============================================
+
+function text(value) {
+  return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+function checkbox(value, label) {
+  if (typeof value === 'boolean') return value;
+  const normalized = text(value).toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0', ''].includes(normalized)) return false;
+  throw new HttpError(400, `${label} must be true or false`);
+}
+
+// The tenant's spelling of the type ("land" → "Land"); any type when the tenant lists none
+function normalizeType(value, tenant) {
+  const type = text(value);
+  const listed = tenant['Property Types'];
+  const types = (Array.isArray(listed) ? listed : text(listed).split(','))
+    .map(t => text(t))
+    .filter(Boolean);
+
+  if (!type || types.length === 0) return type;
+
+  const match = types.find(t => t.toLowerCase() === type.toLowerCase());
+  if (!match) {
+    throw new HttpError(400, `type must be one of ${types.join(', ')}`);
+  }
+  return match;
+}
+
+// Accepts API input ({ name, type, price, ... }) and table field names ({ 'Property Name', ... });
+// returns the cleaned fields that were given or throws a 400 explaining what's wrong
+function cleanInput(input, tenant) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new HttpError(400, 'Property fields must be an object');
+  }
+
+  const fieldNames = Object.values(FIELDS);
+  const fields = {};
+
+  Object.keys(input).forEach(key => {
+    const field = FIELDS[key] || (fieldNames.includes(key) ? key : null);
+    if (!field) {
+      throw new HttpError(400, `Unknown property field: ${key}`);
+    }
+    fields[field] = input[key];
+  });
+
+  const cleaned = {};
+
+  Object.keys(fields).forEach(field => {
+    const value = fields[field];
+
+    switch (field) {
+      case 'Type':
+        cleaned[field] = normalizeType(value, tenant);
+        break;
+
+      case 'Price': {
+        // "25,000,000" and 25000000 alike
+        const price = text(value) === '' ? null : Number(text(value).replace(/[,\s]/g, ''));
+        if (price !== null && !(price > 0)) {
+          throw new HttpError(400, 'price must be a number more than 0');
+        }
+        cleaned[field] = price;
+        break;
+      }
+
+      case 'Bedrooms': {
+        const bedrooms = text(value) === '' ? null : Number(text(value));
+        if (bedrooms !== null && !(Number.isInteger(bedrooms) && bedrooms >= 0)) {
+          throw new HttpError(400, 'bedrooms must be a whole number');
+        }
+        cleaned[field] = bedrooms;
+        break;
+      }
+
+      case 'Photo URL':
+        if (text(value) && !/^https?:\/\/\S+$/i.test(text(value))) {
+          throw new HttpError(400, 'photoUrl must be an http(s) link');
+        }
+        cleaned[field] = text(value);
+        break;
+
+      case 'Available':
+        cleaned[field] = checkbox(value, 'available');
+        break;
+
+      default:
+        cleaned[field] = text(value);
+    }
+  });
+
+  return cleaned;
+}
+
+// Rules that need the whole listing (the stored record with the changes applied)
+function assertComplete(listing) {
+  const missing = ['Property Name', 'Type', 'Location']
+    .filter(field => !text(listing[field]))
+    .map(field => Object.keys(FIELDS).find(key => FIELDS[key] === field));
+
+  if (missing.length > 0) {
+    throw new HttpError(400, `Missing required fields: ${missing.join(', ')}`);
+  }
+  if (!(Number(listing['Price']) > 0)) {
+    throw new HttpError(400, 'price must be a number more than 0');
+  }
+  if (listing['Type'] === 'Land' && !text(listing['Plot Size'])) {
+    throw new HttpError(400, 'plotSize is required for Land');
+  }
+  if (listing['Type'] !== 'Land' && (listing['Bedrooms'] === null || listing['Bedrooms'] === undefined || listing['Bedrooms'] === '')) {
+    throw new HttpError(400, `bedrooms is required for ${listing['Type']}`);
+  }
+}
+
+// Table row → API shape
+function toListing(record) {
+  return {
+    id: record.id,
+    name: record['Property Name'] || '',
+    type: record['Type'] || '',
+    location: record['Location'] || '',
+    address: record['Address'] || '',
+    price: record['Price'] === undefined ? null : record['Price'],
+    bedrooms: record['Bedrooms'] === undefined ? null : record['Bedrooms'],
+    plotSize: record['Plot Size'] || '',
+    photoUrl: record['Photo URL'] || '',
+    available: Boolean(record['Available']),
+    externalId: record['External ID'] || '',
+    agentIds: record['Agents'] || [],
+    deleted: Boolean(record['Deleted At']),
+    deletedAt: record['Deleted At'] || null
+  };
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+// The tenant's listing, deleted or not (404 for other tenants' IDs)
+async function loadListing(tenantId, propertyId) {
+  return assertTenantRecord(await store.properties.get(propertyId), tenantId, 'Property');
+}
+
+// { type, location, available ('true' / 'false'), includeDeleted } - all optional
+async function listListings(tenantId, { type, location, available, includeDeleted } = {}) {
+  const showDeleted = includeDeleted !== undefined && checkbox(includeDeleted, 'includeDeleted');
+  const records = await store.properties.find(
+    { tenantId, type: type || undefined, location: location || undefined, includeDeleted: showDeleted },
+    { sort: [{ field: 'Property Name', direction: 'asc' }] }
+  );
+
+  const wanted = available === undefined || available === '' ? null : checkbox(available, 'available');
+  return records
+    .filter(record => wanted === null || Boolean(record['Available']) === wanted)
+    .map(toListing);
+}
+
+async function getListing(tenantId, propertyId) {
+  return toListing(await loadListing(tenantId, propertyId));
+}
+
+// Viewings still to come at the listing, so callers can follow up when it's withdrawn
+async function countUpcomingBookings(propertyId) {
+  const bookings = await store.bookings.find({ propertyId, status: ACTIVE_STATUSES, startAfter: new Date() });
+  return bookings.length;
+}
+
+// External IDs identify one listing of the tenant (deleted ones included)
+async function assertUniqueExternalId(tenantId, externalId, propertyId) {
+  if (!externalId) return;
+
+  const records = await store.properties.find({ tenantId, externalId, includeDeleted: true });
+  const other = records.find(record => record.id !== propertyId);
+  if (other) {
+    throw new HttpError(400, `externalId ${externalId} is already used by property ${other.id}`);
+  }
+}
+
+// ============================================
+// Saving
+// ============================================
+
+// New listings are available unless the input says otherwise
+async function createListing(tenant, input) {
+  const fields = { 'Available': true, ...cleanInput(input, tenant) };
+  assertComplete(fields);
+  await assertUniqueExternalId(tenant.id, fields['External ID']);
+
+  // Blank optional fields are left out rather than written empty
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === '' || fields[field] === null) delete fields[field];
+  });
+
+  const record = await store.properties.create({ ...fields, 'Tenant': [tenant.id] });
+  console.log(`Property ${record.id} listed for ${tenant.id}: ${record['Property Name']}`);
+
+  return toListing(record);
+}
+
+// Changes only the given fields; deleted listings have to be restored first
+async function updateListing(tenant, propertyId, input) {
+  const record = await loadListing(tenant.id, propertyId);
+  if (record['Deleted At']) {
+    throw new HttpError(400, 'Property is deleted - restore it first');
+  }
+
+  const changes = cleanInput(input, tenant);
+  if (Object.keys(changes).length === 0) {
+    throw new HttpError(400, 'No property fields to update');
+  }
+  assertComplete({ ...record, ...changes });
+  await assertUniqueExternalId(tenant.id, changes['External ID'], record.id);
+
+  const updated = await store.properties.update(record.id, changes);
+  console.log(`Property ${record.id} updated: ${Object.keys(changes).join(', ')}`);
+
+  return toListing(updated);
+}
+
+async function setListingAvailability(tenantId, propertyId, available) {
+  if (available === undefined) {
+    throw new HttpError(400, 'available is required');
+  }
+
+  const record = await loadListing(tenantId, propertyId);
+  if (record['Deleted At']) {
+    throw new HttpError(400, 'Property is deleted - restore it first');
+  }
+
+  const updated = await store.properties.update(record.id, { 'Available': checkbox(available, 'available') });
+  console.log(`Property ${record.id} is now ${updated['Available'] ? 'available' : 'unavailable'}`);
+
+  return toListing(updated);
+}
+
+// Soft delete: hidden from leads and searches, kept for its bookings. upcomingBookings counts the
+// viewings still scheduled there - they aren't cancelled.
+async function deleteListing(tenantId, propertyId) {
+  const record = await loadListing(tenantId, propertyId);
+  const updated = record['Deleted At']
+    ? record
+    : await store.properties.update(record.id, { 'Deleted At': new Date().toISOString(), 'Available': false });
+
+  console.log(`Property ${record.id} deleted`);
+
+  return { property: toListing(updated), upcomingBookings: await countUpcomingBookings(record.id) };
+}
+
+// Back from a soft delete, still unavailable until it's switched on again
+async function restoreListing(tenantId, propertyId) {
+  const record = await loadListing(tenantId, propertyId);
+  const updated = record['Deleted At']
+    ? await store.properties.update(record.id, { 'Deleted At': null })
+    : record;
+
+  console.log(`Property ${record.id} restored`);
+
+  return toListing(updated);
+}
+
+module.exports = {
+  FIELDS,
+  cleanInput,
+  assertComplete,
+  toListing,
+  listListings,
+  getListing,
+  createListing,
+  updateListing,
+  setListingAvailability,
+  deleteListing,
+  restoreListing
+};
@@ -0,0 +1,216 @@
+// lib/notificationRules.js - Per-tenant reminder and follow-up schedule (Notification Rules table)
+//
+//   Tenant        link to the tenant
+//   Key           name of the rule, e.g. "reminder_24h" - letters, digits, "_" and "-"
+//   Type          Reminder (before the viewing starts) | Follow-up (after it ends)
+//   Offset        how long before the start / after the end: "24h", "2h", "30m", "3d"
+//   At            optional local time "09:00": sent at the first such time once the offset has
+//                 passed ("Follow-up, Offset 0, At 09:00" = the next morning)
+//   Message       optional message key for the lead (see MESSAGES); blank = the type's default
+//   Notify Agent  reminders: also remind the viewing's agent
+//   No Answer     follow-ups: only sent if the lead hasn't answered an earlier follow-up of the viewing
+//
+// Tenants without rows get DEFAULT_RULES (12h and 1h reminders, follow-up 3 hours after).
+// Rules are checked when saved through the API; rows edited by hand that don't validate are skipped.
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { parseTimeOfDay } = require('./timezone');
+
+const TYPES = ['reminder', 'followup'];
+
+// Lead message keys a rule can use, with the agent's message that goes with each reminder
+const MESSAGES = {
+  reminder: {
+    'reminder.upcoming': 'reminder.agentUpcoming',
+    'reminder.12h': 'reminder.agent12h',
+    'reminder.1h': 'reminder.agent1h'
+  },
+  followup: {
+    'followup.ask': null,
+    'followup.nudge': null
+  }
+};
+
+const DEFAULT_MESSAGES = { reminder: 'reminder.upcoming', followup: 'followup.ask' };
+
+const DEFAULT_RULES = [
+  { key: 'reminder_12h', type: 'reminder', offsetMinutes: 12 * 60, at: null, message: 'reminder.12h', notifyAgent: true, noAnswer: false },
+  { key: 'reminder_1h', type: 'reminder', offsetMinutes: 60, at: null, message: 'reminder.1h', notifyAgent: true, noAnswer: false },
+  { key: 'followup', type: 'followup', offsetMinutes: 3 * 60, at: null, message: 'followup.ask', notifyAgent: false, noAnswer: false }
+];
+
+// Rules cache per tenant (expires after 5 minutes, cleared when the rules are saved)
+const rulesCache = {};
+const CACHE_DURATION = 5 * 60 * 1000;
+
+function forgetNotificationRules(tenantId) {
+  delete rulesCache[tenantId];
+}
+
+// ============================================
+// Validation
+// ============================================
+
+// "Reminder" / "Follow-up" / "followup" → 'reminder' / 'followup'
+function normalizeType(value) {
+  const type = (value || '').toString().trim().toLowerCase().replace(/[\s_-]+/g, '');
+  return TYPES.includes(type) ? type : null;
+}
+
+// "24h", "2 hours", "30m", "3d", "0" → minutes; null when unreadable
+function parseOffset(value) {
+  if (typeof value === 'number') return value >= 0 ? Math.round(value * 60) : null;
+
+  const match = (value || '').toString().trim().toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)?$/);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 'h')[0];
+  return Math.round(amount * { m: 1, h: 60, d: 24 * 60 }[unit]);
+}
+
+function checkbox(value) {
+  return value === true || ['true', 'yes', '1'].includes((value || '').toString().trim().toLowerCase());
+}
+
+// Accepts API input ({ key, type, offset, at, message, notifyAgent, noAnswer }) and table rows
+// ({ Key, Type, Offset, ... }); returns the cleaned rule or throws a 400 explaining what's wrong
+function validateRule(input) {
+  const get = (name, field) => (input[name] !== undefined ? input[name] : input[field]);
+
+  const key = (get('key', 'Key') || '').toString().trim();
+  if (!/^[\w-]+$/.test(key)) {
+    throw new HttpError(400, `Invalid rule key: "${key}" - use letters, numbers, "_" and "-"`);
+  }
+
+  const type = normalizeType(get('type', 'Type'));
+  if (!type) {
+    throw new HttpError(400, `Rule ${key}: type must be Reminder or Follow-up`);
+  }
+
+  const offsetMinutes = parseOffset(get('offset', 'Offset'));
+  if (offsetMinutes === null) {
+    throw new HttpError(400, `Rule ${key}: offset must look like 24h, 30m or 3d`);
+  }
+
+  const atValue = get('at', 'At');
+  const at = atValue ? parseTimeOfDay(atValue, null) : null;
+  if (atValue && (at === null || at >= 24 * 60)) {
+    throw new HttpError(400, `Rule ${key}: at must be a time of day like 09:00`);
+  }
+
+  const message = (get('message', 'Message') || '').toString().trim() || DEFAULT_MESSAGES[type];
+  if (!(message in MESSAGES[type])) {
+    throw new HttpError(400, `Rule ${key}: message must be one of ${Object.keys(MESSAGES[type]).join(', ')}`);
+  }
+
+  return {
+    key: key,
+    type: type,
+    offsetMinutes: offsetMinutes,
+    at: at,
+    message: message,
+    notifyAgent: type === 'reminder' && checkbox(get('notifyAgent', 'Notify Agent')),
+    noAnswer: type === 'followup' && checkbox(get('noAnswer', 'No Answer'))
+  };
+}
+
+// Rule → table row
+function toFields(rule) {
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    'Key': rule.key,
+    'Type': rule.type === 'reminder' ? 'Reminder' : 'Follow-up',
+    'Offset': `${rule.offsetMinutes}m`,
+    'At': rule.at === null ? '' : `${pad(Math.floor(rule.at / 60))}:${pad(rule.at % 60)}`,
+    'Message': rule.message,
+    'Notify Agent': rule.notifyAgent,
+    'No Answer': rule.noAnswer
+  };
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+// The tenant's rules, or DEFAULT_RULES when it has none
+async function getNotificationRules(tenantId) {
+  if (!tenantId) return DEFAULT_RULES;
+
+  const cached = rulesCache[tenantId];
+  if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
+    return cached.data;
+  }
+
+  const records = await store.notificationRules.find({ tenantId: tenantId });
+  const rules = [];
+
+  records.forEach(record => {
+    try {
+      const rule = validateRule(record);
+      if (rules.some(r => r.key === rule.key)) {
+        throw new HttpError(400, `Duplicate rule key: ${rule.key}`);
+      }
+      rules.push(rule);
+    } catch (error) {
+      console.warn(`Ignoring notification rule ${record.id} (${record['Key']}): ${error.message}`);
+    }
+  });
+
+  const data = records.length > 0 ? rules : DEFAULT_RULES;
+  rulesCache[tenantId] = { data: data, timestamp: Date.now() };
+  return data;
+}
+
+// ============================================
+// Saving
+// ============================================
+
+// Replaces the tenant's whole schedule
+async function saveNotificationRules(tenantId, input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    throw new HttpError(400, 'rules must be a non-empty list');
+  }
+
+  const rules = input.map(validateRule);
+  const duplicate = rules.find((rule, index) => rules.findIndex(r => r.key === rule.key) !== index);
+  if (duplicate) {
+    throw new HttpError(400, `Duplicate rule key: ${duplicate.key}`);
+  }
+
+  await removeRules(tenantId);
+
+  for (const rule of rules) {
+    await store.notificationRules.create({ ...toFields(rule), 'Tenant': [tenantId] });
+  }
+
+  forgetNotificationRules(tenantId);
+  console.log(`Notification rules saved for ${tenantId}: ${rules.map(r => r.key).join(', ')}`);
+
+  return rules;
+}
+
+// Back to DEFAULT_RULES
+async function resetNotificationRules(tenantId) {
+  await removeRules(tenantId);
+  forgetNotificationRules(tenantId);
+  return DEFAULT_RULES;
+}
+
+async function removeRules(tenantId) {
+  for (const record of await store.notificationRules.find({ tenantId: tenantId })) {
+    await store.notificationRules.remove(record.id);
+  }
+}
+
+module.exports = {
+  MESSAGES,
+  DEFAULT_RULES,
+  parseOffset,
+  validateRule,
+  getNotificationRules,
+  saveNotificationRules,
+  resetNotificationRules,
+  forgetNotificationRules
+};
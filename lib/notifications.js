@@ -0,0 +1,299 @@
+// lib/notifications.js - Reminder and follow-up messages for a booking
+//
+// Shared by /api/check-notifications (external polling) and the built-in scheduler
+// (lib/scheduler.js). When each message is due comes from the tenant's notification rules
+// (lib/notificationRules.js). What went out is recorded per booking in 'Notification Log':
+//
+//   [{ "rule": "reminder_24h", "start": "<viewing start it was sent for>", "sentAt": "..." }]
+//
+// so a rescheduled viewing gets its reminders again. Bookings from before the log still have
+// the Reminder12hSent / Reminder1hSent / FollowUpSent checkboxes, which count for the default rules.
+const store = require('./store');
+const i18n = require('./i18n');
+const { resolveTimezone, nextZonedTime } = require('./timezone');
+const { ACTIVE_STATUSES } = require('./bookingStatuses');
+const { MESSAGES } = require('./notificationRules');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Booking statuses that still get each type of message.
+// Viewings the agent marked DONE still get follow-ups; no-shows and declined ones don't.
+const STATUSES = {
+  reminder: ACTIVE_STATUSES,
+  followup: [...ACTIVE_STATUSES, 'Completed']
+};
+
+const LEGACY_FLAGS = {
+  reminder_12h: 'Reminder12hSent',
+  reminder_1h: 'Reminder1hSent',
+  followup: 'FollowUpSent'
+};
+
+const first = value => (Array.isArray(value) ? value[0] : value) || null;
+
+// ============================================
+// Timing
+// ============================================
+
+// When the rule's message is due for the booking
+function dueAt(rule, booking, timezone) {
+  const anchor = rule.type === 'reminder'
+    ? new Date(booking['StartDateTime']).getTime() - rule.offsetMinutes * MINUTE
+    : new Date(booking['EndDateTime']).getTime() + rule.offsetMinutes * MINUTE;
+
+  return rule.at === null ? new Date(anchor) : nextZonedTime(anchor, rule.at, timezone);
+}
+
+// Until when it is still worth sending: a reminder until the next reminder is due (or the
+// viewing starts), a follow-up for a day or until the next follow-up is due
+function expiresAt(rule, rules, booking, timezone) {
+  const due = dueAt(rule, booking, timezone);
+  const later = rules
+    .filter(other => other.type === rule.type && other.key !== rule.key)
+    .map(other => dueAt(other, booking, timezone))
+    .filter(time => time > due);
+
+  const limit = rule.type === 'reminder'
+    ? new Date(booking['StartDateTime'])
+    : new Date(due.getTime() + DAY);
+
+  return new Date(Math.min(limit.getTime(), ...later.map(time => time.getTime())));
+}
+
+// ============================================
+// Sent log
+// ============================================
+
+function parseNotificationLog(booking) {
+  try {
+    const log = JSON.parse(booking['Notification Log'] || '[]');
+    return Array.isArray(log) ? log : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// True when the rule's message already went out for the booking's current time
+function wasSent(booking, ruleKey) {
+  const start = new Date(booking['StartDateTime']).toISOString();
+  if (parseNotificationLog(booking).some(entry => entry.rule === ruleKey && entry.start === start)) {
+    return true;
+  }
+  return Boolean(LEGACY_FLAGS[ruleKey] && booking[LEGACY_FLAGS[ruleKey]]);
+}
+
+// Fields that clear the booking's old sent checkboxes when it moves to a new time. Only the ones
+// that are set: bases made after the log don't have the columns.
+function resetLegacyFlags(booking) {
+  return Object.fromEntries(Object.values(LEGACY_FLAGS)
+    .filter(field => booking[field])
+    .map(field => [field, false]));
+}
+
+// Fields that add the rule to the booking's log
+function logSent(booking, ruleKey, sentAt = new Date()) {
+  const log = parseNotificationLog(booking);
+  log.push({
+    rule: ruleKey,
+    start: new Date(booking['StartDateTime']).toISOString(),
+    sentAt: sentAt.toISOString()
+  });
+  return { 'Notification Log': JSON.stringify(log) };
+}
+
+// Why the rule's message shouldn't go out now, or null when it should
+function skipReason(rule, rules, { booking, lead, timezone, now }) {
+  if (!STATUSES[rule.type].includes(booking['Status'])) {
+    return `Booking is ${booking['Status'] || 'without status'}`;
+  }
+  if (expiresAt(rule, rules, booking, timezone) <= now) {
+    return 'Too late to send';
+  }
+
+  // "No answer" follow-ups need an earlier follow-up of this viewing still waiting for a reply
+  if (rule.noAnswer) {
+    const asked = rules.some(other => other.type === 'followup' && other.key !== rule.key && wasSent(booking, other.key));
+    if (!asked) return 'No earlier follow-up was sent';
+    if (lead && !lead['AwaitingFollowUpResponse']) return 'The lead already answered';
+  }
+
+  return null;
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+// Lead and property of a booking, or null when either is missing
+async function loadBookingContext(booking) {
+  const leadId = booking['Lead']?.[0];
+  const propertyId = booking['Property']?.[0];
+  if (!leadId || !propertyId) return null;
+
+  const lead = await store.leads.get(leadId);
+  const property = await store.properties.get(propertyId);
+  if (!lead || !property) return null;
+
+  return { lead, property };
+}
+
+// Bookings that could have a message due at now under the rules
+async function findCandidateBookings(tenantId, rules, now = new Date()) {
+  const longest = type => Math.max(0, ...rules.filter(r => r.type === type).map(r => r.offsetMinutes)) * MINUTE;
+
+  return store.bookings.find({
+    tenantId: tenantId,
+    status: [...new Set([...STATUSES.reminder, ...STATUSES.followup])],
+    // "At" can push a message up to a day past its offset, follow-ups stay valid for a day more
+    startBefore: new Date(now.getTime() + longest('reminder') + DAY),
+    endAfter: new Date(now.getTime() - longest('followup') - 2 * DAY)
+  });
+}
+
+// { rule, booking, lead, property } for each message that is due at now and hasn't been sent.
+// Bookings whose lead or property is gone are left out.
+async function findDueNotifications(tenant, rules, now = new Date()) {
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const due = [];
+
+  for (const booking of await findCandidateBookings(tenant.id, rules, now)) {
+    const pending = rules.filter(rule => dueAt(rule, booking, timezone) <= now && !wasSent(booking, rule.key));
+    if (pending.length === 0) continue;
+
+    // The lead decides whether "no answer" follow-ups still apply
+    const context = await loadBookingContext(booking);
+    if (!context) continue;
+
+    for (const rule of pending) {
+      if (skipReason(rule, rules, { booking, lead: context.lead, timezone, now })) continue;
+      due.push({ rule, booking, ...context });
+    }
+  }
+
+  return due;
+}
+
+// ============================================
+// Messages
+// ============================================
+
+// "2 days" / "3 hours" / "45 minutes" until the viewing
+function formatTimeLeft(milliseconds, locale) {
+  if (milliseconds >= 2 * DAY) {
+    return i18n.t(locale, 'duration.days', { count: Math.round(milliseconds / DAY) });
+  }
+  if (milliseconds >= HOUR) {
+    const hours = Math.round(milliseconds / HOUR);
+    return i18n.t(locale, hours > 1 ? 'duration.hours' : 'duration.hour', { count: hours });
+  }
+  return i18n.t(locale, 'duration.minutes', { count: Math.max(1, Math.round(milliseconds / MINUTE)) });
+}
+
+// Reminder for the lead (in their language) and, if the rule says so, the agent (in the tenant's)
+function reminderNotification(rule, { tenant, booking, lead, property, templates, now = new Date() }) {
+  // The booking's assigned agent, else the property's lookup fields
+  const agentName = first(booking['Agent Name'] || property['Agent Name']);
+  const agentPhone = first(booking['Agent Phone'] || property['Agent Phone']);
+
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const startTime = new Date(booking['StartDateTime']);
+  const propertyName = property['Property Name'];
+  const propertyAddress = property['Address'];
+  const leadName = lead['Name'];
+  const leadPhone = lead['Phone'];
+
+  const leadLocale = i18n.resolveLocale(lead['Language'], tenant['Default Language']);
+  const agentLocale = i18n.resolveLocale(tenant['Default Language']);
+  const formattedDate = i18n.formatDate(startTime, agentLocale, timezone);
+  const formattedTime = i18n.formatTime(startTime, agentLocale, timezone);
+
+  const message = i18n.t(leadLocale, rule.message, {
+    leadName: leadName,
+    companyName: tenant['Company Name'],
+    botName: tenant['Bot Name'],
+    propertyName: propertyName,
+    propertyAddress: propertyAddress,
+    slotDate: i18n.formatDate(startTime, leadLocale, timezone, 'medium'),
+    slotTime: i18n.formatTime(startTime, leadLocale, timezone),
+    agentName: agentName,
+    agentPhone: agentPhone,
+    agentDetails: (agentName ? i18n.t(leadLocale, 'reminder.agentLine', { agentName: agentName }) : '') +
+      (agentPhone ? i18n.t(leadLocale, 'reminder.agentPhoneLine', { agentPhone: agentPhone }) : '\n'),
+    timeLeft: formatTimeLeft(startTime - now, leadLocale)
+  }, templates);
+
+  const notification = {
+    type: rule.key,
+    bookingId: booking.id,
+    leadPhone: leadPhone,
+    leadName: leadName,
+    tenantWhatsApp: tenant['WhatsApp Number'],
+    message: message
+  };
+
+  if (rule.notifyAgent) {
+    notification.agentNotification = {
+      agentPhone: agentPhone,
+      message: i18n.t(agentLocale, MESSAGES.reminder[rule.message], {
+        leadName: leadName,
+        leadPhone: leadPhone,
+        propertyName: propertyName,
+        propertyAddress: propertyAddress,
+        slotDate: formattedDate,
+        slotTime: formattedTime,
+        agentName: agentName,
+        agentPhone: agentPhone,
+        timeLeft: formatTimeLeft(startTime - now, agentLocale)
+      }, templates),
+      clientName: leadName,
+      clientPhone: leadPhone,
+      propertyName: propertyName,
+      propertyAddress: propertyAddress,
+      date: formattedDate,
+      time: formattedTime
+    };
+  }
+
+  return notification;
+}
+
+// "How was the viewing?" question for the lead after the viewing
+function followUpNotification(rule, { tenant, booking, lead, property, templates }) {
+  const locale = i18n.resolveLocale(lead['Language'], tenant['Default Language']);
+  const message = i18n.t(locale, rule.message, {
+    leadName: lead['Name'],
+    companyName: tenant['Company Name'],
+    botName: tenant['Bot Name'],
+    propertyName: property['Property Name']
+  }, templates);
+
+  return {
+    type: rule.key,
+    bookingId: booking.id,
+    leadId: lead.id,
+    leadPhone: lead['Phone'],
+    leadName: lead['Name'],
+    propertyName: property['Property Name'],
+    tenantWhatsApp: tenant['WhatsApp Number'],
+    message: message
+  };
+}
+
+function buildNotification(rule, context) {
+  return rule.type === 'followup' ? followUpNotification(rule, context) : reminderNotification(rule, context);
+}
+
+module.exports = {
+  STATUSES,
+  dueAt,
+  expiresAt,
+  wasSent,
+  logSent,
+  resetLegacyFlags,
+  skipReason,
+  loadBookingContext,
+  findDueNotifications,
+  buildNotification
+};
@@ -0,0 +1,691 @@
+// lib/orchestrator.js - Runs one inbound message through the whole pipeline:
+// handleMessage → persist updateFields → execute the returned action → one composed reply.
+//
+// These are the chaining rules the external workflow used to implement
+// (handle-message → locations → sizes → search-properties → available-slots-v2 → create-booking).
+const handleMessage = require('../handleMessage');
+const leads = require('./leads');
+const {
+  getLocations,
+  getSizes,
+  searchProperties,
+  parseSearchResults,
+  getResultPage,
+  getResultProperty,
+  formatPropertyList,
+  formatPropertyMessages
+} = require('./properties');
+const {
+  getAvailableSlots,
+  createBooking,
+  cancelBooking,
+  listUpcomingBookings,
+  findUpcomingBookings,
+  getRescheduleSlots,
+  rescheduleBooking
+} = require('./bookings');
+const { BOOKED_STAGES } = require('./bookingStatuses');
+const { handleAgentMessage } = require('./agentCommands');
+const { handleFollowUpMessage } = require('./followUp');
+const { SCORED_FIELDS, rescoreLead } = require('./leadScoring');
+const { recordInbound } = require('./transcripts');
+const richMessages = require('./richMessages');
+const { t, resolveLocale } = require('./i18n');
+
+// Build the flat input handleMessage expects from tenant + lead records
+function buildHandleMessageInput(tenant, lead, from, message, rich) {
+  const propertyTypes = tenant['Property Types'];
+
+  return {
+    message: message,
+    from: from,
+    tenant_id: tenant.id,
+    tenant_bot_name: tenant['Bot Name'],
+    tenant_company_name: tenant['Company Name'],
+    tenant_property_types: Array.isArray(propertyTypes) ? propertyTypes.join(', ') : propertyTypes,
+    tenant_whatsapp: tenant['WhatsApp Number'],
+    lead_id: lead ? lead.id : '',
+    lead_stage: lead ? lead['Conversation Stage'] : null,
+    lead_name: lead ? lead['Name'] : '',
+    lead_interest: lead ? lead['Interest'] : '',
+    lead_budget: lead ? lead['Budget'] : '',
+    lead_location: lead ? lead['Location'] : '',
+    lead_size: lead ? lead['Size'] : '',
+    lead_locale: lead ? lead['Language'] : '',
+    tenant_locale: tenant['Default Language'],
+    rich_messages: Boolean(rich)
+  };
+}
+
+// Lead preferences merged with what was just saved (the lead record is read before the update)
+function leadValue(lead, fields, name) {
+  if (fields[name] !== undefined) return fields[name];
+  return lead ? lead[name] : undefined;
+}
+
+// Actions that change the bookings the score reads (lib/leadScoring.js)
+const BOOKING_ACTIONS = ['create_booking', 'cancel_booking', 'reschedule_booking'];
+
+// Longer gaps are a new conversation, not a slow answer
+const RESPONSE_WINDOW = 7 * 24 * 60 * 60;
+
+// When we replied, and the lead's 'Avg Response Seconds' with this answer folded in (recent
+// answers weigh more) - how fast leads answer counts towards their score (lib/leadScoring.js)
+function responseFields(lead, now) {
+  const fields = { 'Last Message Sent At': now.toISOString() };
+  const last = lead && lead['Last Message Sent At'];
+  const seconds = last ? Math.round((now - new Date(last)) / 1000) : NaN;
+
+  if (seconds >= 0 && seconds <= RESPONSE_WINDOW) {
+    const average = parseFloat(lead['Avg Response Seconds']);
+    fields['Avg Response Seconds'] = isNaN(average) ? seconds : Math.round(average * 0.7 + seconds * 0.3);
+  }
+  return fields;
+}
+
+function compose(...parts) {
+  return parts.filter(Boolean).join('\n\n');
+}
+
+// Runs the search from the lead's saved preferences
+async function searchForLead(tenantId, lead, fields, locale) {
+  const interest = leadValue(lead, fields, 'Interest');
+  const size = leadValue(lead, fields, 'Size');
+
+  return searchProperties({
+    tenantId: tenantId,
+    leadId: lead ? lead.id : null,
+    interest: interest,
+    location: leadValue(lead, fields, 'Location'),
+    bedrooms: interest === 'Land' ? undefined : size,
+    plotSize: interest === 'Land' ? size : undefined,
+    budget: leadValue(lead, fields, 'Budget'),
+    locale: locale
+  });
+}
+
+// ============================================
+// Action handlers - each returns { reply, messages, leadFields, agentNotifications }
+// (messages is the structured version of reply, see lib/richMessages.js)
+// ============================================
+
+async function runFetchLocations(ctx) {
+  const { locale } = ctx;
+  const result = await getLocations({ tenantId: ctx.tenant.id, interest: ctx.result.interest, locale });
+
+  if (result.count === 0) {
+    return {
+      reply: compose(
+        t(locale, 'locations.none', { interest: (ctx.result.interest || '').toLowerCase() }),
+        t(locale, 'locations.lookElsewhere')
+      ),
+      leadFields: { 'Conversation Stage': 'asked_buy_or_rent' }
+    };
+  }
+
+  const reply = compose(
+    ctx.result.replyMessage,
+    `${t(locale, 'locations.heading')}\n${result.formatted}`,
+    t(locale, 'locations.question')
+  );
+
+  return {
+    reply: reply,
+    messages: richMessages.locationChoice(reply, result.locations, locale),
+    leadFields: { 'Conversation Stage': 'asked_location' }
+  };
+}
+
+async function runFetchSizes(ctx) {
+  const { tenant, result, locale } = ctx;
+  const sizes = await getSizes({ tenantId: tenant.id, interest: result.interest, location: result.location, locale });
+
+  if (!sizes.hasOptions) {
+    const locations = await getLocations({ tenantId: tenant.id, interest: result.interest, locale });
+    const reply = compose(
+      sizes.message,
+      locations.count > 0
+        ? t(locale, 'locations.chooseAnother', { locations: locations.formatted })
+        : t(locale, 'common.startOver')
+    );
+
+    return {
+      reply: reply,
+      messages: richMessages.locationChoice(reply, locations.locations, locale),
+      leadFields: { 'Conversation Stage': 'asked_location' }
+    };
+  }
+
+  const question = sizes.nextStage === 'asked_land_size'
+    ? t(locale, 'sizes.questionLand')
+    : t(locale, 'sizes.questionHouse');
+
+  const reply = compose(
+    result.replyMessage,
+    `${t(locale, 'sizes.heading', { location: result.location })}\n${sizes.options}`,
+    question
+  );
+
+  return {
+    reply: reply,
+    messages: richMessages.sizeChoice(reply, sizes.sizes, locale),
+    leadFields: { 'Conversation Stage': sizes.nextStage }
+  };
+}
+
+async function runSearch(ctx) {
+  const { locale } = ctx;
+  const search = await searchForLead(ctx.tenant.id, ctx.lead, ctx.savedFields, locale);
+
+  if (search.count === 0) {
+    return {
+      reply: compose(
+        ctx.result.replyMessage,
+        t(locale, 'search.noMatches'),
+        t(locale, 'common.startOver')
+      ),
+      leadFields: { 'Search Results': '', 'Search Page': 0 }
+    };
+  }
+
+  // The full ordered result set is kept on the lead so MORE and "Property 5" use the same numbering
+  return {
+    reply: compose(ctx.result.replyMessage, formatPropertyList(search.properties, search, locale)),
+    messages: formatPropertyMessages(ctx.result.replyMessage, search.properties, search, locale),
+    leadFields: {
+      'Search Results': JSON.stringify(search.results),
+      'Search Page': 1
+    }
+  };
+}
+
+async function runMoreResults(ctx) {
+  const { tenant, lead, locale } = ctx;
+  const results = parseSearchResults(lead['Search Results']);
+  const nextPage = (parseInt(lead['Search Page']) || 1) + 1;
+
+  if (results.length === 0) {
+    return { reply: t(locale, 'search.noResults') };
+  }
+
+  const page = await getResultPage({ tenantId: tenant.id, results: results, page: nextPage });
+
+  if (nextPage > page.totalPages) {
+    return {
+      reply: compose(t(locale, 'search.end'), t(locale, 'search.endHint'))
+    };
+  }
+
+  if (page.count === 0) {
+    // Everything on this page has been taken off the market - move on to the next one
+    return page.hasMore
+      ? runMoreResults({ ...ctx, lead: { ...lead, 'Search Page': nextPage } })
+      : { reply: t(locale, 'search.gone'), leadFields: { 'Search Page': nextPage } };
+  }
+
+  return {
+    reply: formatPropertyList(page.properties, page, locale),
+    messages: formatPropertyMessages(null, page.properties, page, locale),
+    leadFields: { 'Search Page': nextPage }
+  };
+}
+
+// "Property 5" maps to the 5th entry of the result set the lead was shown
+async function findSelectedProperty(tenantId, lead, fields, number, locale) {
+  const results = parseSearchResults(lead['Search Results']);
+
+  if (results.length > 0) {
+    return {
+      property: await getResultProperty({ tenantId: tenantId, results: results, number: number }),
+      total: results.length
+    };
+  }
+
+  // Leads from before result sets were saved: re-run the search
+  const search = await searchForLead(tenantId, lead, fields, locale);
+  return {
+    property: search.properties.find(p => p.number === number) || null,
+    total: search.count
+  };
+}
+
+async function runBooking(ctx) {
+  const { tenant, lead, result, locale } = ctx;
+  const { property, total } = await findSelectedProperty(tenant.id, lead, ctx.savedFields, result.propertyNumber, locale);
+
+  if (!property) {
+    let reply = t(locale, 'search.gone');
+    if (result.propertyNumber > total && total > 0) {
+      reply = t(locale, 'search.outOfRange', { total: total });
+    } else if (total > 0) {
+      reply = t(locale, 'search.propertyGone');
+    }
+
+    return {
+      reply: reply,
+      leadFields: { 'Conversation Stage': 'completed' }
+    };
+  }
+
+  const slots = await getAvailableSlots({ propertyId: property.id, tenantId: tenant.id, locale });
+
+  if (slots.count === 0) {
+    return {
+      reply: compose(slots.message, t(locale, 'slots.tryAnotherProperty')),
+      leadFields: { 'Conversation Stage': 'completed' }
+    };
+  }
+
+  const reply = compose(result.replyMessage, `🏠 *${property.name}*`, slots.message);
+
+  return {
+    reply: reply,
+    messages: richMessages.slotChoice(reply, slots.slots, locale),
+    leadFields: {
+      'Selected Property ID': property.id,
+      'Slot Map': slots.slotMap
+    }
+  };
+}
+
+async function runCreateBooking(ctx) {
+  const { tenant, lead, result, locale } = ctx;
+  const propertyId = lead['Selected Property ID'];
+
+  let booking;
+  try {
+    booking = await createBooking({
+      leadId: lead.id,
+      propertyId: propertyId,
+      slotNumber: result.selectedTime,
+      slotMap: lead['Slot Map'],
+      leadName: lead['Name'],
+      leadPhone: lead['Phone'],
+      tenantId: tenant.id,
+      locale: locale
+    });
+  } catch (error) {
+    if (error.status !== 400) throw error;
+
+    // Unknown slot number - stay on the slot question
+    return {
+      reply: t(locale, 'slots.chooseFromList'),
+      leadFields: { 'Conversation Stage': 'awaiting_time_slot' }
+    };
+  }
+
+  if (!booking.success) {
+    // Slot was taken in the meantime - offer fresh slots for the same property
+    const slots = await getAvailableSlots({ propertyId: propertyId, tenantId: tenant.id, locale });
+    const reply = compose(booking.message, slots.count > 0 ? slots.message : null);
+
+    return {
+      reply: reply,
+      messages: richMessages.slotChoice(reply, slots.slots, locale),
+      leadFields: {
+        'Conversation Stage': slots.count > 0 ? 'awaiting_time_slot' : 'completed',
+        'Slot Map': slots.slotMap
+      }
+    };
+  }
+
+  return {
+    reply: booking.message,
+    agentNotifications: booking.agentPhone
+      ? [{ agentPhone: booking.agentPhone, message: booking.agentMessage }]
+      : [],
+    // MY BOOKINGS numbering no longer covers every viewing
+    leadFields: { 'Booking List': '' }
+  };
+}
+
+// MY BOOKINGS - also asks which viewing when a plain CANCEL / RESCHEDULE is ambiguous
+async function runListBookings(ctx) {
+  const { tenant, lead, result, locale } = ctx;
+  const list = await listUpcomingBookings({ leadId: lead.id, tenantId: tenant.id, locale });
+
+  if (list.count === 0) {
+    return { reply: list.message };
+  }
+
+  return {
+    reply: compose(result.bookingsPrompt ? result.replyMessage : null, list.message),
+    leadFields: {
+      'Booking List': list.bookingIds,
+      'Conversation Stage': 'viewing_bookings'
+    }
+  };
+}
+
+// "CANCEL 2" → ID of the viewing shown as 2 (the list is rebuilt when the lead never asked for it)
+async function findNumberedBooking(tenantId, lead, number, locale) {
+  let bookingIds = [];
+  try {
+    bookingIds = JSON.parse(lead['Booking List'] || '[]');
+  } catch (error) {
+    console.warn('Invalid Booking List on lead:', error.message);
+  }
+
+  if (!Array.isArray(bookingIds) || bookingIds.length === 0) {
+    const list = await listUpcomingBookings({ leadId: lead.id, tenantId: tenantId, locale });
+    bookingIds = list.bookings.map(b => b.bookingId);
+  }
+
+  return { bookingId: bookingIds[number - 1] || null, total: bookingIds.length };
+}
+
+async function runCancelBooking(ctx) {
+  const { tenant, lead, result, locale } = ctx;
+  let bookingId;
+
+  if (result.bookingNumber) {
+    const numbered = await findNumberedBooking(tenant.id, lead, result.bookingNumber, locale);
+    if (!numbered.bookingId) {
+      return { reply: t(locale, numbered.total > 0 ? 'bookings.invalidNumber' : 'bookings.none', { total: numbered.total }) };
+    }
+    bookingId = numbered.bookingId;
+  }
+
+  const cancelled = await cancelBooking({ leadId: lead.id, bookingId: bookingId, tenantId: tenant.id, locale });
+
+  if (!cancelled.success) {
+    return { reply: bookingId && cancelled.noBooking ? t(locale, 'bookings.notActive') : cancelled.message };
+  }
+
+  const notification = cancelled.agentNotification;
+
+  return {
+    reply: cancelled.userMessage,
+    agentNotifications: notification.agentPhone ? [notification] : [],
+    leadFields: cancelled.remainingBookings > 0
+      ? { 'Conversation Stage': 'booking_confirmed' }
+      : { 'Conversation Stage': 'booking_cancelled' }
+  };
+}
+
+// RESCHEDULE: fresh slots for the property of the lead's booking
+async function runRescheduleOptions(ctx) {
+  const { tenant, lead, result, locale } = ctx;
+  let bookingId;
+
+  if (result.bookingNumber) {
+    const numbered = await findNumberedBooking(tenant.id, lead, result.bookingNumber, locale);
+    if (!numbered.bookingId) {
+      return {
+        reply: t(locale, numbered.total > 0 ? 'bookings.invalidNumber' : 'bookings.none', { total: numbered.total }),
+        leadFields: { 'Conversation Stage': numbered.total > 0 ? 'viewing_bookings' : 'completed' }
+      };
+    }
+    bookingId = numbered.bookingId;
+  }
+
+  const options = await getRescheduleSlots({ leadId: lead.id, bookingId: bookingId, tenantId: tenant.id, locale });
+
+  if (!options.success) {
+    return {
+      reply: options.message,
+      leadFields: { 'Conversation Stage': 'completed' }
+    };
+  }
+
+  if (options.count === 0) {
+    return {
+      reply: options.message,
+      leadFields: { 'Conversation Stage': 'booking_confirmed' }
+    };
+  }
+
+  const reply = compose(result.replyMessage, options.message);
+
+  return {
+    reply: reply,
+    messages: richMessages.slotChoice(reply, options.slots, locale),
+    leadFields: {
+      'Slot Map': options.slotMap,
+      'Selected Booking ID': options.bookingId
+    }
+  };
+}
+
+async function runRescheduleBooking(ctx) {
+  const { tenant, lead, result, locale } = ctx;
+
+  let moved;
+  try {
+    moved = await rescheduleBooking({
+      leadId: lead.id,
+      bookingId: lead['Selected Booking ID'] || undefined,
+      tenantId: tenant.id,
+      slotNumber: result.selectedTime,
+      slotMap: lead['Slot Map'],
+      locale: locale
+    });
+  } catch (error) {
+    if (error.status !== 400) throw error;
+
+    return {
+      reply: t(locale, 'slots.chooseFromList'),
+      leadFields: { 'Conversation Stage': 'awaiting_reschedule_slot' }
+    };
+  }
+
+  if (moved.noBooking) {
+    return {
+      reply: moved.message,
+      leadFields: { 'Conversation Stage': 'completed' }
+    };
+  }
+
+  if (!moved.success) {
+    // Slot was taken in the meantime - the booking stays put, offer fresh slots
+    const options = await getRescheduleSlots({
+      leadId: lead.id,
+      bookingId: lead['Selected Booking ID'] || undefined,
+      tenantId: tenant.id,
+      locale
+    });
+
+    if (!(options.count > 0)) {
+      return {
+        reply: moved.message,
+        leadFields: { 'Conversation Stage': 'booking_confirmed' }
+      };
+    }
+
+    const reply = compose(moved.message, options.message);
+
+    return {
+      reply: reply,
+      messages: richMessages.slotChoice(reply, options.slots, locale),
+      leadFields: {
+        'Conversation Stage': 'awaiting_reschedule_slot',
+        'Slot Map': options.slotMap
+      }
+    };
+  }
+
+  return {
+    reply: moved.message,
+    agentNotifications: moved.agentPhone
+      ? [{ agentPhone: moved.agentPhone, message: moved.agentMessage }]
+      : []
+  };
+}
+
+function selectHandler(result) {
+  if (result.searchProperties) return runSearch;
+
+  switch (result.action) {
+    case 'fetch_locations': return runFetchLocations;
+    case 'fetch_sizes': return runFetchSizes;
+    case 'more_results': return runMoreResults;
+    case 'booking': return runBooking;
+    case 'create_booking': return runCreateBooking;
+    case 'list_bookings': return runListBookings;
+    case 'cancel_booking': return runCancelBooking;
+    case 'reschedule_options': return runRescheduleOptions;
+    case 'reschedule_booking': return runRescheduleBooking;
+    default: return null;
+  }
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// The pipeline behind processMessage. `seen` collects who wrote and the lead as it was before,
+// for the transcript - also when a step throws.
+async function runMessage({ tenant, from, message, rich }, seen) {
+  const agentOutcome = await handleAgentMessage({ tenant, from, message });
+  if (agentOutcome) {
+    // In the transcript of the lead the command was about
+    const relayed = (agentOutcome.leadNotifications || [])[0];
+    seen.party = 'Agent';
+    seen.leadId = relayed ? relayed.leadId : null;
+
+    return {
+      success: true,
+      action: 'agent_command',
+      command: agentOutcome.command,
+      leadId: null,
+      stage: null,
+      reply: agentOutcome.reply,
+      agentNotifications: agentOutcome.agentNotifications || [],
+      leadNotifications: agentOutcome.leadNotifications,
+      ...(rich ? { messages: richMessages.text(agentOutcome.reply) } : {})
+    };
+  }
+
+  const now = new Date();
+  let lead = await leads.findLeadByPhone(tenant.id, from);
+  seen.leadId = lead ? lead.id : null;
+  seen.stageBefore = lead ? lead['Conversation Stage'] : null;
+
+  // Answers to the follow-up after a viewing (interested?, reason, rating, comments)
+  const followUp = await handleFollowUpMessage({ tenant, lead, message, rich });
+  if (followUp && !followUp.restart) {
+    const scoreAlerts = await rescoreLead(followUp.lead, {
+      tenant,
+      fields: responseFields(lead, now),
+      // Every answer but an unrecognised one is saved to the Feedback table
+      changed: !['feedback_invalid', 'followup_invalid'].includes(followUp.action)
+    });
+    return {
+      success: true,
+      action: followUp.action,
+      leadId: lead.id,
+      stage: followUp.lead['Conversation Stage'],
+      reply: followUp.reply,
+      agentNotifications: followUp.agentNotifications.concat(scoreAlerts),
+      ...(rich ? { messages: followUp.messages } : {})
+    };
+  }
+
+  // "3" / HI to the follow-up: a new search
+  if (followUp) {
+    lead = followUp.lead;
+    message = 'hi';
+  }
+
+  const input = buildHandleMessageInput(tenant, lead, from, message, rich);
+
+  // With several viewings booked, a plain CANCEL / RESCHEDULE has to ask which one
+  if (lead && BOOKED_STAGES.includes(input.lead_stage)) {
+    input.upcoming_bookings = (await findUpcomingBookings(tenant.id, lead.id)).length;
+  }
+
+  const result = await handleMessage(input);
+  console.log('Orchestrator:', from, '→ action:', result.action);
+
+  // 1. Persist what handleMessage decided
+  const savedFields = { ...(result.updateFields || {}) };
+  let leadRecord = lead;
+
+  if (result.createLead) {
+    delete savedFields['Tenant'];
+    leadRecord = await leads.createLead(tenant.id, savedFields);
+  } else if (lead && Object.keys(savedFields).length > 0) {
+    leadRecord = await leads.updateLead(lead.id, savedFields);
+  }
+
+  // 2. Execute the action server-side
+  const handler = selectHandler(result);
+  let outcome = { reply: result.replyMessage };
+
+  if (handler) {
+    // Same language handleMessage replied in (it may have just been switched)
+    const locale = result.locale || resolveLocale(input.lead_locale, input.tenant_locale);
+    outcome = await handler({ tenant, lead: leadRecord, result, savedFields, locale });
+
+    // 3. Persist what the action changed (next stage, slot map, ...)
+    if (outcome.leadFields && leadRecord) {
+      leadRecord = await leads.updateLead(leadRecord.id, outcome.leadFields);
+    }
+  }
+
+  const reply = outcome.reply || result.replyMessage;
+
+  const response = {
+    success: result.action !== 'error',
+    action: result.action,
+    leadId: leadRecord ? leadRecord.id : null,
+    stage: leadRecord ? leadRecord['Conversation Stage'] : null,
+    reply: reply,
+    agentNotifications: outcome.agentNotifications || []
+  };
+
+  // 4. Re-score the lead; crossing the tenant's alert score notifies their agent
+  if (leadRecord) {
+    const changed = !lead || BOOKING_ACTIONS.includes(result.action) ||
+      SCORED_FIELDS.some(field => leadRecord[field] !== lead[field]);
+    const scoreAlerts = await rescoreLead(leadRecord, { tenant, fields: responseFields(lead, now), changed });
+    response.agentNotifications = response.agentNotifications.concat(scoreAlerts);
+  }
+
+  if (rich) {
+    // handleMessage's own payload only applies when no action replaced its reply
+    response.messages = outcome.messages || (handler ? null : result.messages) || richMessages.text(reply);
+  }
+
+  return response;
+}
+
+// Processes one inbound message for a tenant and returns the single reply to send
+// plus any agent notifications. With rich set, `messages` holds the structured version of the
+// reply (images, buttons, lists); `reply` is always the plain-text fallback.
+// Commands from the tenant's agents (CONFIRM, DONE, ...) return leadNotifications instead.
+// Every message is recorded with what came of it in the lead's transcript (lib/transcripts.js),
+// as action 'error' when processing failed. messageId is the WhatsApp message's ID, when it came
+// through the webhook.
+async function processMessage({ tenant, from, message, rich = false, messageId }) {
+  const seen = { party: 'Lead', leadId: null, stageBefore: null };
+  let response = null;
+  let failure = null;
+
+  try {
+    response = await runMessage({ tenant, from, message, rich }, seen);
+    return response;
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    await recordInbound({
+      tenantId: tenant.id,
+      leadId: (response && response.leadId) || seen.leadId,
+      party: seen.party,
+      phone: from,
+      text: message,
+      action: response ? response.action : 'error',
+      stageBefore: seen.stageBefore,
+      stageAfter: response ? response.stage : null,
+      reply: response ? response.reply : null,
+      error: failure ? failure.message : null,
+      messageId
+    });
+  }
+}
+
+module.exports = {
+  processMessage,
+  buildHandleMessageInput
+};
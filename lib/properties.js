@@ -0,0 +1,397 @@
+// lib/properties.js - Property lookups shared by the API endpoints and the message orchestrator
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { parseBudget, rankProperties } = require('./ranking');
+const { belongsToTenant } = require('./tenants');
+const richMessages = require('./richMessages');
+const { t } = require('./i18n');
+
+// ============================================
+// Available Locations
+// ============================================
+async function getLocations({ tenantId, interest, locale }) {
+  if (!tenantId || !interest) {
+    throw new HttpError(400, 'tenantId and interest are required');
+  }
+
+  const records = await store.properties.find(
+    { tenantId, type: interest, available: true },
+    { fields: ['Location'] }
+  );
+
+  const locations = [...new Set(records.map(r => r['Location']).filter(Boolean))].sort();
+  const formatted = locations.map(loc => `• ${loc}`).join('\n');
+
+  return {
+    success: true,
+    locations: locations,
+    formatted: formatted || t(locale, 'locations.noneListed'),
+    count: locations.length
+  };
+}
+
+// ============================================
+// Available Sizes (bedrooms or plot sizes)
+// ============================================
+async function getSizes({ tenantId, interest, location, locale }) {
+  if (!tenantId || !interest || !location) {
+    throw new HttpError(400, 'tenantId, interest, and location are required');
+  }
+
+  const records = await store.properties.find(
+    { tenantId, type: interest, location, available: true },
+    { fields: ['Bedrooms', 'Plot Size', 'Type'] }
+  );
+
+  if (records.length === 0) {
+    return {
+      success: false,
+      hasOptions: false,
+      options: "• No properties available in this location",
+      nextStage: interest === 'Land' ? 'asked_land_size' : 'asked_size',
+      message: t(locale, 'sizes.none', { interest: interest.toLowerCase(), location: location })
+    };
+  }
+
+  let sizes = [];
+  let nextStage = '';
+
+  // value is what the lead would type for this option, label what they see
+  if (interest === 'Land') {
+    const plots = [...new Set(records.map(r => r['Plot Size']).filter(Boolean))];
+    sizes = plots.map(p => ({ value: p, label: p }));
+    nextStage = 'asked_land_size';
+  } else {
+    const beds = [...new Set(records.map(r => parseInt(r['Bedrooms'])).filter(n => !isNaN(n)))].sort((a,b) => a-b);
+    sizes = beds.map(b => ({ value: String(b), label: t(locale, b > 1 ? 'sizes.bedrooms' : 'sizes.bedroom', { count: b }) }));
+    nextStage = 'asked_size';
+  }
+
+  return {
+    success: true,
+    hasOptions: true,
+    options: sizes.map(s => `• ${s.label}`).join('\n'),
+    sizes: sizes,
+    nextStage: nextStage,
+    count: records.length
+  };
+}
+
+// ============================================
+// Search Properties
+// ============================================
+const SEARCH_FIELDS = ['Property Name', 'Price', 'Bedrooms', 'Location', 'Address', 'Plot Size', 'Type', 'Photo URL'];
+
+const DEFAULT_PAGE_SIZE = 3;
+const MAX_PAGE_SIZE = 10;
+const MAX_RESULTS = 30; // Size of the result set kept on the lead
+
+function toProperty(record, index) {
+  return {
+    number: index + 1,
+    id: record.id,
+    name: record['Property Name'],
+    price: record['Price'],
+    bedrooms: record['Bedrooms'],
+    location: record['Location'],
+    address: record['Address'],
+    plotSize: record['Plot Size'],
+    type: record['Type'],
+    photoUrl: record['Photo URL'] || ''
+  };
+}
+
+// mode: 'ranked' (default) scores by budget, size and location and falls back to labelled
+// near matches; 'cheapest' is the original behaviour (cheapest exact matches, budget ignored).
+//
+// Results are numbered across the whole set (page 2 holds 4-6), and `results` is the ordered
+// set of IDs the caller keeps so later numbers map to the same records.
+async function searchProperties({ tenantId, leadId, interest, location, bedrooms, plotSize, budget, mode, page, pageSize, locale }) {
+  console.log('========================================');
+  console.log('PROPERTY SEARCH REQUEST:');
+  console.log('tenantId:', tenantId);
+  console.log('interest:', interest);
+  console.log('location:', location);
+  console.log('bedrooms:', bedrooms, typeof bedrooms);
+  console.log('plotSize:', plotSize, typeof plotSize);
+  console.log('budget:', budget);
+  console.log('mode:', mode || 'ranked');
+  console.log('page:', page || 1);
+
+  if (!tenantId || !interest || !location) {
+    console.log('ERROR: Missing required fields');
+    throw new HttpError(400, 'tenantId, interest, and location are required');
+  }
+
+  if (mode && mode !== 'ranked' && mode !== 'cheapest') {
+    throw new HttpError(400, "mode must be 'ranked' or 'cheapest'");
+  }
+
+  // Match on Type, Location, Size, Available
+  const criteria = { tenantId, type: interest, location, available: true };
+
+  if (interest === 'Land') {
+    // Land search - flexible matching for plot size (spaces and case ignored)
+    criteria.plotSize = plotSize || '';
+  } else {
+    // House/Apartment search
+    let bedroomNumber = bedrooms;
+    if (typeof bedrooms === 'string') {
+      const match = bedrooms.match(/\d+/);
+      bedroomNumber = match ? parseInt(match[0]) : bedrooms;
+    }
+
+    console.log('Extracted bedroom number:', bedroomNumber);
+    criteria.bedrooms = parseInt(bedroomNumber);
+
+    if (isNaN(criteria.bedrooms)) {
+      throw new HttpError(400, 'bedrooms must be a number');
+    }
+  }
+
+  const paging = parsePaging(page, pageSize);
+
+  if (mode === 'cheapest') {
+    const cheapest = await searchCheapest(criteria, paging);
+    await logSearch({ tenantId, leadId, criteria, budget, mode, paging, total: cheapest.total, exactMatches: cheapest.total });
+    return cheapest;
+  }
+
+  // Ranked search needs the neighbours too (other areas, other sizes), so only
+  // tenant, type and availability are filtered in the store
+  const records = await store.properties.find(
+    { tenantId, type: interest, available: true },
+    { fields: SEARCH_FIELDS }
+  );
+
+  console.log('Store returned', records.length, 'candidates');
+
+  const ranked = rankProperties(records, {
+    location: location,
+    bedrooms: criteria.bedrooms,
+    plotSize: criteria.plotSize,
+    budget: parseBudget(budget),
+    locale: locale
+  }, MAX_RESULTS);
+
+  const all = ranked.map((r, index) => ({
+    ...toProperty(r.record, index),
+    matchType: r.matchType,
+    matchNote: r.matchNote
+  }));
+
+  const exactMatches = all.filter(p => p.matchType === 'exact').length;
+  const result = pageOf(all, paging);
+
+  console.log('Returning', result.count, 'of', result.total, 'properties (' + exactMatches + ' exact)');
+  console.log('========================================');
+
+  await logSearch({ tenantId, leadId, criteria, budget, mode: 'ranked', paging, total: all.length, exactMatches });
+
+  return {
+    ...result,
+    exactMatches: exactMatches,
+    alternatives: all.length > 0 && exactMatches === 0
+  };
+}
+
+async function searchCheapest(criteria, paging) {
+  const records = await store.properties.find(criteria, {
+    limit: MAX_RESULTS,
+    sort: [{ field: 'Price', direction: 'asc' }], // Cheapest first!
+    fields: SEARCH_FIELDS
+  });
+
+  console.log('Store returned', records.length, 'records');
+
+  // Sort again to be absolutely sure (Airtable sometimes doesn't respect sort);
+  // ties by ID keep the numbering stable
+  const sortedRecords = records.sort((a, b) => {
+    const priceA = a['Price'] || 0;
+    const priceB = b['Price'] || 0;
+    return priceA - priceB || a.id.localeCompare(b.id);
+  });
+
+  const result = pageOf(sortedRecords.map(toProperty), paging);
+
+  console.log('Returning', result.count, 'of', result.total, 'properties');
+  console.log('========================================');
+
+  return result;
+}
+
+// ============================================
+// Search log
+// ============================================
+
+// One Searches row per new search (later pages of it aren't counted again) - what was asked for
+// and how many listings came back, for the analytics (lib/analytics.js). Never fails the search.
+async function logSearch({ tenantId, leadId, criteria, budget, mode, paging, total, exactMatches }) {
+  if (paging.page > 1) return;
+
+  try {
+    await store.searches.create({
+      'Tenant': [tenantId],
+      'Lead': leadId ? [leadId] : [],
+      'Type': criteria.type,
+      'Location': criteria.location,
+      'Size': criteria.type === 'Land' ? criteria.plotSize : String(criteria.bedrooms),
+      'Budget': budget ? budget.toString() : '',
+      'Mode': mode,
+      'Results': total,
+      'Exact Matches': exactMatches
+    });
+  } catch (error) {
+    console.error('Failed to log search:', error.message);
+  }
+}
+
+// ============================================
+// Result pages
+// ============================================
+function parsePaging(page, pageSize) {
+  const size = parseInt(pageSize) || DEFAULT_PAGE_SIZE;
+  if (size < 1 || size > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const number = parseInt(page) || 1;
+  if (number < 1) {
+    throw new HttpError(400, 'page must be 1 or more');
+  }
+
+  return { page: number, pageSize: size };
+}
+
+function pageOf(all, { page, pageSize }) {
+  const properties = all.slice((page - 1) * pageSize, page * pageSize);
+  const totalPages = Math.ceil(all.length / pageSize);
+
+  return {
+    success: true,
+    properties: properties,
+    count: properties.length,
+    total: all.length,
+    page: page,
+    pageSize: pageSize,
+    totalPages: totalPages,
+    hasMore: page < totalPages,
+    results: all.map(p => ({ id: p.id, matchType: p.matchType, matchNote: p.matchNote }))
+  };
+}
+
+// The result set saved on the lead ('Search Results' holds the JSON from searchProperties().results)
+function parseSearchResults(value) {
+  if (!value) return [];
+  try {
+    const results = JSON.parse(value);
+    return Array.isArray(results) ? results.filter(r => r && r.id) : [];
+  } catch (error) {
+    console.warn('Invalid Search Results on lead:', error.message);
+    return [];
+  }
+}
+
+// One page of a saved result set, reloaded by ID so the numbers don't shift.
+// Properties that were removed or became unavailable since are skipped (their numbers stay unused).
+async function getResultPage({ tenantId, results, page, pageSize }) {
+  const paging = parsePaging(page, pageSize);
+  const slice = results.slice((paging.page - 1) * paging.pageSize, paging.page * paging.pageSize);
+  const offset = (paging.page - 1) * paging.pageSize;
+
+  const records = await Promise.all(slice.map(r => store.properties.get(r.id)));
+
+  const properties = records
+    .map((record, index) => record && isListed(record, tenantId)
+      ? { ...toProperty(record, offset + index), matchType: slice[index].matchType, matchNote: slice[index].matchNote }
+      : null)
+    .filter(Boolean);
+
+  const totalPages = Math.ceil(results.length / paging.pageSize);
+
+  return {
+    success: true,
+    properties: properties,
+    count: properties.length,
+    total: results.length,
+    page: paging.page,
+    pageSize: paging.pageSize,
+    totalPages: totalPages,
+    hasMore: paging.page < totalPages
+  };
+}
+
+// The property the lead means by "Property 5", or null if it's gone
+async function getResultProperty({ tenantId, results, number }) {
+  const entry = results[number - 1];
+  if (!entry) return null;
+
+  const record = await store.properties.get(entry.id);
+  return record && isListed(record, tenantId) ? toProperty(record, number - 1) : null;
+}
+
+function isListed(record, tenantId) {
+  return belongsToTenant(record, tenantId) && Boolean(record['Available']);
+}
+
+// One property as a WhatsApp text block (also used as the photo caption)
+function formatPropertyCard(p, locale) {
+  const size = p.type === 'Land'
+    ? `📐 ${p.plotSize || 'N/A'}`
+    : `🛏️ ${t(locale, p.bedrooms > 1 ? 'sizes.bedrooms' : 'sizes.bedroom', { count: p.bedrooms })}`;
+  const price = p.price ? `KES ${Number(p.price).toLocaleString('en-KE')}` : t(locale, 'search.priceOnRequest');
+
+  const note = p.matchType && p.matchType !== 'exact' ? `\n↪️ _${p.matchNote}_` : '';
+
+  return `${p.number}️⃣ *${p.name}*\n` +
+    `💰 ${price}\n` +
+    `${size}\n` +
+    `📍 ${p.address || p.location}` +
+    note;
+}
+
+// Heading for a page of results (alternatives only appear when nothing matched exactly)
+function formatListHeading(properties, paging = {}, locale) {
+  if (paging.page > 1) {
+    return t(locale, 'search.headingMore', { page: paging.page, totalPages: paging.totalPages });
+  }
+  return properties.some(p => p.matchType && p.matchType !== 'exact')
+    ? t(locale, 'search.headingAlternatives')
+    : t(locale, 'search.headingMatches');
+}
+
+// WhatsApp-ready list of search results (paging is a searchProperties/getResultPage result)
+function formatPropertyList(properties, paging = {}, locale) {
+  const lines = properties.map(p => formatPropertyCard(p, locale));
+  const heading = formatListHeading(properties, paging, locale);
+
+  const first = properties.length > 0 ? properties[0].number : 1;
+
+  return `${heading}\n\n` +
+    lines.join('\n\n') +
+    `\n\n${t(locale, 'search.footer', { first: first })}` +
+    (paging.hasMore ? `\n${t(locale, 'search.footerMore')}` : '');
+}
+
+// Rich version of formatPropertyList: a card per property (photo when there is one) and a picker
+function formatPropertyMessages(intro, properties, paging = {}, locale) {
+  const heading = formatListHeading(properties, paging, locale);
+  const introText = [intro, heading].filter(Boolean).join('\n\n');
+  return richMessages.propertyCards(introText, properties, p => formatPropertyCard(p, locale), {
+    hasMore: paging.hasMore,
+    locale: locale
+  });
+}
+
+module.exports = {
+  getLocations,
+  getSizes,
+  searchProperties,
+  parseSearchResults,
+  getResultPage,
+  getResultProperty,
+  formatPropertyCard,
+  formatListHeading,
+  formatPropertyList,
+  formatPropertyMessages
+};
@@ -0,0 +1,287 @@
+// lib/propertyImport.js - Bulk property import from a CSV or XLSX spreadsheet
+//
+// The first row names the columns; each one maps to a listing field (lib/listings.js) by any of
+// the names in COLUMNS (case, spaces, "_" and "-" ignored). Other columns are reported and left
+// out. "Agent" links the listing to the tenant's agents by phone, email or name ("Jane; Bob" for
+// several).
+//
+//   dry-run (default)  nothing is written; every row is reported with what would happen to it
+//   upsert             rows with an External ID update the listing that has it (only the cells
+//                      that aren't blank) or create it; rows without one are created
+//
+// Rows are checked like the listings API (required fields, Land needs Plot Size, ...). Invalid
+// rows are reported as 'error' and duplicates as 'duplicate' - an External ID already used higher
+// up the file, or a new listing with the name and location of a listing the tenant already has or
+// an earlier row - and neither is written, whatever the mode.
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { normalizePhone } = require('./stores/criteria');
+const { cleanInput, assertComplete } = require('./listings');
+const { readSpreadsheet } = require('./spreadsheets');
+
+const MODES = ['dry-run', 'upsert'];
+const MAX_ROWS = 5000;
+
+// Listing field (lib/listings.js API name) → accepted column names
+const COLUMNS = {
+  externalId: ['external id', 'external listing id', 'listing id', 'reference', 'ref'],
+  name: ['property name', 'name', 'title'],
+  type: ['type', 'property type', 'listing type'],
+  location: ['location', 'area'],
+  bedrooms: ['bedrooms', 'beds'],
+  plotSize: ['plot size', 'plot'],
+  price: ['price'],
+  address: ['address'],
+  photoUrl: ['photo url', 'photo', 'image url', 'image'],
+  agent: ['agent', 'agents', 'agent phone', 'agent email', 'agent name'],
+  available: ['available']
+};
+
+function text(value) {
+  return value === undefined || value === null ? '' : value.toString().trim();
+}
+
+// "Property_Name " → "property name"
+function normalizeHeader(value) {
+  return text(value).toLowerCase().replace(/[\s_.-]+/g, ' ').trim();
+}
+
+// Same listing for duplicate checks: name and location, case and spacing ignored
+function listingKey(name, location) {
+  return `${normalizeHeader(name)}|${normalizeHeader(location)}`;
+}
+
+// ============================================
+// Columns
+// ============================================
+
+// { columns: [field or null per column], ignored: [header names] }
+function mapColumns(headers) {
+  const columns = headers.map(header => {
+    const name = normalizeHeader(header);
+    return Object.keys(COLUMNS).find(field => COLUMNS[field].includes(name)) || null;
+  });
+
+  const duplicate = columns.find((field, index) => field && columns.indexOf(field) !== index);
+  if (duplicate) {
+    throw new HttpError(400, `More than one column maps to ${duplicate}`);
+  }
+  if (!columns.some(Boolean)) {
+    throw new HttpError(400, `No known columns - the first row should name them (${Object.values(COLUMNS).map(names => names[0]).join(', ')})`);
+  }
+
+  return {
+    columns: columns,
+    ignored: headers.filter((header, index) => text(header) && !columns[index]).map(text)
+  };
+}
+
+// ============================================
+// Agents
+// ============================================
+
+// Spreadsheets often hold local numbers: "0711 000000" is the agent saved as "+254711000000"
+function samePhone(a, b) {
+  const digitsA = normalizePhone(a);
+  const digitsB = normalizePhone(b);
+  if (digitsA.length < 9 || digitsB.length < 9) return false;
+  return digitsA === digitsB || digitsA.slice(-9) === digitsB.slice(-9);
+}
+
+// "Jane; +254 711 000000" → agent IDs, or { missing } for the names that match no agent
+function resolveAgents(value, agents) {
+  const wanted = text(value).split(';').map(text).filter(Boolean);
+  const ids = [];
+  const missing = [];
+
+  wanted.forEach(entry => {
+    const agent = agents.find(a => samePhone(a['Phone'], entry) ||
+      text(a['Email']).toLowerCase() === entry.toLowerCase() ||
+      text(a['Name']).toLowerCase() === entry.toLowerCase());
+
+    if (agent) {
+      if (!ids.includes(agent.id)) ids.push(agent.id);
+    } else {
+      missing.push(entry);
+    }
+  });
+
+  return { ids, missing };
+}
+
+// ============================================
+// Rows
+// ============================================
+
+// One data row → { row, action, externalId, name, fields, existing, errors, duplicateOf }
+function checkRow(cells, rowNumber, { columns, tenant, agents, byExternalId, byKey, seen }) {
+  const input = {};
+  columns.forEach((field, index) => {
+    if (field && text(cells[index]) !== '') input[field] = cells[index];
+  });
+
+  const externalId = text(input.externalId);
+  const existing = externalId ? byExternalId.get(externalId) || null : null;
+  const errors = [];
+  const fields = {};
+
+  // Field by field, so a row reports every problem at once
+  Object.keys(input).filter(field => field !== 'agent').forEach(field => {
+    try {
+      Object.assign(fields, cleanInput({ [field]: input[field] }, tenant));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  if (input.agent !== undefined) {
+    const { ids, missing } = resolveAgents(input.agent, agents);
+    if (missing.length > 0) {
+      errors.push(`No agent matches ${missing.join(', ')}`);
+    } else {
+      fields['Agents'] = ids;
+    }
+  }
+
+  if (existing && existing['Deleted At']) {
+    errors.push(`Property ${existing.id} with externalId ${externalId} is deleted - restore it first`);
+  }
+
+  if (errors.length === 0) {
+    try {
+      assertComplete({ ...(existing || {}), ...fields });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const listing = { ...(existing || {}), ...fields };
+  const key = listingKey(listing['Property Name'], listing['Location']);
+  let duplicateOf = null;
+
+  if (externalId && seen.externalIds.has(externalId)) {
+    duplicateOf = `row ${seen.externalIds.get(externalId)}`;
+  } else if (!existing && byKey.has(key)) {
+    duplicateOf = byKey.get(key).id;
+  } else if (!existing && seen.keys.has(key)) {
+    duplicateOf = `row ${seen.keys.get(key)}`;
+  }
+
+  if (externalId && !seen.externalIds.has(externalId)) seen.externalIds.set(externalId, rowNumber);
+  if (!seen.keys.has(key)) seen.keys.set(key, rowNumber);
+
+  let action = existing ? 'update' : 'create';
+  if (errors.length > 0) action = 'error';
+  else if (duplicateOf) action = 'duplicate';
+
+  return {
+    row: rowNumber,
+    action: action,
+    externalId: externalId || null,
+    name: listing['Property Name'] || null,
+    fields: fields,
+    existing: existing,
+    errors: errors,
+    duplicateOf: duplicateOf
+  };
+}
+
+// Creates or updates the listing of a checked row; returns its property ID
+async function writeRow(result, tenantId) {
+  if (result.existing) {
+    await store.properties.update(result.existing.id, result.fields);
+    return result.existing.id;
+  }
+
+  const fields = { 'Available': true, ...result.fields, 'Tenant': [tenantId] };
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === '' || fields[field] === null) delete fields[field];
+  });
+
+  const record = await store.properties.create(fields);
+  return record.id;
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// Reads the file, checks every row and, in upsert mode, writes the good ones.
+// Returns { mode, format, total, counts: { create, update, duplicate, error }, ignoredColumns, rows }
+// where rows[].row is the spreadsheet row number (the header is row 1).
+async function importProperties(tenant, buffer, { mode = 'dry-run', format } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new HttpError(400, `mode must be one of ${MODES.join(', ')}`);
+  }
+
+  const sheet = await readSpreadsheet(buffer, format);
+  const [headers = [], ...dataRows] = sheet.rows;
+  const rows = dataRows
+    .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+    .filter(({ cells }) => cells.some(cell => text(cell) !== ''));
+
+  if (rows.length === 0) {
+    throw new HttpError(400, 'The file has no rows below the header');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new HttpError(400, `The file has ${rows.length} rows - import at most ${MAX_ROWS} at a time`);
+  }
+
+  const { columns, ignored } = mapColumns(headers);
+  const existing = await store.properties.find({ tenantId: tenant.id, includeDeleted: true });
+  const agents = columns.includes('agent') ? await store.agents.find({ tenantId: tenant.id }) : [];
+
+  const context = {
+    columns,
+    tenant,
+    agents,
+    byExternalId: new Map(existing.filter(p => text(p['External ID'])).map(p => [text(p['External ID']), p])),
+    byKey: new Map(existing.filter(p => !p['Deleted At']).map(p => [listingKey(p['Property Name'], p['Location']), p])),
+    seen: { externalIds: new Map(), keys: new Map() }
+  };
+
+  console.log(`Property import (${mode}, ${sheet.format}) for ${tenant.id}: ${rows.length} rows`);
+
+  const results = rows.map(({ cells, rowNumber }) => checkRow(cells, rowNumber, context));
+
+  if (mode === 'upsert') {
+    for (const result of results.filter(r => r.action === 'create' || r.action === 'update')) {
+      try {
+        result.propertyId = await writeRow(result, tenant.id);
+      } catch (error) {
+        console.error(`Property import row ${result.row} failed:`, error.message);
+        result.action = 'error';
+        result.errors.push(`Not saved: ${error.message}`);
+      }
+    }
+  }
+
+  const counts = { create: 0, update: 0, duplicate: 0, error: 0 };
+  results.forEach(r => { counts[r.action]++; });
+
+  console.log(`Property import for ${tenant.id}:`, JSON.stringify(counts));
+
+  return {
+    mode: mode,
+    format: sheet.format,
+    total: results.length,
+    counts: counts,
+    ignoredColumns: ignored,
+    rows: results.map(r => ({
+      row: r.row,
+      action: r.action,
+      externalId: r.externalId,
+      name: r.name,
+      propertyId: r.propertyId || (r.existing ? r.existing.id : null),
+      ...(r.errors.length > 0 ? { errors: r.errors } : {}),
+      ...(r.duplicateOf ? { duplicateOf: r.duplicateOf } : {})
+    }))
+  };
+}
+
+module.exports = {
+  MODES,
+  COLUMNS,
+  mapColumns,
+  importProperties
+};
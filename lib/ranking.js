@@ -0,0 +1,155 @@
+// lib/ranking.js - Budget-aware property ranking with near-match alternatives
+//
+// Exact matches are Type + Location + Size within budget. When there are none, properties that
+// miss on exactly one preference are offered instead, each labelled with what's different:
+//   nearby_bedrooms  same area, one bedroom more or less
+//   higher_price     same area and size, up to NEAR_BUDGET_MARGIN over budget
+//   other_location   same size and budget, different area
+const { matchesProperty } = require('./stores/criteria');
+const { t } = require('./i18n');
+
+const NEAR_BUDGET_MARGIN = 0.2; // "slightly higher" = up to 20% over budget
+const BEDROOM_DISTANCE = 1;
+
+const MATCH_ORDER = ['exact', 'nearby_bedrooms', 'higher_price', 'other_location'];
+
+// Unit words after (or, in Swahili, before) the amount; a currency changes nothing
+const BUDGET_UNITS = {
+  m: 1000000, mn: 1000000, million: 1000000, millions: 1000000, milioni: 1000000,
+  k: 1000, thousand: 1000, elfu: 1000
+};
+const CURRENCY_WORDS = ['kes', 'ksh', 'kshs', 'shillings', 'shilingi', 'bob'];
+
+// Budget as a number ("5M", "5 million", "milioni 5" → 5000000, "80K" → 80000, "KES 5,000,000"
+// → 5000000), or null when the lead didn't give a usable one - including an amount followed by
+// some other word ("2 bedrooms")
+function parseBudget(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = value.toString().toLowerCase().replace(/,/g, '');
+  const match = text.match(/(?:\b(milioni|elfu)\s+)?(\d+(?:\.\d+)?)\s*([a-z]+)?/);
+  if (!match) return null;
+
+  const [, unitBefore, amount, wordAfter] = match;
+  let multiplier = BUDGET_UNITS[unitBefore] || 1;
+
+  if (wordAfter && BUDGET_UNITS[wordAfter] && !unitBefore) {
+    multiplier = BUDGET_UNITS[wordAfter];
+  } else if (wordAfter && !CURRENCY_WORDS.includes(wordAfter)) {
+    return null;
+  }
+
+  const budget = parseFloat(amount) * multiplier;
+  return budget > 0 ? budget : null;
+}
+
+function priceOf(record) {
+  const price = Number(record['Price']);
+  return price > 0 ? price : null;
+}
+
+// Properties without a price ("Price on request") never count as over budget
+function withinBudget(record, budget, margin = 0) {
+  const price = priceOf(record);
+  if (budget === null || price === null) return true;
+  return price <= budget * (1 + margin);
+}
+
+function sameLocation(record, location) {
+  return (record['Location'] || '').toString().trim().toLowerCase() === (location || '').toString().trim().toLowerCase();
+}
+
+// Which kind of match a property is for the preferences, or null if it's too far off
+function classifyProperty(record, prefs) {
+  const { location, bedrooms, plotSize, budget } = prefs;
+  const isLand = plotSize !== undefined;
+  const sizeMatches = isLand
+    ? matchesProperty(record, { plotSize })
+    : matchesProperty(record, { bedrooms });
+  const inArea = sameLocation(record, location);
+
+  if (inArea && sizeMatches && withinBudget(record, budget)) return 'exact';
+
+  if (!isLand && inArea && withinBudget(record, budget)) {
+    const difference = Math.abs(parseInt(record['Bedrooms']) - bedrooms);
+    if (difference <= BEDROOM_DISTANCE) return 'nearby_bedrooms';
+  }
+
+  if (inArea && sizeMatches && withinBudget(record, budget, NEAR_BUDGET_MARGIN)) return 'higher_price';
+
+  if (!inArea && sizeMatches && withinBudget(record, budget)) return 'other_location';
+
+  return null;
+}
+
+// Lower is better: distance from budget (over budget costs more than under), bedrooms, area
+function scoreProperty(record, prefs) {
+  let score = 0;
+  const price = priceOf(record);
+
+  if (prefs.budget !== null && price !== null) {
+    const gap = (price - prefs.budget) / prefs.budget;
+    score += gap > 0 ? gap * 2 : -gap * 0.5;
+  }
+
+  if (prefs.plotSize === undefined) {
+    const bedrooms = parseInt(record['Bedrooms']);
+    score += isNaN(bedrooms) ? BEDROOM_DISTANCE : Math.abs(bedrooms - prefs.bedrooms);
+  }
+
+  if (!sameLocation(record, prefs.location)) score += 1;
+
+  return score;
+}
+
+// Short explanation shown next to an alternative, in the lead's language
+function describeMatch(matchType, record, prefs) {
+  switch (matchType) {
+    case 'nearby_bedrooms': {
+      const bedrooms = parseInt(record['Bedrooms']);
+      return t(prefs.locale, bedrooms === 1 ? 'match.nearbyBedroom' : 'match.nearbyBedrooms', { bedrooms: bedrooms, wanted: prefs.bedrooms });
+    }
+    case 'higher_price':
+      return t(prefs.locale, 'match.higherPrice', { amount: (priceOf(record) - prefs.budget).toLocaleString('en-KE') });
+    case 'other_location':
+      return t(prefs.locale, 'match.otherLocation', { location: record['Location'], wanted: prefs.location });
+    default:
+      return '';
+  }
+}
+
+// Ranks candidate records (already filtered by tenant, type and availability).
+// prefs: { location, bedrooms, plotSize, budget (number|null), locale }
+// Returns [{ record, matchType, matchNote, score }] - exact matches only when there are any.
+// Ties fall back to price and record ID so the numbering is stable between searches.
+function rankProperties(records, prefs, limit = 3) {
+  const ranked = records
+    .map(record => {
+      const matchType = classifyProperty(record, prefs);
+      return matchType && {
+        record: record,
+        matchType: matchType,
+        matchNote: describeMatch(matchType, record, prefs),
+        score: scoreProperty(record, prefs)
+      };
+    })
+    .filter(Boolean);
+
+  const exact = ranked.filter(r => r.matchType === 'exact');
+  const pool = exact.length > 0 ? exact : ranked;
+
+  return pool
+    .sort((a, b) =>
+      MATCH_ORDER.indexOf(a.matchType) - MATCH_ORDER.indexOf(b.matchType) ||
+      a.score - b.score ||
+      (priceOf(a.record) || 0) - (priceOf(b.record) || 0) ||
+      a.record.id.localeCompare(b.record.id))
+    .slice(0, limit);
+}
+
+module.exports = {
+  NEAR_BUDGET_MARGIN,
+  parseBudget,
+  classifyProperty,
+  scoreProperty,
+  rankProperties
+};
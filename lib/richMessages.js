@@ -0,0 +1,233 @@
+// lib/richMessages.js - Structured WhatsApp payloads (images, reply buttons, list messages)
+//
+// Messages are plain objects that lib/whatsapp.js turns into Graph API payloads:
+//   { type: 'text', text }
+//   { type: 'image', imageUrl, caption }
+//   { type: 'buttons', body, buttons: [{ id, title }] }
+//   { type: 'list', body, buttonText, sections: [{ title, rows: [{ id, title, description }] }] }
+//
+// They are always sent alongside a plain-text reply, which stays the fallback for API callers
+// and channels without interactive support.
+//
+// Reply IDs are "<kind>:<value>" where value is exactly what the lead could have typed
+// ("type:Buy", "slot:3", "cmd:MORE"), so a tapped button reads like a typed message.
+//
+// Labels come from the lib/i18n catalogues; every builder takes the conversation's locale.
+const { t } = require('./i18n');
+
+// WhatsApp Cloud API limits
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_BUTTON_TITLE = 20;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+const MAX_INTERACTIVE_BODY = 1024;
+const MAX_CAPTION = 1024;
+
+function truncate(value, max) {
+  const text = (value || '').toString();
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+// ============================================
+// Reply IDs
+// ============================================
+
+function replyId(kind, value) {
+  return `${kind}:${value}`;
+}
+
+// "slot:3" → "3"; anything without a known prefix is returned unchanged
+function parseReplyId(id) {
+  const match = (id || '').toString().match(/^(type|location|size|property|slot|followup|cmd):(.+)$/);
+  return match ? match[2] : id;
+}
+
+// ============================================
+// Builders (each returns an array of messages)
+// ============================================
+
+function text(body) {
+  return body ? [{ type: 'text', text: body }] : [];
+}
+
+function image(imageUrl, caption) {
+  return [{ type: 'image', imageUrl: imageUrl, caption: truncate(caption, MAX_CAPTION) }];
+}
+
+// Interactive bodies are capped at 1024 characters - longer text goes out as its own message first
+function splitBody(body, shortBody) {
+  if ((body || '').length <= MAX_INTERACTIVE_BODY) {
+    return { before: [], body: body };
+  }
+  return { before: text(body), body: shortBody };
+}
+
+// Reply buttons for up to 3 options, a list message for more.
+// options: [{ id, title, description }]
+function choice(body, options, { buttonText, sectionTitle, locale } = {}) {
+  if (options.length === 0) return text(body);
+
+  const { before, body: interactiveBody } = splitBody(body, t(locale, 'rich.chooseOption'));
+
+  if (options.length <= MAX_BUTTONS) {
+    return before.concat({
+      type: 'buttons',
+      body: interactiveBody,
+      buttons: options.map(o => ({ id: o.id, title: truncate(o.title, MAX_BUTTON_TITLE) }))
+    });
+  }
+
+  return before.concat({
+    type: 'list',
+    body: interactiveBody,
+    buttonText: truncate(buttonText || t(locale, 'rich.choose'), MAX_BUTTON_TITLE),
+    sections: [{
+      title: truncate(sectionTitle || t(locale, 'rich.options'), MAX_ROW_TITLE),
+      rows: options.slice(0, MAX_LIST_ROWS).map(o => ({
+        id: o.id,
+        title: truncate(o.title, MAX_ROW_TITLE),
+        description: o.description ? truncate(o.description, MAX_ROW_DESCRIPTION) : undefined
+      }))
+    }]
+  });
+}
+
+// ============================================
+// Conversation payloads
+// ============================================
+
+// Buy / Rent / Land ... from the tenant's "Property Types"
+function propertyTypeChoice(body, tenantTypes, locale) {
+  const types = (tenantTypes || '').split(',').map(type => type.trim()).filter(Boolean);
+  return choice(body, types.map(type => ({ id: replyId('type', type), title: type })), {
+    buttonText: t(locale, 'rich.chooseType'),
+    sectionTitle: t(locale, 'rich.lookingTo'),
+    locale: locale
+  });
+}
+
+function locationChoice(body, locations, locale) {
+  return choice(body, locations.map(l => ({ id: replyId('location', l), title: l })), {
+    buttonText: t(locale, 'rich.chooseArea'),
+    sectionTitle: t(locale, 'rich.areas'),
+    locale: locale
+  });
+}
+
+// values are what the size stage accepts ("3" or "50x100"), labels what the lead sees
+function sizeChoice(body, sizes, locale) {
+  return choice(body, sizes.map(s => ({ id: replyId('size', s.value), title: s.label })), {
+    buttonText: t(locale, 'rich.chooseSize'),
+    sectionTitle: t(locale, 'rich.sizes'),
+    locale: locale
+  });
+}
+
+// Always a list, so the dates stay readable
+function slotChoice(body, slots, locale) {
+  if (slots.length === 0) return text(body);
+
+  const { before, body: interactiveBody } = splitBody(body, t(locale, 'rich.chooseViewingTime'));
+
+  return before.concat({
+    type: 'list',
+    body: interactiveBody,
+    buttonText: truncate(t(locale, 'rich.chooseTime'), MAX_BUTTON_TITLE),
+    sections: [{
+      title: truncate(t(locale, 'rich.availableViewings'), MAX_ROW_TITLE),
+      rows: slots.slice(0, MAX_LIST_ROWS).map(s => ({
+        id: replyId('slot', s.number),
+        title: truncate(`${s.displayDate}, ${s.displayTime}`, MAX_ROW_TITLE)
+      }))
+    }]
+  });
+}
+
+// One card per property (an image when there's a photo), then a picker.
+// cardText(property) returns the same text block the plain reply uses.
+function propertyCards(intro, properties, cardText, { hasMore = false, locale } = {}) {
+  const messages = text(intro);
+
+  properties.forEach(p => {
+    messages.push(...(p.photoUrl ? image(p.photoUrl, cardText(p)) : text(cardText(p))));
+  });
+
+  const options = properties.map(p => ({
+    id: replyId('property', p.number),
+    title: `${p.number}. ${p.name}`,
+    description: p.matchNote || p.location
+  }));
+
+  // MORE has to stay in the list; a property left out of it can still be picked by its number
+  if (hasMore) {
+    options.splice(MAX_LIST_ROWS - 1);
+    options.push({ id: replyId('cmd', 'MORE'), title: t(locale, 'rich.seeMore') });
+  }
+
+  return messages.concat(choice(t(locale, 'rich.whichProperty'), options, {
+    buttonText: t(locale, 'rich.chooseProperty'),
+    sectionTitle: t(locale, 'rich.properties'),
+    locale: locale
+  }));
+}
+
+function followUpChoice(body, locale) {
+  return choice(body, [
+    { id: replyId('followup', '1'), title: t(locale, 'rich.interested') },
+    { id: replyId('followup', '2'), title: t(locale, 'rich.notInterested') },
+    { id: replyId('cmd', 'HI'), title: t(locale, 'rich.newSearch') }
+  ], { locale: locale });
+}
+
+// Ratings 5 (best) to 1; replies arrive as "5" ... "1"
+function ratingChoice(body, locale) {
+  const options = [5, 4, 3, 2, 1].map(rating => ({
+    id: replyId('followup', rating),
+    title: '⭐'.repeat(rating),
+    description: t(locale, `feedback.rating${rating}`)
+  }));
+
+  return choice(body, options, {
+    buttonText: t(locale, 'rich.rate'),
+    sectionTitle: t(locale, 'rich.ratings'),
+    locale: locale
+  });
+}
+
+// Why the lead didn't like the property, in the order of REASONS in lib/followUp.js;
+// replies arrive as "1" ... "5"
+function reasonChoice(body, locale) {
+  const options = ['Price', 'Location', 'Condition', 'Size', 'Other'].map((reason, index) => ({
+    id: replyId('followup', index + 1),
+    title: t(locale, `feedback.reason${reason}`)
+  }));
+
+  return choice(body, options, {
+    buttonText: t(locale, 'rich.chooseReason'),
+    sectionTitle: t(locale, 'rich.reasons'),
+    locale: locale
+  });
+}
+
+// A question the lead can answer with free text or skip
+function skipChoice(body, locale) {
+  return choice(body, [{ id: replyId('followup', 'SKIP'), title: t(locale, 'rich.skip') }], { locale: locale });
+}
+
+module.exports = {
+  replyId,
+  parseReplyId,
+  text,
+  image,
+  choice,
+  propertyTypeChoice,
+  locationChoice,
+  sizeChoice,
+  slotChoice,
+  propertyCards,
+  followUpChoice,
+  ratingChoice,
+  reasonChoice,
+  skipChoice
+};
@@ -0,0 +1,363 @@
+// lib/scheduler.js - Built-in scheduler for reminders and follow-ups
+//
+// Every booking gets one job per notification rule of its tenant (lib/notificationRules.js)
+// in the Jobs table:
+//
+//   Tenant, Booking   links
+//   Type              key of the rule, e.g. "reminder_12h"
+//   Key               "<rule>:<booking id>" - one job per booking and rule
+//   Status            Pending | Sent | Skipped | Failed
+//   Run At            when the job is next due (pushed back after a failed attempt)
+//   Viewing Start     booking start the job was scheduled for (a reschedule re-arms sent jobs)
+//   Attempts          failed attempts so far
+//   Delivered         recipients already sent to ("lead", "agent")
+//   Sending           recipient being sent to right now
+//   Detail            why the job was skipped or the last error
+//
+// Due jobs are picked up every minute and sent through the WhatsApp sender. Jobs that became
+// due while the server was down are caught up on start, unless they are too late to be useful
+// (see expiresAt in lib/notifications.js). A failed send is retried with exponential backoff;
+// after MAX_ATTEMPTS the job is marked Failed. Jobs for new rules and for bookings made outside
+// the API are added on start and every hour.
+//
+// Delivery is at most once per recipient: the booking's 'Notification Log' records every message
+// sent, jobs whose message is already logged are not sent again, and a recipient left in
+// "Sending" by a crash counts as delivered. /api/check-notifications keeps working for tenants
+// without a WhatsApp Phone Number ID, whose jobs wait for one to be set until they are too late.
+//
+// Runs inside one server process - don't start it in more than one instance.
+const store = require('./store');
+const whatsapp = require('./whatsapp');
+const richMessages = require('./richMessages');
+const i18n = require('./i18n');
+const { getTemplates } = require('./templates');
+const { getTenant } = require('./tenants');
+const { resolveTimezone } = require('./timezone');
+const { getNotificationRules } = require('./notificationRules');
+const notifications = require('./notifications');
+const { recordOutbound } = require('./transcripts');
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const BACKFILL_INTERVAL = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+// How often jobs of a tenant without a WhatsApp Phone Number ID look for one
+const SETUP_DELAY = 10 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let lastBackfill = 0;
+
+function jobKey(ruleKey, bookingId) {
+  return `${ruleKey}:${bookingId}`;
+}
+
+// 1, 2, 4, 8 ... minutes, at most 30
+function retryDelay(attempts) {
+  return Math.min(Math.pow(2, attempts - 1), 30) * 60 * 1000;
+}
+
+function listOf(value) {
+  return (value || '').toString().split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// ============================================
+// Scheduling
+// ============================================
+
+// Creates (or moves) the booking's jobs. Called when a booking is created or rescheduled;
+// never throws - the booking itself has already been saved.
+async function scheduleBookingJobs(booking, tenant) {
+  const tenantId = booking['Tenant']?.[0];
+  const viewingStart = new Date(booking['StartDateTime']).toISOString();
+
+  let rules;
+  try {
+    tenant = tenant || await getTenant(tenantId);
+    rules = await getNotificationRules(tenantId);
+  } catch (error) {
+    console.error(`Failed to schedule notifications for booking ${booking.id}:`, error.message);
+    return;
+  }
+  const timezone = resolveTimezone(tenant && tenant['Time Zone']);
+
+  for (const rule of rules) {
+    try {
+      const key = jobKey(rule.key, booking.id);
+      const runAt = notifications.dueAt(rule, booking, timezone).toISOString();
+      const [existing] = await store.jobs.find({ key: key }, { limit: 1 });
+
+      if (!existing) {
+        await store.jobs.create({
+          'Tenant': tenantId ? [tenantId] : [],
+          'Booking': [booking.id],
+          'Type': rule.key,
+          'Key': key,
+          'Status': 'Pending',
+          'Run At': runAt,
+          'Viewing Start': viewingStart,
+          'Attempts': 0
+        });
+      } else if (existing['Status'] === 'Pending' || existing['Viewing Start'] !== viewingStart) {
+        if (existing['Run At'] === runAt && existing['Viewing Start'] === viewingStart) continue;
+
+        // Same job for the new time (or the rule's new offset); a message that went out for
+        // the old time is due again
+        await store.jobs.update(existing.id, {
+          'Status': 'Pending',
+          'Run At': runAt,
+          'Viewing Start': viewingStart,
+          'Attempts': 0,
+          'Delivered': '',
+          'Sending': '',
+          'Detail': ''
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to schedule ${rule.key} for booking ${booking.id}:`, error.message);
+    }
+  }
+}
+
+// Jobs for bookings made before the scheduler ran (or edited straight in Airtable) and for
+// rules added since. tenantId limits it to one tenant.
+async function backfillJobs({ tenantId, now = new Date() } = {}) {
+  const tenants = tenantId ? [await store.tenants.get(tenantId)].filter(Boolean) : await store.tenants.list();
+  let count = 0;
+
+  for (const tenant of tenants) {
+    const rules = await getNotificationRules(tenant.id);
+    const bookings = await store.bookings.find({
+      tenantId: tenant.id,
+      status: [...new Set([...notifications.STATUSES.reminder, ...notifications.STATUSES.followup])],
+      endAfter: new Date(now.getTime() - 24 * 60 * 60 * 1000)
+    });
+
+    for (const booking of bookings) {
+      // Nothing left to schedule for bookings whose every message already went out
+      if (rules.every(rule => notifications.wasSent(booking, rule.key))) continue;
+      await scheduleBookingJobs(booking, tenant);
+      count++;
+    }
+  }
+
+  console.log(`Scheduler: checked jobs for ${count} booking(s)`);
+}
+
+// ============================================
+// Running jobs
+// ============================================
+
+async function finishJob(job, status, detail) {
+  console.log(`Scheduler: ${job['Key']} → ${status}${detail ? ` (${detail})` : ''}`);
+  await store.jobs.update(job.id, { 'Status': status, 'Sending': '', 'Detail': detail || '' });
+  return status;
+}
+
+// Sends one recipient's message unless it already went out, recording progress on the job
+async function deliver(job, delivered, recipient, send) {
+  if (delivered.includes(recipient)) return;
+
+  await store.jobs.update(job.id, { 'Sending': recipient });
+  await send();
+  delivered.push(recipient);
+  await store.jobs.update(job.id, { 'Delivered': delivered.join(', '), 'Sending': '' });
+}
+
+async function sendJob(job, rule, { tenant, booking, lead, property, sender, now }) {
+  const phoneNumberId = tenant['WhatsApp Phone Number ID'];
+  const templates = await getTemplates(tenant.id);
+  const notification = notifications.buildNotification(rule, { tenant, booking, lead, property, templates, now });
+  const delivered = listOf(job['Delivered']);
+
+  // A crash while sending leaves "Sending" set; the message may have gone out, so don't repeat it
+  if (job['Sending'] && !delivered.includes(job['Sending'])) {
+    console.warn(`Scheduler: ${job['Key']} was interrupted while sending to the ${job['Sending']} - not sending again`);
+    delivered.push(job['Sending']);
+  }
+
+  await deliver(job, delivered, 'lead', async () => {
+    const to = whatsapp.normalizePhone(notification.leadPhone);
+
+    // Interested / Not Interested buttons (replies arrive as "1" / "2")
+    if (rule.type === 'followup' && !tenant['Plain Text Replies']) {
+      const locale = i18n.resolveLocale(lead['Language'], tenant['Default Language']);
+      await whatsapp.sendMessages(sender, phoneNumberId, to,
+        richMessages.followUpChoice(notification.message, locale), notification.message);
+    } else {
+      await sender.sendText(phoneNumberId, to, notification.message);
+    }
+    await recordOutbound({ tenantId: tenant.id, leadId: lead.id, phone: notification.leadPhone, type: rule.key, text: notification.message });
+  });
+
+  const agent = notification.agentNotification;
+  if (agent && agent.agentPhone) {
+    await deliver(job, delivered, 'agent', async () => {
+      await sender.sendText(phoneNumberId, whatsapp.normalizePhone(agent.agentPhone), agent.message);
+      await recordOutbound({ tenantId: tenant.id, leadId: lead.id, party: 'Agent', phone: agent.agentPhone, type: rule.key, text: agent.message });
+    });
+  }
+
+  await store.bookings.update(booking.id, notifications.logSent(booking, rule.key));
+
+  // The lead's next message is read as the answer to the follow-up (lib/followUp.js)
+  if (rule.type === 'followup') {
+    await store.leads.update(lead.id, {
+      'AwaitingFollowUpResponse': true,
+      'LastViewedProperty': notification.propertyName,
+      'Follow-Up Booking ID': booking.id,
+      // How fast they answer counts towards their score (lib/leadScoring.js)
+      'Last Message Sent At': new Date().toISOString()
+    });
+  }
+}
+
+// Runs one due job; returns its new status
+async function runJob(job, sender, now = new Date()) {
+  const booking = await store.bookings.get(job['Booking']?.[0]);
+  if (!booking) {
+    return finishJob(job, 'Skipped', 'Booking not found');
+  }
+
+  const tenant = await getTenant(booking['Tenant']?.[0]);
+  if (!tenant) {
+    return finishJob(job, 'Skipped', 'Tenant not found');
+  }
+
+  const rules = await getNotificationRules(tenant.id);
+  const rule = rules.find(r => r.key === job['Type']);
+  if (!rule) {
+    return finishJob(job, 'Skipped', `No notification rule ${job['Type']}`);
+  }
+  if (notifications.wasSent(booking, rule.key)) {
+    return finishJob(job, 'Sent', 'Already sent');
+  }
+
+  // The booking (or the rule) moved later without the job being rescheduled
+  const timezone = resolveTimezone(tenant['Time Zone']);
+  const dueAt = notifications.dueAt(rule, booking, timezone);
+  if (dueAt > now) {
+    await store.jobs.update(job.id, { 'Run At': dueAt.toISOString() });
+    return 'Pending';
+  }
+
+  const context = await notifications.loadBookingContext(booking);
+  if (!context) {
+    return finishJob(job, 'Skipped', 'Lead or property not found');
+  }
+
+  const reason = notifications.skipReason(rule, rules, { booking, lead: context.lead, timezone, now });
+  if (reason) {
+    return finishJob(job, 'Skipped', reason);
+  }
+  // Kept for when the tenant adds the number; the message may still go out through
+  // /api/check-notifications meanwhile, which the Notification Log shows
+  if (!tenant['WhatsApp Phone Number ID']) {
+    await store.jobs.update(job.id, {
+      'Run At': new Date(now.getTime() + SETUP_DELAY).toISOString(),
+      'Detail': 'Tenant has no WhatsApp Phone Number ID'
+    });
+    return 'Pending';
+  }
+
+  try {
+    await sendJob(job, rule, { tenant, booking, sender, now, ...context });
+    await store.jobs.update(job.id, { 'Status': 'Sent', 'Sent At': new Date().toISOString(), 'Sending': '', 'Detail': '' });
+    console.log(`Scheduler: ${job['Key']} → Sent`);
+    return 'Sent';
+  } catch (error) {
+    const attempts = (parseInt(job['Attempts']) || 0) + 1;
+    console.error(`Scheduler: ${job['Key']} attempt ${attempts} failed:`, error.message);
+
+    if (attempts >= MAX_ATTEMPTS) {
+      await store.jobs.update(job.id, { 'Attempts': attempts, 'Status': 'Failed', 'Sending': '', 'Detail': error.message });
+      return 'Failed';
+    }
+
+    await store.jobs.update(job.id, {
+      'Attempts': attempts,
+      'Run At': new Date(now.getTime() + retryDelay(attempts)).toISOString(),
+      'Sending': '',
+      'Detail': error.message
+    });
+    return 'Pending';
+  }
+}
+
+// Runs every job that is due, oldest first; returns { <status>: count }
+async function runDueJobs(sender, now = new Date()) {
+  const jobs = await store.jobs.find(
+    { status: 'Pending', dueBefore: now },
+    { sort: [{ field: 'Run At', direction: 'asc' }], limit: BATCH_SIZE }
+  );
+  const summary = {};
+
+  for (const job of jobs) {
+    try {
+      const status = await runJob(job, sender, now);
+      summary[status] = (summary[status] || 0) + 1;
+    } catch (error) {
+      // Store errors: the job stays Pending and is picked up again next time
+      console.error(`Scheduler: ${job['Key']} could not run:`, error.message);
+    }
+  }
+
+  return summary;
+}
+
+// ============================================
+// Timer
+// ============================================
+
+async function tick(sender) {
+  if (running) return;
+  running = true;
+
+  try {
+    if (Date.now() - lastBackfill >= BACKFILL_INTERVAL) {
+      lastBackfill = Date.now();
+      await backfillJobs();
+    }
+
+    const summary = await runDueJobs(sender);
+    if (Object.keys(summary).length > 0) {
+      console.log('Scheduler: ran due jobs', summary);
+    }
+  } catch (error) {
+    console.error('Scheduler: run failed:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+// Backfills missing jobs and catches up on overdue ones right away, then checks every intervalMs
+async function start({ sender, intervalMs } = {}) {
+  if (timer) return;
+  const interval = parseInt(intervalMs) || DEFAULT_INTERVAL;
+
+  timer = setInterval(() => tick(sender), interval);
+  timer.unref();
+  console.log(`Scheduler: started (every ${interval / 1000}s)`);
+
+  await tick(sender);
+}
+
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  SETUP_DELAY,
+  jobKey,
+  retryDelay,
+  scheduleBookingJobs,
+  backfillJobs,
+  runJob,
+  runDueJobs,
+  start,
+  stop
+};
@@ -0,0 +1,120 @@
+// lib/slots.js - Viewing slot generation in the tenant's own time zone
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_ABBREVIATIONS = {
+  'Mon': 'Monday', 'Tue': 'Tuesday', 'Wed': 'Wednesday',
+  'Thu': 'Thursday', 'Fri': 'Friday', 'Sat': 'Saturday', 'Sun': 'Sunday'
+};
+
+// "Mon, Tue" / ["Mon", "Tuesday"] → ['Monday', 'Tuesday']
+function normalizeWorkingDays(raw) {
+  const list = Array.isArray(raw) ? raw : (raw || '').split(',');
+  return list
+    .map(d => d.toString().trim())
+    .filter(Boolean)
+    .map(d => DAY_ABBREVIATIONS[d.slice(0, 3)] || d);
+}
+
+// Generates free slots on a fixed grid: workStart, workStart + duration, ... while the slot
+// still ends by workEnd. All wall-clock values are in `timezone`; DST gaps are skipped.
+//
+// options: {
+//   now, timezone, workStartMinutes, workEndMinutes, slotDuration (minutes),
+//   workingDays: ['Monday', ...], daysAhead, maxSlots, bufferMinutes,
+//   booked: [{ start: Date, end: Date }]
+// }
+function generateSlots(options) {
+  const {
+    now = new Date(),
+    timezone,
+    workStartMinutes,
+    workEndMinutes,
+    slotDuration,
+    workingDays,
+    daysAhead,
+    maxSlots = 7,
+    bufferMinutes = 60,
+    booked = []
+  } = options;
+
+  const slots = [];
+  if (!(slotDuration > 0)) return slots;
+
+  const earliestStart = new Date(now.getTime() + bufferMinutes * 60000);
+  const today = getZonedParts(now, timezone);
+
+  function overlaps(start, end) {
+    return booked.some(b => start < b.end && end > b.start);
+  }
+
+  for (let dayOffset = 0; dayOffset < daysAhead && slots.length < maxSlots; dayOffset++) {
+    // Calendar arithmetic on the local date (independent of the server's zone)
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + dayOffset));
+    const day = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+    if (!workingDays.includes(DAY_NAMES[date.getUTCDay()])) {
+      continue; // Skip non-working days silently
+    }
+
+    for (let minute = workStartMinutes;
+      minute + slotDuration <= workEndMinutes && slots.length < maxSlots;
+      minute += slotDuration) {
+      const slotStart = zonedTimeToUtc({ ...day, hour: Math.floor(minute / 60), minute: minute % 60 }, timezone);
+
+      // Local time skipped by a DST change
+      if (!slotStart) continue;
+
+      const slotEnd = new Date(slotStart.getTime() + slotDuration * 60000);
+
+      if (slotStart <= earliestStart) continue;
+      if (overlaps(slotStart, slotEnd)) continue;
+
+      slots.push({ start: slotStart, end: slotEnd });
+    }
+  }
+
+  return slots;
+}
+
+// True when start-end is a slot generateSlots would offer with these options, bookings aside: on
+// a working day within daysAhead, on the grid from workStartMinutes, ending by workEndMinutes
+// and after the buffer. The first of two repeated local times (DST ending) is the one offered.
+function isGridSlot(options, start, end) {
+  const {
+    now = new Date(),
+    timezone,
+    workStartMinutes,
+    workEndMinutes,
+    slotDuration,
+    workingDays,
+    daysAhead,
+    bufferMinutes = 60
+  } = options;
+
+  if (!(slotDuration > 0) || end.getTime() - start.getTime() !== slotDuration * 60000) return false;
+  if (start <= new Date(now.getTime() + bufferMinutes * 60000)) return false;
+
+  const local = getZonedParts(start, timezone);
+  const today = getZonedParts(now, timezone);
+  const date = new Date(Date.UTC(local.year, local.month - 1, local.day));
+  const dayOffset = Math.round((date - Date.UTC(today.year, today.month - 1, today.day)) / 86400000);
+
+  if (dayOffset < 0 || dayOffset >= daysAhead) return false;
+  if (!workingDays.includes(DAY_NAMES[date.getUTCDay()])) return false;
+
+  const minute = local.hour * 60 + local.minute;
+  if (local.second !== 0 || start.getUTCMilliseconds() !== 0) return false;
+  if (minute < workStartMinutes || minute + slotDuration > workEndMinutes) return false;
+  if ((minute - workStartMinutes) % slotDuration !== 0) return false;
+
+  const offered = zonedTimeToUtc(local, timezone);
+  return Boolean(offered) && offered.getTime() === start.getTime();
+}
+
+module.exports = {
+  DAY_NAMES,
+  normalizeWorkingDays,
+  generateSlots,
+  isGridSlot
+};
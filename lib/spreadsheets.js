@@ -0,0 +1,190 @@
+// lib/spreadsheets.js - CSV and XLSX files as rows of cell values, and written from them
+//
+// CSV follows RFC 4180 (quoted cells may hold commas, quotes and line breaks); the separator is
+// whichever of , ; or tab the first line uses most, since Excel exports in many locales use ";".
+// XLSX files are read with exceljs; only the first worksheet counts.
+//
+// Files are written row by row to the response, CSV with a BOM so Excel reads it as UTF-8.
+const ExcelJS = require('exceljs');
+const { HttpError } = require('./errors');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// ZIP signature - every XLSX file starts with it
+const ZIP_MAGIC = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// 'csv' / 'xlsx' from the caller's hint (a format or a Content-Type), else from the bytes
+function detectFormat(buffer, hint) {
+  const value = (hint || '').toString().toLowerCase();
+
+  if (FORMATS.includes(value)) return value;
+  if (value.includes('spreadsheetml') || value.includes('ms-excel')) return 'xlsx';
+  if (value.includes('csv') || value.startsWith('text/')) return 'csv';
+
+  return buffer.subarray(0, 4).equals(ZIP_MAGIC) ? 'xlsx' : 'csv';
+}
+
+// ============================================
+// CSV
+// ============================================
+
+function detectSeparator(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(separator => ({ separator, count: firstLine.split(separator).length }));
+  return counts.sort((a, b) => b.count - a.count)[0].separator;
+}
+
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const separator = detectSeparator(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new HttpError(400, 'CSV has a quoted cell that is never closed');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ============================================
+// XLSX
+// ============================================
+
+// exceljs cell value → string, number or boolean (rich text, links and formulas give their text)
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.text !== undefined) return cellValue(value.text);
+  return '';
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new HttpError(400, `Not a readable XLSX file: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, number) => {
+    // row.values is 1-based
+    rows[number - 1] = Array.from(row.values.slice(1), cellValue);
+  });
+
+  return Array.from(rows, row => row || []);
+}
+
+// ============================================
+// Writing
+// ============================================
+
+// Text that a spreadsheet would run as a formula (=, +, -, @) gets a leading ' - lead names and
+// messages come from WhatsApp. Numbers and phone numbers ("+254 700 000000") are left alone.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let cell = value.toString();
+  if (/^[=+\-@\t\r]/.test(cell) && !/^[+-]?[\d\s().]+$/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// Sends the rows as a file download. columns: [{ key, header, width }]; rows: objects by key.
+async function writeSpreadsheet(res, { format, filename, sheetName, columns, rows }) {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    res.write('\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n');
+    rows.forEach(row => {
+      res.write(columns.map(c => csvCell(row[c.key])).join(',') + '\r\n');
+    });
+    res.end();
+    return;
+  }
+
+  // XLSX cells are written as values, never as formulas
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName || 'Sheet1');
+  sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 16 }));
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach(row => {
+    sheet.addRow(columns.map(c => (row[c.key] === undefined ? null : row[c.key]))).commit();
+  });
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+// ============================================
+// Entry point
+// ============================================
+
+// { format, rows } - rows are arrays of cell values, the header row included
+async function readSpreadsheet(buffer, hint) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new HttpError(400, 'Send the CSV or XLSX file as the request body');
+  }
+
+  const format = detectFormat(buffer, hint);
+  const rows = format === 'xlsx' ? await parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+
+  return { format, rows };
+}
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseCsv,
+  readSpreadsheet,
+  writeSpreadsheet
+};
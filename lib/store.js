@@ -0,0 +1,27 @@
+// lib/store.js - Data store chosen by configuration
+//
+//   DATA_STORE=airtable (default)  AIRTABLE_API_KEY + AIRTABLE_BASE_ID
+//   DATA_STORE=memory              optional DATA_STORE_FILE to load/persist JSON
+//
+// Every store exposes the same repositories: tenants, properties, leads, bookings,
+// agents, events, templates, notificationRules, jobs, feedback, searches, messages.
+const createAirtableStore = require('./stores/airtableStore');
+const createMemoryStore = require('./stores/memoryStore');
+
+function createStore(type) {
+  switch (type) {
+    case 'airtable':
+      return createAirtableStore({
+        apiKey: process.env.AIRTABLE_API_KEY,
+        baseId: process.env.AIRTABLE_BASE_ID
+      });
+    case 'memory':
+      return createMemoryStore({ file: process.env.DATA_STORE_FILE });
+    default:
+      throw new Error(`Unknown DATA_STORE: ${type}`);
+  }
+}
+
+const store = createStore(process.env.DATA_STORE || 'airtable');
+
+module.exports = store;
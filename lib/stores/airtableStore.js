@@ -0,0 +1,396 @@
+// lib/stores/airtableStore.js - Store backed by the Airtable base
+//
+// Every criterion goes into filterByFormula, so Airtable only returns (and pages through) the
+// matching rows and `limit` becomes maxRecords; the criteria.js matchers re-check what comes back.
+// A formula can't read the record IDs of a linked field (ARRAYJOIN({Lead}) gives the leads'
+// names), so next to each link the tables carry a lookup of the linked records' IDs, named like
+// TenantID on Properties - a lookup of a RECORD_ID() formula field of the linked table:
+//
+//   Properties, Leads, Agents, Templates, Notification Rules, Jobs   TenantID
+//   Bookings                     TenantID, LeadID, PropertyID, AgentID
+//   Feedback                     TenantID, LeadID, BookingID, PropertyID
+//   Searches, Messages           TenantID, LeadID
+//
+// Other fields the formulas read: 'Created' (created time) on Leads, Searches and Messages,
+// Messages 'WhatsApp Message ID' (text) for webhook redeliveries, and Properties 'External ID'
+// (text) for the listings API. A base without one of them fails every
+// query that reads it (INVALID_FILTER_BY_FORMULA) - add the fields before upgrading. Properties
+// 'Deleted At' (date, for soft deletes) is the exception: searches work without it (see below).
+const Airtable = require('airtable');
+const f = require('./formula');
+const {
+  cleanPlotSize,
+  normalizePhone,
+  matchesLead,
+  matchesBooking,
+  matchesAgent,
+  matchesTemplate,
+  matchesNotificationRule,
+  matchesJob,
+  matchesFeedback,
+  matchesSearch,
+  matchesMessage
+} = require('./criteria');
+
+function createAirtableStore({ apiKey, baseId }) {
+  const base = new Airtable({ apiKey }).base(baseId);
+
+  function toRecord(record) {
+    return record ? { id: record.id, ...record.fields } : null;
+  }
+
+  async function find(table, id) {
+    if (!id) return null;
+    try {
+      return toRecord(await base(table).find(id));
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async function select(table, params = {}) {
+    try {
+      const records = await base(table).select(params).all();
+      return records.map(toRecord);
+    } catch (error) {
+      if (error.error === 'INVALID_FILTER_BY_FORMULA') {
+        error.message = `${error.message} (${table} - see the fields listed in lib/stores/airtableStore.js)`;
+      }
+      throw error;
+    }
+  }
+
+  async function create(table, fields) {
+    return toRecord(await base(table).create(fields));
+  }
+
+  async function update(table, id, fields) {
+    return toRecord(await base(table).update(id, fields));
+  }
+
+  async function remove(table, id) {
+    await base(table).destroy(id);
+  }
+
+  // All formulas are composed with ./formula so user-supplied values are always escaped
+  function selectParams(formulaParts, options = {}) {
+    const params = {};
+    const formula = f.and(formulaParts);
+    if (formula) {
+      params.filterByFormula = formula;
+    }
+    if (options.sort) params.sort = options.sort;
+    if (options.fields) params.fields = options.fields;
+    if (options.limit) params.maxRecords = options.limit;
+    return params;
+  }
+
+  // Rows whose <Link>ID lookup (see above) holds the record ID
+  function linksTo(idField, id) {
+    return f.search(id, f.arrayJoin(idField));
+  }
+
+  // Phone field equal to the number, compared as digits
+  function samePhone(name, phone) {
+    return f.equals(f.digitsOnly(f.concat(f.field(name))), normalizePhone(phone));
+  }
+
+  // Formula query re-checked with the store's matcher
+  async function selectMatching(table, formulaParts, matches, options = {}) {
+    const records = await select(table, selectParams(formulaParts, options));
+    return records.filter(matches);
+  }
+
+  // { createdAfter, createdBefore } on the table's 'Created' (created time) field
+  function createdFormula(criteria) {
+    const parts = [];
+
+    if (criteria.createdAfter) parts.push(f.not(f.isBefore('Created', criteria.createdAfter)));
+    if (criteria.createdBefore) parts.push(f.isBefore('Created', criteria.createdBefore));
+
+    return parts;
+  }
+
+  // ============================================
+  // Properties
+  // ============================================
+
+  // Bases from before soft deletes have no 'Deleted At' field and so no deleted listings: the
+  // filter is dropped once Airtable reports the field as unknown, instead of failing every search
+  let hasDeletedAt = true;
+
+  function isUnknownField(error, name) {
+    return error.error === 'INVALID_FILTER_BY_FORMULA' && (error.message || '').toLowerCase().includes(name.toLowerCase());
+  }
+
+  function propertyFormula(criteria) {
+    const parts = [];
+
+    if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+    if (criteria.type) parts.push(f.eq('Type', criteria.type));
+    if (criteria.location) parts.push(f.eq('Location', criteria.location));
+    if (criteria.bedrooms !== undefined) parts.push(f.eq('Bedrooms', parseInt(criteria.bedrooms)));
+    if (criteria.plotSize !== undefined) {
+      parts.push(f.find(cleanPlotSize(criteria.plotSize), f.lower(f.withoutSpaces('Plot Size'))));
+    }
+    if (criteria.available) parts.push(f.isTrue('Available'));
+    if (criteria.externalId) parts.push(f.eq('External ID', criteria.externalId));
+    if (!criteria.includeDeleted && hasDeletedAt) parts.push(f.not(f.field('Deleted At')));
+
+    return parts;
+  }
+
+  const properties = {
+    get: (id) => find('Properties', id),
+
+    async find(criteria = {}, options = {}) {
+      try {
+        return await select('Properties', selectParams(propertyFormula(criteria), options));
+      } catch (error) {
+        if (!hasDeletedAt || !isUnknownField(error, 'Deleted At')) throw error;
+
+        console.warn('Airtable: Properties has no "Deleted At" field - add it to soft-delete listings');
+        hasDeletedAt = false;
+        return select('Properties', selectParams(propertyFormula(criteria), options));
+      }
+    },
+
+    create: (fields) => create('Properties', fields),
+    update: (id, fields) => update('Properties', id, fields)
+  };
+
+  // ============================================
+  // Tenants
+  // ============================================
+  const tenants = {
+    get: (id) => find('Tenants', id),
+    list: () => select('Tenants'),
+    update: (id, fields) => update('Tenants', id, fields)
+  };
+
+  // ============================================
+  // Leads
+  // ============================================
+  function leadFormula(criteria) {
+    const parts = createdFormula(criteria);
+
+    if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+    if (criteria.phone) parts.push(samePhone('Phone', criteria.phone));
+
+    return parts;
+  }
+
+  const leads = {
+    get: (id) => find('Leads', id),
+
+    async findByPhone(tenantId, phone) {
+      const [lead] = await leads.find({ tenantId, phone }, { limit: 1 });
+      return lead || null;
+    },
+
+    find: (criteria = {}, options = {}) => selectMatching('Leads', leadFormula(criteria), r => matchesLead(r, criteria), options),
+
+    create: (fields) => create('Leads', fields),
+    update: (id, fields) => update('Leads', id, fields)
+  };
+
+  // ============================================
+  // Bookings
+  // ============================================
+  function bookingFormula(criteria) {
+    const parts = [];
+
+    if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+    if (criteria.leadId) parts.push(linksTo('LeadID', criteria.leadId));
+    if (criteria.propertyId) parts.push(linksTo('PropertyID', criteria.propertyId));
+    if (criteria.agentId) parts.push(linksTo('AgentID', criteria.agentId));
+    if (criteria.agentPhone) parts.push(samePhone('Agent Phone', criteria.agentPhone));
+    if (criteria.status) parts.push(f.or([].concat(criteria.status).map(status => f.eq('Status', status))));
+    if (criteria.excludeStatus) parts.push(...[].concat(criteria.excludeStatus).map(status => f.ne('Status', status)));
+    if (criteria.startAfter) parts.push(f.isAfter('StartDateTime', criteria.startAfter));
+    if (criteria.startBefore) parts.push(f.isBefore('StartDateTime', criteria.startBefore));
+    if (criteria.endAfter) parts.push(f.isAfter('EndDateTime', criteria.endAfter));
+    if (criteria.endBefore) parts.push(f.isBefore('EndDateTime', criteria.endBefore));
+    if (criteria.overlaps) {
+      parts.push(f.isBefore('StartDateTime', criteria.overlaps.end));
+      parts.push(f.isAfter('EndDateTime', criteria.overlaps.start));
+    }
+
+    return parts;
+  }
+
+  const bookings = {
+    get: (id) => find('Bookings', id),
+
+    find: (criteria = {}, options = {}) => selectMatching('Bookings', bookingFormula(criteria), b => matchesBooking(b, criteria), options),
+
+    create: (fields) => create('Bookings', fields),
+    update: (id, fields) => update('Bookings', id, fields)
+  };
+
+  // ============================================
+  // Agents
+  // ============================================
+  const agents = {
+    get: (id) => find('Agents', id),
+
+    find(criteria = {}, options = {}) {
+      const parts = [];
+      if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+      if (criteria.active) parts.push(f.isTrue('Active'));
+      if (criteria.phone) parts.push(samePhone('Phone', criteria.phone));
+      return selectMatching('Agents', parts, r => matchesAgent(r, criteria), options);
+    },
+
+    update: (id, fields) => update('Agents', id, fields)
+  };
+
+  // ============================================
+  // Calendar Events (local calendar provider)
+  // ============================================
+  function eventFormula(criteria) {
+    const parts = [];
+
+    if (criteria.calendarId) parts.push(f.eq('Calendar ID', criteria.calendarId));
+    if (criteria.search) {
+      parts.push(f.search(criteria.search.toString().toLowerCase(), f.lower(f.concat(f.field('Summary'), f.str(' '), f.field('Description')))));
+    }
+    if (criteria.overlaps) {
+      parts.push(f.isBefore('StartDateTime', criteria.overlaps.end));
+      parts.push(f.isAfter('EndDateTime', criteria.overlaps.start));
+    }
+
+    return parts;
+  }
+
+  const events = {
+    find: (criteria = {}, options = {}) => select('Calendar Events', selectParams(eventFormula(criteria), options)),
+    create: (fields) => create('Calendar Events', fields),
+    update: (id, fields) => update('Calendar Events', id, fields),
+    remove: (id) => remove('Calendar Events', id)
+  };
+
+  // ============================================
+  // Message templates (tenant overrides of outgoing messages)
+  // ============================================
+  const templates = {
+    find(criteria = {}, options = {}) {
+      const parts = [];
+      if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+      if (criteria.key) parts.push(f.eq('Key', criteria.key));
+      return selectMatching('Templates', parts, r => matchesTemplate(r, criteria), options);
+    },
+
+    create: (fields) => create('Templates', fields),
+    update: (id, fields) => update('Templates', id, fields),
+    remove: (id) => remove('Templates', id)
+  };
+
+  // ============================================
+  // Notification rules (per-tenant reminder / follow-up schedule)
+  // ============================================
+  const notificationRules = {
+    find(criteria = {}, options = {}) {
+      const parts = criteria.tenantId ? [linksTo('TenantID', criteria.tenantId)] : [];
+      return selectMatching('Notification Rules', parts, r => matchesNotificationRule(r, criteria), options);
+    },
+
+    create: (fields) => create('Notification Rules', fields),
+    remove: (id) => remove('Notification Rules', id)
+  };
+
+  // ============================================
+  // Scheduled jobs (lib/scheduler.js)
+  // ============================================
+  function jobFormula(criteria) {
+    const parts = [];
+
+    if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+    if (criteria.key) parts.push(f.eq('Key', criteria.key));
+    if (criteria.status) parts.push(f.or([].concat(criteria.status).map(status => f.eq('Status', status))));
+    if (criteria.dueBefore) parts.push(f.not(f.isAfter('Run At', criteria.dueBefore)));
+
+    return parts;
+  }
+
+  const jobs = {
+    get: (id) => find('Jobs', id),
+
+    find: (criteria = {}, options = {}) => selectMatching('Jobs', jobFormula(criteria), r => matchesJob(r, criteria), options),
+
+    create: (fields) => create('Jobs', fields),
+    update: (id, fields) => update('Jobs', id, fields)
+  };
+
+  // ============================================
+  // Viewing feedback (lib/followUp.js)
+  // ============================================
+  const feedback = {
+    get: (id) => find('Feedback', id),
+
+    find(criteria = {}, options = {}) {
+      const parts = [];
+      if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+      if (criteria.leadId) parts.push(linksTo('LeadID', criteria.leadId));
+      if (criteria.bookingId) parts.push(linksTo('BookingID', criteria.bookingId));
+      if (criteria.propertyId) parts.push(linksTo('PropertyID', criteria.propertyId));
+      return selectMatching('Feedback', parts, r => matchesFeedback(r, criteria), options);
+    },
+
+    create: (fields) => create('Feedback', fields),
+    update: (id, fields) => update('Feedback', id, fields)
+  };
+
+  // ============================================
+  // Search log (lib/properties.js, read by lib/analytics.js)
+  // ============================================
+
+  // { tenantId, leadId, createdAfter, createdBefore } - Searches and Messages (which also take
+  // messageId)
+  function leadLogFormula(criteria) {
+    const parts = createdFormula(criteria);
+
+    if (criteria.tenantId) parts.push(linksTo('TenantID', criteria.tenantId));
+    if (criteria.leadId) parts.push(linksTo('LeadID', criteria.leadId));
+
+    return parts;
+  }
+
+  const searches = {
+    find: (criteria = {}, options = {}) => selectMatching('Searches', leadLogFormula(criteria), r => matchesSearch(r, criteria), options),
+
+    create: (fields) => create('Searches', fields)
+  };
+
+  // ============================================
+  // Conversation transcripts (lib/transcripts.js)
+  // ============================================
+  const messages = {
+    find(criteria = {}, options = {}) {
+      const parts = leadLogFormula(criteria);
+      if (criteria.messageId) parts.push(f.eq('WhatsApp Message ID', criteria.messageId));
+      return selectMatching('Messages', parts, r => matchesMessage(r, criteria), options);
+    },
+
+    create: (fields) => create('Messages', fields)
+  };
+
+  return {
+    name: 'airtable',
+    tenants,
+    properties,
+    leads,
+    bookings,
+    agents,
+    events,
+    templates,
+    notificationRules,
+    jobs,
+    feedback,
+    searches,
+    messages
+  };
+}
+
+module.exports = createAirtableStore;
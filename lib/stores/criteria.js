@@ -0,0 +1,263 @@
+// lib/stores/criteria.js - Record matching shared by the store implementations
+//
+// Records are plain objects: { id, ...fields } using the Airtable field names.
+// Linked-record fields hold arrays of record IDs, exactly like Airtable returns them.
+
+// True when a linked field (array or single value) points at the given record ID
+function linksTo(value, id) {
+  if (Array.isArray(value)) {
+    return value.includes(id);
+  }
+  return value === id;
+}
+
+function toTime(value) {
+  return value ? new Date(value).getTime() : NaN;
+}
+
+// ============================================
+// Properties
+// ============================================
+
+// { tenantId, externalId, type, location, bedrooms, plotSize, available, includeDeleted }
+// Soft-deleted listings ('Deleted At' set) only match with includeDeleted
+function matchesProperty(record, criteria = {}) {
+  if (record['Deleted At'] && !criteria.includeDeleted) return false;
+  if (criteria.tenantId && !linksTo(record['TenantID'], criteria.tenantId) && !linksTo(record['Tenant'], criteria.tenantId)) {
+    return false;
+  }
+  if (criteria.externalId && (record['External ID'] || '').toString().trim() !== criteria.externalId) return false;
+  if (criteria.type && record['Type'] !== criteria.type) return false;
+  if (criteria.location && record['Location'] !== criteria.location) return false;
+  if (criteria.bedrooms !== undefined && parseInt(record['Bedrooms']) !== parseInt(criteria.bedrooms)) return false;
+  if (criteria.available && !record['Available']) return false;
+
+  // Plot size matching ignores spaces and case: "1/4" matches "1/4 Acre", "50x100" matches "50 x 100"
+  if (criteria.plotSize !== undefined) {
+    const wanted = cleanPlotSize(criteria.plotSize);
+    const actual = cleanPlotSize(record['Plot Size']);
+    if (!actual.includes(wanted)) return false;
+  }
+
+  return true;
+}
+
+function cleanPlotSize(value) {
+  return (value || '').toString().replace(/\s+/g, '').toLowerCase();
+}
+
+// ============================================
+// Leads
+// ============================================
+
+// { tenantId, phone, createdAfter, createdBefore }
+function matchesLead(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.phone && normalizePhone(record['Phone']) !== normalizePhone(criteria.phone)) return false;
+  return createdWithin(record, criteria);
+}
+
+// { createdAfter, createdBefore } window on the 'Created' time (inclusive start, exclusive end)
+function createdWithin(record, criteria) {
+  const created = toTime(record['Created']);
+  if (criteria.createdAfter && !(created >= toTime(criteria.createdAfter))) return false;
+  if (criteria.createdBefore && !(created < toTime(criteria.createdBefore))) return false;
+  return true;
+}
+
+function normalizePhone(phone) {
+  return (phone || '').toString().replace(/\D/g, '');
+}
+
+// ============================================
+// Bookings
+// ============================================
+
+// {
+//   tenantId, leadId, propertyId, agentId,  linked records
+//   status, excludeStatus,                  Status is / isn't the value (or one of a list)
+//   agentPhone,                             'Agent Phone' is this number (digits compared)
+//   startAfter, startBefore,                StartDateTime window (exclusive)
+//   endAfter, endBefore,                    EndDateTime window (exclusive)
+//   overlaps: { start, end }                booking intersects this interval
+// }
+function matchesBooking(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.leadId && !linksTo(record['Lead'], criteria.leadId)) return false;
+  if (criteria.propertyId && !linksTo(record['Property'], criteria.propertyId)) return false;
+  if (criteria.agentId && !linksTo(record['Agent'], criteria.agentId)) return false;
+  if (criteria.status && !oneOf(record['Status'], criteria.status)) return false;
+  if (criteria.excludeStatus && oneOf(record['Status'], criteria.excludeStatus)) return false;
+  if (criteria.agentPhone && normalizePhone(record['Agent Phone']) !== normalizePhone(criteria.agentPhone)) return false;
+
+  const start = toTime(record['StartDateTime']);
+  const end = toTime(record['EndDateTime']);
+
+  if (criteria.startAfter && !(start > toTime(criteria.startAfter))) return false;
+  if (criteria.startBefore && !(start < toTime(criteria.startBefore))) return false;
+  if (criteria.endAfter && !(end > toTime(criteria.endAfter))) return false;
+  if (criteria.endBefore && !(end < toTime(criteria.endBefore))) return false;
+
+  if (criteria.overlaps && !overlapsRange(start, end, criteria.overlaps)) return false;
+
+  return true;
+}
+
+function oneOf(value, allowed) {
+  return Array.isArray(allowed) ? allowed.includes(value) : value === allowed;
+}
+
+// ============================================
+// Agents
+// ============================================
+
+// { tenantId, active, phone }
+function matchesAgent(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.active && !record['Active']) return false;
+  if (criteria.phone && normalizePhone(record['Phone']) !== normalizePhone(criteria.phone)) return false;
+  return true;
+}
+
+// ============================================
+// Calendar events (local calendar)
+// ============================================
+
+// { calendarId, search, overlaps: { start, end } }
+function matchesEvent(record, criteria = {}) {
+  if (criteria.calendarId && record['Calendar ID'] !== criteria.calendarId) return false;
+
+  // Free-text search over summary + description, like Google's "q"
+  if (criteria.search) {
+    const text = `${record['Summary'] || ''}\n${record['Description'] || ''}`.toLowerCase();
+    if (!text.includes(criteria.search.toString().toLowerCase())) return false;
+  }
+
+  if (criteria.overlaps) {
+    const start = toTime(record['StartDateTime']);
+    const end = toTime(record['EndDateTime']);
+    if (!overlapsRange(start, end, criteria.overlaps)) return false;
+  }
+
+  return true;
+}
+
+function overlapsRange(start, end, range) {
+  return start < toTime(range.end) && end > toTime(range.start);
+}
+
+// ============================================
+// Message templates
+// ============================================
+
+// { tenantId, key }
+function matchesTemplate(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.key && record['Key'] !== criteria.key) return false;
+  return true;
+}
+
+// ============================================
+// Notification rules
+// ============================================
+
+// { tenantId }
+function matchesNotificationRule(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  return true;
+}
+
+// ============================================
+// Scheduled jobs
+// ============================================
+
+// { tenantId, key, status, dueBefore }
+function matchesJob(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.key && record['Key'] !== criteria.key) return false;
+  if (criteria.status && !oneOf(record['Status'], criteria.status)) return false;
+  if (criteria.dueBefore && !(toTime(record['Run At']) <= toTime(criteria.dueBefore))) return false;
+  return true;
+}
+
+// ============================================
+// Viewing feedback
+// ============================================
+
+// { tenantId, leadId, bookingId, propertyId }
+function matchesFeedback(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.leadId && !linksTo(record['Lead'], criteria.leadId)) return false;
+  if (criteria.bookingId && !linksTo(record['Booking'], criteria.bookingId)) return false;
+  if (criteria.propertyId && !linksTo(record['Property'], criteria.propertyId)) return false;
+  return true;
+}
+
+// ============================================
+// Search log
+// ============================================
+
+// { tenantId, leadId, createdAfter, createdBefore }
+function matchesSearch(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.leadId && !linksTo(record['Lead'], criteria.leadId)) return false;
+  return createdWithin(record, criteria);
+}
+
+// ============================================
+// Conversation transcripts
+// ============================================
+
+// { tenantId, leadId, messageId, createdAfter, createdBefore }
+function matchesMessage(record, criteria = {}) {
+  if (criteria.tenantId && !linksTo(record['Tenant'], criteria.tenantId)) return false;
+  if (criteria.leadId && !linksTo(record['Lead'], criteria.leadId)) return false;
+  if (criteria.messageId && record['WhatsApp Message ID'] !== criteria.messageId) return false;
+  return createdWithin(record, criteria);
+}
+
+// ============================================
+// Sorting / limiting
+// ============================================
+
+// options: { sort: [{ field, direction }], limit }
+function applyOptions(records, options = {}) {
+  let result = records.slice();
+
+  for (const { field, direction } of (options.sort || []).slice().reverse()) {
+    const sign = direction === 'desc' ? -1 : 1;
+    result.sort((a, b) => sign * compareValues(a[field], b[field]));
+  }
+
+  if (options.limit) {
+    result = result.slice(0, options.limit);
+  }
+
+  return result;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null || a === '') return 1;
+  if (b === undefined || b === null || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return a.toString().localeCompare(b.toString());
+}
+
+module.exports = {
+  linksTo,
+  normalizePhone,
+  cleanPlotSize,
+  matchesProperty,
+  matchesLead,
+  matchesBooking,
+  matchesAgent,
+  matchesEvent,
+  matchesTemplate,
+  matchesNotificationRule,
+  matchesJob,
+  matchesFeedback,
+  matchesSearch,
+  matchesMessage,
+  applyOptions
+};
@@ -0,0 +1,165 @@
+// lib/stores/formula.js - Safe builder for Airtable filterByFormula expressions
+//
+// Never interpolate user input into a formula by hand. Values go through str() / num() / date(),
+// which quote and escape them, so a WhatsApp message like  x' , TRUE()) , ('  stays a plain string.
+//
+//   and(eq('Type', interest), eq('Location', location), isTrue('Available'))
+//   → AND({Type} = "Rent", {Location} = "Karen", {Available} = TRUE())
+
+// ============================================
+// Values
+// ============================================
+
+// String literal: double quotes, with backslashes, quotes and line breaks escaped
+function str(value) {
+  const escaped = String(value === undefined || value === null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+function num(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new TypeError(`Not a number for formula: ${value}`);
+  }
+  return String(number);
+}
+
+function date(value) {
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) {
+    throw new TypeError(`Not a date for formula: ${value}`);
+  }
+  return str(parsed.toISOString());
+}
+
+// Picks the literal type from the JavaScript value
+function literal(value) {
+  if (typeof value === 'number') return num(value);
+  if (typeof value === 'boolean') return value ? 'TRUE()' : 'FALSE()';
+  if (value instanceof Date) return date(value);
+  return str(value);
+}
+
+// Field reference; closing braces can't appear unescaped inside {…}
+function field(name) {
+  return `{${String(name).replace(/\\/g, '\\\\').replace(/}/g, '\\}')}}`;
+}
+
+// ============================================
+// Comparisons
+// ============================================
+
+function eq(name, value) {
+  return `${field(name)} = ${literal(value)}`;
+}
+
+function ne(name, value) {
+  return `${field(name)} != ${literal(value)}`;
+}
+
+// Any expression (e.g. digitsOnly()) compared with a value
+function equals(expression, value) {
+  return `${expression} = ${literal(value)}`;
+}
+
+function isTrue(name) {
+  return `${field(name)} = TRUE()`;
+}
+
+function isFalse(name) {
+  return `${field(name)} = FALSE()`;
+}
+
+function isBefore(name, value) {
+  return `IS_BEFORE(${field(name)}, ${date(value)})`;
+}
+
+function isAfter(name, value) {
+  return `IS_AFTER(${field(name)}, ${date(value)})`;
+}
+
+// ============================================
+// Text functions (take expressions, e.g. field() or lower())
+// ============================================
+
+// SEARCH(needle, haystack) - needle is a value, haystack an expression
+function search(needle, haystack) {
+  return `SEARCH(${str(needle)}, ${haystack})`;
+}
+
+function find(needle, haystack) {
+  return `FIND(${str(needle)}, ${haystack})`;
+}
+
+function lower(expression) {
+  return `LOWER(${expression})`;
+}
+
+function arrayJoin(name) {
+  return `ARRAYJOIN(${field(name)})`;
+}
+
+function concat(...expressions) {
+  return `CONCATENATE(${expressions.join(', ')})`;
+}
+
+// Field value with all spaces removed
+function withoutSpaces(name) {
+  return `SUBSTITUTE(${field(name)}, " ", "")`;
+}
+
+// Phone number with its spaces and + - ( ) . removed, to compare with normalized digits
+function digitsOnly(expression) {
+  return ['+', '-', '(', ')', '.', ' '].reduce((result, char) => `SUBSTITUTE(${result}, ${str(char)}, "")`, expression);
+}
+
+// ============================================
+// Logic
+// ============================================
+
+function and(...clauses) {
+  const parts = clauses.flat().filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `AND(${parts.join(', ')})`;
+}
+
+function or(...clauses) {
+  const parts = clauses.flat().filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `OR(${parts.join(', ')})`;
+}
+
+function not(clause) {
+  return `NOT(${clause})`;
+}
+
+module.exports = {
+  str,
+  num,
+  date,
+  literal,
+  field,
+  eq,
+  ne,
+  equals,
+  isTrue,
+  isFalse,
+  isBefore,
+  isAfter,
+  search,
+  find,
+  lower,
+  arrayJoin,
+  concat,
+  withoutSpaces,
+  digitsOnly,
+  and,
+  or,
+  not
+};
@@ -0,0 +1,187 @@
+// lib/stores/memoryStore.js - In-process store for local development and offline testing
+//
+// Uses the same record shape and field names as Airtable. When a file is given the data is
+// loaded from it on start and written back after every change, so it doubles as a seed file:
+//
+//   { "Tenants": [{ "id": "recTenant1", "Company Name": "Acme Homes", ... }], "Properties": [...] }
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { HttpError } = require('../errors');
+const {
+  matchesProperty,
+  matchesLead,
+  matchesBooking,
+  matchesEvent,
+  matchesAgent,
+  matchesTemplate,
+  matchesNotificationRule,
+  matchesJob,
+  matchesFeedback,
+  matchesSearch,
+  matchesMessage,
+  applyOptions
+} = require('./criteria');
+
+const TABLES = ['Tenants', 'Properties', 'Leads', 'Bookings', 'Agents', 'Calendar Events', 'Templates',
+  'Notification Rules', 'Jobs', 'Feedback', 'Searches', 'Messages'];
+
+// Airtable-style record IDs ("rec" + 14 characters)
+function generateId() {
+  return 'rec' + crypto.randomBytes(10).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, 14);
+}
+
+function createMemoryStore({ file } = {}) {
+  const data = {};
+  TABLES.forEach(table => { data[table] = []; });
+
+  if (file && fs.existsSync(file)) {
+    const loaded = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.keys(loaded).forEach(table => {
+      data[table] = (loaded[table] || []).map(record => ({ ...record, id: record.id || generateId() }));
+    });
+    console.log(`Memory store loaded from ${file}`);
+  }
+
+  function persist() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  }
+
+  function table(name) {
+    if (!data[name]) data[name] = [];
+    return data[name];
+  }
+
+  // Copies go in and out so callers can't mutate stored records by accident
+  async function find(name, id) {
+    const record = table(name).find(r => r.id === id);
+    return record ? { ...record } : null;
+  }
+
+  async function filter(name, predicate, options) {
+    return applyOptions(table(name).filter(predicate), options).map(r => ({ ...r }));
+  }
+
+  // Created times never repeat, so sorting on them keeps the order records were written in
+  // (Airtable's are as far apart as its requests)
+  let lastCreated = 0;
+  function createdTime() {
+    lastCreated = Math.max(Date.now(), lastCreated + 1);
+    return new Date(lastCreated).toISOString();
+  }
+
+  async function create(name, fields) {
+    const record = { id: generateId(), 'Created': createdTime(), ...fields };
+    table(name).push(record);
+    persist();
+    return { ...record };
+  }
+
+  async function update(name, id, fields) {
+    const record = table(name).find(r => r.id === id);
+    if (!record) {
+      throw new HttpError(404, `Record not found: ${name} ${id}`);
+    }
+    Object.assign(record, fields);
+    persist();
+    return { ...record };
+  }
+
+  async function remove(name, id) {
+    const records = table(name);
+    const index = records.findIndex(r => r.id === id);
+    if (index !== -1) {
+      records.splice(index, 1);
+      persist();
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    tenants: {
+      get: (id) => find('Tenants', id),
+      list: () => filter('Tenants', () => true),
+      update: (id, fields) => update('Tenants', id, fields)
+    },
+
+    properties: {
+      get: (id) => find('Properties', id),
+      find: (criteria, options) => filter('Properties', r => matchesProperty(r, criteria), options),
+      create: (fields) => create('Properties', fields),
+      update: (id, fields) => update('Properties', id, fields)
+    },
+
+    leads: {
+      get: (id) => find('Leads', id),
+      async findByPhone(tenantId, phone) {
+        const [lead] = await filter('Leads', r => matchesLead(r, { tenantId, phone }), { limit: 1 });
+        return lead || null;
+      },
+      find: (criteria, options) => filter('Leads', r => matchesLead(r, criteria), options),
+      create: (fields) => create('Leads', fields),
+      update: (id, fields) => update('Leads', id, fields)
+    },
+
+    bookings: {
+      get: (id) => find('Bookings', id),
+      find: (criteria, options) => filter('Bookings', r => matchesBooking(r, criteria), options),
+      create: (fields) => create('Bookings', fields),
+      update: (id, fields) => update('Bookings', id, fields)
+    },
+
+    agents: {
+      get: (id) => find('Agents', id),
+      find: (criteria, options) => filter('Agents', r => matchesAgent(r, criteria), options),
+      update: (id, fields) => update('Agents', id, fields)
+    },
+
+    events: {
+      find: (criteria, options) => filter('Calendar Events', r => matchesEvent(r, criteria), options),
+      create: (fields) => create('Calendar Events', fields),
+      update: (id, fields) => update('Calendar Events', id, fields),
+      remove: (id) => remove('Calendar Events', id)
+    },
+
+    templates: {
+      find: (criteria, options) => filter('Templates', r => matchesTemplate(r, criteria), options),
+      create: (fields) => create('Templates', fields),
+      update: (id, fields) => update('Templates', id, fields),
+      remove: (id) => remove('Templates', id)
+    },
+
+    notificationRules: {
+      find: (criteria, options) => filter('Notification Rules', r => matchesNotificationRule(r, criteria), options),
+      create: (fields) => create('Notification Rules', fields),
+      remove: (id) => remove('Notification Rules', id)
+    },
+
+    jobs: {
+      get: (id) => find('Jobs', id),
+      find: (criteria, options) => filter('Jobs', r => matchesJob(r, criteria), options),
+      create: (fields) => create('Jobs', fields),
+      update: (id, fields) => update('Jobs', id, fields)
+    },
+
+    feedback: {
+      get: (id) => find('Feedback', id),
+      find: (criteria, options) => filter('Feedback', r => matchesFeedback(r, criteria), options),
+      create: (fields) => create('Feedback', fields),
+      update: (id, fields) => update('Feedback', id, fields)
+    },
+
+    searches: {
+      find: (criteria, options) => filter('Searches', r => matchesSearch(r, criteria), options),
+      create: (fields) => create('Searches', fields)
+    },
+
+    messages: {
+      find: (criteria, options) => filter('Messages', r => matchesMessage(r, criteria), options),
+      create: (fields) => create('Messages', fields)
+    }
+  };
+}
+
+module.exports = createMemoryStore;
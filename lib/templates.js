@@ -0,0 +1,307 @@
+// lib/templates.js - Tenant message templates (Templates table)
+//
+// Tenants can replace the wording of the outgoing messages listed in TEMPLATES with rows in the
+// Templates table:
+//
+//   Tenant    link to the tenant
+//   Key       message key, e.g. "booking.confirmed"
+//   Language  "en", "sw", ... - blank applies to every language without its own row
+//   Text      the message, with {{placeholders}} such as {{leadName}} or {{slotTime}}
+//
+// Only the placeholders listed for a key can be used; templates are checked when they are saved.
+// Messages without an override use the built-in catalogue text (lib/i18n).
+const store = require('./store');
+const i18n = require('./i18n');
+const { HttpError } = require('./errors');
+
+// Placeholder groups shared by several messages
+const LEAD = ['leadName', 'companyName', 'botName'];
+const VIEWING = ['propertyName', 'propertyAddress', 'slotDate', 'slotTime', 'agentName', 'agentPhone'];
+
+const TEMPLATES = {
+  'greeting.new': {
+    description: 'Welcome message for a new lead',
+    placeholders: ['companyName', 'botName', 'options']
+  },
+  'greeting.returning': {
+    description: 'Welcome back when a known lead says HI',
+    placeholders: ['leadName', 'companyName', 'botName', 'options']
+  },
+  'booking.confirmed': {
+    description: 'Booking confirmation sent to the lead',
+    placeholders: [...LEAD, ...VIEWING, 'agentDetails']
+  },
+  'booking.agentNew': {
+    description: 'New viewing alert sent to the agent',
+    placeholders: ['leadName', 'leadPhone', ...VIEWING, 'duration']
+  },
+  'cancel.done': {
+    description: 'Cancellation confirmation sent to the lead',
+    placeholders: [...LEAD, 'propertyName', 'slotDate', 'slotTime']
+  },
+  'cancel.agent': {
+    description: 'Cancellation alert sent to the agent',
+    placeholders: ['leadName', 'leadPhone', 'propertyName', 'slotDate', 'slotTime']
+  },
+  'reschedule.done': {
+    description: 'Confirmation sent to the lead when a viewing is moved',
+    placeholders: [...LEAD, ...VIEWING, 'oldDate', 'oldTime']
+  },
+  'reschedule.agent': {
+    description: 'Alert sent to the agent when a viewing is moved',
+    placeholders: ['leadName', 'leadPhone', ...VIEWING, 'oldDate', 'oldTime']
+  },
+  'reminder.12h': {
+    description: 'Reminder sent to the lead 12 hours before a viewing',
+    placeholders: [...LEAD, ...VIEWING, 'agentDetails']
+  },
+  'reminder.1h': {
+    description: 'Reminder sent to the lead 1 hour before a viewing',
+    placeholders: [...LEAD, ...VIEWING]
+  },
+  'reminder.upcoming': {
+    description: 'Reminder sent to the lead by a custom notification rule',
+    placeholders: [...LEAD, ...VIEWING, 'agentDetails', 'timeLeft']
+  },
+  'reminder.agent12h': {
+    description: 'Reminder sent to the agent 12 hours before a viewing',
+    placeholders: ['leadName', 'leadPhone', ...VIEWING]
+  },
+  'reminder.agent1h': {
+    description: 'Reminder sent to the agent 1 hour before a viewing',
+    placeholders: ['leadName', 'leadPhone', ...VIEWING]
+  },
+  'reminder.agentUpcoming': {
+    description: 'Reminder sent to the agent by a custom notification rule',
+    placeholders: ['leadName', 'leadPhone', ...VIEWING, 'timeLeft']
+  },
+  'agentUpdate.confirmed': {
+    description: 'Sent to the lead when the agent replies CONFIRM',
+    placeholders: [...LEAD, ...VIEWING]
+  },
+  'agentUpdate.declined': {
+    description: 'Sent to the lead when the agent replies DECLINE',
+    placeholders: [...LEAD, ...VIEWING]
+  },
+  'agentUpdate.runningLate': {
+    description: 'Sent to the lead when the agent replies RUNNING LATE with minutes',
+    placeholders: [...LEAD, ...VIEWING, 'minutes']
+  },
+  'agentUpdate.runningLateNoTime': {
+    description: 'Sent to the lead when the agent replies RUNNING LATE',
+    placeholders: [...LEAD, ...VIEWING]
+  },
+  'agentUpdate.done': {
+    description: 'Sent to the lead when the agent replies DONE',
+    placeholders: [...LEAD, ...VIEWING]
+  },
+  'agentUpdate.noShow': {
+    description: 'Sent to the lead when the agent replies NO-SHOW',
+    placeholders: [...LEAD, ...VIEWING]
+  },
+  'followup.ask': {
+    description: 'Follow-up question after a viewing',
+    placeholders: [...LEAD, 'propertyName']
+  },
+  'followup.nudge': {
+    description: 'Second follow-up when the first got no answer',
+    placeholders: [...LEAD, 'propertyName']
+  },
+  'followup.interested': {
+    description: 'Reply when the lead is interested after a viewing',
+    placeholders: LEAD
+  },
+  'followup.notInterested': {
+    description: 'Reply when the lead is not interested after a viewing',
+    placeholders: LEAD
+  },
+  'followup.invalid': {
+    description: 'Reply to an unrecognised follow-up answer',
+    placeholders: LEAD
+  },
+  'followup.agentHotLead': {
+    description: 'Hot lead alert sent to the agent',
+    placeholders: ['leadName', 'leadPhone', 'propertyName']
+  },
+  'followup.agentHotLeadNoProperty': {
+    description: 'Hot lead alert sent to the agent when the property is unknown',
+    placeholders: ['leadName', 'leadPhone']
+  },
+  'feedback.askRating': {
+    description: 'Asks the lead to rate the viewing from 1 to 5',
+    placeholders: [...LEAD, 'propertyName']
+  },
+  'feedback.askReason': {
+    description: 'Asks a lead who is not interested what didn\'t work',
+    placeholders: [...LEAD, 'propertyName']
+  },
+  'feedback.askComments': {
+    description: 'Asks for comments on the viewing',
+    placeholders: [...LEAD, 'propertyName']
+  },
+  'feedback.thanks': {
+    description: 'Thanks an interested lead once the feedback is complete',
+    placeholders: LEAD
+  },
+  'score.agentAlert': {
+    description: 'Sent to the agent when a lead reaches the alert score',
+    placeholders: ['leadName', 'leadPhone', 'propertyName', 'score', 'tier']
+  }
+};
+
+// Overrides cache per tenant (expires after 5 minutes, cleared when a template is saved)
+const templateCache = {};
+const CACHE_DURATION = 5 * 60 * 1000;
+
+function forgetTemplates(tenantId) {
+  delete templateCache[tenantId];
+}
+
+// ============================================
+// Validation
+// ============================================
+
+// Returns the cleaned { key, language, text } or throws a 400 explaining what's wrong
+function validateTemplate({ key, language, text }) {
+  const definition = TEMPLATES[key];
+  if (!definition) {
+    throw new HttpError(400, `Unknown template key: ${key}. Available keys: ${Object.keys(TEMPLATES).join(', ')}`);
+  }
+
+  let locale = null;
+  if (language) {
+    locale = i18n.normalizeLocale(language);
+    if (!locale) {
+      throw new HttpError(400, `Unsupported language: ${language}. Use one of: ${i18n.LOCALES.join(', ')}`);
+    }
+  }
+
+  const body = (text || '').toString();
+  if (!body.trim()) {
+    throw new HttpError(400, 'Template text is required');
+  }
+
+  // Anything left over after removing well-formed {{name}} placeholders is a typo like "{{name}" or "{{ }}"
+  if (/\{\{|\}\}/.test(body.replace(/\{\{\s*(\w+)\s*\}\}/g, ''))) {
+    throw new HttpError(400, 'Malformed placeholder: use {{name}} with letters and numbers only');
+  }
+
+  const unknown = i18n.placeholdersOf(body).filter(name => !definition.placeholders.includes(name));
+  if (unknown.length > 0) {
+    throw new HttpError(400,
+      `Unknown placeholder${unknown.length > 1 ? 's' : ''} for ${key}: ${unknown.map(n => `{{${n}}}`).join(', ')}. ` +
+      `Available: ${definition.placeholders.map(n => `{{${n}}}`).join(', ')}`);
+  }
+
+  return { key: key, language: locale, text: body };
+}
+
+// ============================================
+// Lookups
+// ============================================
+
+// { key: { <locale>: text, '*': text } } for i18n.translator()
+async function getTemplates(tenantId) {
+  if (!tenantId) return {};
+
+  const cached = templateCache[tenantId];
+  if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
+    return cached.data;
+  }
+
+  const overrides = {};
+  const records = await store.templates.find({ tenantId: tenantId });
+
+  records.forEach(record => {
+    // Rows that no longer validate (edited by hand in Airtable) are skipped, not sent half-filled
+    try {
+      const { key, language, text } = validateTemplate({
+        key: record['Key'],
+        language: record['Language'],
+        text: record['Text']
+      });
+      overrides[key] = overrides[key] || {};
+      overrides[key][language || '*'] = text;
+    } catch (error) {
+      console.warn(`Ignoring template ${record.id} (${record['Key']}): ${error.message}`);
+    }
+  });
+
+  templateCache[tenantId] = { data: overrides, timestamp: Date.now() };
+  return overrides;
+}
+
+// Every template key with its placeholders, built-in text and the tenant's overrides
+async function listTemplates(tenantId) {
+  const records = await store.templates.find({ tenantId: tenantId });
+
+  return Object.keys(TEMPLATES).map(key => ({
+    key: key,
+    description: TEMPLATES[key].description,
+    placeholders: TEMPLATES[key].placeholders,
+    defaults: i18n.LOCALES.reduce((defaults, locale) => {
+      defaults[locale] = i18n.catalogueText(locale, key);
+      return defaults;
+    }, {}),
+    overrides: records
+      .filter(record => record['Key'] === key)
+      .map(record => ({ id: record.id, language: record['Language'] || null, text: record['Text'] }))
+  }));
+}
+
+// ============================================
+// Saving
+// ============================================
+
+// One row per tenant + key + language: saving again replaces the text
+async function saveTemplate({ tenantId, key, language, text }) {
+  const template = validateTemplate({ key, language, text });
+
+  const existing = (await store.templates.find({ tenantId: tenantId, key: template.key }))
+    .find(record => (i18n.normalizeLocale(record['Language']) || null) === template.language);
+
+  const fields = {
+    'Key': template.key,
+    'Language': template.language || '',
+    'Text': template.text
+  };
+
+  const record = existing
+    ? await store.templates.update(existing.id, fields)
+    : await store.templates.create({ ...fields, 'Tenant': [tenantId] });
+
+  forgetTemplates(tenantId);
+  console.log(`Template ${existing ? 'updated' : 'created'}: ${template.key} (${template.language || 'all languages'})`);
+
+  return { id: record.id, key: template.key, language: template.language, text: template.text };
+}
+
+// Removes the override so the built-in text is used again
+async function deleteTemplate({ tenantId, key, language }) {
+  if (!TEMPLATES[key]) {
+    throw new HttpError(400, `Unknown template key: ${key}`);
+  }
+  const locale = language ? i18n.normalizeLocale(language) : null;
+
+  const existing = (await store.templates.find({ tenantId: tenantId, key: key }))
+    .find(record => (i18n.normalizeLocale(record['Language']) || null) === locale);
+
+  if (!existing) {
+    throw new HttpError(404, 'Template not found');
+  }
+
+  await store.templates.remove(existing.id);
+  forgetTemplates(tenantId);
+
+  return { id: existing.id, key: key, language: locale };
+}
+
+module.exports = {
+  TEMPLATES,
+  validateTemplate,
+  getTemplates,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+  forgetTemplates
+};
@@ -0,0 +1,105 @@
+// lib/tenants.js - Tenant lookups with an in-memory cache
+const store = require('./store');
+const { normalizePhone } = require('./whatsapp');
+const { linksTo } = require('./stores/criteria');
+const { HttpError } = require('./errors');
+
+// Tenant cache (in-memory, expires after 1 hour)
+const tenantCache = {};
+const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+
+function getCachedTenant(key) {
+  const cached = tenantCache[key];
+  if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
+    return cached.data;
+  }
+  return null;
+}
+
+function cacheTenant(key, data) {
+  tenantCache[key] = {
+    data: data,
+    timestamp: Date.now()
+  };
+}
+
+// Drop every cached entry of a tenant (after its config or API key changed)
+function forgetTenant(tenantId) {
+  Object.keys(tenantCache).forEach(key => {
+    if (tenantCache[key].data && tenantCache[key].data.id === tenantId) {
+      delete tenantCache[key];
+    }
+  });
+}
+
+async function getTenant(tenantId) {
+  const cached = getCachedTenant(tenantId);
+  if (cached) return cached;
+
+  const tenant = await store.tenants.get(tenantId);
+  if (tenant) {
+    cacheTenant(tenantId, tenant);
+  }
+  return tenant;
+}
+
+// Resolve the tenant that owns the receiving WhatsApp number.
+// Matches the Phone Number ID first, then the display number (digits only).
+async function findTenantByWhatsApp(phoneNumberId, displayPhoneNumber) {
+  const cacheKey = `whatsapp:${phoneNumberId}`;
+  const cached = getCachedTenant(cacheKey);
+  if (cached) return cached;
+
+  const tenants = await store.tenants.list();
+  const displayDigits = normalizePhone(displayPhoneNumber);
+
+  const tenant = tenants.find(t => t['WhatsApp Phone Number ID'] === phoneNumberId) ||
+    tenants.find(t => displayDigits && normalizePhone(t['WhatsApp Number']) === displayDigits);
+
+  if (tenant) {
+    cacheTenant(cacheKey, tenant);
+  }
+  return tenant || null;
+}
+
+// Resolve the tenant from the SHA-256 hash of its API key ("API Key Hash" field)
+async function findTenantByApiKeyHash(keyHash) {
+  const cacheKey = `apikey:${keyHash}`;
+  const cached = getCachedTenant(cacheKey);
+  if (cached) return cached;
+
+  const tenants = await store.tenants.list();
+  const tenant = tenants.find(t => t['API Key Hash'] === keyHash);
+
+  if (tenant) {
+    cacheTenant(cacheKey, tenant);
+  }
+  return tenant || null;
+}
+
+// ============================================
+// Tenant isolation
+// ============================================
+
+// Leads, bookings and properties link their tenant through "Tenant" (properties also have "TenantID")
+function belongsToTenant(record, tenantId) {
+  if (!record || !tenantId) return false;
+  return linksTo(record['Tenant'], tenantId) || linksTo(record['TenantID'], tenantId);
+}
+
+// Records of other tenants are reported as missing so IDs can't be probed
+function assertTenantRecord(record, tenantId, label) {
+  if (!belongsToTenant(record, tenantId)) {
+    throw new HttpError(404, `${label} not found`);
+  }
+  return record;
+}
+
+module.exports = {
+  getTenant,
+  findTenantByWhatsApp,
+  findTenantByApiKeyHash,
+  forgetTenant,
+  belongsToTenant,
+  assertTenantRecord
+};
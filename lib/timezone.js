@@ -0,0 +1,152 @@
+// lib/timezone.js - IANA time zone helpers built on Intl (no offsets hardcoded, DST aware)
+
+const DEFAULT_TIMEZONE = 'Africa/Nairobi';
+
+const formatters = {};
+
+function getFormatter(timezone) {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    });
+  }
+  return formatters[timezone];
+}
+
+// Returns the zone if Intl knows it, otherwise the default (with a warning)
+function resolveTimezone(timezone) {
+  if (!timezone) return DEFAULT_TIMEZONE;
+  try {
+    getFormatter(timezone);
+    return timezone;
+  } catch (err) {
+    console.warn(`Unknown time zone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+// Wall-clock parts of an instant in the zone: { year, month (1-12), day, hour, minute, second }
+function getZonedParts(date, timezone) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(date)).forEach(p => {
+    if (p.type !== 'literal') parts[p.type] = parseInt(p.value, 10);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+// Offset of the zone from UTC at that instant, in minutes (e.g. +180 for Nairobi)
+function getOffsetMinutes(date, timezone) {
+  const time = new Date(date).getTime();
+  const p = getZonedParts(time, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / 60000);
+}
+
+// UTC instant for a wall-clock time in the zone.
+// Returns null when the local time doesn't exist (skipped by a DST jump forward);
+// ambiguous times (DST fall back) resolve to the earlier instant.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Try both offsets around the wall-clock time and keep those that map back to it
+  const candidates = [
+    wallClock - getOffsetMinutes(wallClock - 12 * 60 * 60 * 1000, timezone) * 60000,
+    wallClock - getOffsetMinutes(wallClock + 12 * 60 * 60 * 1000, timezone) * 60000
+  ].filter(time => {
+    const p = getZonedParts(time, timezone);
+    return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+  });
+
+  if (candidates.length === 0) return null;
+  return new Date(Math.min(...candidates));
+}
+
+// { start, end } of the calendar day (in the zone) that contains the instant
+function zonedDayRange(date, timezone) {
+  const day = getZonedParts(date, timezone);
+  const start = zonedTimeToUtc({ ...day, hour: 0, minute: 0 }, timezone) || new Date(date);
+  const next = getZonedParts(start.getTime() + 36 * 60 * 60 * 1000, timezone);
+  const end = zonedTimeToUtc({ ...next, hour: 0, minute: 0 }, timezone) || new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start, end };
+}
+
+// First instant at or after date whose local time of day is minutes after midnight
+// (a time skipped by DST lands an hour later)
+function nextZonedTime(date, minutes, timezone) {
+  const day = getZonedParts(date, timezone);
+
+  for (let offset = 0; offset <= 2; offset++) {
+    const next = new Date(Date.UTC(day.year, day.month - 1, day.day + offset));
+    const local = {
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth() + 1,
+      day: next.getUTCDate(),
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60
+    };
+    const time = zonedTimeToUtc(local, timezone) || zonedTimeToUtc({ ...local, hour: local.hour + 1 }, timezone);
+    if (time && time >= new Date(date)) return time;
+  }
+  return new Date(date);
+}
+
+// Calendar date in the zone as YYYY-MM-DD
+function formatDateKey(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Local date and time in the zone as YYYY-MM-DD HH:mm
+function formatDateTimeKey(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  return `${formatDateKey(date, timezone)} ${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+}
+
+// Parses a time of day into minutes after midnight.
+// Accepts 9, 8.5, "9", "08:30", "8:30 AM", "5:15pm".
+function parseTimeOfDay(value, fallbackMinutes) {
+  if (value === undefined || value === null || value === '') return fallbackMinutes;
+
+  if (typeof value === 'number') {
+    return Math.round(value * 60);
+  }
+
+  const match = value.toString().trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return fallbackMinutes;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+
+  if (match[3] === 'pm' && hours < 12) hours += 12;
+  if (match[3] === 'am' && hours === 12) hours = 0;
+
+  if (hours > 24 || minutes > 59) return fallbackMinutes;
+  return hours * 60 + minutes;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  resolveTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  zonedDayRange,
+  nextZonedTime,
+  formatDateKey,
+  formatDateTimeKey,
+  parseTimeOfDay
+};
@@ -0,0 +1,175 @@
+// lib/transcripts.js - Every message of a lead's conversation (Messages table)
+//
+// The lead only keeps its latest Conversation Stage and answers, so each message is also written
+// here - enough to see what a lead wrote and what the bot made of it:
+//
+//   Tenant, Lead    links (Lead is empty before the lead exists, and for agent commands that
+//                   concern no lead)
+//   Direction       Inbound (the lead or an agent wrote to us) / Outbound (a notification we sent)
+//   Party           Lead / Agent - who is on the other end
+//   Phone           their number
+//   Type            'message' for inbound; 'notification', 'agent_update' or the notification
+//                   rule key (reminder_24h, followup, ...) for outbound
+//   Text            what they wrote, or what we sent
+//   Action, Stage Before, Stage After, Reply
+//                   inbound only: what the bot did with the message and what it answered
+//   Error           inbound only: why processing failed (Action is then 'error')
+//   WhatsApp Message ID
+//                   inbound from the webhook: the message's ID, so a redelivery is skipped
+//
+// Writing is best effort: a failure is logged and never holds up the conversation.
+const store = require('./store');
+const { HttpError } = require('./errors');
+const { assertTenantRecord, belongsToTenant } = require('./tenants');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Blank fields are left out rather than written empty
+async function record(fields) {
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === undefined || fields[field] === null || fields[field] === '') delete fields[field];
+  });
+
+  try {
+    await store.messages.create(fields);
+  } catch (error) {
+    console.error('Failed to record message:', fields['Direction'], fields['Phone'], error.message);
+  }
+}
+
+// ============================================
+// Recording
+// ============================================
+
+// A message from a lead (or an agent) and what the bot did with it
+async function recordInbound({ tenantId, leadId, party = 'Lead', phone, text, action, stageBefore, stageAfter, reply, error, messageId }) {
+  await record({
+    'Tenant': [tenantId],
+    'Lead': leadId ? [leadId] : null,
+    'Direction': 'Inbound',
+    'Party': party,
+    'Phone': phone,
+    'Type': 'message',
+    'Text': text,
+    'Action': action,
+    'Stage Before': stageBefore,
+    'Stage After': stageAfter,
+    'Reply': reply,
+    'Error': error,
+    'WhatsApp Message ID': messageId
+  });
+}
+
+// A message we sent without being asked (agent alerts, relayed agent updates, reminders, ...)
+async function recordOutbound({ tenantId, leadId, party = 'Lead', phone, type = 'notification', text }) {
+  await record({
+    'Tenant': [tenantId],
+    'Lead': leadId ? [leadId] : null,
+    'Direction': 'Outbound',
+    'Party': party,
+    'Phone': phone,
+    'Type': type,
+    'Text': text
+  });
+}
+
+// handle-message calls from the external workflow: its lead_id is only linked when it is one of
+// the tenant's leads
+async function recordHandleMessage(tenantId, input, result) {
+  try {
+    const lead = input.lead_id ? await store.leads.get(input.lead_id) : null;
+    const fields = result.updateFields || {};
+
+    await recordInbound({
+      tenantId,
+      leadId: belongsToTenant(lead, tenantId) ? lead.id : null,
+      phone: input.from,
+      text: input.message,
+      action: result.action,
+      stageBefore: input.lead_stage,
+      stageAfter: fields['Conversation Stage'] || input.lead_stage,
+      reply: result.replyMessage
+    });
+  } catch (error) {
+    console.error('Failed to record handle-message:', error.message);
+  }
+}
+
+// ============================================
+// Reading
+// ============================================
+
+// True when the WhatsApp message has been recorded already (a webhook redelivered after a restart).
+// A failed lookup counts as not recorded, so the message is still answered.
+async function isRecorded(messageId) {
+  if (!messageId) return false;
+
+  try {
+    const [message] = await store.messages.find({ messageId }, { limit: 1 });
+    return Boolean(message);
+  } catch (error) {
+    console.error('Failed to look up message:', messageId, error.message);
+    return false;
+  }
+}
+
+function toEntry(message) {
+  return {
+    id: message.id,
+    createdAt: message['Created'] || null,
+    direction: message['Direction'] || null,
+    party: message['Party'] || null,
+    phone: message['Phone'] || null,
+    type: message['Type'] || null,
+    text: message['Text'] || '',
+    action: message['Action'] || null,
+    stageBefore: message['Stage Before'] || null,
+    stageAfter: message['Stage After'] || null,
+    reply: message['Reply'] || null,
+    error: message['Error'] || null
+  };
+}
+
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return limit;
+}
+
+// The lead's latest messages, oldest first. { limit, before } page back through older ones:
+// before is the createdAt of the first message of the previous page. Only the page (and one more
+// message, for hasMore) is read.
+async function getTranscript(tenantId, leadId, { limit, before } = {}) {
+  const lead = assertTenantRecord(await store.leads.get(leadId), tenantId, 'Lead');
+  const count = parseLimit(limit);
+
+  const createdBefore = before ? new Date(before) : undefined;
+  if (createdBefore && isNaN(createdBefore.getTime())) {
+    throw new HttpError(400, 'before must be a timestamp like 2026-03-01T10:00:00.000Z');
+  }
+
+  const latest = await store.messages.find(
+    { tenantId, leadId: lead.id, createdBefore },
+    { sort: [{ field: 'Created', direction: 'desc' }], limit: count + 1 }
+  );
+
+  return {
+    leadId: lead.id,
+    phone: lead['Phone'] || null,
+    stage: lead['Conversation Stage'] || null,
+    messages: latest.slice(0, count).reverse().map(toEntry),
+    hasMore: latest.length > count
+  };
+}
+
+module.exports = {
+  recordInbound,
+  recordOutbound,
+  recordHandleMessage,
+  isRecorded,
+  getTranscript
+};
@@ -0,0 +1,245 @@
+// lib/whatsapp.js - WhatsApp Cloud API helpers (signature check, inbound parsing, outbound senders)
+const crypto = require('crypto');
+const { parseReplyId } = require('./richMessages');
+
+const DEFAULT_API_URL = 'https://graph.facebook.com/v21.0';
+
+// ============================================
+// Signature verification
+// ============================================
+
+// Meta signs every webhook POST with HMAC-SHA256 of the raw body using the app secret
+// and sends it as "X-Hub-Signature-256: sha256=<hex>".
+function verifySignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  const [algorithm, signature] = signatureHeader.split('=');
+  if (algorithm !== 'sha256' || !signature) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(signature, 'hex');
+
+  if (expectedBuffer.length !== signatureBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// ============================================
+// Inbound parsing
+// ============================================
+
+// Flattens a webhook payload into one entry per inbound message.
+// Status updates (sent/delivered/read) carry no messages and are skipped.
+function parseInboundMessages(body) {
+  const inbound = [];
+
+  if (!body || body.object !== 'whatsapp_business_account') {
+    return inbound;
+  }
+
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      const metadata = value.metadata || {};
+      const contacts = value.contacts || [];
+
+      for (const msg of value.messages || []) {
+        const contact = contacts.find(c => c.wa_id === msg.from) || contacts[0] || {};
+
+        inbound.push({
+          messageId: msg.id,
+          from: msg.from,
+          profileName: contact.profile ? contact.profile.name : '',
+          phoneNumberId: metadata.phone_number_id,
+          displayPhoneNumber: metadata.display_phone_number,
+          timestamp: msg.timestamp,
+          type: msg.type,
+          text: extractText(msg)
+        });
+      }
+    }
+  }
+
+  return inbound;
+}
+
+// Button and list replies come back as their reply ID ("slot:3"), which decodes to the
+// text the lead could have typed ("3")
+function extractText(msg) {
+  switch (msg.type) {
+    case 'text':
+      return msg.text ? msg.text.body : '';
+    case 'button':
+      return msg.button ? parseReplyId(msg.button.payload || msg.button.text) : '';
+    case 'interactive': {
+      const interactive = msg.interactive || {};
+      const reply = interactive.button_reply || interactive.list_reply;
+      return reply ? parseReplyId(reply.id || reply.title) : '';
+    }
+    default:
+      return '';
+  }
+}
+
+// Strip everything but digits so "+254 712 345 678" and "254712345678" compare equal
+function normalizePhone(phone) {
+  return (phone || '').toString().replace(/\D/g, '');
+}
+
+// ============================================
+// Outbound senders
+// ============================================
+
+// Sends through the Graph API. apiUrl can point at a local mock server for testing.
+function createGraphSender({ apiUrl, accessToken }) {
+  const baseUrl = (apiUrl || DEFAULT_API_URL).replace(/\/+$/, '');
+
+  async function send(phoneNumberId, payload) {
+    const response = await fetch(`${baseUrl}/${phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        ...payload
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const reason = data.error ? data.error.message : response.statusText;
+      throw new Error(`WhatsApp send failed (${response.status}): ${reason}`);
+    }
+
+    return data;
+  }
+
+  return {
+    name: 'graph',
+    sendText(phoneNumberId, to, text) {
+      return send(phoneNumberId, toGraphPayload(to, { type: 'text', text: text }));
+    },
+    sendMessage(phoneNumberId, to, message) {
+      return send(phoneNumberId, toGraphPayload(to, message));
+    }
+  };
+}
+
+// lib/richMessages.js message → Graph API message body
+function toGraphPayload(to, message) {
+  switch (message.type) {
+    case 'text':
+      return { to: to, type: 'text', text: { preview_url: false, body: message.text } };
+
+    case 'image':
+      return { to: to, type: 'image', image: { link: message.imageUrl, caption: message.caption } };
+
+    case 'buttons':
+      return {
+        to: to,
+        type: 'interactive',
+        interactive: {
+          type: 'button',
+          body: { text: message.body },
+          action: {
+            buttons: message.buttons.map(b => ({ type: 'reply', reply: { id: b.id, title: b.title } }))
+          }
+        }
+      };
+
+    case 'list':
+      return {
+        to: to,
+        type: 'interactive',
+        interactive: {
+          type: 'list',
+          body: { text: message.body },
+          action: { button: message.buttonText, sections: message.sections }
+        }
+      };
+
+    default:
+      throw new Error(`Unknown WhatsApp message type: ${message.type}`);
+  }
+}
+
+// Logs instead of sending - used when no access token is configured (local development)
+function createConsoleSender() {
+  return {
+    name: 'console',
+    async sendText(phoneNumberId, to, text) {
+      console.log(`[whatsapp:console] ${phoneNumberId} → ${to}:\n${text}`);
+      return { messages: [] };
+    },
+    async sendMessage(phoneNumberId, to, message) {
+      console.log(`[whatsapp:console] ${phoneNumberId} → ${to} (${message.type}):\n${JSON.stringify(message, null, 2)}`);
+      return { messages: [] };
+    }
+  };
+}
+
+// Sends structured messages in order. If the first one fails, the plain-text fallback is sent
+// instead so the lead still gets a usable reply. Once some went out the fallback would repeat
+// them, so a later failure only costs that message: an image (e.g. a photo URL WhatsApp couldn't
+// fetch) goes out as its caption, anything else is left out.
+async function sendMessages(sender, phoneNumberId, to, messages, fallbackText) {
+  let sent = 0;
+
+  for (const message of messages) {
+    try {
+      await sender.sendMessage(phoneNumberId, to, message);
+      sent++;
+    } catch (error) {
+      if (sent === 0) {
+        if (!fallbackText) throw error;
+        console.error('Rich WhatsApp message failed, sending text instead:', error.message);
+        await sender.sendText(phoneNumberId, to, fallbackText);
+        return;
+      }
+
+      console.error(`Rich WhatsApp message ${message.type} failed after ${sent} sent:`, error.message);
+      if (message.type === 'image' && message.caption) {
+        await sender.sendText(phoneNumberId, to, message.caption);
+      }
+    }
+  }
+}
+
+function createSender(options = {}) {
+  const type = options.type || (options.accessToken ? 'graph' : 'console');
+
+  if (type === 'graph') {
+    return createGraphSender(options);
+  }
+  if (type === 'console') {
+    return createConsoleSender();
+  }
+
+  throw new Error(`Unknown WhatsApp sender: ${type}`);
+}
+
+module.exports = {
+  verifySignature,
+  parseInboundMessages,
+  normalizePhone,
+  createGraphSender,
+  createConsoleSender,
+  createSender,
+  sendMessages,
+  toGraphPayload
+};
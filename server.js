@@ -1,42 +1,58 @@
 // server.js - Complete Multi-Tenant Property Bot Backend
 require('dotenv').config();
 const express = require('express');
-const Airtable = require('airtable');
-const { google } = require('googleapis');
 const handleMessage = require('./handleMessage');
+const store = require('./lib/store');
+const whatsapp = require('./lib/whatsapp');
+const tenants = require('./lib/tenants');
+const { processMessage } = require('./lib/orchestrator');
+const { handleFollowUpMessage } = require('./lib/followUp');
+const { SCORED_FIELDS, refreshLeadScore, rescoreLead } = require('./lib/leadScoring');
+const { getLocations, getSizes, searchProperties, formatPropertyMessages } = require('./lib/properties');
+const {
+  getAvailableSlots,
+  createBooking,
+  cancelBooking,
+  listUpcomingBookings,
+  getRescheduleSlots,
+  rescheduleBooking
+} = require('./lib/bookings');
+const notifications = require('./lib/notifications');
+const scheduler = require('./lib/scheduler');
+const { getNotificationRules, saveNotificationRules, resetNotificationRules } = require('./lib/notificationRules');
+const { requireTenant, requireAdmin, generateApiKey, hashApiKey } = require('./lib/auth');
+const { assertTenantRecord } = require('./lib/tenants');
+const richMessages = require('./lib/richMessages');
+const i18n = require('./lib/i18n');
+const { getTemplates, listTemplates, saveTemplate, deleteTemplate } = require('./lib/templates');
+const listings = require('./lib/listings');
+const { importProperties } = require('./lib/propertyImport');
+const { getAnalytics } = require('./lib/analytics');
+const { exportLeads, exportBookings } = require('./lib/exports');
+const { writeSpreadsheet } = require('./lib/spreadsheets');
+const transcripts = require('./lib/transcripts');
 
 const app = express();
-app.use(express.json());
-
-// Configure Airtable
-const base = new Airtable({ apiKey: process.env.AIRTABLE_API_KEY })
-  .base(process.env.AIRTABLE_BASE_ID);
+app.use(express.json({
+  // Keep the raw bytes around - the WhatsApp webhook signature is computed over them
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
-// Configure Google Calendar
-const credentials = JSON.parse(process.env.GOOGLE_SERVICE_ACCOUNT || '{}');
-const auth = new google.auth.GoogleAuth({
-  credentials: credentials,
-  scopes: ['https://www.googleapis.com/auth/calendar']
+// Configure WhatsApp outbound sender (falls back to console logging without a token)
+const whatsappSender = whatsapp.createSender({
+  type: process.env.WHATSAPP_SENDER,
+  apiUrl: process.env.WHATSAPP_API_URL,
+  accessToken: process.env.WHATSAPP_ACCESS_TOKEN
 });
-const calendar = google.calendar({ version: 'v3', auth });
 
-// Tenant cache (in-memory, expires after 1 hour)
-const tenantCache = {};
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
-
-function getCachedTenant(tenantId) {
-  const cached = tenantCache[tenantId];
-  if (cached && (Date.now() - cached.timestamp < CACHE_DURATION)) {
-    return cached.data;
+// Answer with the status carried by HttpError (400 for bad input), 500 otherwise
+function sendError(res, error, label) {
+  if (!error.status || error.status >= 500) {
+    console.error(`ERROR in ${label}:`, error);
   }
-  return null;
-}
-
-function cacheTenant(tenantId, data) {
-  tenantCache[tenantId] = {
-    data: data,
-    timestamp: Date.now()
-  };
+  res.status(error.status || 500).json({ success: false, error: error.message });
 }
 
 // ============================================
@@ -53,23 +69,102 @@ app.get('/', (req, res) => {
       '/api/search-properties',
       '/api/available-slots-v2',
       '/api/create-booking',
-      '/api/cancel-booking'
+      '/api/cancel-booking',
+      '/api/process-message',
+      '/webhook/whatsapp'
     ]
   });
 });
 
+// Every /api endpoint acts for the tenant resolved from the caller's API key (req.tenant)
+app.use('/api', requireTenant);
+
 // ============================================
 // ENDPOINT 1: Handle Conversation Logic
 // ============================================
+
+// Answers to the follow-up after a viewing, in handle-message's shape. The lead is already
+// updated; updateFields repeat what changed for callers that keep their own copy.
+async function followUpResult(tenant, followUp) {
+  const scoreAlerts = await rescoreLead(followUp.lead, {
+    tenant,
+    // Every answer but an unrecognised one is saved to the Feedback table
+    changed: !['feedback_invalid', 'followup_invalid'].includes(followUp.action)
+  });
+
+  return {
+    action: followUp.action,
+    locale: i18n.resolveLocale(followUp.lead['Language'], tenant['Default Language']),
+    updateFields: {
+      'Conversation Stage': followUp.lead['Conversation Stage'],
+      'AwaitingFollowUpResponse': Boolean(followUp.lead['AwaitingFollowUpResponse'])
+    },
+    replyMessage: followUp.reply,
+    agentNotification: followUp.agentNotifications[0] || null,
+    feedbackId: followUp.feedbackId,
+    scoreAlerts: scoreAlerts,
+    ...(followUp.messages ? { messages: followUp.messages } : {})
+  };
+}
+
+// The conversation's answer for a lead, rescored when it changes a field the score reads. The
+// caller saves updateFields; the fields the score reads are saved here too, with the new Score,
+// Tier and Status (as /api/process-message does).
+async function conversationResult(tenant, lead, input) {
+  const result = await handleMessage(input);
+  if (!lead || !result.updateFields) return result;
+
+  const fields = {};
+  for (const field of SCORED_FIELDS) {
+    if (result.updateFields[field] !== undefined && result.updateFields[field] !== lead[field]) {
+      fields[field] = result.updateFields[field];
+    }
+  }
+  if (Object.keys(fields).length === 0) return result;
+
+  return { ...result, scoreAlerts: await rescoreLead(lead, { tenant, fields }) };
+}
+
+// Bookings made or cancelled through the API count towards the lead's score, as in a conversation
+async function rescoreBookingLead(tenant, result) {
+  if (!result.success || !result.bookingId) return result;
+
+  const booking = await store.bookings.get(result.bookingId);
+  const leadId = booking && (Array.isArray(booking['Lead']) ? booking['Lead'][0] : booking['Lead']);
+  const lead = leadId ? await store.leads.get(leadId) : null;
+  if (!lead) return result;
+
+  return { ...result, scoreAlerts: await rescoreLead(lead, { tenant }) };
+}
+
 app.post('/api/handle-message', async (req, res) => {
   try {
-    const result = await handleMessage(req.body);
+    const input = { ...req.body, tenant_id: req.tenant.id };
+    const lead = input.lead_id ? await store.leads.get(input.lead_id) : null;
+
+    // A lead answering the follow-up goes through the same conversation as WhatsApp replies
+    const ownLead = tenants.belongsToTenant(lead, req.tenant.id) ? lead : null;
+    const followUp = ownLead
+      ? await handleFollowUpMessage({ tenant: req.tenant, lead, message: input.message, rich: Boolean(input.rich_messages) })
+      : null;
+
+    let result;
+    if (followUp && !followUp.restart) {
+      result = await followUpResult(req.tenant, followUp);
+    } else if (followUp) {
+      // "3" / HI to the follow-up: a new search
+      result = await conversationResult(req.tenant, followUp.lead, { ...input, message: 'hi', lead_stage: followUp.lead['Conversation Stage'], awaiting_followup_response: false });
+    } else {
+      result = await conversationResult(req.tenant, ownLead, input);
+    }
+
+    await transcripts.recordHandleMessage(req.tenant.id, req.body, result);
     res.json(result);
   } catch (error) {
     console.error('Error in handle-message:', error);
     res.status(500).json({ 
       action: "error",
-      replyMessage: "Sorry, something went wrong. Please try again or send HI to restart."
+      replyMessage: i18n.t(i18n.resolveLocale(req.body.lead_locale, req.tenant['Default Language']), 'common.error')
     });
   }
 });
@@ -79,35 +174,17 @@ app.post('/api/handle-message', async (req, res) => {
 // ============================================
 app.post('/api/locations', async (req, res) => {
   try {
-    const { tenantId, interest } = req.body;
-    
-    if (!tenantId || !interest) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'tenantId and interest are required' 
-      });
+    const result = await getLocations({ ...req.body, tenantId: req.tenant.id, locale: i18n.resolveLocale(req.body.locale, req.tenant['Default Language']) });
+
+    // rich: true adds a list message alongside the text
+    if (req.body.rich) {
+      const locale = i18n.resolveLocale(req.body.locale, req.tenant['Default Language']);
+      result.messages = richMessages.locationChoice(`${i18n.t(locale, 'locations.heading')}\n${result.formatted}`, result.locations, locale);
     }
-    
-    const records = await base('Properties')
-      .select({
-        filterByFormula: `AND({TenantID} = '${tenantId}', {Type} = '${interest}', {Available} = 1)`,
-        fields: ['Location']
-      })
-      .all();
-    
-    const locations = [...new Set(records.map(r => r.get('Location')).filter(Boolean))].sort();
-    const formatted = locations.map(loc => `• ${loc}`).join('\n');
-    
-    res.json({
-      success: true,
-      locations: locations,
-      formatted: formatted || "• No locations available",
-      count: locations.length
-    });
-    
+
+    res.json(result);
   } catch (error) {
-    console.error('Error in locations:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'locations');
   }
 });
 
@@ -116,1065 +193,112 @@ app.post('/api/locations', async (req, res) => {
 // ============================================
 app.post('/api/sizes', async (req, res) => {
   try {
-    const { tenantId, interest, location } = req.body;
-    
-    if (!tenantId || !interest || !location) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'tenantId, interest, and location are required' 
-      });
-    }
-    
-    const records = await base('Properties')
-      .select({
-        filterByFormula: `AND({TenantID} = '${tenantId}', {Type} = '${interest}', {Location} = '${location}', {Available} = 1)`,
-        fields: ['Bedrooms', 'Plot Size', 'Type']
-      })
-      .all();
-    
-    if (records.length === 0) {
-      return res.json({
-        success: false,
-        hasOptions: false,
-        options: "• No properties available in this location",
-        nextStage: interest === 'Land' ? 'asked_land_size' : 'asked_size',
-        message: `Sorry, we don't have any ${interest.toLowerCase()} properties in ${location} right now.`
-      });
-    }
-    
-    let options = '';
-    let nextStage = '';
-    
-    if (interest === 'Land') {
-      const plots = [...new Set(records.map(r => r.get('Plot Size')).filter(Boolean))];
-      options = plots.map(p => `• ${p}`).join('\n');
-      nextStage = 'asked_land_size';
-    } else {
-      const beds = [...new Set(records.map(r => parseInt(r.get('Bedrooms'))).filter(n => !isNaN(n)))].sort((a,b) => a-b);
-      options = beds.map(b => `• ${b} bedroom${b > 1 ? 's' : ''}`).join('\n');
-      nextStage = 'asked_size';
+    const locale = i18n.resolveLocale(req.body.locale, req.tenant['Default Language']);
+    const result = await getSizes({ ...req.body, tenantId: req.tenant.id, locale: locale });
+
+    if (req.body.rich && result.hasOptions) {
+      result.messages = richMessages.sizeChoice(result.options, result.sizes, locale);
     }
-    
-    res.json({
-      success: true,
-      hasOptions: true,
-      options: options,
-      nextStage: nextStage,
-      count: records.length
-    });
-    
+
+    res.json(result);
   } catch (error) {
-    console.error('Error in sizes:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'sizes');
   }
 });
 
 // ============================================
-// ENDPOINT 4: Search Properties (WITH DEBUG LOGGING)
+// ENDPOINT 4: Search Properties
 // ============================================
 app.post('/api/search-properties', async (req, res) => {
   try {
-    const { tenantId, interest, location, bedrooms, plotSize, budget } = req.body;
-    
-    console.log('========================================');
-    console.log('PROPERTY SEARCH REQUEST:');
-    console.log('Input data:', JSON.stringify(req.body, null, 2));
-    console.log('tenantId:', tenantId);
-    console.log('interest:', interest);
-    console.log('location:', location);
-    console.log('bedrooms:', bedrooms, typeof bedrooms);
-    console.log('plotSize:', plotSize, typeof plotSize);
-    console.log('budget:', budget);
-    
-    if (!tenantId || !interest || !location) {
-      console.log('ERROR: Missing required fields');
-      return res.status(400).json({ 
-        success: false, 
-        error: 'tenantId, interest, and location are required' 
-      });
-    }
-    
-    // Build filter - Match on Type, Location, Size, Available ONLY (no budget!)
-    let filter;
-    
-    console.log('Building filter for interest:', interest);
-    
-    if (interest === 'Land') {
-      console.log('LAND SEARCH - Using plotSize:', plotSize);
-      // Land search - flexible matching for plot size (strips spaces, case insensitive)
-      // Matches: "1/4" → "1/4 Acre", "50x100" → "50 x 100", etc.
-      const cleanPlotSize = plotSize.replace(/\s+/g, '').toLowerCase();
-      console.log('Cleaned plot size for search:', cleanPlotSize);
-      
-      filter = `AND(
-        {Type} = "Land",
-        {Location} = "${location}",
-        FIND("${cleanPlotSize}", LOWER(SUBSTITUTE({Plot Size}, " ", ""))),
-        {Available} = TRUE(),
-        SEARCH("${tenantId}", ARRAYJOIN({TenantID}))
-      )`;
-    } else {
-      console.log('HOUSE SEARCH - Using bedrooms:', bedrooms);
-      // House/Apartment search
-      let bedroomNumber = bedrooms;
-      if (typeof bedrooms === 'string') {
-        const match = bedrooms.match(/\d+/);
-        bedroomNumber = match ? parseInt(match[0]) : bedrooms;
-      }
-      
-      console.log('Extracted bedroom number:', bedroomNumber);
-      
-      filter = `AND(
-        {Type} = "${interest}",
-        {Bedrooms} = ${parseInt(bedroomNumber)},
-        {Location} = "${location}",
-        {Available} = TRUE(),
-        SEARCH("${tenantId}", ARRAYJOIN({TenantID}))
-      )`;
-    }
-    
-    // NO BUDGET FILTER! Just return all matching properties sorted by price
-    
-    console.log('FINAL FILTER:');
-    console.log(filter);
-    console.log('========================================');
-    
-    const records = await base('Properties')
-      .select({
-        filterByFormula: filter,
-        maxRecords: 3, // Return up to 10 properties (not limited by budget anymore)
-        sort: [{ field: 'Price', direction: 'asc' }], // Cheapest first!
-        fields: ['Property Name', 'Price', 'Bedrooms', 'Location', 'Address', 'Plot Size', 'Type', 'Photo URL']
-      })
-      .all();
-    
-    console.log('Airtable returned', records.length, 'records');
-    
-    if (records.length > 0) {
-      console.log('First record:', {
-        id: records[0].id,
-        name: records[0].get('Property Name'),
-        price: records[0].get('Price'),
-        type: records[0].get('Type'),
-        location: records[0].get('Location'),
-        bedrooms: records[0].get('Bedrooms'),
-        plotSize: records[0].get('Plot Size')
-      });
-    } else {
-      console.log('NO RECORDS FOUND!');
-      console.log('Filter used:', filter);
+    const locale = i18n.resolveLocale(req.body.locale, req.tenant['Default Language']);
+    const result = await searchProperties({ ...req.body, tenantId: req.tenant.id, locale: locale });
+
+    // rich: true adds property cards (photo + caption) and a picker
+    if (req.body.rich && result.count > 0) {
+      result.messages = formatPropertyMessages(null, result.properties, result, locale);
     }
-    
-    // Sort again to be absolutely sure (Airtable sometimes doesn't respect sort)
-    const sortedRecords = records.sort((a, b) => {
-      const priceA = a.get('Price') || 0;
-      const priceB = b.get('Price') || 0;
-      return priceA - priceB;
-    });
-    
-    console.log('After sorting, order is:');
-    sortedRecords.forEach((r, i) => {
-      console.log(`  ${i+1}. ${r.get('Property Name')} - ${r.get('Price')}`);
-    });
-    
-    const properties = sortedRecords.map((record, index) => ({
-      number: index + 1,
-      id: record.id,
-      name: record.get('Property Name'),
-      price: record.get('Price'),
-      bedrooms: record.get('Bedrooms'),
-      location: record.get('Location'),
-      address: record.get('Address'),
-      plotSize: record.get('Plot Size'),
-      type: record.get('Type'),
-      photoUrl: record.get('Photo URL') || ''
-    }));
-    
-    console.log('RESPONSE:');
-    console.log('Returning', properties.length, 'properties');
-    console.log('Properties:', JSON.stringify(properties, null, 2));
-    console.log('========================================');
-    
-    res.json({
-      success: true,
-      properties: properties,
-      count: properties.length
-    });
-    
+
+    res.json(result);
   } catch (error) {
-    console.error('ERROR in search-properties:', error);
-    console.error('Stack:', error.stack);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'search-properties');
   }
 });
 
 // ============================================
-// ENDPOINT 5: Get Available Slots - FINAL FIXED VERSION
+// ENDPOINT 5: Get Available Slots
 // ============================================
 app.post('/api/available-slots-v2', async (req, res) => {
   try {
-    const { propertyId, leadId, tenantId } = req.body;
-    
-    console.log('========================================');
-    console.log('SLOT CALCULATION REQUEST:');
-    console.log('propertyId:', propertyId);
-    console.log('tenantId:', tenantId);
-    
-    if (!propertyId || !tenantId) {
-      return res.status(400).json({ success: false, error: 'propertyId and tenantId required' });
-    }
-    
-    // 1. GET TENANT CONFIG
-    const tenant = await base('Tenants').find(tenantId);
-    
-    const calendarId = tenant.get('Google Calendar ID');
-    const workStart = parseInt(tenant.get('Work Start Hour') || 9);
-    const workEnd = parseInt(tenant.get('Work End Hour') || 17);
-    const slotDuration = parseInt(tenant.get('Slot Duration') || 60);
-    const workingDaysRaw = tenant.get('Working Days') || "Monday, Tuesday, Wednesday, Thursday, Friday";
-    const timezone = tenant.get('Time Zone') || 'Africa/Nairobi';
-    const daysAhead = parseInt(tenant.get('Days Ahead') || 30);
-    
-    // Normalize working days
-    let workingDaysStr;
-    if (Array.isArray(workingDaysRaw)) {
-      const dayMap = {
-        'Mon': 'Monday', 'Tue': 'Tuesday', 'Wed': 'Wednesday',
-        'Thu': 'Thursday', 'Fri': 'Friday', 'Sat': 'Saturday', 'Sun': 'Sunday'
-      };
-      workingDaysStr = workingDaysRaw.map(d => dayMap[d] || d).join(', ');
-    } else {
-      workingDaysStr = workingDaysRaw
-        .replace(/\bMon\b/g, 'Monday').replace(/\bTue\b/g, 'Tuesday')
-        .replace(/\bWed\b/g, 'Wednesday').replace(/\bThu\b/g, 'Thursday')
-        .replace(/\bFri\b/g, 'Friday').replace(/\bSat\b/g, 'Saturday')
-        .replace(/\bSun\b/g, 'Sunday');
-    }
-    
-    console.log('CONFIG:');
-    console.log('  Work: ', workStart + ':00 -', workEnd + ':00');
-    console.log('  Duration:', slotDuration, 'min');
-    console.log('  Days:', workingDaysStr);
-    console.log('  Timezone:', timezone);
-    
-    // 2. GET PROPERTY
-    const propertyRecord = await base('Properties').find(propertyId);
-    const propertyName = propertyRecord.get('Property Name');
-    
-    // 3. GET BOOKED EVENTS
-    const now = new Date();
-    const searchEnd = new Date(now);
-    searchEnd.setDate(searchEnd.getDate() + daysAhead);
-    
-    const calendarResponse = await calendar.events.list({
-      calendarId: calendarId,
-      timeMin: now.toISOString(),
-      timeMax: searchEnd.toISOString(),
-      q: propertyId,
-      singleEvents: true,
-      orderBy: 'startTime'
-    });
-    
-    const booked = (calendarResponse.data.items || []).map(e => ({
-      start: new Date(e.start.dateTime || e.start.date),
-      end: new Date(e.end.dateTime || e.end.date)
-    }));
-    
-    console.log('Booked events:', booked.length);
-    
-    // 4. GENERATE SLOTS
-    const minSlotTime = new Date(now.getTime() + (60 * 60 * 1000)); // 1hr buffer
-    const freeSlots = [];
-    const MAX_SLOTS = 7;
-    
-    function overlaps(start, end) {
-      return booked.some(b => start < b.end && end > b.start);
-    }
-    
-    function isWorkingDay(d) {
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      return workingDaysStr.includes(dayNames[d.getDay()]);
-    }
-    
-    console.log('Generating slots...');
-    
-    for (let dayOffset = 0; dayOffset < daysAhead && freeSlots.length < MAX_SLOTS; dayOffset++) {
-      const day = new Date(now);
-      day.setDate(day.getDate() + dayOffset);
-      day.setHours(0, 0, 0, 0);
-      
-      if (!isWorkingDay(day)) {
-        continue; // Skip non-working days silently
-      }
-      
-      const dayStr = day.toLocaleDateString('en-KE', { timeZone: timezone });
-      console.log(`Checking ${dayStr}...`);
-      
-      // Get timezone offset (Kenya is UTC+3)
-      const KENYA_OFFSET_HOURS = 3;
-      
-      // Generate slots for this day
-      for (let hour = workStart; hour < workEnd && freeSlots.length < MAX_SLOTS; ) {
-        // Create slot start - adjust for Kenya timezone
-        // If we want 9am in Kenya (UTC+3), that's 6am UTC
-        const slotStart = new Date(day);
-        slotStart.setUTCHours(hour - KENYA_OFFSET_HOURS, 0, 0, 0);
-        
-        // Create slot end
-        const slotEnd = new Date(slotStart);
-        slotEnd.setMinutes(slotEnd.getMinutes() + slotDuration);
-        
-        // Display in Kenya time
-        const startStr = slotStart.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true });
-        const endStr = slotEnd.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true });
-        
-        console.log(`  ${hour}:00 Kenya → UTC ${slotStart.getUTCHours()}:00 → displays as ${startStr}`);
-        
-        // Skip if in the past
-        if (slotStart <= minSlotTime) {
-          console.log(`  ${startStr}: PAST`);
-          hour++; // Move to next hour
-          continue;
-        }
-        
-        // Skip if end time goes beyond work hours
-        const endHour = slotEnd.getHours();
-        const endMinute = slotEnd.getMinutes();
-        if (endHour > workEnd || (endHour === workEnd && endMinute > 0)) {
-          console.log(`  ${startStr}: END (${endStr}) beyond work hours`);
-          break; // No more slots today
-        }
-        
-        // Skip if overlaps
-        if (overlaps(slotStart, slotEnd)) {
-          console.log(`  ${startStr}: BOOKED`);
-          hour++; // Move to next hour
-          continue;
-        }
-        
-        // FREE SLOT!
-        console.log(`  ${startStr} - ${endStr}: ✅ FREE`);
-        
-        freeSlots.push({
-          number: freeSlots.length + 1,
-          start: slotStart.toISOString(),
-          end: slotEnd.toISOString(),
-          displayDate: slotStart.toLocaleDateString('en-KE', { 
-            timeZone: timezone,
-            weekday: 'short', 
-            month: 'short', 
-            day: 'numeric' 
-          }),
-          displayTime: slotStart.toLocaleTimeString('en-KE', { 
-            timeZone: timezone,
-            hour: 'numeric', 
-            minute: '2-digit',
-            hour12: true 
-          })
-        });
-        
-        // Move to next slot based on duration
-        const nextHour = Math.floor((hour * 60 + slotDuration) / 60);
-        hour = nextHour;
-      }
+    const locale = i18n.resolveLocale(req.body.locale, req.tenant['Default Language']);
+    const result = await getAvailableSlots({ ...req.body, tenantId: req.tenant.id, locale: locale });
+
+    if (req.body.rich) {
+      result.messages = richMessages.slotChoice(result.message, result.slots, locale);
     }
-    
-    console.log('Found', freeSlots.length, 'free slots');
-    console.log('========================================');
-    
-    // 5. CREATE SLOT MAP
-    const slotMap = {};
-    freeSlots.forEach(slot => {
-      slotMap[slot.number] = `${slot.start}|${slot.end}`;
-    });
-    
-    // 6. RETURN
-    const message = freeSlots.length > 0
-      ? `📅 Available viewings:\n\n` + 
-        freeSlots.map(s => `${s.number}️⃣ ${s.displayDate}, ${s.displayTime}`).join('\n') +
-        `\n\nReply with slot number.`
-      : `No available slots in the next ${daysAhead} days.\n\nOur agent will contact you!`;
-    
-    res.json({
-      success: true,
-      slots: freeSlots,
-      slotMap: JSON.stringify(slotMap),
-      message: message,
-      count: freeSlots.length,
-      propertyName: propertyName
-    });
-    
+
+    res.json(result);
   } catch (error) {
-    console.error('ERROR:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'available-slots-v2');
   }
 });
 
 // ============================================
-// ENDPOINT 6: Create Booking - PRODUCTION VERSION
+// ENDPOINT 6: Create Booking
 // ============================================
 app.post('/api/create-booking', async (req, res) => {
   try {
-    const { 
-      leadId, 
-      propertyId, 
-      slotNumber, 
-      slotMap, 
-      leadName, 
-      leadPhone,
-      tenantId
-    } = req.body;
-    
-    console.log('========================================');
-    console.log('CREATE BOOKING REQUEST:');
-    console.log('Input data:', JSON.stringify(req.body, null, 2));
-    
-    // Validate
-    const missingFields = [];
-    if (!leadId) missingFields.push('leadId');
-    if (!propertyId) missingFields.push('propertyId');
-    if (!slotNumber) missingFields.push('slotNumber');
-    if (!slotMap) missingFields.push('slotMap');
-    if (!tenantId) missingFields.push('tenantId');
-    
-    if (missingFields.length > 0) {
-      console.log('ERROR: Missing fields:', missingFields.join(', '));
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Missing required fields: ' + missingFields.join(', ')
-      });
-    }
-    
-    // 1. GET TENANT CONFIG
-    console.log('Fetching tenant config...');
-    const tenant = await base('Tenants').find(tenantId);
-    
-    const calendarId = tenant.get('Google Calendar ID');
-    const timezone = tenant.get('Time Zone') || 'Africa/Nairobi';
-    const slotDuration = parseInt(tenant.get('Slot Duration') || 60);
-    const companyName = tenant.get('Company Name');
-    
-    console.log('Tenant:', companyName);
-    console.log('Calendar ID:', calendarId);
-    console.log('Timezone:', timezone);
-    
-    // 2. PARSE SLOT MAP
-    let slots = slotMap;
-    if (typeof slotMap === 'string') {
-      try {
-        slots = JSON.parse(slotMap);
-      } catch (err) {
-        return res.status(400).json({ success: false, error: 'Invalid slot map format' });
-      }
-    }
-    
-    const slotData = slots[slotNumber];
-    if (!slotData || !slotData.includes('|')) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Invalid slot number. Available: ' + Object.keys(slots).join(', ')
-      });
-    }
-    
-    const [startTime, endTime] = slotData.split('|');
-    const slotStart = new Date(startTime);
-    const slotEnd = new Date(endTime);
-    
-    console.log('Selected slot:');
-    console.log('  Start:', slotStart.toLocaleString('en-KE', { timeZone: timezone }));
-    console.log('  End:', slotEnd.toLocaleString('en-KE', { timeZone: timezone }));
-    
-    // 3. COLLISION DETECTION - Check if slot is still available
-    console.log('Checking for conflicts in database...');
-    
-    // Check Google Calendar
-    const calendarConflicts = await calendar.events.list({
-      calendarId: calendarId,
-      timeMin: slotStart.toISOString(),
-      timeMax: slotEnd.toISOString(),
-      q: propertyId,
-      singleEvents: true
-    });
-    
-    const calendarHasConflict = calendarConflicts.data.items && calendarConflicts.data.items.length > 0;
-    
-    // Also check Airtable Bookings table directly
-    const airtableConflicts = await base('Bookings')
-      .select({
-        filterByFormula: `AND(
-          SEARCH("${propertyId}", ARRAYJOIN({Property})),
-          {Status} != "Cancelled",
-          OR(
-            AND(
-              IS_BEFORE({StartDateTime}, "${slotEnd.toISOString()}"),
-              IS_AFTER({EndDateTime}, "${slotStart.toISOString()}")
-            )
-          )
-        )`,
-        maxRecords: 1
-      })
-      .all();
-    
-    const airtableHasConflict = airtableConflicts.length > 0;
-    
-    console.log('Calendar conflicts:', calendarHasConflict ? 'YES' : 'NO');
-    console.log('Airtable conflicts:', airtableHasConflict ? 'YES' : 'NO');
-    
-    if (calendarHasConflict || airtableHasConflict) {
-      console.log('SLOT TAKEN! Cannot book.');
-      return res.json({
-        success: false,
-        slotTaken: true,
-        message: "⚠️ Sorry, that time slot was just taken by another client!\n\nPlease select another time or reply HI to search again."
-      });
-    }
-    
-    console.log('Slot is FREE! Proceeding with booking...');
-    
-    // 4. GET PROPERTY DETAILS
-    const propertyRecord = await base('Properties').find(propertyId);
-    const propertyName = propertyRecord.get('Property Name');
-    const propertyAddress = propertyRecord.get('Address');
-    const agentEmailRaw = propertyRecord.get('Agent Email');
-    const agentPhoneRaw = propertyRecord.get('Agent Phone');
-    const agentNameRaw = propertyRecord.get('Agent Name');
-    
-    console.log('Property:', propertyName);
-    console.log('Agent data (raw):');
-    console.log('  Name:', agentNameRaw, '(type:', typeof agentNameRaw, ')');
-    console.log('  Phone:', agentPhoneRaw, '(type:', typeof agentPhoneRaw, ')');
-    console.log('  Email:', agentEmailRaw, '(type:', typeof agentEmailRaw, ')');
-    
-    // Handle lookups (they return arrays)
-    const agentName = Array.isArray(agentNameRaw) ? agentNameRaw[0] : agentNameRaw;
-    const agentPhoneRaw2 = Array.isArray(agentPhoneRaw) ? agentPhoneRaw[0] : agentPhoneRaw;
-    const agentEmail = Array.isArray(agentEmailRaw) ? agentEmailRaw[0] : agentEmailRaw;
-    
-    // Clean phone number - Airtable phone fields are picky
-    let agentPhone = agentPhoneRaw2;
-    if (agentPhone) {
-      // Convert to string and trim
-      agentPhone = agentPhone.toString().trim();
-      // Remove any extra formatting that might cause issues
-      agentPhone = agentPhone.replace(/[^\d+\s()-]/g, '');
-    }
-    
-    console.log('Agent data (cleaned):');
-    console.log('  Name:', agentName);
-    console.log('  Phone (original):', agentPhoneRaw2);
-    console.log('  Phone (cleaned):', agentPhone);
-    console.log('  Email:', agentEmail);
-    
-    // In the create booking endpoint, find this section and replace it:
-
-// 5. CREATE GOOGLE CALENDAR EVENT
-console.log('Creating calendar event...');
-
-const event = {
-  summary: `${companyName} - Property Viewing`,
-  description: `Property: ${propertyName}\nClient: ${leadName}\nPhone: ${leadPhone}\nProperty ID: ${propertyId}\n\nAgent: ${agentName || 'N/A'}\nAgent Phone: ${agentPhone || 'N/A'}`,
-  location: propertyAddress,
-  start: {
-    dateTime: slotStart.toISOString(),
-    timeZone: timezone
-  },
-  end: {
-    dateTime: slotEnd.toISOString(),
-    timeZone: timezone
-  },
-};
-
-let calendarEvent;
-try {
-  calendarEvent = await calendar.events.insert({
-    calendarId: calendarId,
-    resource: event
-    // REMOVED: sendUpdates: 'all' (can't send updates without attendees)
-  });
-  console.log('Calendar event created:', calendarEvent.data.id);
-} catch (calErr) {
-  console.error('Calendar creation failed:', calErr.message);
-  return res.status(500).json({ 
-    success: false, 
-    error: 'Failed to create calendar event: ' + calErr.message 
-  });
-}
-    
-    // 6. CREATE AIRTABLE BOOKING
-    console.log('Creating Airtable booking...');
-    
-    const bookingData = {
-      'Lead': [leadId],
-      'Property': [propertyId],
-      'StartDateTime': slotStart.toISOString(),
-      'EndDateTime': slotEnd.toISOString(),
-      'Date': slotStart.toISOString().split('T')[0], // ISO format: 2026-02-13
-      'Time': slotStart.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true }),
-      'Status': 'Scheduled',
-      'Google Event ID': calendarEvent.data.id,
-      'Tenant': [tenantId]
-    };
-    
-    // Add agent fields only if they exist (they might be empty)
-    if (agentName) {
-      bookingData['Agent Name'] = agentName.toString(); // Ensure it's a string
-    }
-    if (agentPhone) {
-      bookingData['Agent Phone'] = agentPhone.toString(); // Ensure it's a string
-    }
-    
-    console.log('Booking data:', JSON.stringify(bookingData, null, 2));
-    
-    let bookingRecord;
-    try {
-      bookingRecord = await base('Bookings').create(bookingData);
-      console.log('Booking created:', bookingRecord.id);
-    } catch (airtableErr) {
-      console.error('Airtable booking failed:', airtableErr.message);
-      // Cleanup calendar event
-      try {
-        await calendar.events.delete({
-          calendarId: calendarId,
-          eventId: calendarEvent.data.id
-        });
-        console.log('Calendar event deleted (cleanup)');
-      } catch {}
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Failed to create booking: ' + airtableErr.message 
-      });
-    }
-    
-    // 7. FORMAT MESSAGES
-    const slotDurationMinutes = slotDuration;
-    const durationText = slotDurationMinutes >= 60 
-      ? `${Math.floor(slotDurationMinutes / 60)} hour${slotDurationMinutes > 60 ? 's' : ''}`
-      : `${slotDurationMinutes} minutes`;
-    
-    const confirmMessage = `✅ *VIEWING CONFIRMED!*\n\n` +
-      `*Booking Details:*\n` +
-      `Property: ${propertyName}\n` +
-      `Date: ${slotStart.toLocaleDateString('en-KE', { timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric' })}\n` +
-      `Time: ${slotStart.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true })}\n` +
-      `*Location:* ${propertyAddress}\n\n` +
-      (agentName ? `👤 *Agent:* ${agentName}\n` : '') +
-      (agentPhone ? `📱 *Agent Phone:* ${agentPhone}\n\n` : '\n') +
-      `See you there! Reply CANCEL if you need to cancel.`;
-    
-    const agentMessage = `🔔 *NEW VIEWING SCHEDULED*\n\n` +
-      `📋 *CLIENT:*\n` +
-      `${leadName}\n` +
-      `${leadPhone}\n\n` +
-      `🏠 *PROPERTY:*\n` +
-      `${propertyName}\n` +
-      `${propertyAddress}\n\n` +
-      `📅 ${slotStart.toLocaleDateString('en-KE', { timeZone: timezone, weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}\n` +
-      `⏰ ${slotStart.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true })}\n` +
-      `⏱️ Duration: ${durationText}\n\n` +
-      `✅ Added to your calendar`;
-    
-    console.log('BOOKING SUCCESSFUL!');
-    console.log('========================================');
-    
-    res.json({
-      success: true,
-      slotTaken: false,
-      bookingId: bookingRecord.id,
-      eventId: calendarEvent.data.id,
-      message: confirmMessage,
-      agentMessage: agentMessage,
-      agentEmail: agentEmail,
-      agentPhone: agentPhone,
-      agentName: agentName,
-      slotDetails: {
-        date: slotStart.toLocaleDateString('en-KE', { timeZone: timezone }),
-        time: slotStart.toLocaleTimeString('en-KE', { timeZone: timezone }),
-        property: propertyName,
-        address: propertyAddress
-      }
-    });
-    
+    const result = await createBooking({ ...req.body, tenantId: req.tenant.id });
+    res.json(await rescoreBookingLead(req.tenant, result));
   } catch (error) {
-    console.error('ERROR in create-booking:', error);
-    console.error('Stack:', error.stack);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'create-booking');
   }
 });
 
 // ============================================
-// ENDPOINT 7: Cancel Booking - COMPLETELY FIXED
+// ENDPOINT 7: Cancel Booking (bookingId to pick one, else the lead's latest)
 // ============================================
 app.post('/api/cancel-booking', async (req, res) => {
   try {
-    const { leadId, calendarId } = req.body;
-    
-    if (!leadId || !calendarId) {
-      return res.status(400).json({ success: false, error: 'leadId and calendarId required' });
-    }
-    
-    // Search for active bookings for this lead - Get all and filter in JS
-    const allScheduled = await base('Bookings')
-      .select({
-        filterByFormula: `{Status} = "Scheduled"`,
-        sort: [{ field: 'StartDateTime', direction: 'desc' }]
-      })
-      .all();
-    
-    // Filter in JavaScript (more reliable than Airtable formulas for linked fields)
-    const bookings = allScheduled.filter(booking => {
-      const leadField = booking.get('Lead');
-      // Handle both array and non-array cases
-      if (Array.isArray(leadField)) {
-        return leadField.includes(leadId);
-      }
-      return leadField === leadId;
-    });
-    
-    if (bookings.length === 0) {
-      return res.json({
-        success: false,
-        noBooking: true,
-        message: "You don't have any active bookings to cancel.\n\nReply HI to search for properties! 🏡"
-      });
-    }
-    
-    const booking = bookings[0];
-    
-    const eventId = booking.get('Google Event ID');
-    
-    // Try multiple field names for Property
-    let propertyId = null;
-    const possiblePropertyFields = ['Property', 'Property (from Properties)', 'Properties'];
-    
-    for (const fieldName of possiblePropertyFields) {
-      try {
-        const value = booking.get(fieldName);
-        if (value) {
-          propertyId = Array.isArray(value) ? value[0] : value;
-          break;
-        }
-      } catch (e) {
-        // Field doesn't exist, continue
-      }
-    }
-    
-    if (!eventId) {
-      return res.json({
-        success: false,
-        noEvent: true,
-        message: "Booking found but no calendar event to delete."
-      });
-    }
-    
-    // Get property details
-    let propertyName = 'the property';
-    let agentPhone = null;
-    
-    if (propertyId) {
-      try {
-        const property = await base('Properties').find(propertyId);
-        propertyName = property.get('Property Name') || 'the property';
-        
-        // Get agent phone from lookup field
-        const agentPhoneRaw = property.get('Agent Phone');
-        if (Array.isArray(agentPhoneRaw) && agentPhoneRaw.length > 0) {
-          agentPhone = agentPhoneRaw[0];
-        } else if (agentPhoneRaw && typeof agentPhoneRaw === 'string') {
-          agentPhone = agentPhoneRaw;
-        }
-      } catch (propErr) {
-        console.error('Failed to get property:', propErr.message);
-      }
-    }
-    
-    // Get lead details
-    let leadName = 'there';
-    try {
-      const lead = await base('Leads').find(leadId);
-      leadName = lead.get('Name') || 'there';
-    } catch (leadErr) {
-      console.error('Failed to get lead:', leadErr.message);
-    }
-    
-    const scheduledTime = new Date(booking.get('StartDateTime'));
-    
-    // Delete Google Calendar event
-    try {
-      await calendar.events.delete({
-        calendarId: calendarId,
-        eventId: eventId
-      });
-    } catch (calErr) {
-      console.error('Calendar deletion error:', calErr.message);
-    }
-    
-    // Update booking status
-    await base('Bookings').update(booking.id, {
-      'Status': 'Cancelled'
-    });
-    
-    // Update lead conversation stage
-    await base('Leads').update(leadId, {
-      'Conversation Stage': 'booking_cancelled'
-      // Removed: Status update (might not have "Cancelled" option in Leads table)
-    });
-    
-    const userMessage = `❌ *Viewing Cancelled*\n\n` +
-      `Your viewing has been cancelled:\n\n` +
-      `🏠 *Property:* ${propertyName}\n` +
-      `📅 *Was scheduled for:* ${scheduledTime.toLocaleDateString('en-KE')}\n` +
-      `⏰ *Time:* ${scheduledTime.toLocaleTimeString('en-KE', { hour: 'numeric', minute: '2-digit', hour12: true })}\n\n` +
-      `If you'd like to reschedule, reply *HI* to start over.`;
-    
-    const agentMessage = `🔔 *VIEWING CANCELLED*\n\n` +
-      `A viewing has been cancelled.\n\n` +
-      `👤 *Client:* ${leadName}\n` +
-      `🏠 *Property:* ${propertyName}\n` +
-      `📅 *Was scheduled for:* ${scheduledTime.toLocaleDateString('en-KE')} at ${scheduledTime.toLocaleTimeString('en-KE', { hour: 'numeric', minute: '2-digit', hour12: true })}\n\n` +
-      `The calendar event has been removed.`;
-    
-    res.json({
-      success: true,
-      userMessage: userMessage,
-      agentNotification: {
-        agentPhone: agentPhone,
-        message: agentMessage,
-        propertyName: propertyName,
-        leadName: leadName,
-        scheduledDate: scheduledTime.toLocaleDateString('en-KE'),
-        scheduledTime: scheduledTime.toLocaleTimeString('en-KE', { hour: 'numeric', minute: '2-digit', hour12: true })
-      }
-    });
-    
+    const result = await cancelBooking({ ...req.body, tenantId: req.tenant.id });
+    res.json(await rescoreBookingLead(req.tenant, result));
   } catch (error) {
-    console.error('ERROR in cancel-booking:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'cancel-booking');
   }
 });
 
 // ============================================
 // ENDPOINT 8: Check Reminders AND Follow-Ups (COMBINED)
 // ============================================
+
+// Every reminder / follow-up of the tenant's notification rules that is due and not yet sent.
+// Each stays due until it's too late to be useful, so a missed poll doesn't lose it.
 app.post('/api/check-notifications', async (req, res) => {
   try {
     console.log('========================================');
     console.log('CHECKING FOR NOTIFICATIONS (Reminders + Follow-ups)...');
     
-    const now = new Date();
+    const tenant = req.tenant;
+    const rules = await getNotificationRules(tenant.id);
+    const templates = await getTemplates(tenant.id);
     const allNotifications = [];
     
-    // ===================================
-    // 1. CHECK REMINDERS (12h and 1h)
-    // ===================================
-    
-    // 12-hour window
-    const in12Hours = new Date(now.getTime() + (12 * 60 * 60 * 1000));
-    const in11Hours = new Date(now.getTime() + (11 * 60 * 60 * 1000));
-    
-    const bookings12h = await base('Bookings')
-      .select({
-        filterByFormula: `AND(
-          {Status} = "Scheduled",
-          {Reminder12hSent} = FALSE(),
-          IS_AFTER({StartDateTime}, "${in11Hours.toISOString()}"),
-          IS_BEFORE({StartDateTime}, "${in12Hours.toISOString()}")
-        )`,
-        fields: ['Lead', 'Property', 'StartDateTime', 'Tenant']
-      })
-      .all();
-    
-    for (const booking of bookings12h) {
-      const leadId = booking.get('Lead')?.[0];
-      const propertyId = booking.get('Property')?.[0];
-      const tenantId = booking.get('Tenant')?.[0];
-      const startTime = new Date(booking.get('StartDateTime'));
-      
-      if (!leadId || !propertyId || !tenantId) continue;
-      
-      const lead = await base('Leads').find(leadId);
-      const property = await base('Properties').find(propertyId);
-      const tenant = await base('Tenants').find(tenantId);
-      
-      const agentNameRaw = property.get('Agent Name');
-      const agentPhoneRaw = property.get('Agent Phone');
-      const agentName = Array.isArray(agentNameRaw) ? agentNameRaw[0] : agentNameRaw;
-      const agentPhone = Array.isArray(agentPhoneRaw) ? agentPhoneRaw[0] : agentPhoneRaw;
-      
-      const timezone = tenant.get('Time Zone') || 'Africa/Nairobi';
-      const propertyName = property.get('Property Name');
-      const propertyAddress = property.get('Address');
-      const leadName = lead.get('Name');
-      const leadPhone = lead.get('Phone');
-      
-      const formattedDate = startTime.toLocaleDateString('en-KE', { timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric' });
-      const formattedTime = startTime.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true });
-      
-      const message = `🔔 REMINDER: Viewing Tomorrow!\n\n` +
-        ` ${propertyName}\n` +
-        ` ${startTime.toLocaleDateString('en-KE', { timeZone: timezone, weekday: 'long', month: 'short', day: 'numeric' })}\n` +
-        ` ${formattedTime}\n` +
-        ` ${propertyAddress}\n\n` +
-        (agentName ? ` Agent: ${agentName}\n` : '') +
-        (agentPhone ? ` ${agentPhone}\n\n` : '\n') +
-        `See you there!`;
-      
-      const agentMessage = `🔔 *UPCOMING VIEWING REMINDER*\n\n` +
-        `👤 Client: ${leadName}\n` +
-        `📱 Phone: ${leadPhone}\n` +
-        `🏠 Property: ${propertyName}\n` +
-        `📅 Date: ${formattedDate}\n` +
-        `⏰ Time: ${formattedTime}\n\n` +
-        `Please be ready to meet the client.`;
-      
-      allNotifications.push({
-        type: 'reminder_12h',
-        bookingId: booking.id,
-        leadPhone: leadPhone,
-        leadName: leadName,
-        tenantWhatsApp: tenant.get('WhatsApp Number'),
-        message: message,
-        agentNotification: {
-          agentPhone: agentPhone,
-          message: agentMessage,
-          clientName: leadName,
-          clientPhone: leadPhone,
-          propertyName: propertyName,
-          propertyAddress: propertyAddress,
-          date: formattedDate,
-          time: formattedTime
-        }
-      });
-    }
-    
-    // 1-hour window
-    const in1Hour = new Date(now.getTime() + (1 * 60 * 60 * 1000));
-    const in50Minutes = new Date(now.getTime() + (50 * 60 * 1000));
-    
-    const bookings1h = await base('Bookings')
-      .select({
-        filterByFormula: `AND(
-          {Status} = "Scheduled",
-          {Reminder1hSent} = FALSE(),
-          IS_AFTER({StartDateTime}, "${in50Minutes.toISOString()}"),
-          IS_BEFORE({StartDateTime}, "${in1Hour.toISOString()}")
-        )`,
-        fields: ['Lead', 'Property', 'StartDateTime', 'Tenant']
-      })
-      .all();
-    
-    for (const booking of bookings1h) {
-      const leadId = booking.get('Lead')?.[0];
-      const propertyId = booking.get('Property')?.[0];
-      const tenantId = booking.get('Tenant')?.[0];
-      
-      if (!leadId || !propertyId || !tenantId) continue;
-      
-      const lead = await base('Leads').find(leadId);
-      const property = await base('Properties').find(propertyId);
-      const tenant = await base('Tenants').find(tenantId);
-      
-      const agentNameRaw = property.get('Agent Name');
-      const agentPhoneRaw = property.get('Agent Phone');
-      const agentName = Array.isArray(agentNameRaw) ? agentNameRaw[0] : agentNameRaw;
-      const agentPhone = Array.isArray(agentPhoneRaw) ? agentPhoneRaw[0] : agentPhoneRaw;
-      
-      const timezone = tenant.get('Time Zone') || 'Africa/Nairobi';
-      const startTime = new Date(booking.get('StartDateTime'));
-      const propertyName = property.get('Property Name');
-      const propertyAddress = property.get('Address');
-      const leadName = lead.get('Name');
-      const leadPhone = lead.get('Phone');
-      
-      const formattedDate = startTime.toLocaleDateString('en-KE', { timeZone: timezone, year: 'numeric', month: 'numeric', day: 'numeric' });
-      const formattedTime = startTime.toLocaleTimeString('en-KE', { timeZone: timezone, hour: 'numeric', minute: '2-digit', hour12: true });
-      
-      const message = `⏰ Your viewing starts in 1 HOUR!\n\n` +
-        ` ${propertyName}\n` +
-        ` ${propertyAddress}\n\n` +
-        `The agent is ready for you! 🎉`;
-      
-      const agentMessage = `🔔 *UPCOMING VIEWING REMINDER*\n\n` +
-        `👤 Client: ${leadName}\n` +
-        `📱 Phone: ${leadPhone}\n` +
-        `🏠 Property: ${propertyName}\n` +
-        `📅 Date: ${formattedDate}\n` +
-        `⏰ Time: ${formattedTime}\n\n` +
-        `The client is on their way!`;
-      
-      allNotifications.push({
-        type: 'reminder_1h',
-        bookingId: booking.id,
-        leadPhone: leadPhone,
-        leadName: leadName,
-        tenantWhatsApp: tenant.get('WhatsApp Number'),
-        message: message,
-        agentNotification: {
-          agentPhone: agentPhone,
-          message: agentMessage,
-          clientName: leadName,
-          clientPhone: leadPhone,
-          propertyName: propertyName,
-          propertyAddress: propertyAddress,
-          date: formattedDate,
-          time: formattedTime
-        }
-      });
-    }
-    
-    // ===================================
-    // 2. CHECK FOLLOW-UPS (3 hours after)
-    // ===================================
-    
-    const twoHalfHoursAgo = new Date(now.getTime() - (2.5 * 60 * 60 * 1000));
-    const threeHalfHoursAgo = new Date(now.getTime() - (3.5 * 60 * 60 * 1000));
-    
-    const followUpBookings = await base('Bookings')
-      .select({
-        filterByFormula: `AND(
-          {Status} = "Scheduled",
-          {FollowUpSent} = FALSE(),
-          IS_AFTER({EndDateTime}, "${threeHalfHoursAgo.toISOString()}"),
-          IS_BEFORE({EndDateTime}, "${twoHalfHoursAgo.toISOString()}")
-        )`,
-        fields: ['Lead', 'Property', 'EndDateTime', 'Tenant']
-      })
-      .all();
-    
-    for (const booking of followUpBookings) {
-      const leadId = booking.get('Lead')?.[0];
-      const propertyId = booking.get('Property')?.[0];
-      const tenantId = booking.get('Tenant')?.[0];
-      
-      if (!leadId || !propertyId || !tenantId) continue;
-      
-      const lead = await base('Leads').find(leadId);
-      const property = await base('Properties').find(propertyId);
-      const tenant = await base('Tenants').find(tenantId);
-      
-      const message = `Hi ${lead.get('Name')} 👋\n\n` +
-        `How was your viewing of ${property.get('Property Name')}?\n\n` +
-        `Reply:\n` +
-        `1️⃣ Interested\n` +
-        `2️⃣ Not Interested\n` +
-        `3️⃣ HI – to search another property\n\n` +
-        `We're here to help! 🏡`;
-      
-      allNotifications.push({
-        type: 'followup',
-        bookingId: booking.id,
-        leadId: leadId,
-        leadPhone: lead.get('Phone'),
-        leadName: lead.get('Name'),
-        propertyName: property.get('Property Name'),
-        tenantWhatsApp: tenant.get('WhatsApp Number'),
-        message: message
-      });
+    for (const { rule, booking, ...context } of await notifications.findDueNotifications(tenant, rules)) {
+      const notification = notifications.buildNotification(rule, { tenant, booking, templates, ...context });
+
+      // Interested / Not Interested buttons (replies arrive as "1" / "2")
+      if (rule.type === 'followup' && req.body && req.body.rich) {
+        const locale = i18n.resolveLocale(context.lead['Language'], tenant['Default Language']);
+        notification.messages = richMessages.followUpChoice(notification.message, locale);
+      }
+
+      allNotifications.push(notification);
     }
     
     console.log('Total notifications:', allNotifications.length);
-    console.log('  Reminders 12h:', allNotifications.filter(n => n.type === 'reminder_12h').length);
-    console.log('  Reminders 1h:', allNotifications.filter(n => n.type === 'reminder_1h').length);
-    console.log('  Follow-ups:', allNotifications.filter(n => n.type === 'followup').length);
+    rules.forEach(rule => {
+      console.log(`  ${rule.key}:`, allNotifications.filter(n => n.type === rule.key).length);
+    });
     console.log('========================================');
     
     res.json({
@@ -1184,14 +308,15 @@ app.post('/api/check-notifications', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('ERROR:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'check-notifications');
   }
 });
 
 // ============================================
 // ENDPOINT 9: Mark Notification as Sent
 // ============================================
+
+// type is the notification's rule key (as returned by check-notifications)
 app.post('/api/mark-notification-sent', async (req, res) => {
   try {
     const { bookingId, type } = req.body;
@@ -1200,23 +325,20 @@ app.post('/api/mark-notification-sent', async (req, res) => {
       return res.status(400).json({ success: false, error: 'bookingId and type required' });
     }
     
-    const updateData = {};
-    
-    if (type === 'reminder_12h') {
-      updateData['Reminder12hSent'] = true;
-    } else if (type === 'reminder_1h') {
-      updateData['Reminder1hSent'] = true;
-    } else if (type === 'followup') {
-      updateData['FollowUpSent'] = true;
+    const rules = await getNotificationRules(req.tenant.id);
+    if (!rules.some(rule => rule.key === type)) {
+      return res.status(400).json({ success: false, error: `Unknown notification type: ${type}` });
     }
     
-    await base('Bookings').update(bookingId, updateData);
+    const booking = assertTenantRecord(await store.bookings.get(bookingId), req.tenant.id, 'Booking');
+    if (!notifications.wasSent(booking, type)) {
+      await store.bookings.update(bookingId, notifications.logSent(booking, type));
+    }
     
     res.json({ success: true });
     
   } catch (error) {
-    console.error('ERROR:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'mark-notification-sent');
   }
 });
 
@@ -1234,57 +356,46 @@ app.post('/api/handle-followup-response', async (req, res) => {
       return res.status(400).json({ success: false, error: 'leadId and response required' });
     }
     
-    const lead = await base('Leads').find(leadId);
-    const leadName = lead.get('Name');
+    const lead = assertTenantRecord(await store.leads.get(leadId), req.tenant.id, 'Lead');
     
-    if (response === '1' || response.toLowerCase().includes('interested')) {
-      // Mark as interested
-      await base('Leads').update(leadId, {
-        'Status': 'Hot Lead',
-        'Conversation Stage': 'interested_after_viewing'
-      });
-      
-      const userMessage = `Great! 🎉\n\nOur agent will contact you shortly to discuss next steps!\n\nReply HI anytime to search for more properties.`;
-      
-      const agentMessage = `🔥 *HOT LEAD ALERT!*\n\n` +
-        `${leadName} is INTERESTED after viewing!\n\n` +
-        `📞 Contact them ASAP: ${lead.get('Phone')}\n\n` +
-        `Strike while the iron is hot! 🎯`;
-      
-      res.json({
-        success: true,
-        userMessage: userMessage,
-        agentMessage: agentMessage,
-        notifyAgent: true
-      });
-      
-    } else if (response === '2' || response.toLowerCase().includes('not interested')) {
-      // Mark as not interested
-      await base('Leads').update(leadId, {
-        'Status': 'Not Interested',
-        'Conversation Stage': 'not_interested_after_viewing'
-      });
-      
-      const userMessage = `Thank you for your feedback! 🙏\n\nIf you change your mind, just reply HI anytime.\n\nWe're always here to help! 🏡`;
-      
-      res.json({
-        success: true,
-        userMessage: userMessage,
-        notifyAgent: false
-      });
-      
-    } else {
-      // Invalid response
-      res.json({
+    // Same conversation as WhatsApp replies: interested? → reason → rating → comments
+    const result = await handleFollowUpMessage({ tenant: req.tenant, lead, message: response, strict: true });
+    const agentNotification = result.agentNotifications[0];
+    const scoreAlerts = await rescoreLead(result.lead, { tenant: req.tenant });
+    
+    await transcripts.recordInbound({
+      tenantId: req.tenant.id,
+      leadId: lead.id,
+      phone: lead['Phone'],
+      text: response,
+      action: result.action,
+      stageBefore: lead['Conversation Stage'],
+      stageAfter: result.lead['Conversation Stage'],
+      reply: result.reply
+    });
+    
+    if (result.action === 'followup_invalid') {
+      return res.json({
         success: false,
         invalidResponse: true,
-        userMessage: `Please reply:\n1️⃣ Interested\n2️⃣ Not Interested\n3️⃣ HI – to search another property`
+        userMessage: result.reply
       });
     }
     
+    res.json({
+      success: true,
+      action: result.action,
+      stage: result.lead['Conversation Stage'],
+      feedbackId: result.feedbackId,
+      userMessage: result.reply,
+      agentMessage: agentNotification ? agentNotification.message : null,
+      agentPhone: agentNotification ? agentNotification.agentPhone : null,
+      notifyAgent: Boolean(agentNotification),
+      scoreAlerts: scoreAlerts
+    });
+    
   } catch (error) {
-    console.error('ERROR in handle-followup-response:', error);
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'handle-followup-response');
   }
 });
 
@@ -1293,7 +404,9 @@ app.post('/api/handle-followup-response', async (req, res) => {
 // ============================================
 app.post('/api/mark-awaiting-followup', async (req, res) => {
   try {
-    const { leadId, awaiting, propertyName } = req.body;
+    const { leadId, awaiting, propertyName, bookingId } = req.body;
+    
+    assertTenantRecord(await store.leads.get(leadId), req.tenant.id, 'Lead');
     
     const updateData = {
       'AwaitingFollowUpResponse': awaiting
@@ -1304,11 +417,467 @@ app.post('/api/mark-awaiting-followup', async (req, res) => {
       updateData['LastViewedProperty'] = propertyName;
     }
     
-    await base('Leads').update(leadId, updateData);
+    // The viewing the answers are stored against (bookingId of the check-notifications follow-up)
+    if (bookingId) {
+      assertTenantRecord(await store.bookings.get(bookingId), req.tenant.id, 'Booking');
+      updateData['Follow-Up Booking ID'] = bookingId;
+    }
+    
+    await store.leads.update(leadId, updateData);
     
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    sendError(res, error, 'mark-awaiting-followup');
+  }
+});
+
+// ============================================
+// ENDPOINT 12: Process Message (full server-side pipeline)
+// ============================================
+app.post('/api/process-message', async (req, res) => {
+  try {
+    const { from, message, rich } = req.body;
+
+    if (!from) {
+      return res.status(400).json({ success: false, error: 'from is required' });
+    }
+
+    res.json(await processMessage({ tenant: req.tenant, from, message: message || '', rich: Boolean(rich) }));
+  } catch (error) {
+    sendError(res, error, 'process-message');
+  }
+});
+
+// ============================================
+// ENDPOINT 13: WhatsApp Cloud API Webhook
+// ============================================
+
+// IDs of the WhatsApp messages taken up since the server started (the oldest are forgotten past
+// RECENT_MESSAGE_LIMIT). Meta redelivers webhooks it thinks went unanswered, and the lead must not
+// get the reply twice. Older messages are found in the transcript (Messages 'WhatsApp Message ID').
+const RECENT_MESSAGE_LIMIT = 5000;
+const recentMessageIds = new Set();
+
+// True the first time a message ID comes in
+function firstDelivery(messageId) {
+  if (!messageId) return true;
+  if (recentMessageIds.has(messageId)) return false;
+
+  recentMessageIds.add(messageId);
+  if (recentMessageIds.size > RECENT_MESSAGE_LIMIT) {
+    recentMessageIds.delete(recentMessageIds.values().next().value);
+  }
+  return true;
+}
+
+async function processInboundWhatsApp(inbound) {
+  console.log('WhatsApp inbound:', inbound.from, '→', inbound.displayPhoneNumber, JSON.stringify(inbound.text));
+
+  const tenant = await tenants.findTenantByWhatsApp(inbound.phoneNumberId, inbound.displayPhoneNumber);
+  if (!tenant) {
+    console.error('No tenant configured for WhatsApp number:', inbound.phoneNumberId, inbound.displayPhoneNumber);
+    return;
+  }
+
+  if (!inbound.text) {
+    const lead = await store.leads.findByPhone(tenant.id, inbound.from);
+    const locale = i18n.resolveLocale(lead && lead['Language'], tenant['Default Language']);
+    const reply = i18n.t(locale, 'common.textOnly');
+    await whatsappSender.sendText(inbound.phoneNumberId, inbound.from, reply);
+    await transcripts.recordInbound({
+      tenantId: tenant.id,
+      leadId: lead ? lead.id : null,
+      phone: inbound.from,
+      action: 'text_only',
+      stageBefore: lead ? lead['Conversation Stage'] : null,
+      stageAfter: lead ? lead['Conversation Stage'] : null,
+      reply: reply,
+      messageId: inbound.messageId
+    });
+    return;
+  }
+
+  // Tenants can opt out of images/buttons/lists with the "Plain Text Replies" checkbox
+  const rich = !tenant['Plain Text Replies'];
+  const outcome = await processMessage({ tenant, from: inbound.from, message: inbound.text, rich, messageId: inbound.messageId });
+
+  if (rich && outcome.messages && outcome.messages.length > 0) {
+    await whatsapp.sendMessages(whatsappSender, inbound.phoneNumberId, inbound.from, outcome.messages, outcome.reply);
+  } else if (outcome.reply) {
+    await whatsappSender.sendText(inbound.phoneNumberId, inbound.from, outcome.reply);
+  }
+
+  for (const notification of outcome.agentNotifications) {
+    try {
+      await whatsappSender.sendText(inbound.phoneNumberId, whatsapp.normalizePhone(notification.agentPhone), notification.message);
+      await transcripts.recordOutbound({
+        tenantId: tenant.id,
+        leadId: notification.leadId || outcome.leadId,
+        party: 'Agent',
+        phone: notification.agentPhone,
+        text: notification.message
+      });
+    } catch (error) {
+      console.error('Failed to notify agent:', notification.agentPhone, error.message);
+    }
+  }
+
+  // Agent commands (CONFIRM, RUNNING LATE, ...) relay an update to the lead
+  for (const notification of outcome.leadNotifications || []) {
+    try {
+      await whatsappSender.sendText(inbound.phoneNumberId, whatsapp.normalizePhone(notification.leadPhone), notification.message);
+      await transcripts.recordOutbound({
+        tenantId: tenant.id,
+        leadId: notification.leadId,
+        phone: notification.leadPhone,
+        type: 'agent_update',
+        text: notification.message
+      });
+    } catch (error) {
+      console.error('Failed to notify lead:', notification.leadPhone, error.message);
+    }
+  }
+}
+
+// Meta verification challenge (called once when the webhook is registered)
+app.get('/webhook/whatsapp', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode === 'subscribe' && token && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+    console.log('WhatsApp webhook verified');
+    return res.status(200).send(challenge);
+  }
+
+  res.sendStatus(403);
+});
+
+// Inbound messages
+app.post('/webhook/whatsapp', async (req, res) => {
+  const signature = req.get('X-Hub-Signature-256');
+
+  if (!whatsapp.verifySignature(req.rawBody, signature, process.env.WHATSAPP_APP_SECRET)) {
+    console.error('WhatsApp webhook: invalid signature');
+    return res.sendStatus(401);
+  }
+
+  // Acknowledge before processing - Meta redelivers webhooks that aren't answered within a few
+  // seconds (or with an error), and a reply can take longer than that
+  res.sendStatus(200);
+
+  const messages = whatsapp.parseInboundMessages(req.body);
+
+  for (const inbound of messages) {
+    if (!firstDelivery(inbound.messageId)) {
+      console.log('WhatsApp message already handled, skipping:', inbound.messageId);
+      continue;
+    }
+
+    try {
+      if (await transcripts.isRecorded(inbound.messageId)) {
+        console.log('WhatsApp message already in the transcript, skipping:', inbound.messageId);
+        continue;
+      }
+      await processInboundWhatsApp(inbound);
+    } catch (error) {
+      console.error('ERROR processing WhatsApp message:', inbound.messageId, error);
+    }
+  }
+});
+
+// ============================================
+// ENDPOINT 14: Message Templates (tenant wording overrides)
+// ============================================
+
+// Every overridable message with its placeholders, built-in text and the tenant's overrides
+app.get('/api/templates', async (req, res) => {
+  try {
+    res.json({ success: true, templates: await listTemplates(req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'templates');
+  }
+});
+
+// { key, language (optional - blank for every language), text } - placeholders are validated
+app.post('/api/templates', async (req, res) => {
+  try {
+    const { key, language, text } = req.body;
+    const template = await saveTemplate({ tenantId: req.tenant.id, key, language, text });
+    res.json({ success: true, template: template });
+  } catch (error) {
+    sendError(res, error, 'save-template');
+  }
+});
+
+// Back to the built-in text: DELETE /api/templates/booking.confirmed?language=sw
+app.delete('/api/templates/:key', async (req, res) => {
+  try {
+    const template = await deleteTemplate({ tenantId: req.tenant.id, key: req.params.key, language: req.query.language });
+    res.json({ success: true, deleted: template });
+  } catch (error) {
+    sendError(res, error, 'delete-template');
+  }
+});
+
+// ============================================
+// ENDPOINT 15: Reschedule Booking
+// ============================================
+
+// Without slotNumber: fresh slots for the booking's property (with a slotMap to send back).
+// With slotNumber + slotMap: moves the booking and its calendar event to that slot.
+// The booking is bookingId, or the lead's latest scheduled booking when only leadId is given.
+app.post('/api/reschedule-booking', async (req, res) => {
+  try {
+    // Replies are in the lead's language unless the caller asks for a locale
+    if (!req.body.slotNumber) {
+      const result = await getRescheduleSlots({ ...req.body, tenantId: req.tenant.id });
+
+      if (req.body.rich && result.count > 0) {
+        result.messages = richMessages.slotChoice(result.message, result.slots, result.locale);
+      }
+
+      return res.json(result);
+    }
+
+    res.json(await rescheduleBooking({ ...req.body, tenantId: req.tenant.id }));
+  } catch (error) {
+    sendError(res, error, 'reschedule-booking');
+  }
+});
+
+// ============================================
+// ENDPOINT 16: A lead's upcoming viewings (MY BOOKINGS)
+// ============================================
+app.post('/api/my-bookings', async (req, res) => {
+  try {
+    res.json(await listUpcomingBookings({ ...req.body, tenantId: req.tenant.id }));
+  } catch (error) {
+    sendError(res, error, 'my-bookings');
+  }
+});
+
+// ============================================
+// ENDPOINT 17: Notification Rules (reminder / follow-up schedule)
+// ============================================
+
+// The tenant's rules (the defaults until it saves its own)
+app.get('/api/notification-rules', async (req, res) => {
+  try {
+    res.json({ success: true, rules: await getNotificationRules(req.tenant.id) });
+  } catch (error) {
+    sendError(res, error, 'notification-rules');
+  }
+});
+
+// { rules: [{ key, type, offset, at, message, notifyAgent, noAnswer }] } replaces the whole schedule
+app.put('/api/notification-rules', async (req, res) => {
+  try {
+    const rules = await saveNotificationRules(req.tenant.id, req.body.rules);
+    await scheduler.backfillJobs({ tenantId: req.tenant.id });
+    res.json({ success: true, rules: rules });
+  } catch (error) {
+    sendError(res, error, 'save-notification-rules');
+  }
+});
+
+// Back to the default 12h / 1h reminders and 3-hour follow-up
+app.delete('/api/notification-rules', async (req, res) => {
+  try {
+    const rules = await resetNotificationRules(req.tenant.id);
+    await scheduler.backfillJobs({ tenantId: req.tenant.id });
+    res.json({ success: true, rules: rules });
+  } catch (error) {
+    sendError(res, error, 'reset-notification-rules');
+  }
+});
+
+// ============================================
+// ENDPOINT 18: Lead score
+// ============================================
+
+// Re-scores the lead and updates its Score, Tier and Status (lib/leadScoring.js). For flows that
+// change leads outside /api/process-message; agentNotification is set when the score just
+// reached the tenant's 'Lead Alert Score' and is for the caller to send.
+app.post('/api/leads/:leadId/score', async (req, res) => {
+  try {
+    const lead = assertTenantRecord(await store.leads.get(req.params.leadId), req.tenant.id, 'Lead');
+    const result = await refreshLeadScore(lead, { tenant: req.tenant });
+
+    res.json({
+      success: true,
+      leadId: lead.id,
+      score: result.score,
+      tier: result.tier,
+      status: result.status,
+      details: result.details,
+      agentNotification: result.agentNotification
+    });
+  } catch (error) {
+    sendError(res, error, 'lead-score');
+  }
+});
+
+// ============================================
+// ENDPOINT 19: Property listings (lib/listings.js)
+// ============================================
+
+// ?type=Buy&location=Karen&available=true&includeDeleted=true - every filter optional
+app.get('/api/properties', async (req, res) => {
+  try {
+    const properties = await listings.listListings(req.tenant.id, req.query);
+    res.json({ success: true, properties: properties, count: properties.length });
+  } catch (error) {
+    sendError(res, error, 'properties');
+  }
+});
+
+app.get('/api/properties/:propertyId', async (req, res) => {
+  try {
+    res.json({ success: true, property: await listings.getListing(req.tenant.id, req.params.propertyId) });
+  } catch (error) {
+    sendError(res, error, 'property');
+  }
+});
+
+// { name, type, location, address, price, bedrooms (not Land), plotSize (Land), photoUrl, available }
+app.post('/api/properties', async (req, res) => {
+  try {
+    const property = await listings.createListing(req.tenant, req.body);
+    res.json({ success: true, property: property });
+  } catch (error) {
+    sendError(res, error, 'create-property');
+  }
+});
+
+// Any of the fields above; the others stay as they are
+app.patch('/api/properties/:propertyId', async (req, res) => {
+  try {
+    const property = await listings.updateListing(req.tenant, req.params.propertyId, req.body);
+    res.json({ success: true, property: property });
+  } catch (error) {
+    sendError(res, error, 'update-property');
+  }
+});
+
+// { available: true | false }
+app.put('/api/properties/:propertyId/availability', async (req, res) => {
+  try {
+    const property = await listings.setListingAvailability(req.tenant.id, req.params.propertyId, req.body.available);
+    res.json({ success: true, property: property });
+  } catch (error) {
+    sendError(res, error, 'property-availability');
+  }
+});
+
+// Soft delete - upcomingBookings are the viewings still scheduled there (left as they are)
+app.delete('/api/properties/:propertyId', async (req, res) => {
+  try {
+    const result = await listings.deleteListing(req.tenant.id, req.params.propertyId);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'delete-property');
+  }
+});
+
+app.post('/api/properties/:propertyId/restore', async (req, res) => {
+  try {
+    res.json({ success: true, property: await listings.restoreListing(req.tenant.id, req.params.propertyId) });
+  } catch (error) {
+    sendError(res, error, 'restore-property');
+  }
+});
+
+// ============================================
+// ENDPOINT 20: Property import (CSV / XLSX)
+// ============================================
+
+// The file is the raw request body: POST /api/properties/import?mode=upsert
+// mode: dry-run (default, nothing saved) | upsert; format: csv | xlsx (else from the
+// Content-Type or the file itself). Columns and rules: lib/propertyImport.js
+app.post('/api/properties/import', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+  try {
+    const result = await importProperties(req.tenant, req.body, {
+      mode: req.query.mode || undefined,
+      format: req.query.format || req.get('Content-Type')
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'import-properties');
+  }
+});
+
+// ============================================
+// ENDPOINT 21: Analytics (funnel, conversion, bookings, demand)
+// ============================================
+
+// ?from=2026-03-01&to=2026-03-31 (days in the tenant's time zone, both included); the last
+// 30 days without them. Report sections: lib/analytics.js
+app.get('/api/analytics', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getAnalytics(req.tenant, req.query)) });
+  } catch (error) {
+    sendError(res, error, 'analytics');
+  }
+});
+
+// ============================================
+// ENDPOINT 22: Exports (CSV / XLSX downloads)
+// ============================================
+
+// Builds the rows first so bad filters still get a JSON error; once the file has started the
+// response can only be cut short
+async function sendExport(res, build, label) {
+  try {
+    await writeSpreadsheet(res, await build());
+  } catch (error) {
+    if (!res.headersSent) return sendError(res, error, label);
+    console.error(`ERROR in ${label} (file already started):`, error);
+    res.end();
+  }
+}
+
+// ?format=csv|xlsx&from=2026-03-01&to=2026-03-31&status=Hot Lead (lib/exports.js)
+app.get('/api/exports/leads', (req, res) => sendExport(res, () => exportLeads(req.tenant, req.query), 'export-leads'));
+
+// ?format=csv|xlsx&from=...&to=...&status=Completed&propertyId=...&agentId=...
+app.get('/api/exports/bookings', (req, res) => sendExport(res, () => exportBookings(req.tenant, req.query), 'export-bookings'));
+
+// ============================================
+// ENDPOINT 23: Conversation transcript (lib/transcripts.js)
+// ============================================
+
+// Every message the lead (or an agent about them) sent, what the bot did with it, and the
+// notifications we sent. ?limit=100 latest, oldest first; ?before=<createdAt> for older ones.
+app.get('/api/leads/:leadId/transcript', async (req, res) => {
+  try {
+    const transcript = await transcripts.getTranscript(req.tenant.id, req.params.leadId, req.query);
+    res.json({ success: true, ...transcript, count: transcript.messages.length });
+  } catch (error) {
+    sendError(res, error, 'lead-transcript');
+  }
+});
+
+// ============================================
+// ADMIN: Issue / rotate a tenant API key
+// ============================================
+app.post('/admin/tenants/:tenantId/api-key', requireAdmin, async (req, res) => {
+  try {
+    const tenant = await store.tenants.get(req.params.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ success: false, error: 'Tenant not found' });
+    }
+
+    // Only the hash is stored - the key itself is returned once and can't be recovered
+    const apiKey = generateApiKey();
+    await store.tenants.update(tenant.id, { 'API Key Hash': hashApiKey(apiKey) });
+    tenants.forgetTenant(tenant.id);
+
+    console.log('Issued new API key for tenant:', tenant.id);
+
+    res.json({ success: true, tenantId: tenant.id, apiKey: apiKey });
+  } catch (error) {
+    sendError(res, error, 'issue-api-key');
   }
 });
 
@@ -1330,4 +899,25 @@ app.listen(PORT, () => {
   console.log(`   - POST /api/mark-notification-sent`);
   console.log(`   - POST /api/handle-followup-response`);
   console.log(`   - POST /api/mark-awaiting-followup`);
+  console.log(`   - POST /api/process-message`);
+  console.log(`   - GET/POST /api/templates, DELETE /api/templates/:key`);
+  console.log(`   - POST /api/reschedule-booking`);
+  console.log(`   - POST /api/my-bookings`);
+  console.log(`   - GET/PUT/DELETE /api/notification-rules`);
+  console.log(`   - POST /api/leads/:leadId/score`);
+  console.log(`   - GET/POST /api/properties, GET/PATCH/DELETE /api/properties/:propertyId`);
+  console.log(`   - PUT /api/properties/:propertyId/availability, POST /api/properties/:propertyId/restore`);
+  console.log(`   - POST /api/properties/import (CSV / XLSX)`);
+  console.log(`   - GET /api/analytics`);
+  console.log(`   - GET /api/exports/leads, GET /api/exports/bookings (CSV / XLSX)`);
+  console.log(`   - GET /api/leads/:leadId/transcript`);
+  console.log(`   - POST /admin/tenants/:tenantId/api-key`);
+  console.log(`   - GET/POST /webhook/whatsapp (sender: ${whatsappSender.name})`);
+
+  // Reminders and follow-ups go out from here; NOTIFICATION_SCHEDULER=off leaves them to
+  // an external poller of /api/check-notifications
+  if (process.env.NOTIFICATION_SCHEDULER !== 'off') {
+    scheduler.start({ sender: whatsappSender, intervalMs: process.env.NOTIFICATION_INTERVAL_MS })
+      .catch(error => console.error('Scheduler failed to start:', error));
+  }
 });
\ No newline at end of file
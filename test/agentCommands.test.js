@@ -0,0 +1,202 @@
+// test/agentCommands.test.js - Agents' WhatsApp commands on the memory store and the local
+// calendar: reading them, which viewing they act on, the Status they set and what the lead is told
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Time Zone': 'Africa/Nairobi' };
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [tenant],
+  Properties: [
+    { id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa', Address: 'Karen Rd' },
+    { id: 'recP2', Tenant: ['recTenant1'], 'Property Name': 'Westlands Flat', Address: 'Waiyaki Way' }
+  ]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { getCalendarForTenant } = require('../lib/calendars');
+const { parseAgentCommand, handleAgentMessage } = require('../lib/agentCommands');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HOUR = 60 * 60000;
+
+// A booked lead's viewing with the agent, starting `hours` from now
+async function viewing(agentPhone, hours, { propertyId = 'recP1', ...fields } = {}) {
+  const lead = await store.leads.create({
+    Tenant: ['recTenant1'],
+    Name: 'Mary',
+    Phone: '254722000111',
+    'Conversation Stage': 'booking_confirmed'
+  });
+  const start = new Date(Date.now() + hours * HOUR);
+
+  return store.bookings.create({
+    Tenant: ['recTenant1'],
+    Lead: [lead.id],
+    Property: [propertyId],
+    Status: 'Scheduled',
+    StartDateTime: start.toISOString(),
+    EndDateTime: new Date(start.getTime() + HOUR).toISOString(),
+    'Agent Name': 'Bob',
+    'Agent Phone': agentPhone,
+    ...fields
+  });
+}
+
+const send = (message, from) => handleAgentMessage({ tenant, from, message });
+const statusOf = async booking => (await store.bookings.get(booking.id))['Status'];
+
+// ============================================
+// Parsing
+// ============================================
+
+test('parseAgentCommand reads the command with a viewing number or minutes', () => {
+  assert.deepEqual(parseAgentCommand('CONFIRM 2'), { command: 'confirm', number: 2 });
+  assert.deepEqual(parseAgentCommand('no-show #1'), { command: 'no_show', number: 1 });
+  assert.deepEqual(parseAgentCommand('Running late 15 mins'), { command: 'running_late', number: 15 });
+  assert.deepEqual(parseAgentCommand('done.'), { command: 'done', number: null });
+  assert.deepEqual(parseAgentCommand('kataa 3'), { command: 'decline', number: 3 });
+  assert.deepEqual(parseAgentCommand('Today'), { command: 'today', number: null });
+
+  assert.equal(parseAgentCommand('hello'), null);
+  assert.equal(parseAgentCommand('confirm my viewing please'), null);
+  assert.equal(parseAgentCommand(''), null);
+});
+
+test('messages from numbers without viewings or an Agents record aren\'t agent commands', async () => {
+  assert.equal(await send('CONFIRM', '254799000000'), null);
+});
+
+// ============================================
+// Commands
+// ============================================
+
+test('CONFIRM n confirms that viewing of the agenda and tells its lead', async () => {
+  const agent = '254711000001';
+  const first = await viewing(agent, 24);
+  const second = await viewing(agent, 48, { propertyId: 'recP2' });
+
+  // Two viewings it could mean
+  const which = await send('CONFIRM', agent);
+  assert.match(which.reply, /^More than one viewing matches/);
+  assert.match(which.reply, /1️⃣ .*Karen Villa[\s\S]*2️⃣ .*Westlands Flat/);
+  assert.deepEqual(which.leadNotifications, []);
+
+  const confirmed = await send('CONFIRM 2', agent);
+  assert.equal(confirmed.command, 'confirm');
+  assert.match(confirmed.reply, /^✅ Confirmed: \*Westlands Flat\*/);
+  assert.equal(await statusOf(second), 'Confirmed');
+  assert.equal(await statusOf(first), 'Scheduled');
+
+  assert.equal(confirmed.leadNotifications.length, 1);
+  assert.equal(confirmed.leadNotifications[0].bookingId, second.id);
+  assert.equal(confirmed.leadNotifications[0].leadPhone, '254722000111');
+  assert.equal(confirmed.leadNotifications[0].status, 'Confirmed');
+  assert.match(confirmed.leadNotifications[0].message, /Viewing confirmed by the agent/);
+
+  const invalid = await send('CONFIRM 5', agent);
+  assert.match(invalid.reply, /between 1 and 2/);
+});
+
+test('DECLINE removes the calendar event and releases the lead', async () => {
+  const agent = '254711000002';
+  const calendar = getCalendarForTenant(tenant);
+  const start = new Date(Date.now() + 24 * HOUR);
+  const event = await calendar.createEvent({ calendarId: 'recTenant1', summary: 'Viewing: Karen Villa', start, end: new Date(start.getTime() + HOUR) });
+  const booking = await viewing(agent, 24, { 'Google Event ID': event.id });
+
+  const declined = await send('DECLINE', agent);
+  assert.match(declined.reply, /^❌ Declined: \*Karen Villa\*/);
+  assert.equal(await statusOf(booking), 'Declined');
+  assert.deepEqual((await store.events.find({ calendarId: 'recTenant1' })).map(e => e.id), []);
+
+  assert.equal(declined.leadNotifications[0].status, 'Declined');
+  assert.match(declined.leadNotifications[0].message, /Viewing cancelled by the agent/);
+  const lead = await store.leads.get(booking['Lead'][0]);
+  assert.equal(lead['Conversation Stage'], 'booking_cancelled');
+});
+
+test('RUNNING LATE saves the minutes on the next viewing and tells the lead', async () => {
+  const agent = '254711000003';
+  const next = await viewing(agent, 1);
+  const later = await viewing(agent, 30);
+
+  const late = await send('RUNNING LATE 15', agent);
+  assert.equal(late.command, 'running_late');
+  assert.match(late.reply, /running late for \*Karen Villa\*/);
+  const saved = await store.bookings.get(next.id);
+  assert.equal(saved['Status'], 'Running Late');
+  assert.equal(saved['Agent Delay'], 15);
+  assert.equal(await statusOf(later), 'Scheduled');
+  assert.match(late.leadNotifications[0].message, /Bob is running about 15 minutes late/);
+
+  // Without minutes the lead isn't given a number
+  const again = await send('late', agent);
+  assert.match(again.leadNotifications[0].message, /Bob is running a little late/);
+});
+
+test('DONE completes the viewing that has started and NO-SHOW n marks the lead absent', async () => {
+  const agent = '254711000004';
+  const started = await viewing(agent, -0.5);
+  const upcoming = await viewing(agent, 24);
+
+  // The upcoming one can't be done yet, so a plain DONE has one candidate
+  const done = await send('DONE', agent);
+  assert.match(done.reply, /^🏁 Marked as done: \*Karen Villa\*/);
+  assert.equal(await statusOf(started), 'Completed');
+  assert.equal(done.leadNotifications[0].status, 'Completed');
+  assert.match(done.leadNotifications[0].message, /Thanks for viewing \*Karen Villa\*/);
+
+  const noShow = await send('NO-SHOW 2', agent);
+  assert.match(noShow.reply, /^🚫 Marked as a no-show/);
+  assert.equal(await statusOf(upcoming), 'No-Show');
+  assert.match(noShow.leadNotifications[0].message, /We missed you/);
+});
+
+test('a command a viewing\'s Status doesn\'t allow changes nothing', async () => {
+  const agent = '254711000005';
+  const declined = await viewing(agent, 24, { Status: 'Declined' });
+  const cancelled = await viewing(agent, 48, { Status: 'Cancelled' });
+
+  const done = await send('DONE 1', agent);
+  assert.equal(done.reply, 'That viewing is already declined.');
+  assert.deepEqual(done.leadNotifications, []);
+  assert.equal(await statusOf(declined), 'Declined');
+
+  // Cancelled viewings aren't in the agenda at all
+  const missing = await send('DONE 2', agent);
+  assert.match(missing.reply, /between 1 and 1/);
+  assert.equal(await statusOf(cancelled), 'Cancelled');
+
+  const confirm = await send('CONFIRM', agent);
+  assert.match(confirm.reply, /^I couldn't find a viewing to update/);
+});
+
+test('TODAY lists the agent\'s viewings today with their agenda numbers', async () => {
+  const agent = '254711000006';
+  await viewing(agent, -0.5);
+  await viewing(agent, 72, { propertyId: 'recP2' });
+
+  const today = await send('TODAY', agent);
+  assert.equal(today.command, 'today');
+  assert.match(today.reply, /^📅 \*Your viewings today/);
+  assert.match(today.reply, /1️⃣ .* – \*Karen Villa\*\n👤 Mary \(254722000111\) · /);
+  assert.doesNotMatch(today.reply, /Westlands Flat/);
+  assert.deepEqual(today.leadNotifications, []);
+
+  // Nothing today
+  const other = '254711000007';
+  await viewing(other, 72);
+  assert.equal((await send('ratiba', other)).reply, 'You have no viewings today. 🎉');
+});
@@ -0,0 +1,276 @@
+// test/agents.test.js - Agent pools, assignment rules and per-agent hours on the memory store, and
+// the agent createBooking ends up with
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+
+const EVERY_DAY = 'Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday';
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [
+    { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Time Zone': 'Africa/Nairobi', 'Working Days': EVERY_DAY },
+    { id: 'recTenant2', 'Company Name': 'Solo Homes', 'Time Zone': 'Africa/Nairobi', 'Working Days': EVERY_DAY }
+  ],
+  Agents: [
+    { id: 'recAgentA', Tenant: ['recTenant1'], Name: 'Alice', Phone: '+254711000001', Active: true, Areas: 'Karen' },
+    { id: 'recAgentB', Tenant: ['recTenant1'], Name: 'Brian', Phone: '+254711000002', Active: true, Areas: 'Karen, Westlands' },
+    { id: 'recAgentC', Tenant: ['recTenant1'], Name: 'Cate', Phone: '+254711000003', Active: true, Areas: 'Runda' },
+    { id: 'recAgentD', Tenant: ['recTenant1'], Name: 'Dan', Phone: '+254711000004', Active: false },
+    { id: 'recAgentE', Tenant: ['recTenant2'], Name: 'Eve', Phone: '+254711000005', Active: false }
+  ],
+  Properties: [
+    { id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa', Location: 'Karen' },
+    { id: 'recP2', Tenant: ['recTenant1'], 'Property Name': 'Lavington Flat', Location: 'Lavington' },
+    { id: 'recP3', Tenant: ['recTenant1'], 'Property Name': 'Runda House', Location: 'Runda', Agents: ['recAgentC', 'recAgentA'], 'Assignment Rule': 'Fixed' },
+    { id: 'recP4', Tenant: ['recTenant1'], 'Property Name': 'Westlands Loft', Location: 'Westlands' },
+    {
+      id: 'recP5',
+      Tenant: ['recTenant2'],
+      'Property Name': 'Kilimani Studio',
+      Location: 'Kilimani',
+      // Lookup fields from the property's own agent
+      'Agent Name': ['Bob'],
+      'Agent Phone': ['+254711000000']
+    }
+  ],
+  Leads: [
+    { id: 'recLead1', Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111' },
+    { id: 'recLead2', Tenant: ['recTenant2'], Name: 'John', Phone: '254722000222' }
+  ]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { formatDateKey } = require('../lib/timezone');
+const { createBooking } = require('../lib/bookings');
+const { normalizeRule, agentPool, workingHours, worksAt, freeAgents, chooseAgent, agentDetails } = require('../lib/agents');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ============================================
+// Helpers
+// ============================================
+
+const ids = agents => agents.map(agent => agent.id);
+const tenant = id => store.tenants.get(id);
+const property = id => store.properties.get(id);
+
+// Local hh:00 in Nairobi (UTC+3) on Monday 2 March 2026, and an hour later
+function mondayAt(hour) {
+  const start = new Date(Date.UTC(2026, 2, 2, hour - 3));
+  return [start, new Date(start.getTime() + 60 * 60 * 1000)];
+}
+
+// The hour from local hh:00 on the day `days` from today, as a slot map
+function slotMap(days, hour) {
+  const date = formatDateKey(new Date(Date.now() + days * 86400000), 'Africa/Nairobi');
+  const start = new Date(`${date}T${String(hour - 3).padStart(2, '0')}:00:00Z`);
+  return { 1: `${start.toISOString()}|${new Date(start.getTime() + 60 * 60 * 1000).toISOString()}` };
+}
+
+const book = (tenantId, leadId, propertyId, map) => createBooking({
+  tenantId,
+  leadId,
+  propertyId,
+  slotNumber: 1,
+  slotMap: map,
+  leadName: 'Mary',
+  leadPhone: '254722000111'
+});
+
+// ============================================
+// Pools
+// ============================================
+
+test('normalizeRule reads the Assignment Rule however it is written', () => {
+  assert.equal(normalizeRule('Round Robin'), 'round_robin');
+  assert.equal(normalizeRule('least-loaded'), 'least_loaded');
+  assert.equal(normalizeRule(' FIXED '), 'fixed');
+  assert.equal(normalizeRule('random'), null);
+  assert.equal(normalizeRule(''), null);
+});
+
+test('agentPool takes the active agents covering the property\'s area, else every active agent', async () => {
+  const acme = await tenant('recTenant1');
+
+  const karen = await agentPool(acme, await property('recP1'));
+  assert.equal(karen.rule, 'round_robin');
+  assert.deepEqual(ids(karen.agents), ['recAgentA', 'recAgentB']);
+
+  const lavington = await agentPool({ ...acme, 'Assignment Rule': 'Least Loaded' }, await property('recP2'));
+  assert.equal(lavington.rule, 'least_loaded');
+  assert.deepEqual(ids(lavington.agents), ['recAgentA', 'recAgentB', 'recAgentC']);
+});
+
+test('agentPool keeps to the linked agents, only the first for Fixed, and to the booking\'s agent', async () => {
+  const acme = await tenant('recTenant1');
+  const runda = await property('recP3');
+
+  assert.deepEqual(await agentPool(acme, runda).then(pool => [pool.rule, ids(pool.agents)]), ['fixed', ['recAgentC']]);
+
+  const linked = await agentPool(acme, { ...runda, 'Assignment Rule': 'Round Robin' });
+  assert.deepEqual(ids(linked.agents), ['recAgentC', 'recAgentA']);
+
+  // Rescheduling stays with the booking's agent, unless they're no longer active
+  assert.deepEqual(ids((await agentPool(acme, runda, { agentId: 'recAgentB' })).agents), ['recAgentB']);
+  assert.deepEqual(ids((await agentPool(acme, runda, { agentId: 'recAgentD' })).agents), ['recAgentC']);
+});
+
+test('agentPool is empty for tenants without active agents', async () => {
+  assert.deepEqual(await agentPool(await tenant('recTenant2'), await property('recP5')), { rule: null, agents: [] });
+});
+
+// ============================================
+// Availability
+// ============================================
+
+test('workingHours and worksAt use the agent\'s own hours, else the tenant\'s', async () => {
+  const acme = await tenant('recTenant1');
+  const afternoons = { id: 'recAgentX', 'Work Start Time': '13:00', 'Work End Time': '17:30', 'Working Days': 'Monday, Tuesday' };
+
+  assert.deepEqual(workingHours(acme, afternoons), { workStartMinutes: 13 * 60, workEndMinutes: 17 * 60 + 30, workingDays: ['Monday', 'Tuesday'] });
+  assert.equal(workingHours(acme, { id: 'recAgentY' }).workStartMinutes, 9 * 60);
+
+  assert.equal(worksAt(acme, afternoons, ...mondayAt(10)), false);
+  assert.equal(worksAt(acme, afternoons, ...mondayAt(16)), true);
+  assert.equal(worksAt(acme, afternoons, ...mondayAt(17)), false);
+  assert.equal(worksAt(acme, { id: 'recAgentY' }, ...mondayAt(10)), true);
+
+  // Wednesday is not one of their days
+  const wednesday = mondayAt(16).map(time => new Date(time.getTime() + 2 * 86400000));
+  assert.equal(worksAt(acme, afternoons, ...wednesday), false);
+});
+
+test('freeAgents leaves out agents outside their hours and agents with a viewing then', async () => {
+  const acme = await tenant('recTenant1');
+  const [start, end] = mondayAt(10);
+  const agents = [
+    { ...await store.agents.get('recAgentA'), 'Work Start Time': '13:00', 'Work End Time': '17:00' },
+    await store.agents.get('recAgentB'),
+    await store.agents.get('recAgentC')
+  ];
+
+  const booking = await store.bookings.create({
+    Tenant: ['recTenant1'],
+    Agent: ['recAgentB'],
+    Status: 'Scheduled',
+    StartDateTime: new Date(start.getTime() + 30 * 60 * 1000).toISOString(),
+    EndDateTime: new Date(end.getTime() + 30 * 60 * 1000).toISOString()
+  });
+
+  assert.deepEqual(ids(await freeAgents(acme, agents, start, end)), ['recAgentC']);
+  // The viewing being moved doesn't count
+  assert.deepEqual(ids(await freeAgents(acme, agents, start, end, { bookingId: booking.id })), ['recAgentB', 'recAgentC']);
+
+  await store.bookings.update(booking.id, { Status: 'Cancelled' });
+  assert.deepEqual(ids(await freeAgents(acme, agents, start, end)), ['recAgentB', 'recAgentC']);
+});
+
+// ============================================
+// Assignment
+// ============================================
+
+test('chooseAgent goes round robin from the never-assigned agent to the one who waited longest', async () => {
+  const acme = await tenant('recTenant1');
+  const agents = [
+    { id: 'recAgentA', 'Last Assigned': '2026-03-01T10:00:00Z' },
+    { id: 'recAgentB', 'Last Assigned': '2026-03-01T08:00:00Z' },
+    { id: 'recAgentC' }
+  ];
+
+  assert.equal((await chooseAgent(acme, 'round_robin', agents)).id, 'recAgentC');
+  assert.equal((await chooseAgent(acme, 'round_robin', agents.slice(0, 2))).id, 'recAgentB');
+  assert.equal((await chooseAgent(acme, 'fixed', agents)).id, 'recAgentA');
+  assert.equal(await chooseAgent(acme, 'round_robin', []), null);
+});
+
+test('chooseAgent picks the agent with the fewest upcoming viewings when least loaded', async () => {
+  const acme = await tenant('recTenant1');
+  const tomorrow = Date.now() + 86400000;
+  for (const agentId of ['recAgentA', 'recAgentA', 'recAgentC']) {
+    await store.bookings.create({
+      Tenant: ['recTenant1'],
+      Agent: [agentId],
+      Status: 'Scheduled',
+      StartDateTime: new Date(tomorrow).toISOString(),
+      EndDateTime: new Date(tomorrow + 3600000).toISOString()
+    });
+  }
+  const agents = [{ id: 'recAgentA' }, { id: 'recAgentC', 'Last Assigned': '2026-03-01T08:00:00Z' }, { id: 'recAgentB', 'Last Assigned': '2026-03-01T09:00:00Z' }];
+
+  assert.equal((await chooseAgent(acme, 'least_loaded', agents)).id, 'recAgentB');
+  // A tie goes round robin
+  assert.equal((await chooseAgent(acme, 'least_loaded', agents.slice(0, 2))).id, 'recAgentC');
+});
+
+test('agentDetails falls back to the property\'s agent lookups without an agent', async () => {
+  const solo = await tenant('recTenant2');
+
+  assert.deepEqual(agentDetails(solo, null, await property('recP5')), {
+    agentId: null,
+    agentName: 'Bob',
+    agentPhone: '+254711000000',
+    agentEmail: null,
+    calendarId: 'recTenant2'
+  });
+  assert.deepEqual(agentDetails(solo, { id: 'recAgentE', Name: 'Eve', Phone: '+254711000005', 'Calendar ID': 'eve@example.com' }, {}), {
+    agentId: 'recAgentE',
+    agentName: 'Eve',
+    agentPhone: '+254711000005',
+    agentEmail: null,
+    calendarId: 'eve@example.com'
+  });
+});
+
+// ============================================
+// Bookings
+// ============================================
+
+test('createBooking hands the viewing to a free agent of the pool', async () => {
+  const map = slotMap(10, 11);
+
+  // Brian is the only agent covering Westlands
+  const first = await book('recTenant1', 'recLead1', 'recP4', map);
+  assert.equal(first.success, true);
+  assert.equal(first.agentPhone, '+254711000002');
+  assert.deepEqual((await store.bookings.get(first.bookingId))['Agent'], ['recAgentB']);
+  assert.ok((await store.agents.get('recAgentB'))['Last Assigned']);
+
+  // The same hour at a Karen property: Alice, the one of Alice and Brian still free
+  const second = await book('recTenant1', 'recLead1', 'recP1', map);
+  assert.equal(second.success, true);
+  assert.deepEqual((await store.bookings.get(second.bookingId))['Agent'], ['recAgentA']);
+});
+
+test('createBooking turns down a slot when every agent of the pool is taken', async () => {
+  const map = slotMap(11, 14);
+  // Brian (Westlands), Cate (Runda's fixed agent), then Alice, the only one left for Lavington
+  for (const propertyId of ['recP4', 'recP3', 'recP2']) {
+    assert.equal((await book('recTenant1', 'recLead1', propertyId, map)).success, true, propertyId);
+  }
+
+  // Alice, Brian and Cate all have a viewing then
+  const outcome = await book('recTenant1', 'recLead1', 'recP1', map);
+  assert.equal(outcome.success, false);
+  assert.equal(outcome.slotTaken, true);
+});
+
+test('createBooking gives tenants without agents the property\'s own agent', async () => {
+  const booked = await book('recTenant2', 'recLead2', 'recP5', slotMap(10, 11));
+
+  assert.equal(booked.success, true);
+  assert.equal(booked.agentPhone, '+254711000000');
+
+  const booking = await store.bookings.get(booked.bookingId);
+  assert.equal(booking['Agent Name'], 'Bob');
+  assert.equal(booking['Agent'], undefined);
+});
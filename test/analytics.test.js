@@ -0,0 +1,132 @@
+// test/analytics.test.js - The funnel and booking analytics on the memory store, with date ranges
+// read as days in the tenant's zone
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Time Zone': 'Africa/Nairobi' };
+
+const lead = (id, created, stage, fields) => ({ id, Tenant: ['recTenant1'], Created: created, 'Conversation Stage': stage, ...fields });
+const booking = (id, leadId, status, created, start) => ({
+  id,
+  Tenant: ['recTenant1'],
+  Lead: [leadId],
+  Property: ['recP1'],
+  Status: status,
+  Created: created,
+  StartDateTime: start,
+  EndDateTime: new Date(new Date(start).getTime() + 60 * 60000).toISOString()
+});
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [tenant],
+  Properties: [{ id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa' }],
+  Leads: [
+    // 1 March 01:00 in Nairobi - inside the range
+    lead('recL1', '2026-02-28T22:00:00.000Z', 'asked_name', { Location: 'Karen' }),
+    lead('recL2', '2026-03-10T09:00:00.000Z', 'completed', { Location: 'karen ' }),
+    lead('recL3', '2026-03-15T09:00:00.000Z', 'interested_after_viewing', { Location: 'Runda' }),
+    // Booked, then started a new search
+    lead('recL4', '2026-03-20T09:00:00.000Z', 'asked_location'),
+    // 28 February 23:00 and 1 April 01:00 in Nairobi - outside it
+    lead('recL5', '2026-02-28T20:00:00.000Z', 'booking_confirmed'),
+    lead('recL6', '2026-03-31T22:00:00.000Z', 'asked_name')
+  ],
+  Bookings: [
+    booking('recB1', 'recL3', 'Completed', '2026-03-15T10:00:00.000Z', '2026-03-18T07:00:00.000Z'),
+    booking('recB2', 'recL4', 'No-Show', '2026-03-20T10:00:00.000Z', '2026-03-22T07:00:00.000Z'),
+    booking('recB3', 'recL4', 'Cancelled', '2026-03-21T10:00:00.000Z', '2026-03-25T07:00:00.000Z'),
+    booking('recB4', 'recL3', 'Scheduled', '2026-03-30T10:00:00.000Z', '2026-04-10T07:00:00.000Z'),
+    booking('recB5', 'recL5', 'Completed', '2026-02-28T20:30:00.000Z', '2026-03-02T07:00:00.000Z')
+  ]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const { FUNNEL, parseRangeDate, parseRange, getAnalytics } = require('../lib/analytics');
+
+const NOW = new Date('2026-04-05T12:00:00Z');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ============================================
+// Date range
+// ============================================
+
+test('parseRangeDate reads a day in the tenant\'s zone', () => {
+  assert.equal(parseRangeDate('2026-03-01', 'from', 'Africa/Nairobi', false).toISOString(), '2026-02-28T21:00:00.000Z');
+  assert.equal(parseRangeDate('2026-03-01', 'to', 'Africa/Nairobi', true).toISOString(), '2026-03-01T21:00:00.000Z');
+
+  // The day the clocks go forward in London is 23 hours long
+  const start = parseRangeDate('2026-03-29', 'from', 'Europe/London', false);
+  const end = parseRangeDate('2026-03-29', 'to', 'Europe/London', true);
+  assert.equal(start.toISOString(), '2026-03-29T00:00:00.000Z');
+  assert.equal(end - start, 23 * 60 * 60 * 1000);
+
+  assert.equal(parseRangeDate('2026-03-01T10:00:00Z', 'from', 'Africa/Nairobi', false).toISOString(), '2026-03-01T10:00:00.000Z');
+});
+
+test('parseRangeDate and parseRange reject dates that don\'t exist or don\'t make a range', () => {
+  assert.throws(() => parseRangeDate('2026-02-30', 'from', 'UTC', false), error => error.status === 400 && /from is not a valid date/.test(error.message));
+  assert.throws(() => parseRangeDate('last week', 'to', 'UTC', true), /to must be a date like 2026-03-01/);
+  assert.throws(() => parseRange({ from: '2026-03-02', to: '2026-03-01' }, 'UTC'), /from must be before to/);
+
+  // The last 30 days by default
+  const range = parseRange({}, 'UTC', NOW);
+  assert.equal(range.to, NOW);
+  assert.equal(NOW - range.from, 30 * 24 * 60 * 60 * 1000);
+});
+
+// ============================================
+// Reports
+// ============================================
+
+test('getAnalytics counts the leads of the range by the furthest funnel step they reached', async () => {
+  const report = await getAnalytics(tenant, { from: '2026-03-01', to: '2026-03-31' }, NOW);
+
+  assert.deepEqual(report.range, { from: '2026-02-28T21:00:00.000Z', to: '2026-03-31T21:00:00.000Z', timezone: 'Africa/Nairobi' });
+  assert.deepEqual(report.funnel.map(step => step.stage), FUNNEL);
+  assert.deepEqual(report.funnel.map(step => [step.reached, step.dropOff, step.dropOffRate]), [
+    [4, 0, 0],
+    [4, 1, 25],
+    [3, 0, 0],
+    [3, 0, 0],
+    [3, 0, 0],
+    [3, 1, 33.3],
+    [2, 0, 0],
+    [2, null, null]
+  ]);
+  assert.deepEqual(report.leads, { total: 4, withBooking: 2, conversionRate: 50 });
+  assert.deepEqual(report.demand.locations, [{ location: 'Karen', leads: 2 }, { location: 'Runda', leads: 1 }]);
+});
+
+test('getAnalytics rates cancellations out of all bookings and no-shows out of the viewings held', async () => {
+  const report = await getAnalytics(tenant, { from: '2026-03-01', to: '2026-03-31' }, NOW);
+
+  assert.deepEqual(report.bookings, {
+    total: 4,
+    byStatus: { Completed: 1, 'No-Show': 1, Cancelled: 1, Scheduled: 1 },
+    cancelled: 1,
+    cancellationRate: 25,
+    noShows: 1,
+    // recB4 hasn't happened yet and recB3 was cancelled
+    noShowRate: 50
+  });
+  assert.deepEqual(report.byProperty, [{ propertyId: 'recP1', name: 'Karen Villa', bookings: 4, completed: 1, cancelled: 1, noShows: 1 }]);
+});
+
+test('getAnalytics gives null rates when there is nothing to divide by', async () => {
+  const report = await getAnalytics(tenant, { from: '2026-01-01', to: '2026-01-31' }, NOW);
+
+  assert.deepEqual(report.leads, { total: 0, withBooking: 0, conversionRate: null });
+  assert.equal(report.bookings.cancellationRate, null);
+  assert.equal(report.bookings.noShowRate, null);
+  assert.ok(report.funnel.every(step => step.reached === 0 && step.dropOffRate === null));
+});
@@ -0,0 +1,210 @@
+// test/auth.test.js - Tenant API keys: the requireTenant / requireAdmin middleware on the memory
+// store, and tenant isolation of the API end to end (server.js with two tenants)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+
+const KEY_1 = 'pbk_tenant-one-key';
+const KEY_2 = 'pbk_tenant-two-key';
+const ADMIN_KEY = 'test-admin-key';
+
+// What Tenants "API Key Hash" holds (lib/auth.js can't be loaded before the store is set up)
+const sha256 = key => crypto.createHash('sha256').update(key).digest('hex');
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [
+    { id: 'recTenant1', 'Company Name': 'Acme Homes', 'API Key Hash': sha256(KEY_1) },
+    { id: 'recTenant2', 'Company Name': 'Other Homes', 'API Key Hash': sha256(KEY_2) }
+  ],
+  Properties: [
+    { id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa' },
+    { id: 'recP2', Tenant: ['recTenant2'], 'Property Name': 'Runda House' }
+  ],
+  Leads: [
+    { id: 'recLead1', Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111' },
+    { id: 'recLead2', Tenant: ['recTenant2'], Name: 'John', Phone: '254722000222' }
+  ],
+  Bookings: [
+    { id: 'recBooking1', Tenant: ['recTenant1'], Lead: ['recLead1'], Property: ['recP1'], Status: 'Scheduled' },
+    { id: 'recBooking2', Tenant: ['recTenant2'], Lead: ['recLead2'], Property: ['recP2'], Status: 'Scheduled' }
+  ]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const { hashApiKey, generateApiKey, requireTenant, requireAdmin } = require('../lib/auth');
+const { belongsToTenant, assertTenantRecord } = require('../lib/tenants');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ============================================
+// Helpers
+// ============================================
+
+// Runs the middleware with the given headers; { status, body } it answered, or { tenant } it set
+async function authenticate(middleware, headers = {}, body = {}) {
+  const req = { body, get: name => headers[name.toLowerCase()] };
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.payload = payload; return this; }
+  };
+  let passed = false;
+  await middleware(req, res, () => { passed = true; });
+
+  return passed ? { tenant: req.tenant } : { status: res.statusCode, body: res.payload };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs server.js until it logs that it is listening
+function startServer(env) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve(child);
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+  });
+}
+
+// ============================================
+// Keys and middleware
+// ============================================
+
+test('generateApiKey issues prefixed random keys and hashApiKey is their SHA-256', () => {
+  const key = generateApiKey();
+  assert.match(key, /^pbk_[A-Za-z0-9_-]{32}$/);
+  assert.notEqual(generateApiKey(), key);
+  assert.equal(hashApiKey(key), sha256(key));
+});
+
+test('requireTenant resolves the tenant from a Bearer or X-API-Key header', async () => {
+  assert.equal((await authenticate(requireTenant, { authorization: `Bearer ${KEY_1}` })).tenant.id, 'recTenant1');
+  assert.equal((await authenticate(requireTenant, { 'x-api-key': KEY_2 })).tenant.id, 'recTenant2');
+});
+
+test('requireTenant answers 401 without a key or with an unknown one', async () => {
+  assert.deepEqual(await authenticate(requireTenant), { status: 401, body: { success: false, error: 'API key required' } });
+  assert.deepEqual(await authenticate(requireTenant, { authorization: 'Bearer pbk_unknown' }), {
+    status: 401,
+    body: { success: false, error: 'Invalid API key' }
+  });
+  assert.equal((await authenticate(requireTenant, { authorization: hashApiKey(KEY_1) })).status, 401);
+});
+
+test('requireTenant takes the tenant from the key, not from the body', async () => {
+  const { tenant } = await authenticate(requireTenant, { 'x-api-key': KEY_1 }, { tenantId: 'recTenant2' });
+  assert.equal(tenant.id, 'recTenant1');
+});
+
+test('requireAdmin only lets ADMIN_API_KEY through', async (t) => {
+  t.after(() => { delete process.env.ADMIN_API_KEY; });
+
+  assert.equal((await authenticate(requireAdmin, { authorization: `Bearer ${ADMIN_KEY}` })).status, 401);
+
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+  assert.deepEqual(await authenticate(requireAdmin, { authorization: `Bearer ${ADMIN_KEY}` }), { tenant: undefined });
+  assert.equal((await authenticate(requireAdmin, { 'x-api-key': KEY_1 })).status, 401);
+});
+
+test('assertTenantRecord reports other tenants\' records as missing', () => {
+  const lead = { id: 'recLead1', Tenant: ['recTenant1'] };
+  const property = { id: 'recP1', TenantID: ['recTenant1'] };
+
+  assert.equal(assertTenantRecord(lead, 'recTenant1', 'Lead'), lead);
+  assert.equal(belongsToTenant(property, 'recTenant1'), true);
+  assert.equal(belongsToTenant(property, 'recTenant2'), false);
+
+  for (const record of [lead, null]) {
+    assert.throws(() => assertTenantRecord(record, 'recTenant2', 'Lead'), error => error.status === 404 && error.message === 'Lead not found');
+  }
+});
+
+// ============================================
+// API (server.js)
+// ============================================
+
+test('API', async (t) => {
+  const port = await freePort();
+  const server = await startServer({
+    PORT: String(port),
+    DATA_STORE: 'memory',
+    DATA_STORE_FILE: dataFile,
+    NOTIFICATION_SCHEDULER: 'off'
+  });
+  t.after(() => server.kill());
+
+  const post = (endpoint, body, headers = {}) => fetch(`http://127.0.0.1:${port}${endpoint}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const stored = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+  await t.test('refuses callers without a valid key', async () => {
+    assert.equal((await post('/api/mark-awaiting-followup', { leadId: 'recLead1', awaiting: true })).status, 401);
+
+    const wrong = await post('/api/mark-awaiting-followup', { leadId: 'recLead1', awaiting: true }, { 'X-API-Key': 'pbk_wrong' });
+    assert.equal(wrong.status, 401);
+    assert.equal(stored().Leads[0]['AwaitingFollowUpResponse'], undefined);
+  });
+
+  await t.test('lets a tenant change its own leads and bookings', async () => {
+    const marked = await post('/api/mark-awaiting-followup', { leadId: 'recLead1', awaiting: true, bookingId: 'recBooking1' }, { 'X-API-Key': KEY_1 });
+    assert.equal(marked.status, 200);
+    assert.equal(stored().Leads[0]['AwaitingFollowUpResponse'], true);
+  });
+
+  await t.test('answers 404 for another tenant\'s lead or booking and leaves it alone', async () => {
+    const asOne = { Authorization: `Bearer ${KEY_1}` };
+
+    const lead = await post('/api/mark-awaiting-followup', { leadId: 'recLead2', awaiting: true }, asOne);
+    assert.equal(lead.status, 404);
+    assert.deepEqual(await lead.json(), { success: false, error: 'Lead not found' });
+
+    const booking = await post('/api/mark-notification-sent', { bookingId: 'recBooking2', type: 'reminder_1h' }, asOne);
+    assert.equal(booking.status, 404);
+    assert.deepEqual(await booking.json(), { success: false, error: 'Booking not found' });
+
+    // Its own lead with the other tenant's booking
+    const linked = await post('/api/mark-awaiting-followup', { leadId: 'recLead1', awaiting: true, bookingId: 'recBooking2' }, asOne);
+    assert.equal(linked.status, 404);
+
+    const cancelled = await post('/api/cancel-booking', { bookingId: 'recBooking2', tenantId: 'recTenant2' }, asOne);
+    assert.equal(cancelled.status, 404);
+
+    const { Leads, Bookings } = stored();
+    assert.equal(Leads[1]['AwaitingFollowUpResponse'], undefined);
+    assert.equal(Leads[0]['Follow-Up Booking ID'], 'recBooking1');
+    assert.equal(Bookings[1]['Status'], 'Scheduled');
+    assert.equal(Bookings[1]['Notification Log'], undefined);
+  });
+});
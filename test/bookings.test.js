@@ -0,0 +1,108 @@
+// test/bookings.test.js - createBooking and rescheduleBooking on the memory store and the local
+// calendar: which chosen slots are accepted, and who the agent is on older bookings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [{
+    id: 'recTenant1',
+    'Company Name': 'Acme Homes',
+    'Bot Name': 'Ada',
+    'Time Zone': 'Africa/Nairobi',
+    'Slot Duration': 60,
+    'Working Days': 'Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday'
+  }],
+  Properties: [{
+    id: 'recP1',
+    Tenant: ['recTenant1'],
+    'Property Name': 'Karen Villa',
+    Address: 'Karen Rd',
+    // Lookup fields from the agent's record
+    'Agent Name': ['Bob'],
+    'Agent Phone': ['+254711000000']
+  }],
+  Leads: [{ id: 'recLead1', Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111' }]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { formatDateKey } = require('../lib/timezone');
+const { createBooking, rescheduleBooking } = require('../lib/bookings');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// The hour from local 09:00 (06:00Z in Nairobi) on the day `days` from today, as a slot map
+function slotMap(days, hour, minutes = 60) {
+  const date = formatDateKey(new Date(Date.now() + days * 86400000), 'Africa/Nairobi');
+  const start = new Date(`${date}T${String(hour - 3).padStart(2, '0')}:00:00Z`);
+  const end = new Date(start.getTime() + minutes * 60000);
+  return { 1: `${start.toISOString()}|${end.toISOString()}` };
+}
+
+const book = map => createBooking({
+  leadId: 'recLead1',
+  propertyId: 'recP1',
+  slotNumber: 1,
+  slotMap: map,
+  leadName: 'Mary',
+  leadPhone: '254722000111',
+  tenantId: 'recTenant1'
+});
+
+test('createBooking accepts any slot on the working-hours grid, not only the first offered', async () => {
+  const booked = await book(slotMap(10, 10));
+
+  assert.equal(booked.success, true);
+  assert.equal(booked.agentPhone, '+254711000000');
+  await store.bookings.update(booked.bookingId, { Status: 'Cancelled' });
+});
+
+test('createBooking turns down slots off the grid, outside the hours or beyond Days Ahead', async () => {
+  for (const map of [
+    slotMap(10, 10, 30),
+    { 1: slotMap(10, 10)[1].replace(/:00:00/g, ':30:00') },
+    slotMap(10, 17),
+    slotMap(10, 8),
+    slotMap(40, 10)
+  ]) {
+    const outcome = await book(map);
+    assert.equal(outcome.success, false, map[1]);
+    assert.equal(outcome.slotTaken, true);
+  }
+
+  assert.equal((await store.bookings.find({ tenantId: 'recTenant1', status: 'Scheduled' })).length, 0);
+});
+
+test('rescheduleBooking alerts the agent from the property lookup on bookings without one', async () => {
+  const [start, end] = slotMap(5, 11)[1].split('|');
+  const booking = await store.bookings.create({
+    Tenant: ['recTenant1'],
+    Lead: ['recLead1'],
+    Property: ['recP1'],
+    Status: 'Scheduled',
+    StartDateTime: start,
+    EndDateTime: end
+  });
+
+  const moved = await rescheduleBooking({
+    bookingId: booking.id,
+    tenantId: 'recTenant1',
+    slotNumber: 1,
+    slotMap: slotMap(6, 14)
+  });
+
+  assert.equal(moved.success, true);
+  assert.equal(moved.agentName, 'Bob');
+  assert.equal(moved.agentPhone, '+254711000000');
+  assert.match(moved.agentMessage, /Mary/);
+});
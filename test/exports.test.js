@@ -0,0 +1,109 @@
+// test/exports.test.js - Lead and booking exports on the memory store, and the CSV they are
+// written as (formula-looking cells from WhatsApp are escaped)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Time Zone': 'Africa/Nairobi' };
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [tenant],
+  Properties: [{ id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa', Location: 'Karen', 'Agent Name': ['Bob'], 'Agent Phone': ['+254711000000'] }],
+  Leads: [
+    { id: 'recL1', Tenant: ['recTenant1'], Created: '2026-02-28T22:00:00.000Z', Name: '=HYPERLINK("http://x.example","Mary")', Phone: '+254 722 000111', Status: 'Hot Lead', Score: 80 },
+    { id: 'recL2', Tenant: ['recTenant1'], Created: '2026-02-28T20:00:00.000Z', Name: 'Tom', Phone: '254733000222', Status: 'New' }
+  ],
+  Bookings: [
+    {
+      id: 'recB1',
+      Tenant: ['recTenant1'],
+      Lead: ['recL1'],
+      Property: ['recP1'],
+      Status: 'Completed',
+      Created: '2026-03-01T08:00:00.000Z',
+      StartDateTime: '2026-03-03T07:00:00.000Z',
+      EndDateTime: '2026-03-03T08:00:00.000Z',
+      'Notification Log': JSON.stringify([{ rule: 'reminder_12h', start: '2026-03-03T07:00:00.000Z' }, { rule: 'followup', start: '2026-03-03T07:00:00.000Z' }])
+    },
+    { id: 'recB2', Tenant: ['recTenant1'], Lead: ['recL2'], Property: ['recP1'], Status: 'Cancelled', StartDateTime: '2026-04-03T07:00:00.000Z', EndDateTime: '2026-04-03T08:00:00.000Z' }
+  ],
+  Feedback: [
+    { id: 'recF1', Tenant: ['recTenant1'], Lead: ['recL1'], Booking: ['recB1'], Interested: true, Rating: 5, Comments: '@SUM(1+1) lovely garden, big kitchen', Created: '2026-03-03T12:00:00.000Z' }
+  ]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const { exportLeads, exportBookings } = require('../lib/exports');
+const { writeSpreadsheet, parseCsv } = require('../lib/spreadsheets');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Collects what writeSpreadsheet sends
+function captureResponse() {
+  const res = { headers: {}, body: '' };
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.write = chunk => { res.body += chunk; };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+test('exportLeads filters by days in the tenant\'s zone and joins bookings and feedback', async () => {
+  const exported = await exportLeads(tenant, { from: '2026-03-01', to: '2026-03-31' });
+
+  assert.equal(exported.format, 'csv');
+  assert.equal(exported.filename, 'leads-2026-03-01-to-2026-03-31');
+  assert.equal(exported.rows.length, 1);
+
+  const [row] = exported.rows;
+  assert.equal(row.created, '2026-03-01 01:00');
+  assert.equal(row.score, 80);
+  assert.equal(row.bookings, 1);
+  assert.equal(row.lastProperty, 'Karen Villa');
+  assert.equal(row.lastViewing, '2026-03-03 10:00');
+  assert.equal(row.interested, 'Yes');
+  assert.equal(row.rating, 5);
+
+  assert.equal((await exportLeads(tenant, { status: 'New' })).rows[0].name, 'Tom');
+  await assert.rejects(exportLeads(tenant, { format: 'pdf' }), /format must be one of csv, xlsx/);
+});
+
+test('exportBookings lists the notifications sent and the agent from the property', async () => {
+  const { rows } = await exportBookings(tenant, { status: 'Completed' });
+
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].agentName, 'Bob');
+  assert.equal(rows[0].agentPhone, '+254711000000');
+  assert.equal(rows[0].start, '2026-03-03 10:00');
+  assert.equal(rows[0].remindersSent, 'reminder_12h');
+  assert.equal(rows[0].followUpSent, 'Yes');
+
+  assert.deepEqual((await exportBookings(tenant, { to: '2026-03-31' })).rows.map(r => r.bookingId), ['recB1']);
+});
+
+test('the CSV escapes cells a spreadsheet would run as formulas and keeps phone numbers', async () => {
+  const leads = await exportLeads(tenant, {});
+  const res = captureResponse();
+  await writeSpreadsheet(res, leads);
+
+  assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.equal(res.headers['Content-Disposition'], `attachment; filename="${leads.filename}.csv"`);
+  assert.ok(res.body.startsWith('\uFEFFName,Phone,'));
+  assert.ok(res.ended);
+
+  const [header, tom, mary] = parseCsv(res.body);
+  const cell = (row, name) => row[header.indexOf(name)];
+
+  assert.equal(cell(mary, 'Name'), '\'=HYPERLINK("http://x.example","Mary")');
+  assert.equal(cell(mary, 'Comments'), '\'@SUM(1+1) lovely garden, big kitchen');
+  assert.equal(cell(mary, 'Phone'), '+254 722 000111');
+  assert.equal(cell(tom, 'Name'), 'Tom');
+  assert.equal(cell(tom, 'Score'), '');
+});
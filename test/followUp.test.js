@@ -0,0 +1,197 @@
+// test/followUp.test.js - Reading the lead's answers to the follow-up after a viewing, and
+// answers sent through /api/handle-message (server.js on the memory store)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+process.env.DATA_STORE = 'memory';
+const { parseAnswer, parseRating, parseReason } = require('../lib/followUp');
+const { hashApiKey } = require('../lib/auth');
+
+const answers = expected => replies => replies.forEach(reply => assert.equal(parseAnswer(reply), expected, reply));
+
+test('parseAnswer reads the numbered options and keywords', () => {
+  answers('interested')(['1', 'interested', 'Yes', 'I liked it', 'nimeipenda', 'ndiyo']);
+  answers('not_interested')(['2', 'not interested', "Didn't like it", 'sijaipenda', 'sitaki']);
+  answers('new_search')(['3', 'hi', 'Habari']);
+  answers(null)(['', 'maybe', '4']);
+});
+
+test('parseAnswer reads a reply that opens with a no, or says it is not for them, as not interested', () => {
+  answers('not_interested')([
+    'not really interested',
+    'no, not for me',
+    'No thanks',
+    'nope',
+    "I don't like the kitchen",
+    'hapana, asante',
+    'sikuipenda sana'
+  ]);
+});
+
+test('parseAnswer keeps a yes that mentions a negation later on', () => {
+  answers('interested')([
+    'Yes I liked it, no complaints',
+    'interested, no doubt',
+    'never seen a better house, interested',
+    'ndiyo, si mbaya'
+  ]);
+});
+
+test('parseAnswer reads a reply that opens with a no but says it is interested as interested', () => {
+  answers('interested')([
+    "no complaints, I'm interested",
+    'no doubt, yes',
+    'hakuna shida, nataka',
+    'hapana shaka, nimeipenda'
+  ]);
+});
+
+test('parseRating reads 1-5 as digits, fractions, stars and keycaps', () => {
+  assert.equal(parseRating('4'), 4);
+  assert.equal(parseRating('4/5'), 4);
+  assert.equal(parseRating('5 stars'), 5);
+  assert.equal(parseRating('3 nyota'), 3);
+  assert.equal(parseRating('4️⃣'), 4);
+  assert.equal(parseRating('⭐⭐⭐'), 3);
+  assert.equal(parseRating('⭐ ⭐'), 2);
+  assert.equal(parseRating('2.'), 2);
+
+  for (const reply of ['0', '6', '10', '⭐⭐⭐⭐⭐⭐', 'four', '4 out of 10', '']) {
+    assert.equal(parseRating(reply), null, reply);
+  }
+});
+
+test('parseReason reads the numbered reasons and keeps the lead\'s own words', () => {
+  assert.deepEqual(parseReason('1'), { reason: 'Price' });
+  assert.deepEqual(parseReason('3)'), { reason: 'Condition' });
+  assert.deepEqual(parseReason('5️⃣'), { reason: 'Other' });
+  assert.deepEqual(parseReason('Location'), { reason: 'Location' });
+  assert.deepEqual(parseReason('bei'), { reason: 'Price' });
+
+  assert.deepEqual(parseReason('too expensive for us'), { reason: 'Price', comments: 'too expensive for us' });
+  assert.deepEqual(parseReason('the rooms were tiny'), { reason: 'Size', comments: 'the rooms were tiny' });
+  assert.deepEqual(parseReason('we found another house'), { reason: 'Other', comments: 'we found another house' });
+
+  assert.equal(parseReason('9'), null);
+  assert.equal(parseReason(''), null);
+});
+
+// ============================================
+// /api/handle-message (server.js)
+// ============================================
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs server.js until it logs that it is listening
+function startServer(env) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve(child);
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+  });
+}
+
+test('/api/handle-message', async (t) => {
+  const API_KEY = 'pbk_followup-test-key';
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+  const dataFile = path.join(dir, 'store.json');
+  const viewingEnd = new Date(Date.now() - 3 * 60 * 60 * 1000);
+
+  fs.writeFileSync(dataFile, JSON.stringify({
+    Tenants: [
+      { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Bot Name': 'Ada', 'API Key Hash': hashApiKey(API_KEY) },
+      { id: 'recTenant2', 'Company Name': 'Other Homes' }
+    ],
+    Properties: [{ id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa', 'Agent Phone': ['+254711000000'] }],
+    Leads: [
+      { id: 'recLead1', Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111', AwaitingFollowUpResponse: true, 'Conversation Stage': 'booked' },
+      { id: 'recLead2', Tenant: ['recTenant1'], Name: 'John', Phone: '254722000222', 'Conversation Stage': 'new' },
+      { id: 'recLead3', Tenant: ['recTenant2'], Name: 'Ann', Phone: '254722000333', AwaitingFollowUpResponse: true }
+    ],
+    Bookings: [{
+      id: 'recBooking1',
+      Tenant: ['recTenant1'],
+      Lead: ['recLead1'],
+      Property: ['recP1'],
+      Status: 'Completed',
+      StartDateTime: new Date(viewingEnd.getTime() - 60 * 60 * 1000).toISOString(),
+      EndDateTime: viewingEnd.toISOString()
+    }]
+  }));
+
+  const port = await freePort();
+  const server = await startServer({
+    PORT: String(port),
+    DATA_STORE: 'memory',
+    DATA_STORE_FILE: dataFile,
+    NOTIFICATION_SCHEDULER: 'off'
+  });
+  t.after(() => {
+    server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const send = async (leadId, from, message, leadStage) => {
+    const response = await fetch(`http://127.0.0.1:${port}/api/handle-message`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+      body: JSON.stringify({ lead_id: leadId, from: from, message: message, lead_stage: leadStage, awaiting_followup_response: true })
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+  const stored = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+  await t.test('saves the answer to the follow-up and alerts the agent', async () => {
+    const result = await send('recLead1', '254722000111', '1', 'booked');
+
+    assert.equal(result.action, 'followup_interested');
+    assert.equal(result.agentNotification.agentPhone, '+254711000000');
+    assert.match(result.agentNotification.message, /Karen Villa/);
+    assert.deepEqual(result.updateFields, { 'Conversation Stage': 'feedback_rating', 'AwaitingFollowUpResponse': false });
+
+    const { Leads, Feedback } = stored();
+    const lead = Leads.find(l => l.id === 'recLead1');
+    assert.equal(lead['AwaitingFollowUpResponse'], false);
+    assert.equal(Feedback.length, 1);
+    assert.equal(Feedback[0].id, result.feedbackId);
+    assert.equal(Feedback[0]['Interested'], true);
+    assert.deepEqual(Feedback[0]['Booking'], ['recBooking1']);
+  });
+
+  await t.test('carries on with the rating', async () => {
+    const result = await send('recLead1', '254722000111', '4', 'feedback_rating');
+
+    assert.equal(result.action, 'feedback_rating');
+    assert.equal(stored().Feedback[0]['Rating'], 4);
+  });
+
+  await t.test('leaves other leads, and other tenants\' leads, to the normal conversation', async () => {
+    assert.notEqual((await send('recLead2', '254722000222', '1', 'new')).action, 'followup_interested');
+    assert.notEqual((await send('recLead3', '254722000333', '1', 'new')).action, 'followup_interested');
+    assert.equal(stored().Feedback.length, 1);
+  });
+});
@@ -0,0 +1,87 @@
+// test/formula.test.js - filterByFormula builder: values are quoted and escaped, never spliced in
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const f = require('../lib/stores/formula');
+
+// ============================================
+// Values
+// ============================================
+
+test('str quotes the value and escapes backslashes, quotes and line breaks', () => {
+  assert.equal(f.str('Karen'), '"Karen"');
+  assert.equal(f.str('say "hi"'), '"say \\"hi\\""');
+  assert.equal(f.str('C:\\homes'), '"C:\\\\homes"');
+  assert.equal(f.str('line 1\r\nline 2'), '"line 1\\r\\nline 2"');
+  assert.equal(f.str(undefined), '""');
+  assert.equal(f.str(null), '""');
+  assert.equal(f.str(0), '"0"');
+});
+
+test('a message that tries to break out of the formula stays a string', () => {
+  assert.equal(f.eq('Location', 'x" , TRUE()) , ("'), '{Location} = "x\\" , TRUE()) , (\\""');
+  assert.equal(f.eq('Location', '\\" , TRUE()) , ("'), '{Location} = "\\\\\\" , TRUE()) , (\\""');
+  assert.equal(f.and(f.eq('Type', "x' , TRUE()) , ('"), f.isTrue('Available')),
+    'AND({Type} = "x\' , TRUE()) , (\'", {Available} = TRUE())');
+});
+
+test('num and date only accept numbers and dates', () => {
+  assert.equal(f.num(42), '42');
+  assert.equal(f.num('3.5'), '3.5');
+  assert.throws(() => f.num('1); TRUE('), TypeError);
+  assert.throws(() => f.num(Infinity), TypeError);
+
+  assert.equal(f.date('2026-03-01T10:00:00+03:00'), '"2026-03-01T07:00:00.000Z"');
+  assert.throws(() => f.date('yesterday") , TRUE()'), TypeError);
+});
+
+test('literal picks the type from the value', () => {
+  assert.equal(f.literal(3), '3');
+  assert.equal(f.literal(true), 'TRUE()');
+  assert.equal(f.literal(false), 'FALSE()');
+  assert.equal(f.literal(new Date('2026-03-01T00:00:00Z')), '"2026-03-01T00:00:00.000Z"');
+  assert.equal(f.literal('3'), '"3"');
+});
+
+test('field escapes closing braces and backslashes in the name', () => {
+  assert.equal(f.field('Conversation Stage'), '{Conversation Stage}');
+  assert.equal(f.field('a}b'), '{a\\}b}');
+  assert.equal(f.field('a\\}b'), '{a\\\\\\}b}');
+});
+
+// ============================================
+// Comparisons and functions
+// ============================================
+
+test('comparisons quote their values', () => {
+  assert.equal(f.ne('Status', 'Cancelled'), '{Status} != "Cancelled"');
+  assert.equal(f.equals(f.lower(f.field('Location')), 'karen'), 'LOWER({Location}) = "karen"');
+  assert.equal(f.isFalse('Available'), '{Available} = FALSE()');
+  assert.equal(f.isBefore('Created', new Date('2026-03-01T00:00:00Z')), 'IS_BEFORE({Created}, "2026-03-01T00:00:00.000Z")');
+  assert.equal(f.isAfter('Created', '2026-03-01T00:00:00Z'), 'IS_AFTER({Created}, "2026-03-01T00:00:00.000Z")');
+});
+
+test('search and find take the needle as a value', () => {
+  assert.equal(f.search('rec"1', f.arrayJoin('TenantID')), 'SEARCH("rec\\"1", ARRAYJOIN({TenantID}))');
+  assert.equal(f.find('x', f.concat(f.field('Phone'), '""')), 'FIND("x", CONCATENATE({Phone}, ""))');
+});
+
+test('digitsOnly strips the phone punctuation', () => {
+  assert.equal(
+    f.digitsOnly(f.field('Phone')),
+    'SUBSTITUTE(SUBSTITUTE(SUBSTITUTE(SUBSTITUTE(SUBSTITUTE(SUBSTITUTE({Phone}, "+", ""), "-", ""), "(", ""), ")", ""), ".", ""), " ", "")'
+  );
+  assert.equal(f.withoutSpaces('Phone'), 'SUBSTITUTE({Phone}, " ", "")');
+});
+
+// ============================================
+// Logic
+// ============================================
+
+test('and / or drop empty clauses and flatten lists', () => {
+  assert.equal(f.and(), '');
+  assert.equal(f.and('', null, undefined), '');
+  assert.equal(f.and(f.eq('Type', 'Buy')), '{Type} = "Buy"');
+  assert.equal(f.and([f.eq('Type', 'Buy'), ''], f.isTrue('Available')), 'AND({Type} = "Buy", {Available} = TRUE())');
+  assert.equal(f.or(f.eq('Type', 'Buy'), f.eq('Type', 'Rent')), 'OR({Type} = "Buy", {Type} = "Rent")');
+  assert.equal(f.not(f.isTrue('Available')), 'NOT({Available} = TRUE())');
+});
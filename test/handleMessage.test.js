@@ -0,0 +1,53 @@
+// test/handleMessage.test.js - Which action handleMessage picks for a lead's message: choosing the
+// viewing to cancel or reschedule
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_STORE = 'memory';
+const handleMessage = require('../handleMessage');
+
+test.mock.method(console, 'log', () => {});
+
+// A lead of tenant recTenant1 with two upcoming viewings sending message
+const fromLead = (message, fields = {}) => handleMessage({
+  from: '254722000111',
+  message: message,
+  lead_id: 'recLead1',
+  lead_name: 'Mary',
+  lead_stage: 'booking_confirmed',
+  upcoming_bookings: 2,
+  tenant_id: 'recTenant1',
+  ...fields
+});
+
+// ============================================
+// Cancel and reschedule
+// ============================================
+
+test('a number right after CANCEL or RESCHEDULE picks that viewing', async () => {
+  for (const message of ['cancel 2', 'CANCEL #2', 'ghairi 2', 'please cancel 2']) {
+    const result = await fromLead(message);
+    assert.equal(result.action, 'cancel_booking', message);
+    assert.equal(result.bookingNumber, 2, message);
+  }
+
+  const reschedule = await fromLead('badilisha 1', { lead_stage: 'viewing_bookings' });
+  assert.equal(reschedule.action, 'reschedule_options');
+  assert.equal(reschedule.bookingNumber, 1);
+});
+
+test('other numbers in the message don\'t pick a viewing', async () => {
+  const cancel = await fromLead('cancel my 2pm viewing');
+  assert.equal(cancel.action, 'list_bookings');
+  assert.equal(cancel.bookingsPrompt, 'cancel');
+  assert.equal(cancel.bookingNumber, 0);
+
+  const reschedule = await fromLead('reschedule to 10am');
+  assert.equal(reschedule.action, 'list_bookings');
+  assert.equal(reschedule.bookingsPrompt, 'reschedule');
+
+  // With one viewing there is nothing to choose
+  const only = await fromLead('reschedule to 10am', { upcoming_bookings: 1 });
+  assert.equal(only.action, 'reschedule_options');
+  assert.equal(only.bookingNumber, 0);
+});
@@ -0,0 +1,116 @@
+// test/i18n.test.js - Message catalogues and choosing the conversation's language: a switch, the
+// lead's saved language, the tenant default
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_STORE = 'memory';
+const i18n = require('../lib/i18n');
+const en = require('../lib/i18n/en');
+const sw = require('../lib/i18n/sw');
+const handleMessage = require('../handleMessage');
+
+test.mock.method(console, 'log', () => {});
+
+// A known lead of tenant recTenant1 sending message
+const fromLead = (message, fields = {}) => handleMessage({
+  from: '254722000111',
+  message: message,
+  lead_id: 'recLead1',
+  lead_name: 'Mary',
+  lead_stage: 'asked_location',
+  tenant_id: 'recTenant1',
+  tenant_company_name: 'Acme Homes',
+  ...fields
+});
+
+// ============================================
+// Catalogues
+// ============================================
+
+test('the Swahili catalogue has every English message, keyword list and placeholder', () => {
+  assert.deepEqual(Object.keys(sw.messages).sort(), Object.keys(en.messages).sort());
+  assert.deepEqual(Object.keys(sw.keywords).sort(), Object.keys(en.keywords).sort());
+
+  for (const key of Object.keys(en.messages)) {
+    assert.deepEqual(i18n.placeholdersOf(sw.messages[key]).sort(), i18n.placeholdersOf(en.messages[key]).sort(), key);
+  }
+});
+
+test('t fills in placeholders and falls back to English, then to the key', (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  assert.equal(i18n.t('sw', 'language.switched'), sw.messages['language.switched']);
+  assert.equal(i18n.t('fr', 'language.switched'), en.messages['language.switched']);
+  assert.equal(i18n.t('en', 'reminder.agentLine', { agentName: 'Bob' }), ' Agent: Bob\n');
+  assert.equal(i18n.t('en', 'no.such.key'), 'no.such.key');
+});
+
+test('matchesKeyword reads keywords literally, whatever their punctuation', (t) => {
+  en.keywords.punctuated = ['why?', 'c.o.d', 'no (thanks)'];
+  t.after(() => delete en.keywords.punctuated);
+
+  assert.equal(i18n.matchesKeyword('why?', 'punctuated'), true);
+  assert.equal(i18n.matchesKeyword('but why? tell me', 'punctuated', { partial: true }), true);
+  assert.equal(i18n.matchesKeyword('wh', 'punctuated', { partial: true }), false);
+  assert.equal(i18n.matchesKeyword('pay c.o.d please', 'punctuated', { partial: true }), true);
+  assert.equal(i18n.matchesKeyword('pay cxoxd please', 'punctuated', { partial: true }), false);
+  assert.equal(i18n.matchesKeyword('no (thanks), not now', 'punctuated', { leading: true }), true);
+  assert.equal(i18n.matchesKeyword('no thanks', 'punctuated', { leading: true }), false);
+
+  // Still whole words
+  assert.equal(i18n.matchesKeyword('please cancel', 'cancel', { partial: true }), true);
+  assert.equal(i18n.matchesKeyword('cancelled', 'cancel', { partial: true }), false);
+});
+
+// ============================================
+// Choosing the locale
+// ============================================
+
+test('normalizeLocale reads codes and language names as they appear in Airtable', () => {
+  for (const value of ['sw', 'sw-KE', 'SW_ke', 'Swahili', 'Kiswahili']) {
+    assert.equal(i18n.normalizeLocale(value), 'sw', value);
+  }
+  assert.equal(i18n.normalizeLocale('English'), 'en');
+  assert.equal(i18n.normalizeLocale('French'), null);
+  assert.equal(i18n.normalizeLocale(''), null);
+});
+
+test('resolveLocale takes the first usable candidate, else English', () => {
+  assert.equal(i18n.resolveLocale('sw', 'en'), 'sw');
+  assert.equal(i18n.resolveLocale(null, 'Kiswahili'), 'sw');
+  assert.equal(i18n.resolveLocale('French', 'sw'), 'sw');
+  assert.equal(i18n.resolveLocale(undefined, ''), 'en');
+});
+
+test('detectLanguageSwitch only reads a language name on its own', () => {
+  assert.equal(i18n.detectLanguageSwitch('Kiswahili'), 'sw');
+  assert.equal(i18n.detectLanguageSwitch('lugha swahili'), 'sw');
+  assert.equal(i18n.detectLanguageSwitch(' English '), 'en');
+  assert.equal(i18n.detectLanguageSwitch('I speak English'), null);
+});
+
+test('handleMessage answers in the lead\'s language, else the tenant\'s default', async () => {
+  const saved = await fromLead('hi', { lead_locale: 'sw', tenant_locale: 'en' });
+  assert.equal(saved.locale, 'sw');
+  assert.match(saved.replyMessage, /^Habari! Karibu tena Acme Homes/);
+
+  const tenantDefault = await fromLead('hi', { tenant_locale: 'Kiswahili' });
+  assert.equal(tenantDefault.locale, 'sw');
+
+  const neither = await fromLead('hi');
+  assert.equal(neither.locale, 'en');
+  assert.match(neither.replyMessage, /^Hi! Welcome back to Acme Homes/);
+});
+
+test('handleMessage switches language when the lead names one, and saves it', async () => {
+  const switched = await fromLead('English', { lead_locale: 'sw', tenant_locale: 'sw' });
+  assert.equal(switched.locale, 'en');
+  assert.deepEqual(switched.updateFields, { Language: 'en' });
+  assert.ok(switched.replyMessage.startsWith(en.messages['language.switched']));
+
+  // A new lead's first message
+  const created = await handleMessage({ from: '254722000999', message: 'Kiswahili', tenant_id: 'recTenant1', tenant_locale: 'en' });
+  assert.equal(created.action, 'create');
+  assert.equal(created.updateFields['Language'], 'sw');
+  assert.match(created.replyMessage, /^Habari!/);
+});
@@ -0,0 +1,278 @@
+// test/leadScoring.test.js - Lead score, tier and Status from the lead's signals, the agent alert
+// when the score reaches the tenant's threshold (on the memory store), and rescoring through the
+// API (server.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [{ id: 'recTenant1', 'Company Name': 'Acme Homes', 'Time Zone': 'Africa/Nairobi' }],
+  Properties: [{ id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa', Price: 10000000, 'Agent Phone': ['+254711000000'] }]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { thresholdsFor, scoreSignals, scoreLead, refreshLeadScore, rescoreLead } = require('../lib/leadScoring');
+const { hashApiKey } = require('../lib/auth');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const viewing = (id, status, start = '2026-03-05T10:00:00Z') => ({
+  id,
+  Status: status,
+  Property: ['recP1'],
+  StartDateTime: start,
+  EndDateTime: new Date(new Date(start).getTime() + 60 * 60000).toISOString()
+});
+const answer = (interested, fields) => ({ Interested: interested, Booking: ['recB1'], Created: '2026-03-06T10:00:00Z', ...fields });
+
+// Booked, went, liked it and answers fast
+const keen = {
+  lead: { Budget: '10M', 'Avg Response Seconds': 60, 'Conversation Stage': 'booking_confirmed' },
+  bookings: [viewing('recB1', 'Completed')],
+  feedback: [answer(true, { Rating: 5 })],
+  prices: [9000000, 10000000],
+  now: NOW
+};
+
+// ============================================
+// Signals, tiers and thresholds
+// ============================================
+
+test('scoreSignals gives each signal its points', () => {
+  assert.deepEqual(scoreSignals(keen), { budget: 20, response: 10, progress: 15, bookings: 10, attendance: 15, feedback: 25 });
+
+  assert.deepEqual(scoreSignals({
+    lead: { Budget: '4M', 'Avg Response Seconds': 2 * 60 * 60, 'Conversation Stage': 'asked_budget' },
+    bookings: [],
+    feedback: [],
+    prices: [10000000],
+    now: NOW
+  }), { budget: 0, response: 3, progress: 5, bookings: 0, attendance: 0, feedback: 0 });
+});
+
+test('scoreSignals counts no-shows against attendance and a no against feedback', () => {
+  const signals = scoreSignals({
+    ...keen,
+    bookings: [viewing('recB1', 'No-Show'), viewing('recB2', 'No-Show')],
+    feedback: [answer(false)]
+  });
+
+  assert.equal(signals.bookings, 15);
+  assert.equal(signals.attendance, -20);
+  assert.equal(signals.feedback, -15);
+});
+
+test('scoreLead puts the score in tiers by the tenant thresholds', () => {
+  const hot = scoreLead({ ...keen, tenant: {} });
+  assert.equal(hot.score, 95);
+  assert.equal(hot.tier, 'Hot');
+  assert.equal(hot.status, 'Hot Lead');
+
+  // Search done, nothing booked: 12 points
+  const browsing = { ...keen, lead: { 'Conversation Stage': 'completed' }, bookings: [], feedback: [], prices: [] };
+  assert.equal(scoreLead({ ...browsing, tenant: {} }).score, 12);
+  assert.equal(scoreLead({ ...browsing, tenant: {} }).tier, 'Cold');
+  assert.equal(scoreLead({ ...browsing, tenant: {} }).status, 'Contacted');
+  assert.equal(scoreLead({ ...browsing, tenant: { 'Warm Lead Score': 12 } }).tier, 'Warm');
+  assert.equal(scoreLead({ ...browsing, tenant: { 'Warm Lead Score': 5, 'Hot Lead Score': 12 } }).tier, 'Hot');
+});
+
+test('thresholdsFor falls back to the defaults for missing or out-of-range settings', () => {
+  assert.deepEqual(thresholdsFor({}), { hot: 70, warm: 40, alert: 70 });
+  assert.deepEqual(thresholdsFor(null), { hot: 70, warm: 40, alert: 70 });
+  assert.deepEqual(thresholdsFor({ 'Hot Lead Score': 80, 'Warm Lead Score': '0' }), { hot: 80, warm: 0, alert: 80 });
+  assert.deepEqual(thresholdsFor({ 'Hot Lead Score': 150, 'Warm Lead Score': 'lots', 'Lead Alert Score': 60 }), { hot: 70, warm: 40, alert: 60 });
+});
+
+// ============================================
+// Status
+// ============================================
+
+test('scoreLead marks a lead Not Interested after a no, until they book again', () => {
+  const declined = { ...keen, tenant: {}, feedback: [answer(false)] };
+  assert.equal(scoreLead(declined).status, 'Not Interested');
+
+  // A viewing booked for after the answer
+  const again = { ...declined, bookings: [...declined.bookings, viewing('recB2', 'Scheduled', '2026-03-12T10:00:00Z')] };
+  assert.notEqual(scoreLead(again).status, 'Not Interested');
+
+  // Cancelled ones don't count
+  const cancelled = { ...declined, bookings: [...declined.bookings, viewing('recB2', 'Cancelled', '2026-03-12T10:00:00Z')] };
+  assert.equal(scoreLead(cancelled).status, 'Not Interested');
+});
+
+test('scoreLead marks a lead Cancelled when every viewing was cancelled or declined', () => {
+  const lead = { 'Conversation Stage': 'booking_confirmed' };
+  const status = bookings => scoreLead({ tenant: {}, lead, bookings, feedback: [], prices: [], now: NOW }).status;
+
+  assert.equal(status([viewing('recB1', 'Cancelled'), viewing('recB2', 'Declined')]), 'Cancelled');
+  assert.equal(status([viewing('recB1', 'Cancelled'), viewing('recB2', 'Scheduled')]), 'Contacted');
+  assert.equal(status([]), 'Contacted');
+});
+
+// ============================================
+// Saving and alerts
+// ============================================
+
+test('refreshLeadScore alerts the agent only when the score crosses the alert threshold', async () => {
+  const lead = await store.leads.create({ Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111', ...keen.lead, Score: 50 });
+  const { id, ...completed } = viewing('recB1', 'Completed');
+  const booking = await store.bookings.create({ ...completed, Tenant: ['recTenant1'], Lead: [lead.id] });
+  await store.feedback.create({ Tenant: ['recTenant1'], Lead: [lead.id], Booking: [booking.id], Interested: true, Rating: 5 });
+
+  const crossed = await refreshLeadScore(lead, { now: NOW });
+  assert.equal(crossed.score, 95);
+  assert.equal(crossed.lead['Status'], 'Hot Lead');
+  assert.equal(crossed.agentNotification.agentPhone, '+254711000000');
+  assert.match(crossed.agentNotification.message, /Mary now scores 95\/100 \(Hot\)/);
+  assert.match(crossed.agentNotification.message, /Karen Villa/);
+
+  // Already above it: no second alert
+  const again = await refreshLeadScore(crossed.lead, { now: NOW });
+  assert.equal(again.score, 95);
+  assert.equal(again.agentNotification, null);
+});
+
+test('rescoreLead only rescores for a new response time when its points change', async () => {
+  const lead = await store.leads.create({ Tenant: ['recTenant1'], 'Conversation Stage': 'completed', 'Avg Response Seconds': 60 });
+  const { lead: scored } = await refreshLeadScore(lead, { now: NOW });
+  const scoredAt = scored['Scored At'];
+
+  // Still within five minutes: saved, not rescored
+  await rescoreLead(scored, { changed: false, fields: { 'Avg Response Seconds': 120 }, now: new Date('2026-03-11T12:00:00Z') });
+  let saved = await store.leads.get(lead.id);
+  assert.equal(saved['Avg Response Seconds'], 120);
+  assert.equal(saved['Scored At'], scoredAt);
+
+  // Past an hour: fewer points
+  await rescoreLead(saved, { changed: false, fields: { 'Avg Response Seconds': 2 * 60 * 60 }, now: new Date('2026-03-11T12:00:00Z') });
+  saved = await store.leads.get(lead.id);
+  assert.notEqual(saved['Scored At'], scoredAt);
+  assert.equal(JSON.parse(saved['Score Details']).response, 3);
+});
+
+// ============================================
+// Through the API (server.js)
+// ============================================
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs server.js until it logs that it is listening
+function startServer(env) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve(child);
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+  });
+}
+
+test('/api/handle-message and the booking endpoints keep the lead\'s Status', async (t) => {
+  const API_KEY = 'pbk_scoring-test-key';
+  const apiDir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+  const apiFile = path.join(apiDir, 'store.json');
+  const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  fs.writeFileSync(apiFile, JSON.stringify({
+    Tenants: [{ id: 'recTenant1', 'Company Name': 'Acme Homes', 'API Key Hash': hashApiKey(API_KEY) }],
+    Properties: [{ id: 'recP1', Tenant: ['recTenant1'], 'Property Name': 'Karen Villa', Type: 'Buy', Location: 'Karen', Price: 10000000 }],
+    Leads: [{
+      id: 'recLead1',
+      Tenant: ['recTenant1'],
+      Name: 'Mary',
+      Phone: '254722000111',
+      Interest: 'Buy',
+      Location: 'Karen',
+      'Conversation Stage': 'asked_size',
+      Status: 'New'
+    }],
+    Bookings: [{
+      id: 'recBooking1',
+      Tenant: ['recTenant1'],
+      Lead: ['recLead1'],
+      Property: ['recP1'],
+      Status: 'Scheduled',
+      StartDateTime: start.toISOString(),
+      EndDateTime: new Date(start.getTime() + 60 * 60 * 1000).toISOString()
+    }]
+  }));
+
+  const port = await freePort();
+  const server = await startServer({
+    PORT: String(port),
+    DATA_STORE: 'memory',
+    DATA_STORE_FILE: apiFile,
+    NOTIFICATION_SCHEDULER: 'off'
+  });
+  t.after(() => {
+    server.kill();
+    fs.rmSync(apiDir, { recursive: true, force: true });
+  });
+
+  const post = async (endpoint, body) => {
+    const response = await fetch(`http://127.0.0.1:${port}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+      body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+  };
+  const storedLead = () => JSON.parse(fs.readFileSync(apiFile, 'utf8')).Leads[0];
+
+  await t.test('a reply that moves the conversation rescores the lead', async () => {
+    const result = await post('/api/handle-message', { lead_id: 'recLead1', from: '254722000111', message: '3', lead_stage: 'asked_size' });
+    assert.equal(result.updateFields['Conversation Stage'], 'completed');
+    assert.deepEqual(result.scoreAlerts, []);
+
+    const lead = storedLead();
+    assert.equal(lead['Conversation Stage'], 'completed');
+    assert.equal(lead['Status'], 'Contacted');
+    assert.ok(lead['Scored At']);
+  });
+
+  await t.test('a reply that changes nothing the score reads leaves it', async () => {
+    const scoredAt = storedLead()['Scored At'];
+    const result = await post('/api/handle-message', { lead_id: 'recLead1', from: '254722000111', message: 'what?', lead_stage: 'completed' });
+    assert.equal(result.scoreAlerts, undefined);
+    assert.equal(storedLead()['Scored At'], scoredAt);
+  });
+
+  await t.test('cancelling the only viewing marks the lead Cancelled', async () => {
+    const result = await post('/api/cancel-booking', { bookingId: 'recBooking1' });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.scoreAlerts, []);
+    assert.equal(storedLead()['Status'], 'Cancelled');
+  });
+});
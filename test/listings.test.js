@@ -0,0 +1,206 @@
+// test/listings.test.js - The property listing API on the memory store: input checks, Land vs
+// houses, tenant property types, external IDs, availability and soft delete
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Property Types': 'Buy, Rent, Land' };
+const other = { id: 'recTenant2', 'Company Name': 'Other Homes' };
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [tenant, other],
+  Properties: [
+    { id: 'recP1', Tenant: ['recTenant1'], 'External ID': 'EXT-1', 'Property Name': 'Karen Villa', Type: 'Buy', Location: 'Karen', Bedrooms: 3, Price: 25000000, Available: true },
+    { id: 'recP2', Tenant: ['recTenant2'], 'Property Name': 'Runda House', Type: 'Buy', Location: 'Runda', Bedrooms: 4, Price: 40000000, Available: true }
+  ],
+  Leads: [{ id: 'recLead1', Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111' }]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const listings = require('../lib/listings');
+const { searchProperties, getLocations } = require('../lib/properties');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HOUSE = { name: 'Westlands Flat', type: 'rent', location: 'Westlands', price: '85,000', bedrooms: '2' };
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rejects with a 400 whose message matches
+const badRequest = message => error => error.status === 400 && message.test(error.message);
+
+// ============================================
+// Validation
+// ============================================
+
+test('cleanInput maps API names and table fields and cleans the values', () => {
+  assert.deepEqual(listings.cleanInput({ ...HOUSE, available: 'no', 'Photo URL': 'https://example.com/flat.jpg' }, tenant), {
+    'Property Name': 'Westlands Flat',
+    'Type': 'Rent',
+    'Location': 'Westlands',
+    'Price': 85000,
+    'Bedrooms': 2,
+    'Available': false,
+    'Photo URL': 'https://example.com/flat.jpg'
+  });
+});
+
+test('cleanInput rejects unknown fields, unlisted types and bad values', () => {
+  const invalid = [
+    [{ colour: 'blue' }, /Unknown property field: colour/],
+    [{ type: 'Commercial' }, /type must be one of Buy, Rent, Land/],
+    [{ price: '0' }, /price must be a number more than 0/],
+    [{ price: 'a lot' }, /price must be a number more than 0/],
+    [{ bedrooms: '2.5' }, /bedrooms must be a whole number/],
+    [{ photoUrl: 'ftp://example.com/a.jpg' }, /photoUrl must be an http\(s\) link/],
+    [{ available: 'maybe' }, /available must be true or false/]
+  ];
+  for (const [input, message] of invalid) {
+    assert.throws(() => listings.cleanInput(input, tenant), badRequest(message), JSON.stringify(input));
+  }
+  assert.throws(() => listings.cleanInput(['name'], tenant), badRequest(/must be an object/));
+
+  // Tenants that list no types take any
+  assert.equal(listings.cleanInput({ type: 'Commercial' }, other)['Type'], 'Commercial');
+});
+
+test('assertComplete needs name, type, location and price, Bedrooms for houses and Plot Size for Land', () => {
+  assert.throws(() => listings.assertComplete({ 'Price': 100 }), badRequest(/Missing required fields: name, type, location/));
+  assert.throws(() => listings.assertComplete({ 'Property Name': 'A', 'Type': 'Buy', 'Location': 'Karen' }), badRequest(/price/));
+
+  const house = { 'Property Name': 'A', 'Type': 'Buy', 'Location': 'Karen', 'Price': 100 };
+  assert.throws(() => listings.assertComplete(house), badRequest(/bedrooms is required for Buy/));
+  assert.doesNotThrow(() => listings.assertComplete({ ...house, 'Bedrooms': 0 }));
+
+  const land = { ...house, 'Type': 'Land' };
+  assert.throws(() => listings.assertComplete(land), badRequest(/plotSize is required for Land/));
+  assert.doesNotThrow(() => listings.assertComplete({ ...land, 'Plot Size': '50x100' }));
+});
+
+// ============================================
+// Saving
+// ============================================
+
+test('createListing lists an available property for the tenant and leaves out blank fields', async () => {
+  const listing = await listings.createListing(tenant, { ...HOUSE, address: '', externalId: 'EXT-2' });
+
+  assert.equal(listing.type, 'Rent');
+  assert.equal(listing.price, 85000);
+  assert.equal(listing.available, true);
+  assert.equal(listing.deleted, false);
+
+  const record = await store.properties.get(listing.id);
+  assert.deepEqual(record['Tenant'], ['recTenant1']);
+  assert.equal('Address' in record, false);
+});
+
+test('createListing takes Land with a plot size and no bedrooms', async () => {
+  const land = await listings.createListing(tenant, { name: 'Kitengela Plot', type: 'Land', location: 'Kitengela', price: 1500000, plotSize: '50x100' });
+  assert.equal(land.bedrooms, null);
+  assert.equal(land.plotSize, '50x100');
+
+  await assert.rejects(listings.createListing(tenant, { ...HOUSE, type: 'Land' }), badRequest(/plotSize is required for Land/));
+});
+
+test('externalId is unique within the tenant only', async () => {
+  await assert.rejects(listings.createListing(tenant, { ...HOUSE, externalId: 'EXT-1' }), badRequest(/externalId EXT-1 is already used by property recP1/));
+  await assert.rejects(listings.updateListing(tenant, 'recP1', { externalId: 'EXT-2' }), badRequest(/already used/));
+
+  // Keeping its own ID is fine, and another tenant may use the same one
+  assert.equal((await listings.updateListing(tenant, 'recP1', { externalId: 'EXT-1', price: 24000000 })).price, 24000000);
+  assert.equal((await listings.createListing(other, { ...HOUSE, externalId: 'EXT-1' })).externalId, 'EXT-1');
+});
+
+test('updateListing checks the listing as a whole and refuses other tenants\' listings', async () => {
+  // Turning the house into Land needs a plot size
+  await assert.rejects(listings.updateListing(tenant, 'recP1', { type: 'Land' }), badRequest(/plotSize is required for Land/));
+  await assert.rejects(listings.updateListing(tenant, 'recP1', {}), badRequest(/No property fields to update/));
+  await assert.rejects(listings.updateListing(tenant, 'recP2', { price: 1 }), error => error.status === 404);
+
+  assert.equal((await store.properties.get('recP1'))['Type'], 'Buy');
+});
+
+// ============================================
+// Availability and soft delete
+// ============================================
+
+test('deleteListing hides the listing from leads and counts its upcoming viewings', async () => {
+  const listing = await listings.createListing(tenant, { ...HOUSE, name: 'Lavington Flat', location: 'Lavington' });
+  for (const [days, status] of [[2, 'Scheduled'], [3, 'Confirmed'], [4, 'Cancelled'], [-2, 'Scheduled']]) {
+    await store.bookings.create({
+      Tenant: ['recTenant1'],
+      Lead: ['recLead1'],
+      Property: [listing.id],
+      Status: status,
+      StartDateTime: new Date(Date.now() + days * DAY).toISOString(),
+      EndDateTime: new Date(Date.now() + days * DAY + 3600000).toISOString()
+    });
+  }
+
+  const search = () => searchProperties({ tenantId: 'recTenant1', interest: 'Rent', location: 'Lavington', bedrooms: 2 });
+  assert.ok((await search()).properties.some(property => property.id === listing.id));
+
+  const result = await listings.deleteListing('recTenant1', listing.id);
+  assert.equal(result.upcomingBookings, 2);
+  assert.equal(result.property.deleted, true);
+  assert.equal(result.property.available, false);
+
+  assert.ok(!(await search()).properties.some(property => property.id === listing.id));
+  assert.ok(!(await getLocations({ tenantId: 'recTenant1', interest: 'Rent' })).locations.includes('Lavington'));
+  assert.ok(!(await listings.listListings('recTenant1')).some(property => property.id === listing.id));
+  assert.ok((await listings.listListings('recTenant1', { includeDeleted: 'true' })).some(property => property.id === listing.id));
+
+  // Deleting again keeps the first time
+  assert.equal((await listings.deleteListing('recTenant1', listing.id)).property.deletedAt, result.property.deletedAt);
+});
+
+test('the store leaves out deleted listings even when they are still marked available', async () => {
+  const record = await store.properties.create({
+    Tenant: ['recTenant1'],
+    'Property Name': 'Parklands Flat',
+    Type: 'Rent',
+    Location: 'Parklands',
+    Bedrooms: 2,
+    Price: 70000,
+    Available: true,
+    'Deleted At': new Date().toISOString()
+  });
+
+  const found = await searchProperties({ tenantId: 'recTenant1', interest: 'Rent', location: 'Parklands', bedrooms: 2 });
+  assert.ok(!found.properties.some(property => property.id === record.id));
+});
+
+test('deleted listings can\'t be updated or switched on until they are restored', async () => {
+  const listing = await listings.createListing(tenant, { ...HOUSE, name: 'Kileleshwa Flat', location: 'Kileleshwa' });
+  await listings.deleteListing('recTenant1', listing.id);
+
+  await assert.rejects(listings.updateListing(tenant, listing.id, { price: 90000 }), badRequest(/deleted - restore it first/));
+  await assert.rejects(listings.setListingAvailability('recTenant1', listing.id, true), badRequest(/deleted - restore it first/));
+
+  const restored = await listings.restoreListing('recTenant1', listing.id);
+  assert.equal(restored.deleted, false);
+  assert.equal(restored.available, false);
+
+  assert.equal((await listings.setListingAvailability('recTenant1', listing.id, 'yes')).available, true);
+  assert.equal((await listings.updateListing(tenant, listing.id, { price: 90000 })).price, 90000);
+  await assert.rejects(listings.setListingAvailability('recTenant1', listing.id), badRequest(/available is required/));
+});
+
+test('listListings filters on availability and keeps to the tenant', async () => {
+  const unavailable = await listings.createListing(tenant, { ...HOUSE, name: 'Upper Hill Flat', location: 'Upper Hill', available: false });
+
+  const names = list => list.map(property => property.name);
+  assert.ok(names(await listings.listListings('recTenant1', { available: 'false' })).includes('Upper Hill Flat'));
+  assert.ok(!names(await listings.listListings('recTenant1', { available: 'true' })).includes('Upper Hill Flat'));
+  assert.ok(!names(await listings.listListings('recTenant1')).includes('Runda House'));
+
+  await assert.rejects(listings.getListing('recTenant2', unavailable.id), error => error.status === 404);
+});
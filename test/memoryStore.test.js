@@ -0,0 +1,23 @@
+// test/memoryStore.test.js - The in-memory store: records in and out, and the errors it throws
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createMemoryStore = require('../lib/stores/memoryStore');
+
+test('records are created with an ID and Created time and updated in place', async () => {
+  const store = createMemoryStore();
+  const lead = await store.leads.create({ Tenant: ['recTenant1'], Name: 'Mary' });
+
+  assert.match(lead.id, /^rec/);
+  assert.ok(lead['Created']);
+
+  const updated = await store.leads.update(lead.id, { Name: 'Mary W.' });
+  assert.equal(updated['Name'], 'Mary W.');
+  assert.equal((await store.leads.get(lead.id))['Name'], 'Mary W.');
+});
+
+test('updating a record that does not exist is a 404 for the endpoint', async () => {
+  const store = createMemoryStore();
+
+  await assert.rejects(store.leads.update('recMissing', { Name: 'Mary' }), error =>
+    error.name === 'HttpError' && error.status === 404 && /Record not found: Leads recMissing/.test(error.message));
+});
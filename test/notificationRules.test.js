@@ -0,0 +1,123 @@
+// test/notificationRules.test.js - Reading notification rules and when their messages are due
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_STORE = 'memory';
+const store = require('../lib/store');
+const { parseOffset, validateRule } = require('../lib/notificationRules');
+const { dueAt, expiresAt, skipReason, logSent, findDueNotifications } = require('../lib/notifications');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2026-03-02T12:00:00Z');
+const at = (time, hours) => new Date(new Date(time).getTime() + hours * HOUR);
+
+test('parseOffset reads minutes, hours and days', () => {
+  assert.equal(parseOffset('24h'), 24 * 60);
+  assert.equal(parseOffset('2 hours'), 120);
+  assert.equal(parseOffset('30m'), 30);
+  assert.equal(parseOffset('3d'), 3 * 24 * 60);
+  assert.equal(parseOffset('1.5'), 90);
+  assert.equal(parseOffset('0'), 0);
+  assert.equal(parseOffset(2), 120);
+
+  for (const value of ['', 'soon', '-1h', '2 weeks', -1]) {
+    assert.equal(parseOffset(value), null, String(value));
+  }
+});
+
+test('validateRule cleans API input and table rows and explains what is wrong', () => {
+  assert.deepEqual(validateRule({ key: 'nudge', type: 'Follow-up', offset: '1d', at: '09:00', message: 'followup.nudge', noAnswer: true }), {
+    key: 'nudge',
+    type: 'followup',
+    offsetMinutes: 24 * 60,
+    at: 9 * 60,
+    message: 'followup.nudge',
+    notifyAgent: false,
+    noAnswer: true
+  });
+  assert.deepEqual(validateRule({ Key: 'reminder_2h', Type: 'Reminder', Offset: '2h', 'Notify Agent': 'yes' }), {
+    key: 'reminder_2h',
+    type: 'reminder',
+    offsetMinutes: 120,
+    at: null,
+    message: 'reminder.upcoming',
+    notifyAgent: true,
+    noAnswer: false
+  });
+
+  const invalid = [
+    [{ key: 'has space', type: 'Reminder', offset: '1h' }, /Invalid rule key/],
+    [{ key: 'r', type: 'Email', offset: '1h' }, /type must be Reminder or Follow-up/],
+    [{ key: 'r', type: 'Reminder', offset: 'soon' }, /offset must look like/],
+    [{ key: 'r', type: 'Reminder', offset: '1h', at: '25:00' }, /at must be a time of day/],
+    [{ key: 'r', type: 'Reminder', offset: '1h', message: 'followup.ask' }, /message must be one of/]
+  ];
+  for (const [input, message] of invalid) {
+    assert.throws(() => validateRule(input), error => error.status === 400 && message.test(error.message));
+  }
+});
+
+test('dueAt sends "At" rules at that local time across DST changes', () => {
+  const london = 'Europe/London';
+  const viewing = end => ({ StartDateTime: at(end, -1).toISOString(), EndDateTime: end });
+  const nextMorning = { key: 'next_morning', type: 'followup', offsetMinutes: 0, at: 9 * 60 };
+
+  // Saturday before the clocks go forward: Sunday 09:00 is BST
+  assert.equal(dueAt(nextMorning, viewing('2026-03-28T17:00:00Z'), london).toISOString(), '2026-03-29T08:00:00.000Z');
+  // Saturday before they go back: Sunday 09:00 is GMT
+  assert.equal(dueAt(nextMorning, viewing('2026-10-24T17:00:00Z'), london).toISOString(), '2026-10-25T09:00:00.000Z');
+  // 01:30 doesn't exist on the night the clocks go forward; it is sent an hour later
+  assert.equal(dueAt({ ...nextMorning, at: 90 }, viewing('2026-03-28T23:00:00Z'), london).toISOString(), '2026-03-29T01:30:00.000Z');
+
+  // Without "At", the offset from the start or end
+  assert.equal(dueAt({ type: 'reminder', offsetMinutes: 60, at: null }, { StartDateTime: START.toISOString() }, london).toISOString(), '2026-03-02T11:00:00.000Z');
+});
+
+test('expiresAt and skipReason stop a message once the next one is due', () => {
+  const rules = [
+    { key: 'reminder_12h', type: 'reminder', offsetMinutes: 12 * 60, at: null },
+    { key: 'reminder_1h', type: 'reminder', offsetMinutes: 60, at: null },
+    { key: 'followup', type: 'followup', offsetMinutes: 3 * 60, at: null },
+    { key: 'nudge', type: 'followup', offsetMinutes: 2 * 24 * 60, at: null, noAnswer: true }
+  ];
+  const [twelve, one, followUp, nudge] = rules;
+  const booking = { Status: 'Scheduled', StartDateTime: START.toISOString(), EndDateTime: at(START, 1).toISOString() };
+  const context = now => ({ booking, lead: { AwaitingFollowUpResponse: true }, timezone: 'Africa/Nairobi', now });
+
+  assert.equal(expiresAt(twelve, rules, booking, 'Africa/Nairobi').toISOString(), '2026-03-02T11:00:00.000Z');
+  assert.equal(expiresAt(one, rules, booking, 'Africa/Nairobi').toISOString(), START.toISOString());
+  assert.equal(expiresAt(followUp, rules, booking, 'Africa/Nairobi').toISOString(), '2026-03-03T16:00:00.000Z');
+
+  assert.equal(skipReason(twelve, rules, context(at(START, -12))), null);
+  assert.equal(skipReason(twelve, rules, context(at(START, -1))), 'Too late to send');
+  assert.equal(skipReason(one, rules, context(START)), 'Too late to send');
+  assert.equal(skipReason(followUp, rules, context(at(START, 4))), null);
+  assert.equal(skipReason(nudge, rules, context(at(START, 49))), 'No earlier follow-up was sent');
+});
+
+test('findDueNotifications leaves out "no answer" follow-ups once the lead has answered', async () => {
+  const rules = [
+    { key: 'followup', type: 'followup', offsetMinutes: 3 * 60, at: null },
+    { key: 'nudge', type: 'followup', offsetMinutes: 2 * 24 * 60, at: null, noAnswer: true }
+  ];
+  const tenant = { id: 'recTenantRules', 'Time Zone': 'Africa/Nairobi' };
+  const lead = await store.leads.create({ Tenant: [tenant.id], Name: 'Mary', Phone: '254722000111', AwaitingFollowUpResponse: true });
+  const property = await store.properties.create({ Tenant: [tenant.id], 'Property Name': 'Karen Villa' });
+  const viewing = {
+    Tenant: [tenant.id],
+    Lead: [lead.id],
+    Property: [property.id],
+    Status: 'Completed',
+    StartDateTime: START.toISOString(),
+    EndDateTime: at(START, 1).toISOString()
+  };
+  const booking = await store.bookings.create({ ...viewing, ...logSent(viewing, 'followup', at(START, 4)) });
+  const now = at(START, 50);
+
+  const due = await findDueNotifications(tenant, rules, now);
+  assert.deepEqual(due.map(item => [item.rule.key, item.booking.id, item.lead.id]), [['nudge', booking.id, lead.id]]);
+  assert.equal(due[0].property.id, property.id);
+
+  await store.leads.update(lead.id, { AwaitingFollowUpResponse: false });
+  assert.deepEqual(await findDueNotifications(tenant, rules, now), []);
+});
@@ -0,0 +1,178 @@
+// test/orchestrator.test.js - processMessage on the memory store: one lead's conversation from the
+// greeting to a booking (locations, sizes, search, slots), the agent's commands, and cancelling
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = {
+  id: 'recTenant1',
+  'Company Name': 'Acme Homes',
+  'Bot Name': 'Ada',
+  'Property Types': 'Buy, Rent, Land',
+  'WhatsApp Number': '+254 700 000 001',
+  'WhatsApp Phone Number ID': '111',
+  'Time Zone': 'Africa/Nairobi',
+  'Slot Duration': 60
+};
+const property = fields => ({ Tenant: ['recTenant1'], TenantID: 'recTenant1', Available: true, ...fields });
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [tenant],
+  Properties: [
+    property({ id: 'recP1', 'Property Name': 'Karen Villa', Type: 'Buy', Location: 'Karen', Bedrooms: 3, Price: 25000000, Address: 'Karen Rd', 'Agent Name': 'Bob', 'Agent Phone': '+254711000000' }),
+    property({ id: 'recP2', 'Property Name': 'Karen Cottage', Type: 'Buy', Location: 'Karen', Bedrooms: 3, Price: 18000000, Address: 'Karen Lane' }),
+    property({ id: 'recP3', 'Property Name': 'Westlands Flat', Type: 'Buy', Location: 'Westlands', Bedrooms: 2, Price: 9000000, Address: 'Waiyaki Way' }),
+    property({ id: 'recP4', 'Property Name': 'Kitengela Plot', Type: 'Land', Location: 'Kitengela', 'Plot Size': '50 x 100', Price: 1500000, Address: 'Kitengela' })
+  ]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { processMessage } = require('../lib/orchestrator');
+const { isRecorded } = require('../lib/transcripts');
+
+const LEAD_PHONE = '254722000111';
+const AGENT_PHONE = '254711000000';
+
+// The pipeline logs every step; keep the test output readable
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const send = (message, from = LEAD_PHONE) => processMessage({ tenant, from, message });
+
+test('a lead goes from the greeting to a booked viewing', async (t) => {
+  let lead;
+
+  await t.test('the greeting creates the lead and offers the property types', async () => {
+    const outcome = await send('hi');
+    assert.equal(outcome.action, 'create');
+    assert.equal(outcome.stage, 'asked_buy_or_rent');
+    assert.match(outcome.reply, /Buy[\s\S]*Rent[\s\S]*Land/);
+
+    lead = await store.leads.findByPhone('recTenant1', LEAD_PHONE);
+    assert.ok(lead);
+  });
+
+  await t.test('interest and name are saved to the lead', async () => {
+    assert.equal((await send('1')).stage, 'asked_name');
+    assert.equal((await send('Mary')).stage, 'asked_budget');
+
+    lead = await store.leads.get(lead.id);
+    assert.equal(lead['Interest'], 'Buy');
+    assert.equal(lead['Name'], 'Mary');
+  });
+
+  await t.test('fetch_locations lists the areas with properties of that type', async () => {
+    const outcome = await send('30M');
+    assert.equal(outcome.action, 'fetch_locations');
+    assert.equal(outcome.stage, 'asked_location');
+    assert.match(outcome.reply, /Karen/);
+    assert.match(outcome.reply, /Westlands/);
+    assert.doesNotMatch(outcome.reply, /Kitengela/);
+
+    assert.equal((await store.leads.get(lead.id))['Budget'], '30000000');
+  });
+
+  await t.test('fetch_sizes lists the sizes in the area', async () => {
+    const outcome = await send('Karen');
+    assert.equal(outcome.action, 'fetch_sizes');
+    assert.equal(outcome.stage, 'asked_size');
+    assert.match(outcome.reply, /3 bedrooms/);
+  });
+
+  await t.test('the search returns the matching properties', async () => {
+    const outcome = await send('3');
+    assert.equal(outcome.stage, 'completed');
+    assert.match(outcome.reply, /1️⃣ \*Karen Villa\*/);
+    assert.match(outcome.reply, /2️⃣ \*Karen Cottage\*/);
+    assert.doesNotMatch(outcome.reply, /Westlands Flat/);
+  });
+
+  await t.test('choosing a property offers viewing slots', async () => {
+    const outcome = await send('1');
+    assert.equal(outcome.action, 'booking');
+    assert.equal(outcome.stage, 'awaiting_time_slot');
+    assert.match(outcome.reply, /Karen Villa/);
+    assert.match(outcome.reply, /1️⃣ /);
+  });
+
+  await t.test('create_booking books the slot and alerts the agent', async () => {
+    const outcome = await send('1');
+    assert.equal(outcome.action, 'create_booking');
+    assert.equal(outcome.stage, 'booking_confirmed');
+    assert.match(outcome.reply, /VIEWING CONFIRMED/);
+
+    assert.equal(outcome.agentNotifications.length, 1);
+    assert.equal(outcome.agentNotifications[0].agentPhone, '+254711000000');
+    assert.match(outcome.agentNotifications[0].message, /Mary/);
+
+    const bookings = await store.bookings.find({ tenantId: 'recTenant1', leadId: lead.id });
+    assert.equal(bookings.length, 1);
+    assert.deepEqual(bookings[0]['Property'], ['recP1']);
+    assert.equal(bookings[0]['Status'], 'Scheduled');
+    assert.ok(new Date(bookings[0]['StartDateTime']) > new Date());
+  });
+});
+
+test('the agent confirms the viewing and the lead is told', async () => {
+  const outcome = await send('CONFIRM', AGENT_PHONE);
+  assert.equal(outcome.action, 'agent_command');
+  assert.match(outcome.reply, /Confirmed: \*Karen Villa\*/);
+
+  assert.equal(outcome.leadNotifications.length, 1);
+  assert.equal(outcome.leadNotifications[0].leadPhone, LEAD_PHONE);
+  assert.equal(outcome.leadNotifications[0].status, 'Confirmed');
+});
+
+test('the lead lists and cancels the viewing', async () => {
+  const listed = await send('my bookings');
+  assert.equal(listed.action, 'list_bookings');
+  assert.match(listed.reply, /Karen Villa/);
+
+  const cancelled = await send('cancel');
+  assert.equal(cancelled.action, 'cancel_booking');
+  assert.equal(cancelled.stage, 'booking_cancelled');
+  assert.equal(cancelled.agentNotifications.length, 1);
+
+  const lead = await store.leads.findByPhone('recTenant1', LEAD_PHONE);
+  const [booking] = await store.bookings.find({ tenantId: 'recTenant1', leadId: lead.id });
+  assert.equal(booking['Status'], 'Cancelled');
+  assert.deepEqual(await store.events.find({}), []);
+});
+
+test('every message is in the transcript with what came of it', async () => {
+  const messages = await store.messages.find({ tenantId: 'recTenant1' }, { sort: [{ field: 'Created', direction: 'asc' }] });
+
+  assert.deepEqual(messages.map(m => [m['Party'], m['Text'], m['Action']]), [
+    ['Lead', 'hi', 'create'],
+    ['Lead', '1', 'update'],
+    ['Lead', 'Mary', 'update'],
+    ['Lead', '30M', 'fetch_locations'],
+    ['Lead', 'Karen', 'fetch_sizes'],
+    ['Lead', '3', 'update'],
+    ['Lead', '1', 'booking'],
+    ['Lead', '1', 'create_booking'],
+    ['Agent', 'CONFIRM', 'agent_command'],
+    ['Lead', 'my bookings', 'list_bookings'],
+    ['Lead', 'cancel', 'cancel_booking']
+  ]);
+});
+
+test('WhatsApp messages are found in the transcript by their ID, and a failed lookup lets them through', async (t) => {
+  await processMessage({ tenant, from: LEAD_PHONE, message: 'hi', messageId: 'wamid.9' });
+  assert.equal(await isRecorded('wamid.9'), true);
+  assert.equal(await isRecorded('wamid.10'), false);
+
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(store.messages, 'find', async () => {
+    throw new Error('Unknown field name: "WhatsApp Message ID"');
+  });
+  assert.equal(await isRecorded('wamid.9'), false);
+});
@@ -0,0 +1,108 @@
+// test/pagination.test.js - Paging a lead's search results with MORE on the memory store: numbers
+// that stay put across pages, the end of the list, and a new search starting over
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = {
+  id: 'recTenant1',
+  'Company Name': 'Acme Homes',
+  'Property Types': 'Buy, Rent',
+  'Time Zone': 'Africa/Nairobi',
+  'Slot Duration': 60
+};
+
+// Seven 2-bedroom flats in Kilimani, ranked in this order for a 100k budget: three pages of three
+const flats = [1, 2, 3, 4, 5, 6, 7].map(n => ({
+  id: `recP${n}`,
+  Tenant: ['recTenant1'],
+  TenantID: 'recTenant1',
+  'Property Name': `Kilimani Flat ${n}`,
+  Type: 'Rent',
+  Location: 'Kilimani',
+  Bedrooms: 2,
+  Price: 60000 - n * 1000,
+  Available: true
+}));
+
+fs.writeFileSync(dataFile, JSON.stringify({ Tenants: [tenant], Properties: flats }));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { processMessage } = require('../lib/orchestrator');
+const i18n = require('../lib/i18n');
+
+const LEAD_PHONE = '254722000111';
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const send = message => processMessage({ tenant, from: LEAD_PHONE, message });
+const lead = () => store.leads.findByPhone('recTenant1', LEAD_PHONE);
+
+// The property numbers and names a reply lists, e.g. [[4, 'Kilimani Flat 4'], ...]
+const listed = reply => [...reply.matchAll(/(\d+)️⃣ \*([^*]+)\*/g)].map(([, number, name]) => [Number(number), name]);
+
+test('MORE pages through the results with stable numbers', async (t) => {
+  await t.test('the search shows the first page and offers MORE', async () => {
+    for (const message of ['hi', '2', 'Mary', '100k', 'Kilimani']) await send(message);
+
+    const outcome = await send('2');
+    assert.equal(outcome.stage, 'completed');
+    assert.deepEqual(listed(outcome.reply), [[1, 'Kilimani Flat 1'], [2, 'Kilimani Flat 2'], [3, 'Kilimani Flat 3']]);
+    assert.ok(outcome.reply.includes(i18n.t('en', 'search.footerMore')));
+
+    const saved = await lead();
+    assert.equal(saved['Search Page'], 1);
+    assert.equal(JSON.parse(saved['Search Results']).length, 7);
+  });
+
+  await t.test('page 2 carries on from 4 and keeps a gap for a property taken off the market', async () => {
+    await store.properties.update('recP5', { Available: false });
+
+    const outcome = await send('MORE');
+    assert.equal(outcome.action, 'more_results');
+    assert.match(outcome.reply, /page 2 of 3/);
+    assert.deepEqual(listed(outcome.reply), [[4, 'Kilimani Flat 4'], [6, 'Kilimani Flat 6']]);
+    assert.equal((await lead())['Search Page'], 2);
+  });
+
+  await t.test('the last page has no MORE, and MORE past it says the list is over', async () => {
+    const last = await send('more');
+    assert.deepEqual(listed(last.reply), [[7, 'Kilimani Flat 7']]);
+    assert.ok(!last.reply.includes(i18n.t('en', 'search.footerMore')));
+
+    const past = await send('MORE');
+    assert.equal(past.reply, `${i18n.t('en', 'search.end')}\n\n${i18n.t('en', 'search.endHint')}`);
+    assert.equal((await lead())['Search Page'], 3);
+  });
+});
+
+test('a property number picks the same property on any page', async () => {
+  const gone = await send('5');
+  assert.equal(gone.stage, 'completed');
+  assert.equal(gone.reply, i18n.t('en', 'search.propertyGone'));
+
+  const chosen = await send('4');
+  assert.equal(chosen.action, 'booking');
+  assert.match(chosen.reply, /Kilimani Flat 4/);
+});
+
+test('a new search starts again from page 1', async () => {
+  await store.properties.update('recP5', { Available: true });
+  await store.leads.update((await lead()).id, { 'Conversation Stage': 'asked_size', 'Search Page': 3 });
+
+  const outcome = await send('2');
+  assert.deepEqual(listed(outcome.reply).map(([number]) => number), [1, 2, 3]);
+  assert.equal((await lead())['Search Page'], 1);
+
+  const more = await send('MORE');
+  assert.deepEqual(listed(more.reply), [[4, 'Kilimani Flat 4'], [5, 'Kilimani Flat 5'], [6, 'Kilimani Flat 6']]);
+});
@@ -0,0 +1,151 @@
+// test/propertyImport.test.js - Reading CSV files and importing their rows as listings on the
+// memory store: column mapping, row checks, duplicates, deleted listings and dry runs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+const tenant = { id: 'recTenant1', 'Company Name': 'Acme Homes', 'Property Types': 'Buy, Rent, Land' };
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [tenant],
+  Properties: [
+    { id: 'recP1', Tenant: ['recTenant1'], 'External ID': 'EXT-1', 'Property Name': 'Karen Villa', Type: 'Buy', Location: 'Karen', Bedrooms: 3, Price: 25000000, Available: true },
+    { id: 'recP2', Tenant: ['recTenant1'], 'External ID': 'EXT-2', 'Property Name': 'Old Flat', Type: 'Rent', Location: 'Kilimani', Bedrooms: 2, Price: 80000, 'Deleted At': '2026-01-10T08:00:00.000Z' }
+  ],
+  Agents: [{ id: 'recAgent1', Tenant: ['recTenant1'], Name: 'Jane', Phone: '+254711000000', Active: true }]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const { parseCsv } = require('../lib/spreadsheets');
+const { mapColumns, importProperties } = require('../lib/propertyImport');
+
+test.mock.method(console, 'log', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const csv = lines => Buffer.from(lines.join('\r\n'));
+const HEADER = 'External ID,Property Name,Type,Location,Bedrooms,Price,Agent';
+
+// ============================================
+// CSV
+// ============================================
+
+test('parseCsv keeps separators, quotes and line breaks inside quoted cells', () => {
+  assert.deepEqual(parseCsv('\uFEFFname,address\r\n"Villa, Karen","Karen Rd\nGate 2"\r\n"The ""Nest""",\n'), [
+    ['name', 'address'],
+    ['Villa, Karen', 'Karen Rd\nGate 2'],
+    ['The "Nest"', '']
+  ]);
+});
+
+test('parseCsv reads ";" and tab separated exports', () => {
+  assert.deepEqual(parseCsv('name;price;location\nVilla;25000000,50;"Karen; Nairobi"'), [
+    ['name', 'price', 'location'],
+    ['Villa', '25000000,50', 'Karen; Nairobi']
+  ]);
+  assert.deepEqual(parseCsv('name\tprice\nVilla\t100'), [['name', 'price'], ['Villa', '100']]);
+
+  // A quoted header holding commas doesn't make it a comma file
+  assert.deepEqual(parseCsv('"name, full";price\nVilla;100'), [['name, full', 'price'], ['Villa', '100']]);
+});
+
+test('parseCsv rejects a quoted cell that is never closed', () => {
+  assert.throws(() => parseCsv('name\n"Villa'), error => error.status === 400 && /never closed/.test(error.message));
+});
+
+// ============================================
+// Columns
+// ============================================
+
+test('mapColumns maps headers by any of their names and reports the rest', () => {
+  assert.deepEqual(mapColumns(['Ref', 'Property_Name', ' AREA ', 'Beds', 'Notes', '']), {
+    columns: ['externalId', 'name', 'location', 'bedrooms', null, null],
+    ignored: ['Notes']
+  });
+
+  assert.throws(() => mapColumns(['Name', 'Title']), /More than one column maps to name/);
+  assert.throws(() => mapColumns(['Notes']), /No known columns/);
+});
+
+// ============================================
+// Import
+// ============================================
+
+test('a dry run reports what would happen to each row and writes nothing', async () => {
+  const before = fs.readFileSync(dataFile, 'utf8');
+
+  const report = await importProperties(tenant, csv([
+    HEADER,
+    'EXT-1,,,,,26000000,',
+    'EXT-3,Runda House,Buy,Runda,4,40000000,0711 000000',
+    ',Kitengela Plot,Land,Kitengela,,1500000,',
+    'EXT-4,Bad Price,Buy,Karen,3,free,'
+  ]));
+
+  assert.equal(report.mode, 'dry-run');
+  assert.equal(report.format, 'csv');
+  assert.deepEqual(report.rows.map(r => [r.row, r.action]), [[2, 'update'], [3, 'create'], [4, 'error'], [5, 'error']]);
+  assert.equal(report.rows[0].propertyId, 'recP1');
+  assert.deepEqual(report.rows[2].errors, ['plotSize is required for Land']);
+  assert.deepEqual(report.rows[3].errors, ['price must be a number more than 0']);
+  assert.deepEqual(report.counts, { create: 1, update: 1, duplicate: 0, error: 2 });
+
+  assert.equal(fs.readFileSync(dataFile, 'utf8'), before);
+});
+
+test('duplicate External IDs and listings already in the file or the store are not imported', async () => {
+  const report = await importProperties(tenant, csv([
+    HEADER,
+    'EXT-5,Lavington Home,Buy,Lavington,4,30000000,',
+    'EXT-5,Lavington Home 2,Buy,Lavington,4,31000000,',
+    ',Syokimau Maisonette,Buy,Syokimau,3,9000000,',
+    ',syokimau  maisonette,Buy,SYOKIMAU,3,9500000,',
+    ',Karen Villa,Buy,Karen,3,25000000,'
+  ]), { mode: 'upsert' });
+
+  assert.deepEqual(report.rows.map(r => [r.action, r.duplicateOf || null]), [
+    ['create', null],
+    ['duplicate', 'row 2'],
+    ['create', null],
+    ['duplicate', 'row 4'],
+    ['duplicate', 'recP1']
+  ]);
+
+  const created = await store.properties.find({ tenantId: 'recTenant1' });
+  assert.deepEqual(created.map(p => p['Property Name']).filter(name => /Lavington|Syokimau/i.test(name)).sort(),
+    ['Lavington Home', 'Syokimau Maisonette']);
+});
+
+test('an upsert updates only the filled cells, links agents and never revives deleted listings', async () => {
+  const report = await importProperties(tenant, csv([
+    HEADER,
+    'EXT-1,,,,,26000000,Jane',
+    'EXT-2,Old Flat,Rent,Kilimani,2,85000,',
+    'EXT-6,Muthaiga Villa,Buy,Muthaiga,5,90000000,Bob'
+  ]), { mode: 'upsert' });
+
+  assert.deepEqual(report.rows.map(r => r.action), ['update', 'error', 'error']);
+  assert.match(report.rows[1].errors[0], /recP2 with externalId EXT-2 is deleted/);
+  assert.deepEqual(report.rows[2].errors, ['No agent matches Bob']);
+
+  const villa = await store.properties.get('recP1');
+  assert.equal(villa['Price'], 26000000);
+  assert.equal(villa['Property Name'], 'Karen Villa');
+  assert.deepEqual(villa['Agents'], ['recAgent1']);
+
+  assert.equal((await store.properties.get('recP2'))['Price'], 80000);
+  assert.deepEqual(await store.properties.find({ tenantId: 'recTenant1', externalId: 'EXT-6' }), []);
+});
+
+test('importProperties rejects unknown modes and files without rows', async () => {
+  await assert.rejects(importProperties(tenant, csv([HEADER, 'EXT-7,A,Buy,Karen,3,1,']), { mode: 'replace' }), /mode must be one of dry-run, upsert/);
+  await assert.rejects(importProperties(tenant, csv([HEADER, ',,,,,,'])), /no rows below the header/);
+  await assert.rejects(importProperties(tenant, Buffer.alloc(0)), /Send the CSV or XLSX file/);
+});
@@ -0,0 +1,106 @@
+// test/ranking.test.js - Budget parsing and budget-aware ranking with labelled near matches
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBudget, classifyProperty, rankProperties } = require('../lib/ranking');
+
+const home = (id, fields) => ({ id, Type: 'Buy', Location: 'Karen', Bedrooms: 3, Price: 10000000, ...fields });
+const prefs = overrides => ({ location: 'Karen', bedrooms: 3, budget: 10000000, locale: 'en', ...overrides });
+
+// ============================================
+// parseBudget
+// ============================================
+
+test('parseBudget reads plain, grouped and abbreviated amounts', () => {
+  assert.equal(parseBudget('5000000'), 5000000);
+  assert.equal(parseBudget(5000000), 5000000);
+  assert.equal(parseBudget('5,000,000'), 5000000);
+  assert.equal(parseBudget('5M'), 5000000);
+  assert.equal(parseBudget('1.5m'), 1500000);
+  assert.equal(parseBudget('80K'), 80000);
+  assert.equal(parseBudget('KES 5M'), 5000000);
+  assert.equal(parseBudget('Ksh 2,500,000/='), 2500000);
+  assert.equal(parseBudget('5000000 KES'), 5000000);
+});
+
+test('parseBudget reads spelled-out units in English and Swahili', () => {
+  assert.equal(parseBudget('5 million'), 5000000);
+  assert.equal(parseBudget('2.5 Million'), 2500000);
+  assert.equal(parseBudget('80 thousand'), 80000);
+  assert.equal(parseBudget('milioni 5'), 5000000);
+  assert.equal(parseBudget('5 milioni'), 5000000);
+  assert.equal(parseBudget('elfu 80'), 80000);
+});
+
+test('parseBudget gives null for amounts it cannot read', () => {
+  for (const value of [undefined, null, '', 'abc', '0', '2 bedrooms', '5 mil', 'a few million']) {
+    assert.equal(parseBudget(value), null, String(value));
+  }
+});
+
+// ============================================
+// Near matches
+// ============================================
+
+test('classifyProperty labels what is different about a near match', () => {
+  assert.equal(classifyProperty(home('recA', {}), prefs()), 'exact');
+  assert.equal(classifyProperty(home('recA', { Bedrooms: 4 }), prefs()), 'nearby_bedrooms');
+  assert.equal(classifyProperty(home('recA', { Bedrooms: 2 }), prefs()), 'nearby_bedrooms');
+  assert.equal(classifyProperty(home('recA', { Price: 12000000 }), prefs()), 'higher_price');
+  assert.equal(classifyProperty(home('recA', { Location: 'Westlands' }), prefs()), 'other_location');
+
+  // Two things off, or more than 20% over budget
+  assert.equal(classifyProperty(home('recA', { Bedrooms: 5 }), prefs()), null);
+  assert.equal(classifyProperty(home('recA', { Price: 12000001 }), prefs()), null);
+  assert.equal(classifyProperty(home('recA', { Location: 'Westlands', Bedrooms: 4 }), prefs()), null);
+});
+
+test('classifyProperty never counts an unpriced property or a missing budget as over budget', () => {
+  assert.equal(classifyProperty(home('recA', { Price: null }), prefs()), 'exact');
+  assert.equal(classifyProperty(home('recA', { Price: 90000000 }), prefs({ budget: null })), 'exact');
+});
+
+test('classifyProperty matches plots by size instead of bedrooms', () => {
+  const plot = { id: 'recL', Type: 'Land', Location: 'Kitengela', 'Plot Size': '50 x 100', Price: 1500000 };
+  const land = { location: 'Kitengela', plotSize: '50x100', budget: 2000000 };
+
+  assert.equal(classifyProperty(plot, land), 'exact');
+  assert.equal(classifyProperty(plot, { ...land, plotSize: '1/4 acre' }), null);
+  assert.equal(classifyProperty({ ...plot, Location: 'Athi River' }, land), 'other_location');
+});
+
+test('rankProperties returns only exact matches when there are any', () => {
+  const ranked = rankProperties([
+    home('recB', { Price: 9000000 }),
+    home('recA', { Bedrooms: 4 }),
+    home('recC', { Price: 6000000 })
+  ], prefs());
+
+  assert.deepEqual(ranked.map(r => r.record.id), ['recB', 'recC']);
+  assert.ok(ranked.every(r => r.matchType === 'exact' && r.matchNote === ''));
+});
+
+test('rankProperties offers labelled alternatives when nothing matches exactly', () => {
+  const ranked = rankProperties([
+    home('recOther', { Location: 'Westlands' }),
+    home('recPricey', { Price: 11000000 }),
+    home('recBigger', { Bedrooms: 4 }),
+    home('recFar', { Location: 'Westlands', Bedrooms: 5 })
+  ], prefs());
+
+  assert.deepEqual(ranked.map(r => [r.record.id, r.matchType, r.matchNote]), [
+    ['recBigger', 'nearby_bedrooms', '4 bedrooms instead of 3'],
+    ['recPricey', 'higher_price', 'KES 1,000,000 above your budget'],
+    ['recOther', 'other_location', 'In Westlands instead of Karen']
+  ]);
+});
+
+test('rankProperties puts the closest to the budget first, breaks ties on record ID and keeps to the limit', () => {
+  const records = [
+    home('recC', { Price: 9000000 }),
+    home('recB', {}),
+    home('recA', {})
+  ];
+
+  assert.deepEqual(rankProperties(records, prefs()).map(r => r.record.id), ['recA', 'recB', 'recC']);
+  assert.deepEqual(rankProperties(records, prefs(), 2).map(r => r.record.id), ['recA', 'recB']);
+});
@@ -0,0 +1,35 @@
+// test/richMessages.test.js - Structured WhatsApp payloads and the WhatsApp limits they keep to
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const richMessages = require('../lib/richMessages');
+
+const listing = number => ({ number, name: `Home ${number}`, location: 'Karen', photoUrl: number % 2 ? `https://example.com/${number}.jpg` : null });
+const cardText = p => `${p.number}. ${p.name}`;
+
+test('propertyCards sends a card per property and a picker with MORE', () => {
+  const messages = richMessages.propertyCards('Found 4 homes', [1, 2, 3].map(listing), cardText, { hasMore: true, locale: 'en' });
+
+  assert.deepEqual(messages.map(m => m.type), ['text', 'image', 'text', 'image', 'list']);
+  assert.equal(messages[1].caption, '1. Home 1');
+  assert.deepEqual(messages[4].sections[0].rows.map(row => row.id), ['property:1', 'property:2', 'property:3', 'cmd:MORE']);
+});
+
+test('propertyCards keeps MORE in a full list and leaves out the last property instead', () => {
+  const properties = Array.from({ length: 10 }, (_, index) => listing(index + 1));
+
+  const more = richMessages.propertyCards('', properties, cardText, { hasMore: true, locale: 'en' }).pop();
+  const rows = more.sections[0].rows;
+  assert.equal(rows.length, 10);
+  assert.equal(rows[8].id, 'property:9');
+  assert.equal(rows[9].id, 'cmd:MORE');
+
+  const last = richMessages.propertyCards('', properties, cardText, { locale: 'en' }).pop();
+  assert.deepEqual(last.sections[0].rows.map(row => row.id), properties.map(p => `property:${p.number}`));
+});
+
+test('propertyCards uses reply buttons for up to three options', () => {
+  const [, picker] = richMessages.propertyCards('', [listing(2)], cardText, { hasMore: true, locale: 'en' });
+
+  assert.equal(picker.type, 'buttons');
+  assert.deepEqual(picker.buttons.map(button => button.id), ['property:2', 'cmd:MORE']);
+});
@@ -0,0 +1,228 @@
+// test/scheduler.test.js - Reminder and follow-up jobs on the memory store: scheduling, sending
+// to the lead and the agent, crashes mid-send, retries, reschedules and late jobs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store is chosen when lib/store.js is first required
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+const dataFile = path.join(dir, 'store.json');
+
+fs.writeFileSync(dataFile, JSON.stringify({
+  Tenants: [{
+    id: 'recTenant1',
+    'Company Name': 'Acme Homes',
+    'Bot Name': 'Ada',
+    'WhatsApp Phone Number ID': '111',
+    'Time Zone': 'Africa/Nairobi',
+    'Plain Text Replies': true
+  }],
+  Properties: [{
+    id: 'recP1',
+    Tenant: ['recTenant1'],
+    'Property Name': 'Karen Villa',
+    Address: 'Karen Rd',
+    'Agent Name': ['Bob'],
+    'Agent Phone': ['+254711000000']
+  }],
+  Leads: [{ id: 'recLead1', Tenant: ['recTenant1'], Name: 'Mary', Phone: '254722000111' }]
+}));
+process.env.DATA_STORE = 'memory';
+process.env.DATA_STORE_FILE = dataFile;
+
+const store = require('../lib/store');
+const scheduler = require('../lib/scheduler');
+const { forgetTenant } = require('../lib/tenants');
+
+const LEAD = '254722000111';
+const AGENT = '254711000000';
+const HOUR = 60 * 60 * 1000;
+
+// Viewings start at noon on 2 March 2026; the 12h reminder is due at midnight
+const START = new Date('2026-03-02T12:00:00Z');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+test.mock.method(console, 'error', () => {});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ============================================
+// Helpers
+// ============================================
+
+function createSender({ failing = false } = {}) {
+  const sent = [];
+  return {
+    name: 'test',
+    sent,
+    async sendText(phoneNumberId, to, text) {
+      if (failing) throw new Error('WhatsApp send failed (500): Service unavailable');
+      sent.push({ phoneNumberId, to, text });
+    }
+  };
+}
+
+async function createViewing(start = START) {
+  const booking = await store.bookings.create({
+    Tenant: ['recTenant1'],
+    Lead: ['recLead1'],
+    Property: ['recP1'],
+    Status: 'Scheduled',
+    StartDateTime: start.toISOString(),
+    EndDateTime: new Date(start.getTime() + HOUR).toISOString()
+  });
+  await scheduler.scheduleBookingJobs(booking);
+  return booking;
+}
+
+async function jobFor(booking, ruleKey) {
+  const [job] = await store.jobs.find({ key: scheduler.jobKey(ruleKey, booking.id) }, { limit: 1 });
+  return job;
+}
+
+const at = (time, hours) => new Date(new Date(time).getTime() + hours * HOUR);
+
+// ============================================
+// Scheduling and sending
+// ============================================
+
+test('scheduleBookingJobs adds one pending job per default rule', async () => {
+  const booking = await createViewing();
+  const jobs = await Promise.all(['reminder_12h', 'reminder_1h', 'followup'].map(key => jobFor(booking, key)));
+
+  assert.deepEqual(jobs.map(job => [job['Status'], job['Run At']]), [
+    ['Pending', '2026-03-02T00:00:00.000Z'],
+    ['Pending', '2026-03-02T11:00:00.000Z'],
+    ['Pending', '2026-03-02T16:00:00.000Z']
+  ]);
+  assert.ok(jobs.every(job => job['Viewing Start'] === START.toISOString() && job['Attempts'] === 0));
+
+  // Scheduling again doesn't add more
+  await scheduler.scheduleBookingJobs(booking);
+  assert.equal((await store.jobs.find({})).filter(job => job['Booking'][0] === booking.id).length, 3);
+});
+
+test('runJob reminds the lead and the agent once and logs it on the booking', async () => {
+  const booking = await createViewing();
+  const sender = createSender();
+  const job = await jobFor(booking, 'reminder_12h');
+
+  assert.equal(await scheduler.runJob(job, sender, at(job['Run At'], 0)), 'Sent');
+  assert.deepEqual(sender.sent.map(message => message.to), [LEAD, AGENT]);
+  assert.ok(sender.sent.every(message => message.phoneNumberId === '111'));
+
+  const done = await jobFor(booking, 'reminder_12h');
+  assert.equal(done['Status'], 'Sent');
+  assert.equal(done['Delivered'], 'lead, agent');
+
+  // The same job run again (another instance picked it up) finds the message in the log
+  assert.equal(await scheduler.runJob(job, sender, at(job['Run At'], 0)), 'Sent');
+  assert.equal(sender.sent.length, 2);
+});
+
+test('runJob leaves out a recipient a crash left in "Sending"', async () => {
+  const booking = await createViewing();
+  const sender = createSender();
+  const job = await jobFor(booking, 'reminder_12h');
+  await store.jobs.update(job.id, { 'Sending': 'lead' });
+
+  const interrupted = await jobFor(booking, 'reminder_12h');
+  assert.equal(await scheduler.runJob(interrupted, sender, at(job['Run At'], 0)), 'Sent');
+  assert.deepEqual(sender.sent.map(message => message.to), [AGENT]);
+  assert.equal((await jobFor(booking, 'reminder_12h'))['Delivered'], 'lead, agent');
+});
+
+test('runJob retries a failed send with backoff and gives up after MAX_ATTEMPTS', async () => {
+  const booking = await createViewing();
+  const sender = createSender({ failing: true });
+  const now = at(START, -12);
+
+  assert.equal(await scheduler.runJob(await jobFor(booking, 'reminder_12h'), sender, now), 'Pending');
+  let job = await jobFor(booking, 'reminder_12h');
+  assert.equal(job['Attempts'], 1);
+  assert.equal(job['Run At'], new Date(now.getTime() + scheduler.retryDelay(1)).toISOString());
+  assert.match(job['Detail'], /Service unavailable/);
+
+  await store.jobs.update(job.id, { 'Attempts': scheduler.MAX_ATTEMPTS - 1 });
+  assert.equal(await scheduler.runJob(await jobFor(booking, 'reminder_12h'), sender, now), 'Failed');
+  job = await jobFor(booking, 'reminder_12h');
+  assert.equal(job['Status'], 'Failed');
+  assert.equal(job['Attempts'], scheduler.MAX_ATTEMPTS);
+});
+
+test('runJob keeps the jobs of a tenant without a WhatsApp Phone Number ID until one is set', async () => {
+  const booking = await createViewing();
+  const sender = createSender();
+  const now = at(START, -12);
+
+  await store.tenants.update('recTenant1', { 'WhatsApp Phone Number ID': '' });
+  forgetTenant('recTenant1');
+  try {
+    assert.equal(await scheduler.runJob(await jobFor(booking, 'reminder_12h'), sender, now), 'Pending');
+    const waiting = await jobFor(booking, 'reminder_12h');
+    assert.equal(waiting['Run At'], new Date(now.getTime() + scheduler.SETUP_DELAY).toISOString());
+    assert.equal(waiting['Detail'], 'Tenant has no WhatsApp Phone Number ID');
+    assert.equal(waiting['Attempts'], 0);
+  } finally {
+    await store.tenants.update('recTenant1', { 'WhatsApp Phone Number ID': '111' });
+    forgetTenant('recTenant1');
+  }
+
+  // Set since: the next run sends it
+  const job = await jobFor(booking, 'reminder_12h');
+  assert.equal(await scheduler.runJob(job, sender, new Date(job['Run At'])), 'Sent');
+  assert.deepEqual(sender.sent.map(message => message.to), [LEAD, AGENT]);
+});
+
+test('retryDelay doubles from a minute up to half an hour', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 10].map(attempts => scheduler.retryDelay(attempts) / 60000), [1, 2, 4, 8, 16, 30, 30]);
+});
+
+test('a reschedule re-arms the jobs whose message went out for the old time', async () => {
+  const booking = await createViewing();
+  const sender = createSender();
+  const job = await jobFor(booking, 'reminder_12h');
+  await scheduler.runJob(job, sender, at(job['Run At'], 0));
+
+  const newStart = at(START, 24);
+  const moved = await store.bookings.update(booking.id, {
+    StartDateTime: newStart.toISOString(),
+    EndDateTime: at(newStart, 1).toISOString()
+  });
+  await scheduler.scheduleBookingJobs(moved);
+
+  const rearmed = await jobFor(booking, 'reminder_12h');
+  assert.equal(rearmed['Status'], 'Pending');
+  assert.equal(rearmed['Run At'], at(newStart, -12).toISOString());
+  assert.equal(rearmed['Viewing Start'], newStart.toISOString());
+  assert.equal(rearmed['Delivered'], '');
+
+  assert.equal(await scheduler.runJob(rearmed, sender, at(rearmed['Run At'], 0)), 'Sent');
+  assert.equal(sender.sent.filter(message => message.to === LEAD).length, 2);
+});
+
+test('runJob skips a reminder that is too late to be useful', async () => {
+  const booking = await createViewing();
+  const sender = createSender();
+
+  // The server was down from the 12h reminder until after the 1h one was due
+  const status = await scheduler.runJob(await jobFor(booking, 'reminder_12h'), sender, at(START, -0.5));
+  assert.equal(status, 'Skipped');
+  assert.equal((await jobFor(booking, 'reminder_12h'))['Detail'], 'Too late to send');
+  assert.equal(sender.sent.length, 0);
+});
+
+test('runJob skips cancelled viewings and pushes back jobs not due yet', async () => {
+  const booking = await createViewing();
+  const sender = createSender();
+
+  assert.equal(await scheduler.runJob(await jobFor(booking, 'reminder_12h'), sender, at(START, -13)), 'Pending');
+
+  await store.bookings.update(booking.id, { Status: 'Cancelled' });
+  assert.equal(await scheduler.runJob(await jobFor(booking, 'reminder_1h'), sender, at(START, -1)), 'Skipped');
+  assert.equal((await jobFor(booking, 'reminder_1h'))['Detail'], 'Booking is Cancelled');
+  assert.equal(sender.sent.length, 0);
+});
@@ -0,0 +1,108 @@
+// test/templates.test.js - Tenant message templates on the memory store: checking them, overriding
+// the catalogue text per language, and what happens to rows edited by hand
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DATA_STORE = 'memory';
+const store = require('../lib/store');
+const i18n = require('../lib/i18n');
+const { validateTemplate, getTemplates, listTemplates, saveTemplate, deleteTemplate } = require('../lib/templates');
+const handleMessage = require('../handleMessage');
+
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'warn', () => {});
+
+const badRequest = message => error => error.status === 400 && message.test(error.message);
+
+// ============================================
+// Validation
+// ============================================
+
+test('validateTemplate accepts the key\'s placeholders and normalizes the language', () => {
+  assert.deepEqual(validateTemplate({ key: 'followup.interested', language: 'Kiswahili', text: 'Asante {{ leadName }} wa {{companyName}}!' }), {
+    key: 'followup.interested',
+    language: 'sw',
+    text: 'Asante {{ leadName }} wa {{companyName}}!'
+  });
+  assert.equal(validateTemplate({ key: 'followup.interested', text: 'Thanks!' }).language, null);
+});
+
+test('validateTemplate rejects unknown keys, languages and placeholders, and malformed ones', () => {
+  const invalid = [
+    [{ key: 'no.such.key', text: 'Hi' }, /Unknown template key: no.such.key/],
+    [{ key: 'followup.interested', language: 'French', text: 'Hi' }, /Unsupported language: French/],
+    [{ key: 'followup.interested', text: '  ' }, /Template text is required/],
+    [{ key: 'followup.interested', text: 'Hi {{leadName}' }, /Malformed placeholder/],
+    [{ key: 'followup.interested', text: 'Hi {{ }}' }, /Malformed placeholder/],
+    [{ key: 'followup.interested', text: 'See you at {{slotTime}}' }, /Unknown placeholder for followup.interested: \{\{slotTime\}\}/],
+    [{ key: 'followup.interested', text: '{{slotDate}} {{slotTime}}' }, /Unknown placeholders for followup.interested: \{\{slotDate\}\}, \{\{slotTime\}\}/]
+  ];
+  for (const [input, message] of invalid) {
+    assert.throws(() => validateTemplate(input), badRequest(message), input.text);
+  }
+});
+
+// ============================================
+// Overrides
+// ============================================
+
+test('saved templates override the catalogue, per language with a fallback for the rest', async () => {
+  const tenantId = 'recTenantOverrides';
+  await saveTemplate({ tenantId, key: 'greeting.returning', text: 'Welcome back, {{leadName}}!\n{{options}}' });
+  await saveTemplate({ tenantId, key: 'greeting.returning', language: 'sw', text: 'Karibu tena, {{leadName}}!\n{{options}}' });
+
+  const overrides = await getTemplates(tenantId);
+  assert.deepEqual(Object.keys(overrides['greeting.returning']).sort(), ['*', 'sw']);
+
+  const t = i18n.translator('en', overrides);
+  assert.equal(t('greeting.returning', { leadName: 'Mary', options: '1️⃣ Buy' }), 'Welcome back, Mary!\n1️⃣ Buy');
+  assert.equal(i18n.t('sw', 'greeting.returning', { leadName: 'Mary', options: '' }, overrides), 'Karibu tena, Mary!\n');
+  // Keys without an override keep the catalogue text
+  assert.equal(t('language.switched'), i18n.catalogueText('en', 'language.switched'));
+
+  const reply = await handleMessage({
+    from: '254722000111',
+    message: 'hi',
+    lead_id: 'recLead1',
+    lead_name: 'Mary',
+    lead_stage: 'asked_location',
+    tenant_id: tenantId,
+    tenant_property_types: 'Buy, Rent'
+  });
+  assert.equal(reply.replyMessage, 'Welcome back, Mary!\n1️⃣ Buy\n2️⃣ Rent');
+
+  // Other tenants aren't affected
+  assert.deepEqual(await getTemplates('recTenantOther'), {});
+});
+
+test('saving again replaces the text, and deleting goes back to the catalogue', async () => {
+  const tenantId = 'recTenantReplace';
+  const first = await saveTemplate({ tenantId, key: 'followup.interested', language: 'en', text: 'Great, {{leadName}}!' });
+  const second = await saveTemplate({ tenantId, key: 'followup.interested', language: 'English', text: 'Lovely, {{leadName}}!' });
+
+  assert.equal(second.id, first.id);
+  assert.equal((await store.templates.find({ tenantId })).length, 1);
+  assert.equal(i18n.t('en', 'followup.interested', { leadName: 'Mary' }, await getTemplates(tenantId)), 'Lovely, Mary!');
+
+  const listed = (await listTemplates(tenantId)).find(template => template.key === 'followup.interested');
+  assert.deepEqual(listed.overrides, [{ id: first.id, language: 'en', text: 'Lovely, {{leadName}}!' }]);
+  assert.equal(listed.defaults.sw, i18n.catalogueText('sw', 'followup.interested'));
+
+  await deleteTemplate({ tenantId, key: 'followup.interested', language: 'en' });
+  assert.deepEqual(await getTemplates(tenantId), {});
+  await assert.rejects(deleteTemplate({ tenantId, key: 'followup.interested', language: 'en' }), error => error.status === 404);
+});
+
+test('saveTemplate refuses what validateTemplate rejects and stores nothing', async () => {
+  const tenantId = 'recTenantInvalid';
+  await assert.rejects(saveTemplate({ tenantId, key: 'followup.interested', text: 'At {{slotTime}}' }), badRequest(/Unknown placeholder/));
+  assert.deepEqual(await store.templates.find({ tenantId }), []);
+});
+
+test('getTemplates skips rows edited by hand that no longer validate', async () => {
+  const tenantId = 'recTenantHandEdited';
+  await store.templates.create({ Tenant: [tenantId], Key: 'followup.interested', Language: '', Text: 'At {{slotTime}}' });
+  await store.templates.create({ Tenant: [tenantId], Key: 'followup.notInterested', Language: '', Text: 'Sorry, {{leadName}}.' });
+
+  assert.deepEqual(await getTemplates(tenantId), { 'followup.notInterested': { '*': 'Sorry, {{leadName}}.' } });
+});
@@ -0,0 +1,176 @@
+// test/timezone.test.js - Wall-clock conversions and viewing slots across DST changes
+// (Europe/London: clocks go forward 29 March 2026 01:00 → 02:00, back 25 October 2026 02:00 → 01:00)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tz = require('../lib/timezone');
+const { generateSlots, normalizeWorkingDays, isGridSlot } = require('../lib/slots');
+
+const LONDON = 'Europe/London';
+const iso = date => date.toISOString();
+
+// ============================================
+// lib/timezone.js
+// ============================================
+
+test('zonedTimeToUtc uses the offset in force on that date', () => {
+  assert.equal(iso(tz.zonedTimeToUtc({ year: 2026, month: 3, day: 1, hour: 9 }, 'Africa/Nairobi')), '2026-03-01T06:00:00.000Z');
+  assert.equal(iso(tz.zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, LONDON)), '2026-01-15T09:00:00.000Z');
+  assert.equal(iso(tz.zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, LONDON)), '2026-07-15T08:00:00.000Z');
+});
+
+test('zonedTimeToUtc returns null for a time skipped by DST and the earlier instant for a repeated one', () => {
+  assert.equal(tz.zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 1, minute: 30 }, LONDON), null);
+  assert.equal(tz.zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York'), null);
+
+  assert.equal(iso(tz.zonedTimeToUtc({ year: 2026, month: 10, day: 25, hour: 1, minute: 30 }, LONDON)), '2026-10-25T00:30:00.000Z');
+});
+
+test('getOffsetMinutes follows DST', () => {
+  assert.equal(tz.getOffsetMinutes('2026-03-29T00:59:00Z', LONDON), 0);
+  assert.equal(tz.getOffsetMinutes('2026-03-29T01:00:00Z', LONDON), 60);
+  assert.equal(tz.getOffsetMinutes('2026-03-29T01:00:00Z', 'Africa/Nairobi'), 180);
+});
+
+test('zonedDayRange is 23 and 25 hours long on DST change days', () => {
+  const spring = tz.zonedDayRange(new Date('2026-03-29T12:00:00Z'), LONDON);
+  assert.equal(iso(spring.start), '2026-03-29T00:00:00.000Z');
+  assert.equal(iso(spring.end), '2026-03-29T23:00:00.000Z');
+
+  const autumn = tz.zonedDayRange(new Date('2026-10-25T12:00:00Z'), LONDON);
+  assert.equal(iso(autumn.start), '2026-10-24T23:00:00.000Z');
+  assert.equal(iso(autumn.end), '2026-10-26T00:00:00.000Z');
+});
+
+test('nextZonedTime moves a time skipped by DST an hour later', () => {
+  assert.equal(iso(tz.nextZonedTime(new Date('2026-03-29T00:00:00Z'), 90, LONDON)), '2026-03-29T01:30:00.000Z');
+  assert.equal(iso(tz.nextZonedTime(new Date('2026-03-28T12:00:00Z'), 9 * 60, LONDON)), '2026-03-29T08:00:00.000Z');
+});
+
+test('formatDateKey and formatDateTimeKey use the local calendar date', () => {
+  const lateEvening = new Date('2026-03-01T22:30:00Z');
+  assert.equal(tz.formatDateKey(lateEvening, 'Africa/Nairobi'), '2026-03-02');
+  assert.equal(tz.formatDateTimeKey(lateEvening, 'Africa/Nairobi'), '2026-03-02 01:30');
+  assert.equal(tz.formatDateKey(lateEvening, LONDON), '2026-03-01');
+});
+
+test('parseTimeOfDay reads hours, 24h and 12h times', () => {
+  assert.equal(tz.parseTimeOfDay(9), 540);
+  assert.equal(tz.parseTimeOfDay(8.5), 510);
+  assert.equal(tz.parseTimeOfDay('08:30'), 510);
+  assert.equal(tz.parseTimeOfDay('8:30 AM'), 510);
+  assert.equal(tz.parseTimeOfDay('5:15pm'), 1035);
+  assert.equal(tz.parseTimeOfDay('12 am'), 0);
+  assert.equal(tz.parseTimeOfDay('25:00', 600), 600);
+  assert.equal(tz.parseTimeOfDay('noon', 600), 600);
+  assert.equal(tz.parseTimeOfDay('', 600), 600);
+});
+
+test('resolveTimezone falls back to the default for unknown zones', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(tz.resolveTimezone(LONDON), LONDON);
+  assert.equal(tz.resolveTimezone(''), tz.DEFAULT_TIMEZONE);
+  assert.equal(tz.resolveTimezone('Mars/Olympus_Mons'), tz.DEFAULT_TIMEZONE);
+});
+
+// ============================================
+// lib/slots.js
+// ============================================
+
+const slotOptions = options => ({
+  timezone: LONDON,
+  workStartMinutes: 0,
+  workEndMinutes: 4 * 60,
+  slotDuration: 60,
+  workingDays: ['Sunday'],
+  daysAhead: 2,
+  maxSlots: 10,
+  bufferMinutes: 0,
+  ...options
+});
+
+test('generateSlots skips the local hour lost when clocks go forward', () => {
+  const slots = generateSlots(slotOptions({ now: new Date('2026-03-28T12:00:00Z') }));
+
+  // 00:00 GMT, then 02:00 and 03:00 BST - 01:00 doesn't exist that night
+  assert.deepEqual(slots.map(s => iso(s.start)), [
+    '2026-03-29T00:00:00.000Z',
+    '2026-03-29T01:00:00.000Z',
+    '2026-03-29T02:00:00.000Z'
+  ]);
+  assert.ok(slots.every(s => s.end - s.start === 60 * 60000));
+});
+
+test('generateSlots keeps the wall-clock grid when clocks go back', () => {
+  const slots = generateSlots(slotOptions({ now: new Date('2026-10-24T12:00:00Z') }));
+
+  // 00:00 and 01:00 BST, then 02:00 and 03:00 GMT; the repeated 01:00 is offered once
+  assert.deepEqual(slots.map(s => iso(s.start)), [
+    '2026-10-24T23:00:00.000Z',
+    '2026-10-25T00:00:00.000Z',
+    '2026-10-25T02:00:00.000Z',
+    '2026-10-25T03:00:00.000Z'
+  ]);
+});
+
+test('generateSlots keeps to working days, the buffer, booked times and maxSlots', () => {
+  const now = new Date('2026-03-02T06:30:00Z'); // Monday 09:30 in Nairobi
+  const options = {
+    now,
+    timezone: 'Africa/Nairobi',
+    workStartMinutes: 9 * 60,
+    workEndMinutes: 17 * 60,
+    slotDuration: 60,
+    workingDays: normalizeWorkingDays('Mon, Wednesday'),
+    daysAhead: 3,
+    bufferMinutes: 60,
+    booked: [{ start: new Date('2026-03-02T09:30:00Z'), end: new Date('2026-03-02T10:30:00Z') }]
+  };
+
+  const slots = generateSlots({ ...options, maxSlots: 20 });
+  const starts = slots.map(s => tz.formatDateTimeKey(s.start, 'Africa/Nairobi'));
+
+  // Monday: 10:00 is inside the buffer, 12:00 and 13:00 overlap the booking; Tuesday is off
+  assert.deepEqual(starts.slice(0, 5), ['2026-03-02 11:00', '2026-03-02 14:00', '2026-03-02 15:00', '2026-03-02 16:00', '2026-03-04 09:00']);
+  assert.equal(starts.length, 12);
+  assert.ok(starts.every(s => !s.startsWith('2026-03-03')));
+
+  assert.equal(generateSlots({ ...options, maxSlots: 3 }).length, 3);
+  assert.deepEqual(generateSlots({ ...options, slotDuration: 0 }), []);
+});
+
+test('isGridSlot accepts any slot generateSlots would offer, not just the first page', () => {
+  const options = slotOptions({ now: new Date('2026-10-24T12:00:00Z'), maxSlots: 1 });
+  const slot = (start, minutes = 60) => [new Date(start), new Date(new Date(start).getTime() + minutes * 60000)];
+
+  for (const offered of generateSlots({ ...options, maxSlots: 10 })) {
+    assert.equal(isGridSlot(options, offered.start, offered.end), true, iso(offered.start));
+  }
+
+  // Off the grid, the wrong length, the second 01:00 of the night clocks go back, past the
+  // working hours, a working day beyond daysAhead
+  assert.equal(isGridSlot(options, ...slot('2026-10-24T23:30:00Z')), false);
+  assert.equal(isGridSlot(options, ...slot('2026-10-24T23:00:00Z', 30)), false);
+  assert.equal(isGridSlot(options, ...slot('2026-10-25T01:00:00Z')), false);
+  assert.equal(isGridSlot(options, ...slot('2026-10-25T04:00:00Z')), false);
+  assert.equal(isGridSlot(options, ...slot('2026-11-01T00:00:00Z')), false);
+});
+
+test('isGridSlot keeps to working days and the buffer', () => {
+  const options = {
+    now: new Date('2026-03-02T06:30:00Z'), // Monday 09:30 in Nairobi
+    timezone: 'Africa/Nairobi',
+    workStartMinutes: 9 * 60,
+    workEndMinutes: 17 * 60,
+    slotDuration: 60,
+    workingDays: normalizeWorkingDays('Mon, Wednesday'),
+    daysAhead: 3,
+    bufferMinutes: 60
+  };
+  const slot = start => [new Date(start), new Date(new Date(start).getTime() + 60 * 60000)];
+
+  assert.equal(isGridSlot(options, ...slot('2026-03-02T08:00:00Z')), true);
+  assert.equal(isGridSlot(options, ...slot('2026-03-04T13:00:00Z')), true);
+  assert.equal(isGridSlot(options, ...slot('2026-03-02T07:00:00Z')), false); // 10:00, inside the buffer
+  assert.equal(isGridSlot(options, ...slot('2026-03-03T08:00:00Z')), false); // Tuesday
+  assert.equal(isGridSlot({ ...options, slotDuration: 0 }, ...slot('2026-03-02T08:00:00Z')), false);
+});
@@ -0,0 +1,349 @@
+// test/whatsapp.test.js - WhatsApp channel: signature check, inbound parsing, the Graph sender and
+// the webhook end to end (server.js on the memory store, replies going to a mock Graph API server)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { spawn } = require('child_process');
+const whatsapp = require('../lib/whatsapp');
+
+const APP_SECRET = 'test-app-secret';
+const ACCESS_TOKEN = 'test-access-token';
+const VERIFY_TOKEN = 'test-verify-token';
+const PHONE_NUMBER_ID = '111';
+const REJECTED_RECIPIENT = '254799999999';
+
+// ============================================
+// Helpers
+// ============================================
+
+function sign(body, secret = APP_SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// One webhook delivery with a text message per [id, from, text]
+function webhookBody(messages) {
+  return JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        value: {
+          metadata: { phone_number_id: PHONE_NUMBER_ID, display_phone_number: '254700000001' },
+          contacts: messages.map(([, from]) => ({ wa_id: from, profile: { name: 'Test Lead' } })),
+          messages: messages.map(([id, from, text]) => ({ id, from, type: 'text', text: { body: text } }))
+        }
+      }]
+    }]
+  });
+}
+
+// Graph API stand-in: records every POST /{phone-number-id}/messages and rejects one recipient
+function startMockGraph() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body || '{}');
+      requests.push({ method: req.method, path: req.url, authorization: req.headers.authorization, payload });
+
+      res.setHeader('Content-Type', 'application/json');
+      if (payload.to === REJECTED_RECIPIENT) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: { message: 'Recipient phone number not in allowed list' } }));
+        return;
+      }
+      res.end(JSON.stringify({ messages: [{ id: `wamid.out${requests.length}` }] }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Runs server.js until it logs that it is listening
+function startServer(env) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running on port')) resolve(child);
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+  });
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+// ============================================
+// Signature verification
+// ============================================
+
+test('verifySignature accepts the HMAC of the raw body', () => {
+  const body = webhookBody([['wamid.1', '254711111111', 'hi']]);
+  assert.equal(whatsapp.verifySignature(Buffer.from(body), sign(body), APP_SECRET), true);
+});
+
+test('verifySignature rejects a tampered body, another secret and malformed headers', () => {
+  const body = webhookBody([['wamid.1', '254711111111', 'hi']]);
+  const signature = sign(body);
+
+  assert.equal(whatsapp.verifySignature(Buffer.from(body.replace('hi', 'ho')), signature, APP_SECRET), false);
+  assert.equal(whatsapp.verifySignature(Buffer.from(body), sign(body, 'other-secret'), APP_SECRET), false);
+  assert.equal(whatsapp.verifySignature(Buffer.from(body), signature.replace('sha256', 'sha1'), APP_SECRET), false);
+  assert.equal(whatsapp.verifySignature(Buffer.from(body), 'sha256=abcd', APP_SECRET), false);
+  assert.equal(whatsapp.verifySignature(Buffer.from(body), undefined, APP_SECRET), false);
+  assert.equal(whatsapp.verifySignature(Buffer.from(body), signature, undefined), false);
+});
+
+// ============================================
+// Inbound parsing
+// ============================================
+
+test('parseInboundMessages flattens text messages with their sender and receiving number', () => {
+  const [inbound] = whatsapp.parseInboundMessages(JSON.parse(webhookBody([['wamid.1', '254711111111', 'Hello']])));
+
+  assert.equal(inbound.messageId, 'wamid.1');
+  assert.equal(inbound.from, '254711111111');
+  assert.equal(inbound.profileName, 'Test Lead');
+  assert.equal(inbound.phoneNumberId, PHONE_NUMBER_ID);
+  assert.equal(inbound.text, 'Hello');
+});
+
+test('parseInboundMessages passes button payloads through and skips status updates', () => {
+  const body = {
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [
+        { value: { metadata: { phone_number_id: PHONE_NUMBER_ID }, statuses: [{ id: 'wamid.0', status: 'read' }] } },
+        {
+          value: {
+            metadata: { phone_number_id: PHONE_NUMBER_ID },
+            messages: [{ id: 'wamid.2', from: '254711111111', type: 'button', button: { payload: 'YES', text: 'Yes' } }]
+          }
+        }
+      ]
+    }]
+  };
+
+  const inbound = whatsapp.parseInboundMessages(body);
+  assert.equal(inbound.length, 1);
+  assert.equal(inbound[0].text, 'YES');
+  assert.deepEqual(whatsapp.parseInboundMessages({ object: 'page' }), []);
+});
+
+test('parseInboundMessages reads a tapped reply button or list row as what the lead could have typed', () => {
+  const reply = interactive => whatsapp.parseInboundMessages({
+    object: 'whatsapp_business_account',
+    entry: [{
+      changes: [{
+        value: {
+          metadata: { phone_number_id: PHONE_NUMBER_ID },
+          messages: [{ id: 'wamid.3', from: '254711111111', type: 'interactive', interactive }]
+        }
+      }]
+    }]
+  })[0].text;
+
+  assert.equal(reply({ type: 'button_reply', button_reply: { id: 'slot:3', title: 'Tue 10:00' } }), '3');
+  assert.equal(reply({ type: 'list_reply', list_reply: { id: 'cmd:MORE', title: 'See more' } }), 'MORE');
+  assert.equal(reply({ type: 'list_reply', list_reply: { id: 'type:Buy', title: 'Buy' } }), 'Buy');
+});
+
+// ============================================
+// Graph sender
+// ============================================
+
+test('the Graph sender posts to the mock Graph API and surfaces its errors', async (t) => {
+  const graph = await startMockGraph();
+  t.after(() => graph.server.close());
+
+  const sender = whatsapp.createSender({ apiUrl: graph.url + '/', accessToken: ACCESS_TOKEN });
+  assert.equal(sender.name, 'graph');
+
+  await sender.sendText(PHONE_NUMBER_ID, '254711111111', 'Hello there');
+  const [request] = graph.requests;
+  assert.equal(request.path, `/${PHONE_NUMBER_ID}/messages`);
+  assert.equal(request.authorization, `Bearer ${ACCESS_TOKEN}`);
+  assert.deepEqual(request.payload, {
+    messaging_product: 'whatsapp',
+    recipient_type: 'individual',
+    to: '254711111111',
+    type: 'text',
+    text: { preview_url: false, body: 'Hello there' }
+  });
+
+  await assert.rejects(
+    sender.sendText(PHONE_NUMBER_ID, REJECTED_RECIPIENT, 'Hello'),
+    /WhatsApp send failed \(400\): Recipient phone number not in allowed list/
+  );
+});
+
+test('sendMessages falls back to the plain text when the first rich message fails', async (t) => {
+  const graph = await startMockGraph();
+  t.after(() => graph.server.close());
+
+  const sender = whatsapp.createGraphSender({ apiUrl: graph.url, accessToken: ACCESS_TOKEN });
+  t.mock.method(console, 'error', () => {});
+  await whatsapp.sendMessages(sender, PHONE_NUMBER_ID, '254711111111', [{ type: 'unknown' }, { type: 'text', text: 'Hi' }], 'Plain reply');
+
+  assert.equal(graph.requests.length, 1);
+  assert.equal(graph.requests[0].payload.text.body, 'Plain reply');
+});
+
+test('sendMessages sends only what is left after a later message fails', async (t) => {
+  const sent = [];
+  const sender = {
+    async sendMessage(phoneNumberId, to, message) {
+      if (message.type === 'image' || message.type === 'buttons') throw new Error('WhatsApp send failed (400): Media download failed');
+      sent.push(message.text || message.body);
+    },
+    async sendText(phoneNumberId, to, text) {
+      sent.push(text);
+    }
+  };
+  t.mock.method(console, 'error', () => {});
+
+  await whatsapp.sendMessages(sender, PHONE_NUMBER_ID, '254711111111', [
+    { type: 'text', text: 'Here are your matches' },
+    { type: 'image', imageUrl: 'https://example.com/missing.jpg', caption: '1. Karen Villa' },
+    { type: 'buttons', body: 'Which one?', buttons: [] },
+    { type: 'list', body: 'Pick a property', buttonText: 'Choose', sections: [] }
+  ], 'Plain reply');
+
+  assert.deepEqual(sent, ['Here are your matches', '1. Karen Villa', 'Pick a property']);
+});
+
+// ============================================
+// Webhook (server.js)
+// ============================================
+
+test('webhook', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'property-bot-'));
+  const dataFile = path.join(dir, 'store.json');
+  fs.writeFileSync(dataFile, JSON.stringify({
+    Tenants: [{
+      id: 'recTenant1',
+      'Company Name': 'Acme Homes',
+      'Bot Name': 'Ada',
+      'Property Types': 'Buy, Rent',
+      'WhatsApp Number': '+254 700 000 001',
+      'WhatsApp Phone Number ID': PHONE_NUMBER_ID,
+      'Time Zone': 'Africa/Nairobi',
+      // One text message per reply, so the first one reaching the mock means the reply is done
+      'Plain Text Replies': true
+    }]
+  }));
+
+  const graph = await startMockGraph();
+  const port = await freePort();
+  const env = {
+    PORT: String(port),
+    DATA_STORE: 'memory',
+    DATA_STORE_FILE: dataFile,
+    NOTIFICATION_SCHEDULER: 'off',
+    WHATSAPP_API_URL: graph.url,
+    WHATSAPP_ACCESS_TOKEN: ACCESS_TOKEN,
+    WHATSAPP_APP_SECRET: APP_SECRET,
+    WHATSAPP_VERIFY_TOKEN: VERIFY_TOKEN
+  };
+  let server = await startServer(env);
+
+  t.after(() => {
+    server.kill();
+    graph.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}/webhook/whatsapp`;
+  const deliver = (body, signature = sign(body)) => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+    body
+  });
+  const sentTo = phone => graph.requests.filter(r => r.payload.to === phone);
+
+  await t.test('answers the verification challenge only with the verify token', async () => {
+    const verified = await fetch(`${baseUrl}?hub.mode=subscribe&hub.verify_token=${VERIFY_TOKEN}&hub.challenge=42`);
+    assert.equal(verified.status, 200);
+    assert.equal(await verified.text(), '42');
+
+    const refused = await fetch(`${baseUrl}?hub.mode=subscribe&hub.verify_token=wrong&hub.challenge=42`);
+    assert.equal(refused.status, 403);
+  });
+
+  await t.test('rejects deliveries with a bad signature', async () => {
+    const body = webhookBody([['wamid.bad', '254711111111', 'hi']]);
+    const response = await deliver(body, sign(body, 'other-secret'));
+
+    assert.equal(response.status, 401);
+    assert.equal(graph.requests.length, 0);
+  });
+
+  await t.test('replies to the sender through the Graph API', async () => {
+    const response = await deliver(webhookBody([['wamid.1', '254711111111', 'hi']]));
+    assert.equal(response.status, 200);
+
+    await waitFor(() => sentTo('254711111111').length > 0);
+    const [reply] = sentTo('254711111111');
+    assert.equal(reply.path, `/${PHONE_NUMBER_ID}/messages`);
+    assert.equal(reply.authorization, `Bearer ${ACCESS_TOKEN}`);
+  });
+
+  await t.test('answers a redelivered message only once', async () => {
+    const before = sentTo('254711111111').length;
+
+    // The new message from another lead comes after the redelivery, so its reply means the
+    // redelivery has been dealt with
+    await deliver(webhookBody([['wamid.1', '254711111111', 'hi'], ['wamid.2', '254722222222', 'hi']]));
+    await waitFor(() => sentTo('254722222222').length > 0);
+
+    assert.equal(sentTo('254711111111').length, before);
+
+    const { Messages } = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    assert.equal(Messages.filter(m => m['WhatsApp Message ID'] === 'wamid.1').length, 1);
+  });
+
+  await t.test('answers a message redelivered after a restart only once', async () => {
+    server.kill();
+    await once(server, 'exit');
+    server = await startServer(env);
+
+    const before = sentTo('254711111111').length;
+    await deliver(webhookBody([['wamid.1', '254711111111', 'hi'], ['wamid.3', '254733333333', 'hi']]));
+    await waitFor(() => sentTo('254733333333').length > 0);
+
+    assert.equal(sentTo('254711111111').length, before);
+  });
+});